@@ -13,35 +13,230 @@
 // Import required modules
 const express = require('express');
 const path = require('path');
+const crypto = require('crypto');
+const util = require('util');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { Readable, pipeline } = require('stream');
+const {
+  GraphQLSchema, GraphQLObjectType, GraphQLInputObjectType, GraphQLEnumType, GraphQLList, GraphQLNonNull,
+  GraphQLInt, GraphQLFloat, GraphQLString, GraphQLBoolean, GraphQLError, Kind,
+  parse, validate, execute, getOperationAST, getNamedType, getArgumentValues, getVariableValues
+} = require('graphql');
+const { createProductRepository, createCollectionRepository } = require('./repositories');
+const { SORTABLE_FIELDS, applyListQuery } = require('./repositories/listQuery');
+const { createRateLimitStore } = require('./rateLimitStores');
+const SchemaValidator = require('./public/schema-validator');
 
 // Initialize Express application
 const app = express();
 
-// Add CORS middleware
-app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
-  
-  // Handle preflight requests
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
-  
-  next();
-});
-
 // Server configuration
 const PORT = process.env.PORT || 3000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 
+// Product storage backend: 'memory' (default) or 'sqlite'
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'memory';
+
+// Optional path to a JSON file for durable storage with the memory driver
+const DATA_FILE = process.env.DATA_FILE ? path.resolve(process.env.DATA_FILE) : null;
+
+// Database file used by the sqlite driver
+const SQLITE_FILE = process.env.SQLITE_FILE
+  ? path.resolve(process.env.SQLITE_FILE)
+  : path.join(__dirname, 'data', 'products.db');
+
+// Read access to the API: 'public' (default) or 'viewer' to require an API key for GET requests too
+const API_READ_ACCESS = process.env.API_READ_ACCESS === 'viewer' ? 'viewer' : 'public';
+
+// Require If-Match with the product's ETag when replacing, patching or deleting
+// an existing product, so edits based on a stale copy are always rejected
+const REQUIRE_IF_MATCH = process.env.REQUIRE_IF_MATCH === 'true';
+
+// Days a deleted product stays in the trash before it is purged for good
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Minutes a pending order holds its stock; unpaid orders are cancelled and restocked after that
+const ORDER_PAYMENT_MINUTES = parseInt(process.env.ORDER_PAYMENT_MINUTES) || 30;
+
+// Webhook deliveries (see WEBHOOKS): attempts before a delivery is given up,
+// and the delay before the first retry, which doubles with every retry after it
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const WEBHOOK_RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+
+// Webhook URL hosts allowed to resolve to loopback, private or link-local
+// addresses, which are refused otherwise: comma-separated host names or IP
+// addresses (e.g. localhost to test against a local receiver)
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',')
+  .map(host => host.trim().toLowerCase().replace(/^\[(.*)\]$/, '$1'))
+  .filter(host => host !== '');
+
+// Product changes kept for clients of GET /api/events that reconnect with Last-Event-ID
+const EVENT_REPLAY_BUFFER_SIZE = parseInt(process.env.EVENT_REPLAY_BUFFER_SIZE) || 500;
+
+// GraphQL limits (see GRAPHQL): levels of nested fields, and fields to resolve
+// counting every item of the lists they are in
+const GRAPHQL_MAX_DEPTH = parseInt(process.env.GRAPHQL_MAX_DEPTH) || 8;
+const GRAPHQL_MAX_COMPLEXITY = parseInt(process.env.GRAPHQL_MAX_COMPLEXITY) || 5000;
+
+// Whether anyone may register a viewer account through POST /api/auth/register;
+// otherwise only admins register users. Off by default, since with
+// API_READ_ACCESS=viewer it would let every visitor read.
+const ALLOW_SELF_REGISTRATION = process.env.ALLOW_SELF_REGISTRATION === 'true';
+
+// Admin API key provisioned on startup. Without one, a random admin key is
+// generated and printed once (see provisionAdminApiKey).
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || null;
+
+// Secret for signing session tokens. Without one, a random secret is used and
+// everyone has to log in again after a restart.
+const AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Rate limits per client (see RATE LIMITING); RATE_LIMIT_ENABLED=false turns them off
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+const RATE_LIMIT_WINDOW_MS = (parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60) * 1000;
+const RATE_LIMIT_READ_MAX = parseInt(process.env.RATE_LIMIT_READ_MAX) || 600;
+const RATE_LIMIT_WRITE_MAX = parseInt(process.env.RATE_LIMIT_WRITE_MAX) || 200;
+const RATE_LIMIT_BULK_MAX = parseInt(process.env.RATE_LIMIT_BULK_MAX) || 20;
+const RATE_LIMIT_LOGIN_MAX = parseInt(process.env.RATE_LIMIT_LOGIN_MAX) || 10;
+const RATE_LIMIT_LOGIN_WINDOW_MS = (parseInt(process.env.RATE_LIMIT_LOGIN_WINDOW_SECONDS) || 15 * 60) * 1000;
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory';
+
+// Origins allowed to call the API from a browser: comma-separated exact origins
+// or patterns with * wildcards (e.g. https://*.example.com, http://localhost:*).
+// Development allows local dev servers by default; production allows none.
+const CORS_ORIGINS = process.env.CORS_ORIGINS !== undefined
+  ? process.env.CORS_ORIGINS
+  : (NODE_ENV === 'production' ? '' : 'http://localhost:*,http://127.0.0.1:*');
+
+// Whether allowed origins may send cookies and Authorization headers
+const CORS_CREDENTIALS = process.env.CORS_CREDENTIALS !== 'false';
+
+// How long browsers may cache a preflight response, in seconds
+const CORS_MAX_AGE = parseInt(process.env.CORS_MAX_AGE) || 600;
+
+// Trust X-Forwarded-For from this many proxies (or 'true' for any), so anonymous
+// clients are rate limited by their own IP address behind a reverse proxy
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', isNaN(hops) ? process.env.TRUST_PROXY === 'true' : hops);
+}
+
 /**
  * MIDDLEWARE CONFIGURATION
  * Configure Express middleware for request parsing and static file serving
  */
 
+/**
+ * CORS
+ * Browsers on an allowed origin get CORS headers; other origins get none, so
+ * the browser blocks their requests. The origin is echoed back instead of `*`
+ * so credentialed requests work, and responses vary by Origin for caches.
+ */
+const CORS_ALLOWED_METHODS = 'GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS';
+const CORS_ALLOWED_HEADERS = 'Accept, Authorization, Content-Type, If-Match, If-None-Match, Last-Event-ID, X-API-Key, X-Cart-Token, X-Request-Id, X-Requested-With';
+const CORS_EXPOSED_HEADERS = 'ETag, Link, Location, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy, Retry-After, X-Request-Id';
+
+/**
+ * Convert a CORS Allowlist Entry to a Pattern
+ * @description A * stands for any run of host name characters, so it can
+ * match subdomains or a port but never reach into another part of the URL.
+ * A lone * allows every origin, without credentials.
+ * @param {string} entry - Origin or pattern from CORS_ORIGINS
+ * @returns {RegExp|null} Pattern, or null for an exact origin
+ */
+function corsOriginPattern(entry) {
+  if (entry === '*') {
+    return /^/;
+  }
+  if (!entry.includes('*')) {
+    return null;
+  }
+
+  const parts = entry.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${parts.join('[a-z0-9.-]*')}$`, 'i');
+}
+
+/**
+ * Parse the CORS Origin Allowlist
+ * @param {string} text - Comma-separated origins and * patterns
+ * @returns {Array<Object>} { entry, pattern } per origin; pattern is null for exact matches
+ */
+function parseCorsOrigins(text) {
+  return text.split(',')
+    .map(entry => entry.trim().replace(/\/+$/, ''))
+    .filter(entry => entry !== '')
+    .map(entry => ({ entry, pattern: corsOriginPattern(entry) }));
+}
+
+const corsOrigins = parseCorsOrigins(CORS_ORIGINS);
+
+/**
+ * Check an Origin Against the Allowlist
+ * @param {string} origin - Origin request header
+ * @returns {Object|null} The matching allowlist entry, or null
+ */
+function matchCorsOrigin(origin) {
+  return corsOrigins.find(({ entry, pattern }) =>
+    pattern ? pattern.test(origin) : entry.toLowerCase() === origin.toLowerCase()
+  ) || null;
+}
+
+app.use((req, res, next) => {
+  const origin = req.get('Origin');
+  res.vary('Origin');
+
+  const match = origin ? matchCorsOrigin(origin) : null;
+  const isPreflight = req.method === 'OPTIONS' && origin && req.get('Access-Control-Request-Method');
+
+  if (match) {
+    res.header('Access-Control-Allow-Origin', origin);
+    // Credentials are never combined with an allow-everything entry
+    if (CORS_CREDENTIALS && match.entry !== '*') {
+      res.header('Access-Control-Allow-Credentials', 'true');
+    }
+    if (isPreflight) {
+      res.header('Access-Control-Allow-Methods', CORS_ALLOWED_METHODS);
+      res.header('Access-Control-Allow-Headers', CORS_ALLOWED_HEADERS);
+      res.header('Access-Control-Max-Age', String(CORS_MAX_AGE));
+    } else {
+      res.header('Access-Control-Expose-Headers', CORS_EXPOSED_HEADERS);
+    }
+  }
+
+  // Preflights end here; disallowed origins get an empty answer without CORS headers
+  if (isPreflight) {
+    return res.status(204).end();
+  }
+
+  next();
+});
+
+/**
+ * REQUEST IDS
+ * Every request gets an ID, echoed in the X-Request-Id response header and
+ * recorded in product history. An ID sent by the client or a proxy is kept
+ * when it is short and made of safe characters, so requests can be traced
+ * across services; otherwise a new one is generated.
+ */
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+app.use((req, res, next) => {
+  const received = req.get('X-Request-Id');
+  req.id = received && REQUEST_ID_PATTERN.test(received) ? received : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+});
+
+
 // Parse JSON request bodies (with size limit for security)
-app.use(express.json({ limit: '10mb' }));
+// Also accepts the JSON-based patch formats used by PATCH /api/products/:id
+app.use(express.json({
+  limit: '10mb',
+  type: ['application/json', 'application/merge-patch+json', 'application/json-patch+json']
+}));
 
 // Parse URL-encoded request bodies (for form submissions)
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -51,11 +246,10 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
 /**
- * IN-MEMORY DATA STORAGE
+ * SEED DATA
  * 
- * Note: In a production environment, this should be replaced with a proper
- * database (MongoDB, PostgreSQL, MySQL, etc.). This in-memory storage is
- * only suitable for development and testing purposes.
+ * Initial catalog used when the configured storage backend is empty.
+ * Storage is selected with STORAGE_DRIVER (see repositories/index.js).
  * 
  * Each product follows a consistent schema with the following properties:
  * - id: Unique identifier (number)
@@ -63,14 +257,15 @@ app.use(express.static(path.join(__dirname, 'public')));
  * - description: Product description (string)
  * - price: Product price (number, required)
  * - discountPercentage: Discount percentage (number, 0-100)
- * - rating: Product rating (number, 0-5)
+ * - rating: Average approved review score (number, 0-5, read-only)
+ * - reviewCount: Number of approved reviews (number, read-only)
  * - stock: Available quantity (number, >= 0)
- * - brand: Product brand (string)
- * - category: Product category (string)
+ * - brand: Brand name (string, must exist in /api/brands)
+ * - category: Category slug (string, must exist in /api/categories)
  * - thumbnail: Main product image URL (string)
  * - images: Array of additional image URLs (array of strings)
  */
-let products = [
+const seedProducts = [
   {
     id: 1,
     title: "Classic Denim Jacket",
@@ -78,6 +273,7 @@ let products = [
     price: 59.99,
     discountPercentage: 10.5,
     rating: 4.8,
+    reviewCount: 4,
     stock: 45,
     brand: "Levi's",
     category: "clothing",
@@ -95,6 +291,7 @@ let products = [
     price: 129.99,
     discountPercentage: 15,
     rating: 4.6,
+    reviewCount: 5,
     stock: 20,
     brand: "Michael Kors",
     category: "accessories",
@@ -111,6 +308,7 @@ let products = [
     price: 89.99,
     discountPercentage: 5,
     rating: 4.5,
+    reviewCount: 2,
     stock: 30,
     brand: "Nike",
     category: "footwear",
@@ -128,6 +326,7 @@ let products = [
     price: 45.99,
     discountPercentage: 12,
     rating: 4.7,
+    reviewCount: 3,
     stock: 25,
     brand: "Zara",
     category: "clothing",
@@ -144,6 +343,7 @@ let products = [
     price: 35.99,
     discountPercentage: 8,
     rating: 4.4,
+    reviewCount: 5,
     stock: 50,
     brand: "Fossil",
     category: "accessories",
@@ -155,364 +355,8855 @@ let products = [
 ];
 
 /**
- * ROUTE HANDLERS
- * Define all API endpoints and their corresponding handlers
+ * PRODUCT REPOSITORY
+ * All route handlers read and write products through this repository.
+ * See repositories/index.js for the interface every backend implements.
+ * Every change made through it is recorded in the product history (see
+ * PRODUCT HISTORY), sent to webhooks (see WEBHOOKS) and streamed to
+ * GET /api/events (see PRODUCT EVENT STREAM), so its write methods take a
+ * trailing change context.
+ */
+const productRepository = withProductHistory(createProductRepository({
+  driver: STORAGE_DRIVER,
+  seedProducts,
+  dataFile: DATA_FILE,
+  sqliteFile: SQLITE_FILE
+}));
+
+/**
+ * PRODUCT HISTORY REPOSITORY
+ * One entry per product change: the version it produced, a field-level diff,
+ * when it happened, who made it and the ID of the request that made it.
+ */
+const productHistoryRepository = createCollectionRepository({
+  name: 'product_history',
+  key: 'id',
+  autoIncrement: true,
+  driver: STORAGE_DRIVER,
+  dataFile: DATA_FILE,
+  sqliteFile: SQLITE_FILE
+});
+
+/**
+ * WEBHOOK REPOSITORIES
+ * Webhooks subscribe a URL to product events. Deliveries are both the durable
+ * queue of events still to be sent and the log of every attempt. See WEBHOOKS.
+ */
+const webhookRepository = createCollectionRepository({
+  name: 'webhooks',
+  key: 'id',
+  autoIncrement: true,
+  driver: STORAGE_DRIVER,
+  dataFile: DATA_FILE,
+  sqliteFile: SQLITE_FILE
+});
+
+const webhookDeliveryRepository = createCollectionRepository({
+  name: 'webhook_deliveries',
+  key: 'id',
+  autoIncrement: true,
+  driver: STORAGE_DRIVER,
+  dataFile: DATA_FILE,
+  sqliteFile: SQLITE_FILE
+});
+
+/**
+ * CATEGORY REPOSITORY
+ * Categories form a tree (each may have a parent) and are identified by slug.
+ * A product's `category` holds the slug of an existing category.
+ */
+const seedCategories = [
+  { slug: 'clothing', name: 'Clothing', parent: null, description: 'Jackets, dresses and everyday wear' },
+  { slug: 'accessories', name: 'Accessories', parent: null, description: 'Bags, wallets, watches and more' },
+  { slug: 'footwear', name: 'Footwear', parent: null, description: 'Shoes, sneakers and boots' }
+];
+
+const categoryRepository = createCollectionRepository({
+  name: 'categories',
+  key: 'slug',
+  seed: seedCategories,
+  driver: STORAGE_DRIVER,
+  dataFile: DATA_FILE,
+  sqliteFile: SQLITE_FILE
+});
+
+/**
+ * BRAND REPOSITORY
+ * Brand metadata, identified by a numeric id. Products reference a brand by
+ * its name, so existing clients and the brand filter keep working.
+ */
+const seedBrands = [
+  { id: 1, name: "Levi's", country: 'United States', logoUrl: '', description: 'Denim since 1853' },
+  { id: 2, name: 'Michael Kors', country: 'United States', logoUrl: '', description: 'Luxury accessories and ready-to-wear' },
+  { id: 3, name: 'Nike', country: 'United States', logoUrl: '', description: 'Athletic footwear and apparel' },
+  { id: 4, name: 'Zara', country: 'Spain', logoUrl: '', description: 'Fast fashion for women, men and kids' },
+  { id: 5, name: 'Fossil', country: 'United States', logoUrl: '', description: 'Watches and leather goods' }
+];
+
+const brandRepository = createCollectionRepository({
+  name: 'brands',
+  key: 'id',
+  autoIncrement: true,
+  seed: seedBrands,
+  driver: STORAGE_DRIVER,
+  dataFile: DATA_FILE,
+  sqliteFile: SQLITE_FILE
+});
+
+/**
+ * RESERVATION REPOSITORY
+ * Stock reservations hold units of a product until they are committed,
+ * released or expire. See STOCK AND RESERVATION HELPERS.
+ */
+const reservationRepository = createCollectionRepository({
+  name: 'reservations',
+  key: 'id',
+  autoIncrement: true,
+  driver: STORAGE_DRIVER,
+  dataFile: DATA_FILE,
+  sqliteFile: SQLITE_FILE
+});
+
+/**
+ * CART AND ORDER REPOSITORIES
+ * Carts hold product IDs, variant IDs and quantities only; checkout turns a cart into an
+ * order that keeps the prices paid. See CART AND ORDER HELPERS.
+ */
+const cartRepository = createCollectionRepository({
+  name: 'carts',
+  key: 'id',
+  autoIncrement: true,
+  driver: STORAGE_DRIVER,
+  dataFile: DATA_FILE,
+  sqliteFile: SQLITE_FILE
+});
+
+const orderRepository = createCollectionRepository({
+  name: 'orders',
+  key: 'id',
+  autoIncrement: true,
+  driver: STORAGE_DRIVER,
+  dataFile: DATA_FILE,
+  sqliteFile: SQLITE_FILE
+});
+
+/**
+ * REVIEW REPOSITORY
+ * Customer reviews of products. Approved reviews make up the product's
+ * read-only rating and reviewCount (see REVIEW HELPERS). The seed reviews
+ * match the ratings and review counts of the seed products, so the startup
+ * refresh of all ratings leaves a fresh catalog unchanged.
+ */
+const seedReviews = [
+  { id: 1, productId: 1, author: 'Maya R.', score: 5, title: 'Fits perfectly', body: 'Great cut and the denim softens nicely after a few washes.' },
+  { id: 2, productId: 1, author: 'Tom B.', score: 5, title: 'A real classic', body: 'Goes with everything I own.' },
+  { id: 3, productId: 1, author: 'Lena K.', score: 4, title: 'Runs slightly small', body: 'Order one size up if you like to layer.' },
+  { id: 4, productId: 1, author: 'Sam P.', score: 5, title: 'Worth it', body: 'Solid stitching and heavy fabric.' },
+  { id: 5, productId: 2, author: 'Nora W.', score: 5, title: 'Elegant', body: 'Looks even better in person.' },
+  { id: 6, productId: 2, author: 'Ivy C.', score: 4, title: 'Beautiful but heavy', body: 'The leather is lovely, the bag is a bit heavy when full.' },
+  { id: 7, productId: 2, author: 'Ana M.', score: 5, title: 'Everyday favourite', body: 'Roomy and well organised inside.' },
+  { id: 8, productId: 2, author: 'Kim D.', score: 5, title: 'Great gift', body: 'My sister loves it.' },
+  { id: 9, productId: 2, author: 'Zoe F.', score: 4, title: 'Good quality', body: 'Strap could be a little longer.' },
+  { id: 10, productId: 3, author: 'Raj S.', score: 5, title: 'Light and comfy', body: 'Ran a half marathon in them without blisters.' },
+  { id: 11, productId: 3, author: 'Ella G.', score: 4, title: 'Good cushioning', body: 'Comfortable, though the laces keep coming undone.' },
+  { id: 12, productId: 4, author: 'Mia T.', score: 5, title: 'Perfect for summer', body: 'Light fabric and a flattering fit.' },
+  { id: 13, productId: 4, author: 'Lucy H.', score: 5, title: 'So pretty', body: 'The floral print is gorgeous.' },
+  { id: 14, productId: 4, author: 'Ruth A.', score: 4, title: 'Nice dress', body: 'Wrinkles easily but looks great.' },
+  { id: 15, productId: 5, author: 'Ben L.', score: 5, title: 'Slim and sturdy', body: 'Fits in my front pocket.' },
+  { id: 16, productId: 5, author: 'Omar N.', score: 4, title: 'Nice leather', body: 'Card slots are tight at first.' },
+  { id: 17, productId: 5, author: 'Jon E.', score: 4, title: 'Good value', body: 'Does the job well.' },
+  { id: 18, productId: 5, author: 'Eva V.', score: 5, title: 'Lovely wallet', body: 'Bought a second one as a present.' },
+  { id: 19, productId: 5, author: 'Max J.', score: 4, title: 'Solid', body: 'Coin pocket is a bit small.' }
+].map(review => ({
+  ...review,
+  status: 'approved',
+  createdAt: '2024-01-15T10:30:00.000Z',
+  updatedAt: '2024-01-15T10:30:00.000Z'
+}));
+
+const reviewRepository = createCollectionRepository({
+  name: 'reviews',
+  key: 'id',
+  autoIncrement: true,
+  seed: seedReviews,
+  driver: STORAGE_DRIVER,
+  dataFile: DATA_FILE,
+  sqliteFile: SQLITE_FILE
+});
+
+/**
+ * API KEY REPOSITORY
+ * API keys authenticate write requests (see AUTHENTICATION). Only a SHA-256
+ * hash of each key is stored; the key itself is shown once, when it is created.
+ */
+const apiKeyRepository = createCollectionRepository({
+  name: 'api_keys',
+  key: 'id',
+  autoIncrement: true,
+  driver: STORAGE_DRIVER,
+  dataFile: DATA_FILE,
+  sqliteFile: SQLITE_FILE
+});
+
+/**
+ * USER AND SESSION REPOSITORIES
+ * Staff accounts log in with an email and password and receive session tokens
+ * (see USER ACCOUNTS AND SESSION TOKENS). Passwords are stored as scrypt hashes.
+ * A session lives from login until logout or until its refresh token expires.
+ */
+const userRepository = createCollectionRepository({
+  name: 'users',
+  key: 'id',
+  autoIncrement: true,
+  driver: STORAGE_DRIVER,
+  dataFile: DATA_FILE,
+  sqliteFile: SQLITE_FILE
+});
+
+const sessionRepository = createCollectionRepository({
+  name: 'sessions',
+  key: 'id',
+  autoIncrement: true,
+  driver: STORAGE_DRIVER,
+  dataFile: DATA_FILE,
+  sqliteFile: SQLITE_FILE
+});
+
+/**
+ * LIST QUERY HELPERS
+ * Parse pagination, sorting and filtering options for product lists.
+ * Repositories apply them (see repositories/listQuery.js).
+ */
+
+// Maximum number of products returned by a single list request
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Parse Pagination Parameters
+ * @description Validates skip/limit or page/pageSize; skip/limit takes precedence
+ * @param {Object} query - Express request query object
+ * @returns {Object} Either { skip, limit } (limit undefined when not paginated) or { error }
+ */
+function parsePagination(query) {
+  const pagination = { skip: 0, limit: undefined };
+
+  // Helper to report a bad parameter in the API's error shape
+  const invalid = (parameter, message) => ({
+    error: { message, parameter, received: query[parameter] }
+  });
+
+  // Pagination: skip/limit takes precedence over page/pageSize
+  if (query.skip !== undefined || query.limit !== undefined) {
+    if (query.skip !== undefined) {
+      const skip = Number(query.skip);
+      if (!Number.isInteger(skip) || skip < 0) {
+        return invalid('skip', 'skip must be a non-negative integer');
+      }
+      pagination.skip = skip;
+    }
+
+    if (query.limit !== undefined) {
+      const limit = Number(query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        return invalid('limit', `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+      }
+      pagination.limit = limit;
+    }
+  } else if (query.page !== undefined || query.pageSize !== undefined) {
+    const page = query.page !== undefined ? Number(query.page) : 1;
+    if (!Number.isInteger(page) || page < 1) {
+      return invalid('page', 'page must be a positive integer');
+    }
+
+    const pageSize = query.pageSize !== undefined ? Number(query.pageSize) : 10;
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      return invalid('pageSize', `pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    pagination.skip = (page - 1) * pageSize;
+    pagination.limit = pageSize;
+  }
+
+  return pagination;
+}
+
+/**
+ * Parse List Query Parameters
+ * @description Validates pagination, sorting and filter parameters from a query string
+ * @param {Object} query - Express request query object
+ * @returns {Object} Either { options } with normalized values or { error } describing the bad parameter
+ */
+function parseListQuery(query) {
+  const options = {
+    skip: 0,
+    limit: undefined,
+    sortBy: undefined,
+    order: 'asc',
+    filters: {}
+  };
+
+  // Helper to report a bad parameter in the API's error shape
+  const invalid = (parameter, message) => ({
+    error: { message, parameter, received: query[parameter] }
+  });
+
+  const pagination = parsePagination(query);
+  if (pagination.error) {
+    return pagination;
+  }
+  options.skip = pagination.skip;
+  options.limit = pagination.limit;
+
+  // Sorting
+  if (query.sortBy !== undefined) {
+    if (!SORTABLE_FIELDS.includes(query.sortBy)) {
+      return invalid('sortBy', `sortBy must be one of: ${SORTABLE_FIELDS.join(', ')}`);
+    }
+    options.sortBy = query.sortBy;
+  }
+
+  if (query.order !== undefined) {
+    const order = String(query.order).toLowerCase();
+    if (order !== 'asc' && order !== 'desc') {
+      return invalid('order', "order must be 'asc' or 'desc'");
+    }
+    options.order = order;
+  }
+
+  // Filters
+  if (query.category !== undefined) options.filters.category = String(query.category);
+  if (query.brand !== undefined) options.filters.brand = String(query.brand);
+
+  for (const parameter of ['minPrice', 'maxPrice']) {
+    if (query[parameter] !== undefined) {
+      const value = Number(query[parameter]);
+      if (query[parameter] === '' || isNaN(value) || value < 0) {
+        return invalid(parameter, `${parameter} must be a non-negative number`);
+      }
+      options.filters[parameter] = value;
+    }
+  }
+
+  if (options.filters.minPrice !== undefined && options.filters.maxPrice !== undefined &&
+      options.filters.minPrice > options.filters.maxPrice) {
+    return invalid('minPrice', 'minPrice cannot be greater than maxPrice');
+  }
+
+  if (query.minRating !== undefined) {
+    const minRating = Number(query.minRating);
+    if (query.minRating === '' || isNaN(minRating) || minRating < 0 || minRating > 5) {
+      return invalid('minRating', 'minRating must be a number between 0 and 5');
+    }
+    options.filters.minRating = minRating;
+  }
+
+  if (query.inStock !== undefined) {
+    if (query.inStock !== 'true' && query.inStock !== 'false') {
+      return invalid('inStock', "inStock must be 'true' or 'false'");
+    }
+    options.filters.inStock = query.inStock === 'true';
+  }
+
+  // Variant filters use bracket syntax: variant[size]=10&variant[color]=black
+  if (query.variant !== undefined) {
+    const names = isPlainObject(query.variant) ? Object.keys(query.variant) : [];
+    if (names.length === 0 || names.some(name =>
+      !/^[a-z][a-z0-9_]*$/.test(name) || typeof query.variant[name] !== 'string')) {
+      return invalid('variant', 'variant filters must look like variant[size]=10');
+    }
+    options.filters.variant = { ...query.variant };
+  }
+
+  return { options };
+}
+
+/**
+ * FULL-TEXT SEARCH INDEX
+ *
+ * An inverted index over the searchable product fields. Each term maps to the
+ * products containing it and how often it appears in each field. The index is
+ * updated by the POST, PUT and DELETE handlers so it always mirrors the repository.
+ */
+
+// Relative importance of a match in each searchable field
+const SEARCH_FIELD_WEIGHTS = {
+  title: 3,
+  brand: 2,
+  category: 2,
+  description: 1
+};
+
+// term -> Map(productId -> { field: occurrences })
+const searchIndex = new Map();
+
+// productId -> Set of terms, used to remove a product's postings
+const indexedTermsByProduct = new Map();
+
+/**
+ * Tokenize Text
+ * @description Lowercases text, strips accents and splits it into search terms
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Terms of at least two characters
+ */
+function tokenize(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(term => term.length >= 2);
+}
+
+/**
+ * Remove Product from Search Index
+ * @param {number} productId - ID of the product to remove
+ */
+function removeFromSearchIndex(productId) {
+  const terms = indexedTermsByProduct.get(productId);
+  if (!terms) return;
+
+  for (const term of terms) {
+    const postings = searchIndex.get(term);
+    if (!postings) continue;
+
+    postings.delete(productId);
+    if (postings.size === 0) {
+      searchIndex.delete(term);
+    }
+  }
+
+  indexedTermsByProduct.delete(productId);
+}
+
+/**
+ * Add or Refresh Product in Search Index
+ * @param {Object} product - Product to index (replaces any previous entry)
+ */
+function indexProduct(product) {
+  removeFromSearchIndex(product.id);
+
+  const terms = new Set();
+
+  for (const field of Object.keys(SEARCH_FIELD_WEIGHTS)) {
+    for (const term of tokenize(product[field])) {
+      if (!searchIndex.has(term)) {
+        searchIndex.set(term, new Map());
+      }
+
+      const postings = searchIndex.get(term);
+      const fieldCounts = postings.get(product.id) || {};
+      fieldCounts[field] = (fieldCounts[field] || 0) + 1;
+      postings.set(product.id, fieldCounts);
+      terms.add(term);
+    }
+  }
+
+  indexedTermsByProduct.set(product.id, terms);
+}
+
+/**
+ * Bounded Levenshtein Distance
+ * @description Edit distance between two strings, giving up once it exceeds maxDistance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} maxDistance - Largest distance worth computing
+ * @returns {number} The distance, or maxDistance + 1 if it is larger
+ */
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMinimum = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMinimum = Math.min(rowMinimum, current[j]);
+    }
+
+    if (rowMinimum > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Expand Query Term
+ * @description Finds indexed terms matching a query term exactly, by prefix or within a typo budget
+ * @param {string} queryTerm - Tokenized query term
+ * @returns {Array<Object>} Matching index terms with a match quality between 0 and 1
+ */
+function expandQueryTerm(queryTerm) {
+  // Short words get no typo tolerance, longer words allow one or two edits
+  const maxDistance = queryTerm.length >= 8 ? 2 : queryTerm.length >= 4 ? 1 : 0;
+  const candidates = [];
+
+  for (const term of searchIndex.keys()) {
+    if (term === queryTerm) {
+      candidates.push({ term, quality: 1 });
+    } else if (term.startsWith(queryTerm)) {
+      candidates.push({ term, quality: 0.75 });
+    } else if (maxDistance > 0) {
+      const distance = editDistance(queryTerm, term, maxDistance);
+      if (distance <= maxDistance) {
+        candidates.push({ term, quality: distance === 1 ? 0.5 : 0.3 });
+      }
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Escape HTML
+ * @param {string} text - Raw text
+ * @returns {string} Text safe to insert into HTML
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Highlight Matched Terms
+ * @description Wraps words whose terms matched the query in <mark> tags
+ * @param {string} text - Field value
+ * @param {Set<string>} matchedTerms - Index terms that matched
+ * @returns {string} HTML-escaped text with highlighted matches
+ */
+function highlightText(text, matchedTerms) {
+  return String(text || '')
+    .split(/([^\p{L}\p{N}]+)/u)
+    .map(part => {
+      const terms = tokenize(part);
+      const escaped = escapeHtml(part);
+      return terms.length === 1 && matchedTerms.has(terms[0]) ? `<mark>${escaped}</mark>` : escaped;
+    })
+    .join('');
+}
+
+/**
+ * Search Products
+ * @description Ranks indexed products against a free-text query
+ * @param {string} query - Raw search query
+ * @returns {Array<Object>} Matches sorted by descending relevance
+ */
+function searchProducts(query) {
+  const queryTerms = [...new Set(tokenize(query))];
+  const totalProducts = indexedTermsByProduct.size || 1;
+  const matches = new Map();
+
+  for (const queryTerm of queryTerms) {
+    // Best contribution of this query term per product, so one typo-tolerant
+    // query word cannot outscore several exact ones by matching many variants
+    const bestByProduct = new Map();
+
+    for (const { term, quality } of expandQueryTerm(queryTerm)) {
+      const postings = searchIndex.get(term);
+      const idf = Math.log(1 + totalProducts / postings.size);
+
+      for (const [productId, fieldCounts] of postings) {
+        let fieldScore = 0;
+        for (const [field, count] of Object.entries(fieldCounts)) {
+          fieldScore += SEARCH_FIELD_WEIGHTS[field] * count;
+        }
+
+        const score = quality * idf * fieldScore;
+        const best = bestByProduct.get(productId);
+
+        if (!best || score > best.score) {
+          bestByProduct.set(productId, { score, terms: best ? [...best.terms, term] : [term] });
+        } else {
+          best.terms.push(term);
+        }
+      }
+    }
+
+    for (const [productId, { score, terms }] of bestByProduct) {
+      const match = matches.get(productId) || { score: 0, terms: new Set(), queryTermsMatched: 0 };
+      match.score += score;
+      match.queryTermsMatched += 1;
+      terms.forEach(term => match.terms.add(term));
+      matches.set(productId, match);
+    }
+  }
+
+  const results = [];
+
+  for (const [productId, match] of matches) {
+    const product = productRepository.get(productId);
+    if (!product) continue;
+
+    // Products matching every query word rank above partial matches
+    const coverage = match.queryTermsMatched / queryTerms.length;
+    const highlights = {};
+
+    for (const field of Object.keys(SEARCH_FIELD_WEIGHTS)) {
+      if (tokenize(product[field]).some(term => match.terms.has(term))) {
+        highlights[field] = highlightText(product[field], match.terms);
+      }
+    }
+
+    results.push({
+      product,
+      score: Math.round(match.score * coverage * 1000) / 1000,
+      matchedTerms: [...match.terms],
+      highlights
+    });
+  }
+
+  return results.sort((a, b) => b.score - a.score || a.product.id - b.product.id);
+}
+
+// Build the index from the stored products
+productRepository.list().products.forEach(indexProduct);
+
+/**
+ * PRODUCT SCHEMA
+ * 
+ * Declarative description of a product, used to validate every route that
+ * creates or rewrites a whole product. It is published at GET /api/schema/product
+ * so the browser form validates with exactly the same rules, using the shared
+ * validator in public/schema-validator.js.
+ */
+const PRODUCT_SCHEMA = {
+  $id: '/api/schema/product',
+  title: 'Product',
+  type: 'object',
+  additionalProperties: false,
+  required: ['title', 'price'],
+  properties: {
+    id: { type: 'integer', title: 'ID', readOnly: true },
+    title: { type: 'string', title: 'Title', trim: true, minLength: 1, maxLength: 200 },
+    description: { type: 'string', title: 'Description', trim: true, maxLength: 2000, default: '' },
+    price: { type: 'number', title: 'Price', minimum: 0, maximum: 999999 },
+    discountPercentage: { type: 'number', title: 'Discount percentage', minimum: 0, maximum: 100, default: 0 },
+    rating: { type: 'number', title: 'Rating', minimum: 0, maximum: 5, readOnly: true },
+    reviewCount: { type: 'integer', title: 'Review count', minimum: 0, readOnly: true },
+    stock: { type: 'integer', title: 'Stock', minimum: 0, default: 0 },
+    brand: { type: 'string', title: 'Brand', trim: true, maxLength: 100, default: '' },
+    category: { type: 'string', title: 'Category', trim: true, maxLength: 100, default: '' },
+    thumbnail: { type: 'string', title: 'Thumbnail', format: 'uri', maxLength: 2048, default: '' },
+    images: {
+      type: 'array',
+      title: 'Images',
+      maxItems: 20,
+      items: { type: 'string', title: 'Image URL', format: 'uri', maxLength: 2048 },
+      default: []
+    },
+    options: {
+      type: 'array',
+      title: 'Options',
+      maxItems: 5,
+      items: {
+        type: 'object',
+        title: 'Option',
+        additionalProperties: false,
+        required: ['name', 'values'],
+        properties: {
+          name: {
+            type: 'string',
+            title: 'Option name',
+            trim: true,
+            maxLength: 30,
+            pattern: '^[a-z][a-z0-9_]*$',
+            patternMessage: 'must start with a lowercase letter and contain only lowercase letters, digits and underscores'
+          },
+          values: {
+            type: 'array',
+            title: 'Option values',
+            maxItems: 50,
+            items: { type: 'string', title: 'Option value', trim: true, minLength: 1, maxLength: 50 }
+          }
+        }
+      },
+      default: []
+    },
+    variants: { type: 'array', title: 'Variants', readOnly: true },
+    createdAt: { type: 'string', title: 'Created at', readOnly: true },
+    updatedAt: { type: 'string', title: 'Updated at', readOnly: true },
+    createdBy: { type: 'string', title: 'Created by', readOnly: true },
+    updatedBy: { type: 'string', title: 'Updated by', readOnly: true },
+    version: { type: 'integer', title: 'Version', readOnly: true },
+    deletedAt: { type: 'string', title: 'Deleted at', readOnly: true }
+  }
+};
+
+// Product fields managed by the server that clients cannot set
+const READ_ONLY_FIELDS = Object.keys(PRODUCT_SCHEMA.properties)
+  .filter(name => PRODUCT_SCHEMA.properties[name].readOnly);
+
+/**
+ * Build Validation Error Body
+ * @param {string} resource - Resource name for the summary message, e.g. 'Product'
+ * @param {Array} errors - Errors reported by SchemaValidator and extra checks
+ * @returns {Object|null} 400 response body, or null when there are no errors
+ */
+function validationErrorBody(resource, errors) {
+  if (errors.length === 0) {
+    return null;
+  }
+
+  // A single problem keeps the familiar { message, field, received } shape
+  if (errors.length === 1) {
+    return { ...errors[0], errors };
+  }
+
+  return {
+    message: `${resource} validation failed with ${errors.length} errors`,
+    errors
+  };
+}
+
+/**
+ * Validate Product Data
+ * @description Checks a complete product document against PRODUCT_SCHEMA and
+ * reports every violation at once. The category must name an existing
+ * category (its slug or a name that converts to it) and is stored as the slug;
+ * the brand must name an existing brand (ignoring case) and is stored as its name.
+ * When the product already has variants, they are kept, must still fit the
+ * options, and stock is their total. rating and reviewCount are carried over
+ * from the stored product (new products start unrated).
+ * @param {Object} data - Product data from the request
+ * @param {Object} [existingProduct] - Stored product being replaced or patched
+ * @returns {Object} { value, error } where value holds the coerced fields with
+ * defaults applied, and error is a 400 response body or null when valid
  */
+function validateProduct(data, existingProduct = null) {
+  const { value, errors } = SchemaValidator.validate(PRODUCT_SCHEMA, data);
+
+  if (typeof value.category === 'string' && value.category !== '' &&
+      !errors.some(error => error.field === 'category')) {
+    const category = categoryRepository.get(slugify(value.category));
+
+    if (category) {
+      value.category = category.slug;
+    } else {
+      errors.push({
+        field: 'category',
+        message: `Category "${value.category}" does not exist`,
+        received: value.category
+      });
+    }
+  }
+
+  if (typeof value.brand === 'string' && value.brand !== '' &&
+      !errors.some(error => error.field === 'brand')) {
+    const brand = findBrandByName(value.brand);
+
+    if (brand) {
+      value.brand = brand.name;
+    } else {
+      errors.push({
+        field: 'brand',
+        message: `Brand "${value.brand}" does not exist`,
+        received: value.brand
+      });
+    }
+  }
+
+  // Ratings are aggregated from approved reviews (see REVIEW HELPERS)
+  value.rating = existingProduct ? existingProduct.rating || 0 : 0;
+  value.reviewCount = existingProduct ? existingProduct.reviewCount || 0 : 0;
+
+  const optionsValid = Array.isArray(value.options) &&
+    !errors.some(error => String(error.field).startsWith('options'));
+  if (optionsValid) {
+    errors.push(...optionErrors(value.options));
+  }
+
+  if (existingProduct && hasVariants(existingProduct)) {
+    const stock = variantStockTotal(existingProduct.variants);
+    if (data && data.stock !== undefined && data.stock !== null && value.stock !== stock) {
+      errors.push({
+        field: 'stock',
+        message: `Stock is the total stock of the variants (${stock}) and cannot be set directly`,
+        received: data.stock
+      });
+    }
+    value.stock = stock;
+
+    // Option changes must leave every variant with valid option values
+    value.variants = existingProduct.variants.map(variant => {
+      if (!optionsValid) return variant;
+
+      const matched = matchVariantOptions(value.options, variant.options);
+      if (matched.errors.length > 0) {
+        errors.push({
+          field: 'options',
+          message: `Variant ${variant.sku} no longer fits the options: ${matched.errors[0].message}`,
+          received: value.options
+        });
+        return variant;
+      }
+      return { ...variant, options: matched.options };
+    });
+  } else if (existingProduct && Number.isInteger(value.stock)) {
+    // Like stock adjustments, updates must leave every reserved unit in place
+    const reserved = reservedUnits(existingProduct.id);
+    if (value.stock < reserved) {
+      errors.push({
+        field: 'stock',
+        message: `Stock cannot be less than the ${reserved} units held by active reservations`,
+        received: value.stock
+      });
+    }
+  }
+
+  return { value, error: validationErrorBody('Product', errors) };
+}
+
+/**
+ * Omit Read-only Fields
+ * @param {Object} data - Product document
+ * @returns {Object} Copy of the document without server-managed fields
+ */
+function omitReadOnlyFields(data) {
+  const result = { ...data };
+  READ_ONLY_FIELDS.forEach(field => delete result[field]);
+  return result;
+}
+
+/**
+ * PRODUCT ETAGS
+ * Product ETags are strong and built from the product's version, which the
+ * repository increases on every change. The creation time is part of the tag,
+ * so a product created again under a deleted product's ID gets new tags.
+ * GET /api/products/:id also reports reserved and available units, which change
+ * without the product changing, so its tag carries the reserved units as well.
+ * If-Match ignores that part: shoppers reserving stock do not make an editor's
+ * write fail, only another change to the product does.
+ */
+
+/**
+ * Product ETag
+ * @param {Object} product - Stored product
+ * @param {number} [reserved] - Reserved units included in the response, if any
+ * @returns {string} Strong ETag, e.g. "3-lx2k9c1s-v4" or "3-lx2k9c1s-v4-r2"
+ */
+function productETag(product, reserved = 0) {
+  const created = (Date.parse(product.createdAt) || 0).toString(36);
+  const reservedPart = reserved > 0 ? `-r${reserved}` : '';
+  return `"${product.id}-${created}-v${product.version}${reservedPart}"`;
+}
+
+/**
+ * Product List ETag
+ * @description Weak, because the list response includes its timestamp
+ * @param {Object} page - Page from productRepository.list
+ * @returns {string} ETag that changes whenever a listed product or the page changes
+ */
+function productListETag(page) {
+  const hash = crypto.createHash('sha1')
+    .update(JSON.stringify([page.total, page.skip, page.limit, page.products.map(product => productETag(product))]))
+    .digest('base64url');
+  return `W/"${hash}"`;
+}
+
+/**
+ * Check If-Match Before Changing a Product
+ * @description * matches any existing product and weak tags never match. A
+ * request without If-Match goes ahead unless REQUIRE_IF_MATCH is set and the
+ * product exists (PUT may still create a new product without one).
+ * @param {Object} req - Express request object
+ * @param {number} id - Product ID from the URL
+ * @param {Object|null} product - Stored product, or null when there is none
+ * @returns {Object|null} { status, body } of the error response, or null when
+ * the change may go ahead
+ */
+function ifMatchFailure(req, id, product) {
+  return checkIfMatch(req.get('If-Match'), id, product);
+}
+
+/**
+ * Check an If-Match Value
+ * @description Shared by the REST routes (If-Match header) and the GraphQL
+ * mutations (ifMatch argument); see ifMatchFailure
+ * @param {string|undefined} header - If-Match value, undefined when none was sent
+ * @param {number} id - Product ID
+ * @param {Object|null} product - Stored product, or null when there is none
+ * @returns {Object|null} { status, body } of the error response, or null when
+ * the change may go ahead
+ */
+function checkIfMatch(header, id, product) {
+  if (header === undefined) {
+    if (REQUIRE_IF_MATCH && product) {
+      return {
+        status: 428,
+        body: {
+          message: 'This request requires an If-Match header with the product ETag. Fetch the product to get its current ETag.',
+          header: 'If-Match'
+        }
+      };
+    }
+    return null;
+  }
+
+  const currentETag = product ? productETag(product) : null;
+  const matches = product && header.split(',').some(tag => {
+    const trimmed = tag.trim();
+    return trimmed === '*' || trimmed.replace(/-r\d+"$/, '"') === currentETag;
+  });
+  if (matches) return null;
+
+  return {
+    status: 412,
+    body: {
+      message: product
+        ? `Product ${id} has changed since it was fetched. Fetch it again and reapply your changes.`
+        : `Product with ID ${id} does not exist, so If-Match cannot match`,
+      header: 'If-Match',
+      received: header,
+      currentVersion: product ? product.version : null
+    }
+  };
+}
+
+/**
+ * PRODUCT HISTORY
+ * productRepository records every create, update, delete and restore of a
+ * product as a history entry with the version it produced and a field-level
+ * diff ({ field, from, to }; a field that did not exist has no from or to).
+ * Entries also hold the time, the actor and the request ID of the change.
+ * Walking the diffs backwards from the current product rebuilds any earlier
+ * version. Products that existed before history was recorded can only go back
+ * as far as their oldest entry allows. Purging a product deletes its history.
+ */
+
+// Change context of writes not made by a request (startup tasks, sweepers)
+const SYSTEM_CHANGE = { actor: null, requestId: null };
+
+// Fields left out of history diffs; version is stored on the entry itself
+const HISTORY_UNTRACKED_FIELDS = ['id', 'version'];
+
+/**
+ * Record Product History
+ * @description Wraps a product repository so create, upsert, update,
+ * adjustStock, adjustVariantStock and restore record a history entry for each change they make
+ * and queue the matching webhook events.
+ * Each takes a change context as its last argument: { actor, requestId } and
+ * optionally action and revertedTo (see changeContext and SYSTEM_CHANGE).
+ * @param {Object} repository - Product repository (see repositories/index.js)
+ * @returns {Object} Repository with the same interface
+ */
+function withProductHistory(repository) {
+  const record = (before, after, context = SYSTEM_CHANGE) => {
+    if (after) {
+      const entry = recordProductChange(before, after, context);
+      queueProductWebhooks(before, after, entry);
+      publishProductEvent(productEventName(entry), after, before, entry.changes);
+    }
+    return after;
+  };
+
+  return {
+    ...repository,
+    create: (data, context) => record(null, repository.create(data), context),
+    upsert: (id, data, context) => {
+      const before = repository.get(id) || repository.getDeleted(id);
+      return record(before, repository.upsert(id, data), context);
+    },
+    update: (id, changes, context) => {
+      const before = repository.get(id);
+      return record(before, repository.update(id, changes), context);
+    },
+    adjustStock: (id, delta, minimum, changes, context) => {
+      const before = repository.get(id);
+      return record(before, repository.adjustStock(id, delta, minimum, changes), context);
+    },
+    adjustVariantStock: (id, variantId, delta, minimum, changes, context) => {
+      const before = repository.get(id);
+      return record(before, repository.adjustVariantStock(id, variantId, delta, minimum, changes), context);
+    },
+    restore: (id, changes, context) => {
+      const before = repository.getDeleted(id);
+      return record(before, repository.restore(id, changes), context);
+    }
+  };
+}
+
+/**
+ * Diff Two Versions of a Product
+ * @param {Object|null} before - Product before the change, or null when it was created
+ * @param {Object} after - Product after the change
+ * @returns {Array} { field, from, to } for every field that changed
+ */
+function diffProducts(before, after) {
+  const previous = before || {};
+  const fields = [...new Set([...Object.keys(previous), ...Object.keys(after)])]
+    .filter(field => !HISTORY_UNTRACKED_FIELDS.includes(field));
+
+  return fields
+    .filter(field => !util.isDeepStrictEqual(previous[field], after[field]))
+    .map(field => ({ field, from: previous[field], to: after[field] }));
+}
+
+/**
+ * Record a Product Change
+ * @param {Object|null} before - Product before the change, or null when it was created
+ * @param {Object} after - Product after the change
+ * @param {Object} context - Change context (see withProductHistory)
+ * @returns {Object} Stored history entry
+ */
+function recordProductChange(before, after, context) {
+  let action = context.action;
+  if (!action) {
+    if (!before) action = 'create';
+    else if (!before.deletedAt && after.deletedAt) action = 'delete';
+    else if (before.deletedAt && !after.deletedAt) action = 'restore';
+    else action = 'update';
+  }
+
+  return productHistoryRepository.create({
+    productId: after.id,
+    version: after.version,
+    action,
+    ...(context.revertedTo !== undefined ? { revertedTo: context.revertedTo } : {}),
+    changes: diffProducts(before, after),
+    timestamp: new Date().toISOString(),
+    actor: context.actor,
+    requestId: context.requestId
+  });
+}
+
+/**
+ * Get Product History
+ * @param {number} productId - Product ID
+ * @returns {Array} History entries of the product, newest first
+ */
+function productHistory(productId) {
+  return productHistoryRepository.list()
+    .filter(entry => entry.productId === productId)
+    .sort((a, b) => b.version - a.version || b.id - a.id);
+}
+
+/**
+ * Oldest Rebuildable Version
+ * @param {Object} product - Current product
+ * @param {Array} entries - Its history, newest first (see productHistory)
+ * @returns {number} Oldest version productAtVersion can rebuild
+ */
+function oldestProductVersion(product, entries) {
+  let oldest = product.version;
+
+  for (const entry of entries) {
+    if (entry.version !== oldest) break;
+    if (entry.action === 'create') return 1;
+    oldest = entry.version - 1;
+  }
+
+  return Math.max(oldest, 1);
+}
+
+/**
+ * Rebuild a Product Version
+ * @description Undoes the changes of every newer version, newest first
+ * @param {Object} product - Current product
+ * @param {Array} entries - Its history, newest first (see productHistory)
+ * @param {number} version - Version to rebuild
+ * @returns {Object|null} Product as it was at that version, or null when it
+ * cannot be rebuilt (see oldestProductVersion)
+ */
+function productAtVersion(product, entries, version) {
+  if (version > product.version || version < oldestProductVersion(product, entries)) {
+    return null;
+  }
+
+  const snapshot = { ...product };
+  entries
+    .filter(entry => entry.version > version)
+    .forEach(entry => {
+      entry.changes.forEach(({ field, from }) => {
+        if (from === undefined) {
+          delete snapshot[field];
+        } else {
+          snapshot[field] = from;
+        }
+      });
+      snapshot.version = entry.version - 1;
+    });
+
+  return snapshot;
+}
+
+/**
+ * Delete Product History
+ * @description Called when a product is purged, so a product created later
+ * with the same ID does not inherit its history
+ * @param {number} productId - Product ID
+ * @returns {number} Number of entries deleted
+ */
+function deleteProductHistory(productId) {
+  const entries = productHistory(productId);
+  entries.forEach(entry => productHistoryRepository.delete(entry.id));
+  return entries.length;
+}
+
+/**
+ * WEBHOOKS
+ * Subscribers register a URL and the events they want (WEBHOOK_EVENTS). Every
+ * product change queues one delivery per subscribed, active webhook. The queue
+ * lives in webhookDeliveryRepository, so it survives a restart, and is worked
+ * off right after each change and on a timer. An attempt POSTs the event as
+ * JSON signed with the webhook's secret (see signWebhookPayload); a 2xx answer
+ * completes the delivery. Other answers, network errors and timeouts are
+ * retried with exponential backoff until WEBHOOK_MAX_ATTEMPTS is reached.
+ * Delivery is at least once and not necessarily in order: receivers should
+ * skip deliveries whose X-Webhook-Delivery they have seen and compare the
+ * product version.
+ */
+const WEBHOOK_EVENTS = [
+  'product.created',
+  'product.updated',
+  'product.deleted',
+  'product.restored',
+  'product.purged',
+  'stock.depleted'
+];
+
+// Sent by POST /api/webhooks/:id/ping whatever events the webhook subscribes to
+const WEBHOOK_PING_EVENT = 'webhook.ping';
+
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+const WEBHOOK_SCHEMA = {
+  title: 'Webhook',
+  type: 'object',
+  additionalProperties: false,
+  required: ['url', 'events'],
+  properties: {
+    url: { type: 'string', title: 'URL', trim: true, minLength: 1, maxLength: 2000, format: 'uri' },
+    events: { type: 'array', title: 'Events', items: { type: 'string', title: 'Event' }, maxItems: WEBHOOK_EVENTS.length },
+    description: { type: 'string', title: 'Description', trim: true, maxLength: 500, default: '' }
+  }
+};
+
+// How long a subscriber has to answer
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+// How often the queue is checked for retries that are due
+const WEBHOOK_POLL_INTERVAL_MS = 5 * 1000;
+
+// How long delivered and failed deliveries stay in the log
+const WEBHOOK_DELIVERY_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Delivered and failed deliveries kept per webhook; older ones are dropped
+// before the retention period is up
+const WEBHOOK_DELIVERY_LOG_SIZE = 100;
+
+// Pending deliveries kept per webhook; when a subscriber falls further behind,
+// its oldest deliveries are given up
+const WEBHOOK_MAX_PENDING_DELIVERIES = 1000;
+
+// Characters of a subscriber's answer kept in the delivery log
+const WEBHOOK_RESPONSE_PREVIEW_LENGTH = 500;
+
+// Addresses webhooks may not reach unless their host is in WEBHOOK_ALLOWED_HOSTS:
+// this host, private networks, link-local (cloud metadata) and other
+// non-public ranges
+const WEBHOOK_BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => WEBHOOK_BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => WEBHOOK_BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// Deliveries with a request on the way, so they are never sent twice at once
+const webhookDeliveriesInFlight = new Set();
+let webhookQueueScheduled = false;
+
+/**
+ * Validate Webhook Data
+ * @description active is checked separately because the schema has no booleans,
+ * and the URL's host with webhookTargetError
+ * @param {Object} data - { url, events, description, active } from the request
+ * @param {Object} [options] - Passed to SchemaValidator.validate (e.g. partial)
+ * @returns {Object} { value, error } like validateProduct
+ */
+function validateWebhook(data, options) {
+  if (!isPlainObject(data)) {
+    return { value: {}, error: { message: 'Webhook must be a JSON object', received: data } };
+  }
+
+  const { active, ...fields } = data;
+  const { value, errors } = SchemaValidator.validate(WEBHOOK_SCHEMA, fields, options);
+
+  if (Array.isArray(value.events) && !errors.some(error => error.field.startsWith('events'))) {
+    value.events.forEach((event, index) => {
+      if (!WEBHOOK_EVENTS.includes(event)) {
+        errors.push({
+          field: `events[${index}]`,
+          message: `Unknown event. Events must be among: ${WEBHOOK_EVENTS.join(', ')}`,
+          received: event
+        });
+      }
+    });
+    if (value.events.length === 0) {
+      errors.push({ field: 'events', message: 'Events must name at least one event', received: value.events });
+    }
+    value.events = [...new Set(value.events)];
+  }
+
+  if (typeof value.url === 'string' && !errors.some(error => error.field === 'url')) {
+    const targetError = webhookTargetError(value.url);
+    if (targetError) {
+      errors.push({ field: 'url', message: targetError, received: value.url });
+    }
+  }
+
+  if (active !== undefined) {
+    if (typeof active !== 'boolean') {
+      errors.push({ field: 'active', message: 'Active must be true or false', received: active });
+    }
+    value.active = active;
+  }
+
+  return { value, error: validationErrorBody('Webhook', errors) };
+}
+
+/**
+ * Check a Webhook Address
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if webhooks may not be sent to the address
+ */
+function isBlockedWebhookAddress(address) {
+  // BlockList also matches IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) against the IPv4 ranges
+  return WEBHOOK_BLOCKED_ADDRESSES.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Check the Host of a Webhook URL
+ * @description Used when a webhook is registered or changed, and before every
+ * attempt. Host names are checked when they are resolved for the attempt
+ * (see lookupWebhookHost).
+ * @param {string} url - Webhook URL
+ * @returns {string|null} Why the URL is refused, or null if it may be used
+ */
+function webhookTargetError(url) {
+  const host = new URL(url).hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+
+  if (WEBHOOK_ALLOWED_HOSTS.includes(host)) {
+    return null;
+  }
+  if (net.isIP(host) ? isBlockedWebhookAddress(host) : host === 'localhost' || host.endsWith('.localhost')) {
+    return 'URL must not point to a loopback, private or link-local address (see WEBHOOK_ALLOWED_HOSTS)';
+  }
+  return null;
+}
+
+/**
+ * Look Up the Address of a Webhook Host
+ * @description Used as the lookup of the delivery request, so the address
+ * that is checked is the one the request connects to: a host name that
+ * resolves to a blocked address, even one pointed there after its webhook was
+ * registered, is never sent to
+ * @param {string} hostname - Host name to resolve
+ * @param {Object} options - dns.lookup options from the socket
+ * @param {Function} callback - dns.lookup callback
+ */
+function lookupWebhookHost(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(candidate => isBlockedWebhookAddress(candidate.address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to ${blocked.address}, a loopback, private or link-local address (see WEBHOOK_ALLOWED_HOSTS)`));
+    }
+
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Send a Webhook Request
+ * @description POSTs the body without following redirects. Only the first
+ * WEBHOOK_RESPONSE_PREVIEW_LENGTH characters of the answer are read; the rest
+ * is dropped with the connection.
+ * @param {string} url - Webhook URL
+ * @param {Object} headers - Request headers
+ * @param {string} body - Request body
+ * @returns {Promise<Object>} { statusCode, response } with the start of the answer
+ */
+function sendWebhookRequest(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const targetError = webhookTargetError(url);
+    if (targetError) {
+      return reject(new Error(targetError));
+    }
+
+    const target = new URL(url);
+    const host = target.hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      // Literal IP addresses are not looked up; webhookTargetError checked them
+      ...(WEBHOOK_ALLOWED_HOSTS.includes(host) ? {} : { lookup: lookupWebhookHost })
+    }, response => {
+      let preview = '';
+      const finish = () => {
+        clearTimeout(timer);
+        resolve({ statusCode: response.statusCode, response: preview.slice(0, WEBHOOK_RESPONSE_PREVIEW_LENGTH) });
+        response.destroy();
+      };
+
+      response.setEncoding('utf8');
+      response.on('data', chunk => {
+        preview += chunk;
+        if (preview.length >= WEBHOOK_RESPONSE_PREVIEW_LENGTH) finish();
+      });
+      response.on('end', finish);
+      response.on('error', finish);
+    });
+
+    const timer = setTimeout(() => {
+      const error = new Error(`No answer within ${WEBHOOK_TIMEOUT_MS / 1000} seconds`);
+      error.name = 'TimeoutError';
+      request.destroy(error);
+    }, WEBHOOK_TIMEOUT_MS);
+
+    request.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    request.end(body);
+  });
+}
+
+/**
+ * Generate a Webhook Secret
+ * @returns {string} New random signing secret
+ */
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Describe a Webhook
+ * @description The secret is only shown when the webhook is created
+ * @param {Object} webhook - Stored webhook
+ * @returns {Object} Webhook without its secret
+ */
+function describeWebhook(webhook) {
+  const { secret, ...description } = webhook;
+  return description;
+}
+
+/**
+ * Sign a Webhook Payload
+ * @description Signs "<timestamp>.<body>" so a receiver can reject replayed
+ * requests by their age as well as forged ones
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Request body as sent
+ * @returns {string} X-Webhook-Signature value, e.g. "t=1700000000,v1=5d41..."
+ */
+function signWebhookPayload(secret, timestamp, body) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Queue a Webhook Event
+ * @param {string} event - Event name, e.g. product.updated
+ * @param {Object} data - Event data
+ * @param {Array} [webhooks] - Webhooks to deliver to (by default every active
+ * webhook subscribed to the event)
+ * @returns {Array} Queued deliveries
+ */
+function queueWebhookEvent(event, data, webhooks) {
+  const targets = webhooks || webhookRepository.list()
+    .filter(webhook => webhook.active && webhook.events.includes(event));
+  if (targets.length === 0) {
+    return [];
+  }
+
+  const now = new Date().toISOString();
+  const payload = { id: crypto.randomUUID(), event, createdAt: now, data };
+  const deliveries = targets.map(webhook => webhookDeliveryRepository.create({
+    webhookId: webhook.id,
+    event,
+    payload,
+    status: 'pending',
+    attempts: [],
+    nextAttemptAt: now,
+    createdAt: now,
+    updatedAt: now
+  }));
+
+  scheduleWebhookQueue();
+  return deliveries;
+}
+
+/**
+ * Name the Event of a Product Change
+ * @description Shared by webhooks and the event stream. Reverts and every
+ * other kind of edit are product.updated.
+ * @param {Object} entry - History entry of the change
+ * @returns {string} product.created, product.deleted, product.restored or product.updated
+ */
+function productEventName(entry) {
+  return {
+    create: 'product.created',
+    delete: 'product.deleted',
+    restore: 'product.restored'
+  }[entry.action] || 'product.updated';
+}
+
+/**
+ * Queue the Webhook Events of a Product Change
+ * @description Called by productRepository (see withProductHistory) with the
+ * history entry of the change. stock.depleted is sent in addition to
+ * product.updated when the stock of a live product drops to zero.
+ * @param {Object|null} before - Product before the change, or null when it was created
+ * @param {Object} after - Product after the change
+ * @param {Object} entry - History entry of the change
+ */
+function queueProductWebhooks(before, after, entry) {
+  queueWebhookEvent(productEventName(entry), {
+    product: after,
+    version: entry.version,
+    changes: entry.changes,
+    actor: entry.actor,
+    requestId: entry.requestId
+  });
+
+  if (before && !before.deletedAt && !after.deletedAt && (before.stock || 0) > 0 && (after.stock || 0) === 0) {
+    queueWebhookEvent('stock.depleted', { product: after, version: entry.version });
+  }
+}
+
+/**
+ * Schedule a Queue Run
+ * @description Deliveries go out right after the request that queued them,
+ * without waiting for the next poll; several changes in one request share a run
+ */
+function scheduleWebhookQueue() {
+  if (webhookQueueScheduled) return;
+  webhookQueueScheduled = true;
+  setImmediate(() => {
+    webhookQueueScheduled = false;
+    processWebhookQueue();
+  });
+}
+
+/**
+ * Prune the Webhook Delivery Log
+ * @description Keeps the delivery store from growing without bound: gives up
+ * the oldest pending deliveries of a webhook beyond WEBHOOK_MAX_PENDING_DELIVERIES
+ * and drops finished deliveries older than the retention period or beyond the
+ * newest WEBHOOK_DELIVERY_LOG_SIZE of their webhook
+ * @param {Array} deliveries - Every stored delivery, oldest first
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array} The pending deliveries that are left
+ */
+function pruneWebhookDeliveries(deliveries, now) {
+  const pendingCounts = new Map();
+  const finishedCounts = new Map();
+  const pending = [];
+
+  deliveries.forEach(delivery => {
+    const counts = delivery.status === 'pending' ? pendingCounts : finishedCounts;
+    counts.set(delivery.webhookId, (counts.get(delivery.webhookId) || 0) + 1);
+  });
+
+  deliveries.forEach(delivery => {
+    const webhookId = delivery.webhookId;
+
+    if (delivery.status === 'pending') {
+      if (pendingCounts.get(webhookId) > WEBHOOK_MAX_PENDING_DELIVERIES && !webhookDeliveriesInFlight.has(delivery.id)) {
+        pendingCounts.set(webhookId, pendingCounts.get(webhookId) - 1);
+        webhookDeliveryRepository.update(delivery.id, {
+          status: 'failed',
+          nextAttemptAt: null,
+          updatedAt: new Date(now).toISOString()
+        });
+        console.warn(`⚠️ Webhook delivery ${delivery.id} (${delivery.event}) given up: more than ${WEBHOOK_MAX_PENDING_DELIVERIES} deliveries pending for webhook ${webhookId}`);
+      } else {
+        pending.push(delivery);
+      }
+      return;
+    }
+
+    if (finishedCounts.get(webhookId) > WEBHOOK_DELIVERY_LOG_SIZE
+      || Date.parse(delivery.updatedAt) < now - WEBHOOK_DELIVERY_RETENTION_MS) {
+      finishedCounts.set(webhookId, finishedCounts.get(webhookId) - 1);
+      webhookDeliveryRepository.delete(delivery.id);
+    }
+  });
+
+  return pending;
+}
+
+/**
+ * Process the Webhook Queue
+ * @description Prunes the delivery log (see pruneWebhookDeliveries) and starts
+ * an attempt for every pending delivery that is due. Deliveries of inactive
+ * webhooks wait until the webhook is activated again.
+ * @returns {number} Number of attempts started
+ */
+function processWebhookQueue() {
+  const now = Date.now();
+  const activeWebhooks = new Map(webhookRepository.list()
+    .filter(webhook => webhook.active)
+    .map(webhook => [webhook.id, webhook]));
+  let started = 0;
+
+  pruneWebhookDeliveries(webhookDeliveryRepository.list(), now).forEach(delivery => {
+    const webhook = activeWebhooks.get(delivery.webhookId);
+    if (webhook && Date.parse(delivery.nextAttemptAt) <= now && !webhookDeliveriesInFlight.has(delivery.id)) {
+      attemptWebhookDelivery(webhook, delivery);
+      started++;
+    }
+  });
+
+  return started;
+}
+
+/**
+ * Attempt a Webhook Delivery
+ * @description Redirects are not followed; like any other non-2xx answer they
+ * count as a failed attempt. So do URLs whose host now resolves to a blocked
+ * address (see lookupWebhookHost).
+ * @param {Object} webhook - Stored webhook
+ * @param {Object} delivery - Pending delivery
+ * @returns {Promise<Object>} Delivery after the attempt was recorded
+ */
+function attemptWebhookDelivery(webhook, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const startedAt = Date.now();
+  webhookDeliveriesInFlight.add(delivery.id);
+
+  return sendWebhookRequest(webhook.url, {
+    'Content-Type': 'application/json',
+    'User-Agent': 'Fashion-Products-API-Webhooks/1.0',
+    'X-Webhook-Event': delivery.event,
+    'X-Webhook-Delivery': String(delivery.id),
+    'X-Webhook-Signature': signWebhookPayload(webhook.secret, Math.floor(startedAt / 1000), body)
+  }, body)
+    .then(({ statusCode, response }) => ({
+      statusCode,
+      response,
+      error: statusCode >= 200 && statusCode < 300 ? null : `Subscriber answered ${statusCode}`
+    }))
+    .catch(error => ({ statusCode: null, response: null, error: error.message }))
+    .then(outcome => recordWebhookAttempt(delivery.id, {
+      at: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt,
+      ...outcome
+    }))
+    .catch(error => console.error(`Error recording attempt of webhook delivery ${delivery.id}:`, error))
+    .finally(() => webhookDeliveriesInFlight.delete(delivery.id));
+}
+
+/**
+ * Record a Webhook Delivery Attempt
+ * @param {number} deliveryId - Delivery ID
+ * @param {Object} attempt - { at, durationMs, statusCode, response, error }
+ * @returns {Object|null} Updated delivery, or null if it was deleted meanwhile
+ */
+function recordWebhookAttempt(deliveryId, attempt) {
+  const delivery = webhookDeliveryRepository.get(deliveryId);
+  if (!delivery) return null;
+
+  const attempts = [...delivery.attempts, attempt];
+  const now = Date.now();
+  let status = 'pending';
+  let nextAttemptAt = null;
+
+  if (!attempt.error) {
+    status = 'delivered';
+  } else if (attempts.length >= WEBHOOK_MAX_ATTEMPTS) {
+    status = 'failed';
+    console.warn(`⚠️ Webhook delivery ${deliveryId} (${delivery.event}) failed after ${attempts.length} attempts: ${attempt.error}`);
+  } else {
+    nextAttemptAt = new Date(now + WEBHOOK_RETRY_BASE_SECONDS * 1000 * 2 ** (attempts.length - 1)).toISOString();
+  }
+
+  return webhookDeliveryRepository.update(deliveryId, {
+    status,
+    attempts,
+    nextAttemptAt,
+    updatedAt: new Date(now).toISOString()
+  });
+}
+
+/**
+ * Delete Webhook Deliveries
+ * @description Called when a webhook is deleted, together with its queue
+ * @param {number} webhookId - Webhook ID
+ * @returns {number} Number of deliveries deleted
+ */
+function deleteWebhookDeliveries(webhookId) {
+  const deliveries = webhookDeliveryRepository.list().filter(delivery => delivery.webhookId === webhookId);
+  deliveries.forEach(delivery => webhookDeliveryRepository.delete(delivery.id));
+  return deliveries.length;
+}
+
+// Deliveries left pending by a restart are picked up by the first run;
+// unref() lets the process exit without waiting for the next one
+scheduleWebhookQueue();
+setInterval(processWebhookQueue, WEBHOOK_POLL_INTERVAL_MS).unref();
+
+/**
+ * PRODUCT EVENT STREAM
+ * GET /api/events streams every product change as Server-Sent Events, so
+ * clients can refresh what they show without polling. Event IDs have the form
+ * <stream>-<sequence>, where the stream part changes on every restart. The last
+ * EVENT_REPLAY_BUFFER_SIZE events are kept in memory: a client that reconnects
+ * with Last-Event-ID receives the events it missed, or a reset event when they
+ * are no longer available (or were sent before a restart) and it should reload.
+ */
+
+// Identifies this run of the server in event IDs
+const EVENT_STREAM_ID = crypto.randomBytes(4).toString('hex');
+
+// Comment line sent to every client so idle connections are not closed by proxies
+const EVENT_STREAM_HEARTBEAT_MS = 25 * 1000;
+
+// How long browsers wait before reconnecting after the connection drops
+const EVENT_STREAM_RETRY_MS = 3000;
+
+const productEventBuffer = [];
+const eventStreamClients = new Set();
+let productEventSequence = 0;
+
+/**
+ * Format a Server-Sent Event
+ * @param {Object} streamEvent - { id, event, data }; id is optional
+ * @returns {string} Event in the text/event-stream format
+ */
+function formatStreamEvent(streamEvent) {
+  return `${streamEvent.id ? `id: ${streamEvent.id}\n` : ''}event: ${streamEvent.event}\ndata: ${JSON.stringify(streamEvent.data)}\n\n`;
+}
+
+/**
+ * Check an Event Against a Client's Filter
+ * @description A product that moves between categories matches both
+ * @param {Object} filter - { categories, productIds }; null means any
+ * @param {Object} streamEvent - Buffered event
+ * @returns {boolean} True if the client wants the event
+ */
+function matchesEventFilter(filter, streamEvent) {
+  return (!filter.categories || streamEvent.categories.some(category => filter.categories.includes(category)))
+    && (!filter.productIds || filter.productIds.includes(streamEvent.productId));
+}
+
+/**
+ * Publish a Product Event
+ * @description Called by productRepository (see withProductHistory) for every
+ * change, and by purgeProduct. Buffers the event and writes it to every
+ * connected client whose filter matches.
+ * @param {string} event - Event name (see productEventName)
+ * @param {Object} product - Product after the change, or the purged product
+ * @param {Object|null} [before] - Product before the change
+ * @param {Array} [changes] - { field, from, to } from the history entry
+ * @returns {Object} Buffered event
+ */
+function publishProductEvent(event, product, before = null, changes = []) {
+  const sequence = ++productEventSequence;
+  const streamEvent = {
+    id: `${EVENT_STREAM_ID}-${sequence}`,
+    sequence,
+    event,
+    productId: product.id,
+    categories: [...new Set([before && before.category, product.category].filter(Boolean))],
+    data: {
+      productId: product.id,
+      category: product.category,
+      version: product.version,
+      changedFields: changes.map(change => change.field),
+      product,
+      timestamp: new Date().toISOString()
+    }
+  };
+
+  productEventBuffer.push(streamEvent);
+  if (productEventBuffer.length > EVENT_REPLAY_BUFFER_SIZE) {
+    productEventBuffer.shift();
+  }
+
+  eventStreamClients.forEach(client => {
+    if (matchesEventFilter(client.filter, streamEvent)) {
+      client.res.write(formatStreamEvent(streamEvent));
+    }
+  });
+
+  return streamEvent;
+}
+
+/**
+ * Find the Events After an Event ID
+ * @param {string} lastEventId - ID of the last event the client received
+ * @returns {Array|null} Buffered events after it, or null when some of them
+ * are no longer available or the ID is unknown
+ */
+function productEventsSince(lastEventId) {
+  const match = /^([0-9a-f]+)-(\d+)$/.exec(lastEventId);
+  if (!match || match[1] !== EVENT_STREAM_ID) return null;
+
+  const sequence = parseInt(match[2]);
+  if (sequence > productEventSequence) return null;
+
+  // The buffer has to start right after the client's event, or events were dropped
+  const oldest = productEventBuffer.length > 0 ? productEventBuffer[0].sequence : productEventSequence + 1;
+  if (oldest > sequence + 1) return null;
+
+  return productEventBuffer.filter(streamEvent => streamEvent.sequence > sequence);
+}
+
+/**
+ * Parse an Event Stream Filter
+ * @param {Object} query - Express query object
+ * @returns {Object} { filter } or { error } with a 400 response body
+ */
+function parseEventFilter(query) {
+  const list = value => String(value).split(',').map(item => item.trim()).filter(Boolean);
+  const filter = { categories: null, productIds: null };
+
+  if (query.category !== undefined) {
+    filter.categories = list(query.category);
+    if (filter.categories.length === 0) {
+      return { error: { message: 'category must name at least one category', parameter: 'category', received: query.category } };
+    }
+  }
+
+  if (query.productId !== undefined) {
+    filter.productIds = list(query.productId).map(Number);
+    if (filter.productIds.length === 0 || filter.productIds.some(id => !Number.isInteger(id) || id <= 0)) {
+      return {
+        error: {
+          message: 'productId must be a comma-separated list of positive whole numbers',
+          parameter: 'productId',
+          received: query.productId
+        }
+      };
+    }
+  }
+
+  return { filter };
+}
+
+/**
+ * Close All Event Streams
+ * @description Called on shutdown; open streams would keep the server from closing
+ * @returns {number} Number of streams closed
+ */
+function closeEventStreams() {
+  const count = eventStreamClients.size;
+  eventStreamClients.forEach(client => client.res.end());
+  eventStreamClients.clear();
+  return count;
+}
+
+// unref() lets the process exit without waiting for the next heartbeat
+setInterval(() => {
+  eventStreamClients.forEach(client => client.res.write(': heartbeat\n\n'));
+}, EVENT_STREAM_HEARTBEAT_MS).unref();
+
+/**
+ * PRODUCT VARIANTS
+ * A product can declare option axes, e.g.
+ * options: [{ name: 'size', values: ['9', '10'] }, { name: 'color', values: ['Black', 'White'] }],
+ * and sell variants that pick one value of every axis. Variants are stored in
+ * the product document and managed through /api/products/:id/variants. Once a
+ * product has variants, its stock is the total stock of its variants.
+ */
+const VARIANT_SCHEMA = {
+  $id: '/api/schema/variant',
+  title: 'Variant',
+  type: 'object',
+  additionalProperties: false,
+  required: ['sku', 'options'],
+  properties: {
+    id: { type: 'integer', title: 'ID', readOnly: true },
+    sku: {
+      type: 'string',
+      title: 'SKU',
+      trim: true,
+      minLength: 1,
+      maxLength: 64,
+      pattern: '^[A-Za-z0-9][A-Za-z0-9._-]*$',
+      patternMessage: 'may only contain letters, digits, dots, dashes and underscores'
+    },
+    options: {
+      type: 'object',
+      title: 'Options',
+      additionalProperties: { type: 'string', title: 'Option value', trim: true, minLength: 1, maxLength: 50 }
+    },
+    stock: { type: 'integer', title: 'Stock', minimum: 0, default: 0 },
+    price: { type: 'number', title: 'Price', minimum: 0, maximum: 999999 },
+    images: {
+      type: 'array',
+      title: 'Images',
+      maxItems: 20,
+      items: { type: 'string', title: 'Image URL', format: 'uri', maxLength: 2048 },
+      default: []
+    }
+  }
+};
+
+/**
+ * Check Whether a Product Has Variants
+ * @param {Object} product - Product
+ * @returns {boolean} True when stock is managed per variant
+ */
+function hasVariants(product) {
+  return Array.isArray(product.variants) && product.variants.length > 0;
+}
+
+/**
+ * Total Variant Stock
+ * @param {Array} variants - Variants of a product
+ * @returns {number} Sum of the variant stock
+ */
+function variantStockTotal(variants) {
+  return variants.reduce((sum, variant) => sum + (variant.stock || 0), 0);
+}
+
+/**
+ * Check Product Option Axes
+ * @param {Array} options - Options that passed the schema
+ * @returns {Array} Errors for empty axes and duplicate names or values
+ */
+function optionErrors(options) {
+  const errors = [];
+  const names = new Set();
+
+  options.forEach((option, index) => {
+    if (names.has(option.name)) {
+      errors.push({ field: `options[${index}].name`, message: `Option ${option.name} is declared twice`, received: option.name });
+    }
+    names.add(option.name);
+
+    if (option.values.length === 0) {
+      errors.push({ field: `options[${index}].values`, message: `Option ${option.name} needs at least one value`, received: option.values });
+    }
+
+    const values = new Set();
+    option.values.forEach((value, valueIndex) => {
+      if (values.has(value.toLowerCase())) {
+        errors.push({
+          field: `options[${index}].values[${valueIndex}]`,
+          message: `Option ${option.name} lists "${value}" twice`,
+          received: value
+        });
+      }
+      values.add(value.toLowerCase());
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Match Variant Options
+ * @description A variant needs one value of every option axis of its product
+ * and nothing else. Values match ignoring case and are stored with the
+ * product's spelling.
+ * @param {Array} productOptions - Option axes of the product
+ * @param {Object} variantOptions - Option values of the variant, e.g. { size: '10' }
+ * @returns {Object} { options, errors } with the canonical option values
+ */
+function matchVariantOptions(productOptions, variantOptions) {
+  const errors = [];
+  const options = {};
+
+  if (productOptions.length === 0) {
+    errors.push({
+      field: 'options',
+      message: 'The product has no options. Add options to the product before creating variants.',
+      received: variantOptions
+    });
+    return { options: variantOptions, errors };
+  }
+
+  Object.keys(variantOptions).forEach(name => {
+    if (!productOptions.some(option => option.name === name)) {
+      errors.push({ field: `options.${name}`, message: `${name} is not an option of the product`, received: variantOptions[name] });
+    }
+  });
+
+  productOptions.forEach(option => {
+    const given = variantOptions[option.name];
+    if (given === undefined) {
+      errors.push({ field: `options.${option.name}`, message: `Option ${option.name} is required` });
+      return;
+    }
+
+    const value = option.values.find(candidate => candidate.toLowerCase() === String(given).toLowerCase());
+    if (value === undefined) {
+      errors.push({
+        field: `options.${option.name}`,
+        message: `${option.name} must be one of: ${option.values.join(', ')}`,
+        received: given
+      });
+    } else {
+      options[option.name] = value;
+    }
+  });
+
+  return { options, errors };
+}
+
+/**
+ * Validate Variant Data
+ * @param {Object} data - Variant data from the request
+ * @param {Object} product - Product the variant belongs to
+ * @returns {Object} { value, error } like validateProduct
+ */
+function validateVariant(data, product) {
+  const { value, errors } = SchemaValidator.validate(VARIANT_SCHEMA, data);
+
+  if (value.options && !errors.some(error => String(error.field).startsWith('options'))) {
+    const matched = matchVariantOptions(product.options || [], value.options);
+    value.options = matched.options;
+    errors.push(...matched.errors);
+  }
+
+  return { value, error: validationErrorBody('Variant', errors) };
+}
+
+/**
+ * Find Variant by SKU
+ * @param {string} sku - SKU (case is ignored)
+ * @returns {Object|null} { product, variant } or null when no variant has the SKU
+ */
+function findVariantBySku(sku) {
+  const wanted = sku.toLowerCase();
+
+  for (const product of productRepository.list().products) {
+    const variant = (product.variants || []).find(candidate => candidate.sku.toLowerCase() === wanted);
+    if (variant) {
+      return { product, variant };
+    }
+  }
+  return null;
+}
+
+/**
+ * Save Product Variants
+ * @description Stores the variants and recalculates the product stock
+ * @param {number} productId - Product ID
+ * @param {Array} variants - Complete list of variants
+ * @param {Object} context - Change context of the request (see changeContext)
+ * @returns {Object} Updated product
+ */
+function saveVariants(productId, variants, context) {
+  const updatedProduct = productRepository.update(productId, {
+    variants,
+    stock: variantStockTotal(variants),
+    updatedAt: new Date().toISOString(),
+    updatedBy: context.actor
+  }, context);
+  indexProduct(updatedProduct);
+  return updatedProduct;
+}
+
+/**
+ * PATCH DOCUMENT HELPERS
+ * JSON Merge Patch (RFC 7396) and JSON Patch (RFC 6902) support for
+ * PATCH /api/products/:id. Errors carry an HTTP status in `status`, like
+ * the errors handled by the global error handler.
+ */
+
+// Media types accepted by PATCH /api/products/:id
+const MERGE_PATCH_TYPE = 'application/merge-patch+json';
+const JSON_PATCH_TYPE = 'application/json-patch+json';
+
+/**
+ * Create Patch Error
+ * @param {number} status - HTTP status code for the response
+ * @param {string} message - Error message
+ * @param {Object} [details] - Extra properties for the response body
+ * @returns {Error} Error with status and details attached
+ */
+function patchError(status, message, details = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Check for a Plain Object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-null, non-array objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Apply JSON Merge Patch
+ * @description RFC 7396: objects are merged recursively, null removes a member,
+ * and any other value (including arrays) replaces the target
+ * @param {*} target - Document to patch
+ * @param {*} patch - Merge patch
+ * @returns {*} Patched copy of the document
+ */
+function applyMergePatch(target, patch) {
+  if (!isPlainObject(patch)) {
+    return structuredClone(patch);
+  }
+
+  const result = isPlainObject(target) ? { ...target } : {};
+
+  for (const [key, value] of Object.entries(patch)) {
+    if (key === '__proto__') {
+      throw patchError(400, 'Patch contains a forbidden member name', { member: key });
+    }
+
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parse JSON Pointer
+ * @description RFC 6901: splits a pointer into unescaped reference tokens
+ * @param {string} pointer - JSON Pointer such as "/images/0"
+ * @param {number} index - Index of the operation (for error reporting)
+ * @returns {Array<string>} Reference tokens ([] for the whole document)
+ */
+function parsePointer(pointer, index) {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw patchError(400, 'JSON Pointer must be a string that is empty or starts with "/"', {
+      operation: index,
+      pointer
+    });
+  }
+
+  const tokens = pointer === '' ? [] : pointer.slice(1).split('/').map(token =>
+    token.replace(/~1/g, '/').replace(/~0/g, '~')
+  );
+
+  if (tokens.includes('__proto__')) {
+    throw patchError(400, 'JSON Pointer contains a forbidden member name', { operation: index, pointer });
+  }
+
+  return tokens;
+}
+
+/**
+ * Resolve Array Index Token
+ * @param {Array} array - Array being addressed
+ * @param {string} token - Reference token
+ * @param {boolean} allowEnd - Whether "-" or an index equal to the length is allowed (add)
+ * @returns {number|null} Array index, or null if the token does not address the array
+ */
+function arrayIndex(array, token, allowEnd) {
+  if (token === '-') return allowEnd ? array.length : null;
+  if (!/^(0|[1-9][0-9]*)$/.test(token)) return null;
+
+  const position = Number(token);
+  const max = allowEnd ? array.length : array.length - 1;
+  return position <= max ? position : null;
+}
+
+/**
+ * Apply JSON Patch
+ * @description RFC 6902: applies add, remove, replace, move, copy and test
+ * operations in order. The input document is never modified, so when any
+ * operation fails the whole patch is discarded.
+ * @param {Object} document - Document to patch
+ * @param {Array} operations - JSON Patch operations
+ * @returns {Object} Patched copy of the document
+ * @throws {Error} With status 400 for malformed operations, 409 for failed tests
+ * and 422 for paths that cannot be applied to the document
+ */
+function applyJsonPatch(document, operations) {
+  if (!Array.isArray(operations)) {
+    throw patchError(400, 'JSON Patch document must be an array of operations');
+  }
+
+  let result = structuredClone(document);
+
+  // Walk to the container holding the last token of a pointer
+  const resolveParent = (tokens, index, pointer) => {
+    let parent = result;
+    for (const token of tokens.slice(0, -1)) {
+      const key = Array.isArray(parent) ? arrayIndex(parent, token, false) : token;
+      if (parent === null || typeof parent !== 'object' || key === null || !Object.prototype.hasOwnProperty.call(parent, key)) {
+        throw patchError(422, `Path "${pointer}" does not exist`, { operation: index, path: pointer });
+      }
+      parent = parent[key];
+    }
+    if (parent === null || typeof parent !== 'object') {
+      throw patchError(422, `Path "${pointer}" does not exist`, { operation: index, path: pointer });
+    }
+    return parent;
+  };
+
+  const getValue = (pointer, index) => {
+    const tokens = parsePointer(pointer, index);
+    if (tokens.length === 0) return result;
+
+    const parent = resolveParent(tokens, index, pointer);
+    const last = tokens[tokens.length - 1];
+    const key = Array.isArray(parent) ? arrayIndex(parent, last, false) : last;
+
+    if (key === null || !Object.prototype.hasOwnProperty.call(parent, key)) {
+      throw patchError(422, `Path "${pointer}" does not exist`, { operation: index, path: pointer });
+    }
+    return parent[key];
+  };
+
+  const addValue = (pointer, value, index) => {
+    const tokens = parsePointer(pointer, index);
+    if (tokens.length === 0) {
+      result = value;
+      return;
+    }
+
+    const parent = resolveParent(tokens, index, pointer);
+    const last = tokens[tokens.length - 1];
+
+    if (Array.isArray(parent)) {
+      const position = arrayIndex(parent, last, true);
+      if (position === null) {
+        throw patchError(422, `Array index in "${pointer}" is out of bounds`, { operation: index, path: pointer });
+      }
+      parent.splice(position, 0, value);
+    } else {
+      parent[last] = value;
+    }
+  };
+
+  const removeValue = (pointer, index) => {
+    const tokens = parsePointer(pointer, index);
+    if (tokens.length === 0) {
+      throw patchError(422, 'Cannot remove the whole document', { operation: index, path: pointer });
+    }
+
+    getValue(pointer, index);
+    const parent = resolveParent(tokens, index, pointer);
+    const last = tokens[tokens.length - 1];
+
+    if (Array.isArray(parent)) {
+      parent.splice(arrayIndex(parent, last, false), 1);
+    } else {
+      delete parent[last];
+    }
+  };
+
+  operations.forEach((operation, index) => {
+    if (!isPlainObject(operation) || typeof operation.op !== 'string') {
+      throw patchError(400, 'Each JSON Patch operation must be an object with an "op" member', { operation: index });
+    }
+
+    const requireValue = () => {
+      if (!Object.prototype.hasOwnProperty.call(operation, 'value')) {
+        throw patchError(400, `"${operation.op}" operation requires a "value" member`, { operation: index });
+      }
+      return structuredClone(operation.value);
+    };
+
+    switch (operation.op) {
+      case 'add':
+        addValue(operation.path, requireValue(), index);
+        break;
+
+      case 'remove':
+        removeValue(operation.path, index);
+        break;
+
+      case 'replace': {
+        const value = requireValue();
+        getValue(operation.path, index);
+        if (parsePointer(operation.path, index).length === 0) {
+          result = value;
+        } else {
+          removeValue(operation.path, index);
+          addValue(operation.path, value, index);
+        }
+        break;
+      }
+
+      case 'move': {
+        const value = getValue(operation.from, index);
+        if (operation.path === operation.from) break;
+        if (typeof operation.path === 'string' && operation.path.startsWith(`${operation.from}/`)) {
+          throw patchError(422, 'Cannot move a value into one of its own children', { operation: index, path: operation.path });
+        }
+        removeValue(operation.from, index);
+        addValue(operation.path, value, index);
+        break;
+      }
+
+      case 'copy':
+        addValue(operation.path, structuredClone(getValue(operation.from, index)), index);
+        break;
+
+      case 'test': {
+        const expected = requireValue();
+        const actual = getValue(operation.path, index);
+        if (!util.isDeepStrictEqual(actual, expected)) {
+          throw patchError(409, `Test failed for path "${operation.path}"`, {
+            operation: index,
+            path: operation.path,
+            expected,
+            actual
+          });
+        }
+        break;
+      }
+
+      default:
+        throw patchError(400, `Unknown JSON Patch operation "${operation.op}"`, { operation: index });
+    }
+  });
+
+  return result;
+}
+
+/**
+ * BULK OPERATION HELPERS
+ * Plan and apply the create, update and delete operations of POST /api/products/bulk
+ */
+
+// Largest number of operations accepted in one bulk request
+const MAX_BULK_OPERATIONS = 1000;
+
+// Operations supported by the bulk endpoint
+const BULK_OPERATION_TYPES = ['create', 'update', 'delete'];
+
+/**
+ * Plan Bulk Operations
+ * @description Validates every operation in order without changing any data.
+ * Each operation sees the effect of the valid operations before it, so deleting
+ * the same product twice or updating a product deleted earlier in the batch fails.
+ * @param {Array} operations - Operations from the request body
+ * @returns {Array} One plan per operation: { index, op, status, id, fields } for
+ * valid operations, or { index, op, status, error } for invalid ones
+ */
+function planBulkOperations(operations) {
+  // Products changed by earlier operations in this batch (null once deleted)
+  const pending = new Map();
+  const currentProduct = id => (pending.has(id) ? pending.get(id) : productRepository.get(id));
+
+  return operations.map((operation, index) => {
+    const op = isPlainObject(operation) ? operation.op : undefined;
+    const failure = (status, error) => ({ index, op, status, error });
+
+    if (!isPlainObject(operation)) {
+      return failure(400, { message: 'Operation must be a JSON object', received: operation });
+    }
+
+    if (!BULK_OPERATION_TYPES.includes(op)) {
+      return failure(400, {
+        message: `Invalid operation. Must be one of: ${BULK_OPERATION_TYPES.join(', ')}`,
+        field: 'op',
+        received: op
+      });
+    }
+
+    if (op === 'create') {
+      const { value: fields, error: validationError } = validateProduct(operation.data);
+      return validationError ? failure(400, validationError) : { index, op, status: 201, fields };
+    }
+
+    const id = operation.id;
+    if (!Number.isInteger(id) || id <= 0) {
+      return failure(400, {
+        message: 'Invalid product ID. ID must be a positive number.',
+        field: 'id',
+        received: id
+      });
+    }
+
+    const existingProduct = currentProduct(id);
+    if (!existingProduct) {
+      return failure(404, { message: `Product with ID ${id} not found`, field: 'id', received: id });
+    }
+
+    if (op === 'delete') {
+      pending.set(id, null);
+      return { index, op, status: 200, id };
+    }
+
+    // Updates are merge patches, validated like PATCH /api/products/:id
+    if (!isPlainObject(operation.data)) {
+      return failure(400, { message: 'Update data must be a JSON object', field: 'data', received: operation.data });
+    }
+
+    let patchedProduct;
+    try {
+      patchedProduct = applyMergePatch(omitReadOnlyFields(existingProduct), operation.data);
+    } catch (error) {
+      if (!error.status) throw error;
+      return failure(error.status, { message: error.message, ...error.details });
+    }
+
+    const { value: fields, error: validationError } = validateProduct(patchedProduct, existingProduct);
+    if (validationError) {
+      return failure(400, validationError);
+    }
+
+    pending.set(id, { ...existingProduct, ...fields });
+    return { index, op, status: 200, id, fields };
+  });
+}
+
+/**
+ * Apply a Planned Bulk Operation
+ * @description Writes one valid plan from planBulkOperations to the repository
+ * and keeps the search index in sync
+ * @param {Object} plan - Valid operation plan
+ * @param {Object} context - Change context of the request (see changeContext)
+ * @returns {Object} Result entry { index, op, status, id, product }
+ */
+function applyBulkOperation(plan, context) {
+  const { index, op, status, id, fields } = plan;
+  const { actor } = context;
+  const now = new Date().toISOString();
+
+  switch (op) {
+    case 'create': {
+      const data = { ...fields, createdAt: now, updatedAt: now, createdBy: actor, updatedBy: actor };
+      // Plans with an ID (CSV import rows for new IDs) keep the client-chosen ID
+      const product = id === undefined
+        ? productRepository.create(data, context)
+        : productRepository.upsert(id, data, context);
+      indexProduct(product);
+      return { index, op, status, id: product.id, product };
+    }
+
+    case 'update': {
+      const product = productRepository.update(id, { ...fields, updatedAt: now, updatedBy: actor }, context);
+      indexProduct(product);
+      return { index, op, status, id, product };
+    }
+
+    default: {
+      // Deleted products go to the trash, like DELETE /api/products/:id
+      const product = trashProduct(id, context);
+      return { index, op, status, id, product };
+    }
+  }
+}
+
+/**
+ * CSV HELPERS
+ * Convert products to and from RFC 4180 CSV for spreadsheet import and export
+ */
+
+// CSV columns, in the order of the product schema fields. Options and variants
+// are nested data managed through /api/products/:id/variants, not CSV cells,
+// and deleted products are never exported.
+const CSV_COLUMNS = Object.keys(PRODUCT_SCHEMA.properties)
+  .filter(name => name !== 'options' && name !== 'variants' && name !== 'deletedAt');
+
+// Separator used to flatten the images array into a single CSV cell
+const CSV_IMAGE_SEPARATOR = '|';
+
+// Products read from the repository at a time while exporting
+const CSV_EXPORT_CHUNK_SIZE = 100;
+
+// Largest number of data rows accepted in one import
+const MAX_IMPORT_ROWS = 5000;
+
+// Text cells starting with one of these characters are read as formulas by
+// spreadsheets, so they are exported with a leading apostrophe. Cells that
+// already start with apostrophes before one get another, so the apostrophe
+// csvRowToProductData removes is always the one export added.
+const CSV_FORMULA_PATTERN = /^'*[=+\-@\t\r]/;
+
+/**
+ * Format a CSV Line
+ * @description Quotes cells containing separators, quotes or line breaks,
+ * flattens arrays with CSV_IMAGE_SEPARATOR and prefixes text that a spreadsheet
+ * would run as a formula with an apostrophe (csvRowToProductData removes it)
+ * @param {Array} values - Cell values
+ * @returns {string} CSV line ending in CRLF
+ */
+function csvLine(values) {
+  return values.map(value => {
+    if (value === undefined || value === null) return '';
+
+    let text = Array.isArray(value) ? value.join(CSV_IMAGE_SEPARATOR) : String(value);
+    if (typeof value !== 'number' && CSV_FORMULA_PATTERN.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\r\n';
+}
+
+/**
+ * Generate Product CSV Lines
+ * @description Yields the header and one line per product, reading the
+ * repository in chunks so large catalogs are never held in memory at once
+ * @param {Object} options - List options (sortBy, order and filters)
+ * @yields {string} CSV lines
+ */
+function* productCsvLines(options) {
+  yield csvLine(CSV_COLUMNS);
+
+  for (let skip = 0; ; skip += CSV_EXPORT_CHUNK_SIZE) {
+    const page = productRepository.list({ ...options, skip, limit: CSV_EXPORT_CHUNK_SIZE });
+
+    for (const product of page.products) {
+      yield csvLine(CSV_COLUMNS.map(column => product[column]));
+    }
+
+    if (skip + CSV_EXPORT_CHUNK_SIZE >= page.total) return;
+  }
+}
+
+/**
+ * Parse CSV Text
+ * @description Parses RFC 4180 CSV (quoted fields, doubled quotes, CRLF or LF
+ * line endings). A leading byte order mark and blank lines are ignored.
+ * @param {string} text - CSV text
+ * @returns {Object} Either { records } where each record is { line, fields },
+ * or { error } describing the first syntax problem
+ */
+function parseCsv(text) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let afterQuote = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const invalid = message => ({ error: { message: `Invalid CSV on line ${line}: ${message}`, line } });
+
+  const endField = () => {
+    fields.push(field);
+    field = '';
+    afterQuote = false;
+  };
+
+  const endRecord = () => {
+    endField();
+    if (fields.length > 1 || fields[0] !== '') {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+    recordLine = line;
+  };
+
+  for (let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+        afterQuote = true;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      line++;
+      endRecord();
+    } else if (afterQuote) {
+      return invalid('unexpected character after a closing quote');
+    } else if (char === '"') {
+      if (field !== '') return invalid('quotes must surround the whole field');
+      inQuotes = true;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    line = recordLine;
+    return invalid('quoted field is never closed');
+  }
+
+  if (field !== '' || afterQuote || fields.length > 0) {
+    endRecord();
+  }
+
+  return { records };
+}
+
+/**
+ * Map CSV Header to Product Fields
+ * @description Matches column names case-insensitively to product schema fields
+ * @param {Array<string>} header - Header cells
+ * @returns {Object} Either { columns } with one product field per column, or { error }
+ */
+function parseCsvHeader(header) {
+  const columns = [];
+
+  for (const cell of header) {
+    const name = cell.trim();
+    const column = CSV_COLUMNS.find(field => field.toLowerCase() === name.toLowerCase());
+
+    if (!column) {
+      return {
+        error: {
+          message: `Unknown CSV column "${name}". Known columns: ${CSV_COLUMNS.join(', ')}`,
+          field: name
+        }
+      };
+    }
+
+    if (columns.includes(column)) {
+      return { error: { message: `Duplicate CSV column "${name}"`, field: name } };
+    }
+
+    columns.push(column);
+  }
+
+  return { columns };
+}
+
+/**
+ * Convert a CSV Row to Product Data
+ * @description Empty cells become null, so they fall back to the field default.
+ * The apostrophe csvLine puts before formula-like text is removed.
+ * Read-only columns (id, rating, timestamps, createdBy and so on) are skipped
+ * because the server manages them; the id is used only to match existing products.
+ * @param {Array<string>} fields - Row cells
+ * @param {Array<string>} columns - Product field for each cell
+ * @returns {Object} Product data for validation
+ */
+function csvRowToProductData(fields, columns) {
+  const data = {};
+
+  columns.forEach((column, index) => {
+    if (READ_ONLY_FIELDS.includes(column)) return;
+
+    let cell = fields[index].trim();
+    if (cell.startsWith("'") && CSV_FORMULA_PATTERN.test(cell.slice(1))) cell = cell.slice(1);
+
+    if (cell === '') {
+      data[column] = null;
+    } else if (PRODUCT_SCHEMA.properties[column].type === 'array') {
+      data[column] = cell.split(CSV_IMAGE_SEPARATOR).map(item => item.trim()).filter(Boolean);
+    } else {
+      data[column] = cell;
+    }
+  });
+
+  return data;
+}
+
+/**
+ * Plan CSV Import Rows
+ * @description Validates every data row without changing any data, producing
+ * plans that applyBulkOperation can apply. Rows without an id are created;
+ * rows whose id exists update that product (columns missing from the file are
+ * left unchanged); rows with a new id create the product with that id, like PUT.
+ * @param {Array} rows - Data records from parseCsv
+ * @param {Array<string>} columns - Product field for each column
+ * @returns {Array} One plan per row, each with its CSV line number as `row`
+ */
+function planImportRows(rows, columns) {
+  const idColumn = columns.indexOf('id');
+
+  // Products changed by earlier rows in this file
+  const pending = new Map();
+  const currentProduct = id => (pending.has(id) ? pending.get(id) : productRepository.get(id));
+
+  return rows.map(({ line, fields }, index) => {
+    const failure = (status, error, op, id) => ({ row: line, index, op, status, id, error });
+
+    if (fields.length !== columns.length) {
+      return failure(400, {
+        message: `Row has ${fields.length} fields but the header has ${columns.length} columns`,
+        received: fields.length
+      });
+    }
+
+    const data = csvRowToProductData(fields, columns);
+    const idCell = idColumn === -1 ? '' : fields[idColumn].trim();
+
+    if (idCell === '') {
+      const { value, error: validationError } = validateProduct(data);
+      return validationError
+        ? failure(400, validationError, 'create')
+        : { row: line, index, op: 'create', status: 201, fields: value };
+    }
+
+    const id = Number(idCell);
+    if (!Number.isInteger(id) || id <= 0) {
+      return failure(400, {
+        message: 'Invalid product ID. ID must be a positive number.',
+        field: 'id',
+        received: idCell
+      });
+    }
+
+    const existingProduct = currentProduct(id);
+
+    if (!existingProduct && !pending.has(id) && productRepository.getDeleted(id)) {
+      return failure(409, {
+        message: `Product ${id} is in the trash. Restore it before importing it again.`,
+        field: 'id',
+        received: idCell
+      }, 'update', id);
+    }
+
+    if (!existingProduct) {
+      const { value, error: validationError } = validateProduct(data);
+      if (validationError) {
+        return failure(400, validationError, 'create', id);
+      }
+
+      pending.set(id, { id, ...value });
+      return { row: line, index, op: 'create', status: 201, id, fields: value };
+    }
+
+    // Columns present in the file replace the stored values; empty cells reset to defaults
+    const { value, error: validationError } = validateProduct(
+      applyMergePatch(omitReadOnlyFields(existingProduct), data),
+      existingProduct
+    );
+    if (validationError) {
+      return failure(400, validationError, 'update', id);
+    }
+
+    pending.set(id, { ...existingProduct, ...value });
+    return { row: line, index, op: 'update', status: 200, id, fields: value };
+  });
+}
+
+/**
+ * CATEGORY HELPERS
+ * Validation and tree navigation for /api/categories
+ */
+const CATEGORY_SCHEMA = {
+  $id: '/api/schema/category',
+  title: 'Category',
+  type: 'object',
+  additionalProperties: false,
+  required: ['name'],
+  properties: {
+    slug: {
+      type: 'string',
+      title: 'Slug',
+      trim: true,
+      maxLength: 100,
+      pattern: '^[a-z0-9]+(-[a-z0-9]+)*$',
+      patternMessage: 'must contain only lowercase letters, numbers and single hyphens'
+    },
+    name: { type: 'string', title: 'Name', trim: true, minLength: 1, maxLength: 100 },
+    parent: { type: 'string', title: 'Parent', trim: true, maxLength: 100, default: null },
+    description: { type: 'string', title: 'Description', trim: true, maxLength: 1000, default: '' },
+    createdAt: { type: 'string', title: 'Created at', readOnly: true },
+    updatedAt: { type: 'string', title: 'Updated at', readOnly: true }
+  }
+};
+
+/**
+ * Convert Text to a Slug
+ * @description "Men's Shoes" becomes "men-s-shoes"; accents are removed
+ * @param {string} text - Text to convert
+ * @returns {string} Slug (empty if the text has no letters or digits)
+ */
+function slugify(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Get Category Subtree
+ * @param {string} slug - Category slug
+ * @returns {Array<string>} The slug followed by the slugs of all its descendants
+ */
+function categorySubtree(slug) {
+  const categories = categoryRepository.list();
+  const slugs = [slug];
+
+  for (let i = 0; i < slugs.length; i++) {
+    categories.forEach(category => {
+      if (category.parent === slugs[i] && !slugs.includes(category.slug)) {
+        slugs.push(category.slug);
+      }
+    });
+  }
+
+  return slugs;
+}
+
+/**
+ * Count Products in Categories
+ * @param {Array<string>} slugs - Category slugs
+ * @returns {number} Number of products in any of the categories
+ */
+function countCategoryProducts(slugs) {
+  return productRepository.list({ filters: { categories: slugs }, limit: 0 }).total;
+}
+
+/**
+ * Describe a Category
+ * @description Adds the direct subcategories and the number of products filed
+ * directly under the category, as returned by the category routes
+ * @param {Object} category - Stored category
+ * @param {Array} [categories] - All categories (loaded when omitted)
+ * @returns {Object} Category with children and productCount
+ */
+function describeCategory(category, categories = categoryRepository.list()) {
+  return {
+    ...category,
+    children: categories.filter(child => child.parent === category.slug).map(child => child.slug),
+    productCount: countCategoryProducts([category.slug])
+  };
+}
+
+/**
+ * Validate Category Data
+ * @description Checks a category against CATEGORY_SCHEMA. The slug defaults to
+ * one derived from the name, and the parent must be an existing category that
+ * is not the category itself or one of its descendants.
+ * @param {Object} data - Category data from the request
+ * @returns {Object} { value, error } like validateProduct
+ */
+function validateCategory(data) {
+  const { value, errors } = SchemaValidator.validate(CATEGORY_SCHEMA, data);
+
+  if (value.slug === undefined && typeof value.name === 'string' && value.name !== '') {
+    value.slug = slugify(value.name);
+    if (value.slug === '') {
+      errors.push({ field: 'slug', message: 'Slug is required when the name has no letters or digits' });
+    }
+  }
+
+  if (value.parent === '') {
+    value.parent = null;
+  }
+
+  if (typeof value.parent === 'string' && !errors.some(error => error.field === 'parent')) {
+    if (!categoryRepository.get(value.parent)) {
+      errors.push({ field: 'parent', message: `Parent category "${value.parent}" does not exist`, received: value.parent });
+    } else if (value.slug && categorySubtree(value.slug).includes(value.parent)) {
+      errors.push({
+        field: 'parent',
+        message: `Category "${value.slug}" cannot be moved under itself or its own subcategory "${value.parent}"`,
+        received: value.parent
+      });
+    }
+  }
+
+  return { value, error: validationErrorBody('Category', errors) };
+}
+
+/**
+ * Link Existing Products to Categories
+ * @description Before categories were a resource, `category` was free text.
+ * On startup every product whose category is not an existing slug is linked
+ * to one: the text is converted to a slug, a category is created for it if
+ * needed, and the product is updated to reference it.
+ */
+function backfillProductCategories() {
+  productRepository.list().products.forEach(product => {
+    if (!product.category || categoryRepository.get(product.category)) return;
+
+    const slug = slugify(product.category);
+    if (slug !== '' && !categoryRepository.get(slug)) {
+      const now = new Date().toISOString();
+      categoryRepository.create({
+        slug,
+        name: String(product.category).trim(),
+        parent: null,
+        description: '',
+        createdAt: now,
+        updatedAt: now
+      });
+      console.log(`🏷️ Created category "${slug}" for existing products`);
+    }
+
+    indexProduct(productRepository.update(product.id, { category: slug }, SYSTEM_CHANGE));
+  });
+}
+
+backfillProductCategories();
+
+/**
+ * BRAND HELPERS
+ * Validation and catalog statistics for /api/brands
+ */
+const BRAND_SCHEMA = {
+  $id: '/api/schema/brand',
+  title: 'Brand',
+  type: 'object',
+  additionalProperties: false,
+  required: ['name'],
+  properties: {
+    id: { type: 'integer', title: 'ID', readOnly: true },
+    name: { type: 'string', title: 'Name', trim: true, minLength: 1, maxLength: 100 },
+    country: { type: 'string', title: 'Country', trim: true, maxLength: 100, default: '' },
+    logoUrl: { type: 'string', title: 'Logo URL', format: 'uri', maxLength: 2048, default: '' },
+    description: { type: 'string', title: 'Description', trim: true, maxLength: 1000, default: '' },
+    createdAt: { type: 'string', title: 'Created at', readOnly: true },
+    updatedAt: { type: 'string', title: 'Updated at', readOnly: true }
+  }
+};
+
+/**
+ * Find Brand by Name
+ * @param {string} name - Brand name (case and surrounding spaces are ignored)
+ * @returns {Object|null} Brand or null
+ */
+function findBrandByName(name) {
+  const wanted = String(name).trim().toLowerCase();
+  return brandRepository.list().find(brand => brand.name.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Validate Brand Data
+ * @param {Object} data - Brand data from the request
+ * @returns {Object} { value, error } like validateProduct
+ */
+function validateBrand(data) {
+  const { value, errors } = SchemaValidator.validate(BRAND_SCHEMA, data);
+  return { value, error: validationErrorBody('Brand', errors) };
+}
+
+/**
+ * Calculate Brand Statistics
+ * @description Averages are rounded to two decimals and are null when the
+ * brand has no products. The effective price applies discountPercentage, and
+ * the average rating only counts products with approved reviews.
+ * @param {Object} brand - Brand
+ * @returns {Object} productCount, averageRating, averageEffectivePrice and totalStock
+ */
+function brandStats(brand) {
+  const { products } = productRepository.list({ filters: { brand: brand.name } });
+  const round = value => Math.round(value * 100) / 100;
+  const average = values => (values.length > 0
+    ? round(values.reduce((sum, value) => sum + value, 0) / values.length)
+    : null);
+
+  return {
+    productCount: products.length,
+    averageRating: average(products.filter(product => product.reviewCount > 0).map(product => product.rating)),
+    averageEffectivePrice: average(products.map(product =>
+      product.price * (1 - (product.discountPercentage || 0) / 100)
+    )),
+    totalStock: products.reduce((sum, product) => sum + (product.stock || 0), 0)
+  };
+}
+
+/**
+ * Link Existing Products to Brands
+ * @description Before brands were a resource, `brand` was free text. On
+ * startup a brand is created for every product brand name that does not match
+ * one yet, and product brand names are aligned with the brand's spelling.
+ */
+function backfillProductBrands() {
+  productRepository.list().products.forEach(product => {
+    if (typeof product.brand !== 'string' || product.brand.trim() === '') return;
+
+    let brand = findBrandByName(product.brand);
+    if (!brand) {
+      const now = new Date().toISOString();
+      brand = brandRepository.create({
+        name: product.brand.trim(),
+        country: '',
+        logoUrl: '',
+        description: '',
+        createdAt: now,
+        updatedAt: now
+      });
+      console.log(`🏷️ Created brand "${brand.name}" for existing products`);
+    }
+
+    if (product.brand !== brand.name) {
+      indexProduct(productRepository.update(product.id, { brand: brand.name }, SYSTEM_CHANGE));
+    }
+  });
+}
+
+backfillProductBrands();
+
+/**
+ * STOCK AND RESERVATION HELPERS
+ * `stock` counts the units on hand. Active reservations hold some of them, so
+ * `available` = stock - reserved. Stock changes go through the repository's
+ * atomic adjustStock, which refuses to take stock below the reserved units.
+ * Products with variants keep stock per variant: their reservations, cart
+ * lines and order lines name a variantId and use adjustVariantStock.
+ */
+
+// Reservation lifetime when the client does not ask for one, and the longest allowed
+const DEFAULT_RESERVATION_TTL_SECONDS = 15 * 60;
+const MAX_RESERVATION_TTL_SECONDS = 24 * 60 * 60;
+
+// How often expired reservations are swept
+const RESERVATION_SWEEP_INTERVAL_MS = 30 * 1000;
+
+// How long committed, released and expired reservations are kept
+const RESERVATION_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Check Whether a Reservation Holds Stock
+ * @param {Object} reservation - Reservation
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {boolean} True for active reservations that have not expired yet
+ */
+function isHoldingStock(reservation, now = Date.now()) {
+  return reservation.status === 'active' && Date.parse(reservation.expiresAt) > now;
+}
+
+/**
+ * Count Reserved Units
+ * @description Expired reservations never count, even before the sweeper has
+ * marked them as expired
+ * @param {number} productId - Product ID
+ * @param {number} [variantId] - Only count the holds on this variant
+ * @returns {number} Units held by active reservations
+ */
+function reservedUnits(productId, variantId) {
+  const now = Date.now();
+  return reservationRepository.list()
+    .filter(reservation => reservation.productId === productId && isHoldingStock(reservation, now))
+    .filter(reservation => variantId === undefined || reservation.variantId === variantId)
+    .reduce((sum, reservation) => sum + reservation.quantity, 0);
+}
+
+/**
+ * Add Stock Levels to a Product
+ * @param {Object} product - Stored product
+ * @returns {Object} Product with reserved and available units
+ */
+function withStockLevels(product) {
+  const reserved = reservedUnits(product.id);
+  return {
+    ...product,
+    reserved,
+    available: Math.max(0, (product.stock || 0) - reserved)
+  };
+}
+
+/**
+ * Find the Stock Unit of a Product
+ * @description Products without variants are sold as a whole; products with
+ * variants are sold one variant at a time, so a variantId is required for them
+ * @param {Object} product - Stored product
+ * @param {number} [variantId] - Variant ID
+ * @returns {Object} { variant, stock, reserved, available } with variant null for
+ * products without variants, or { error } with a 409 response body
+ */
+function stockUnit(product, variantId) {
+  if (!hasVariants(product)) {
+    if (variantId !== undefined) {
+      return {
+        error: { message: `Product ${product.id} has no variants`, field: 'variantId', received: variantId }
+      };
+    }
+    const { stock = 0, reserved, available } = withStockLevels(product);
+    return { variant: null, stock, reserved, available };
+  }
+
+  const variant = product.variants.find(candidate => candidate.id === variantId);
+  if (!variant) {
+    return {
+      error: {
+        message: variantId === undefined
+          ? `Product ${product.id} has variants; choose one with variantId`
+          : `Variant ${variantId} not found for product ${product.id}`,
+        field: 'variantId',
+        received: variantId === undefined ? null : variantId,
+        availableIds: product.variants.map(v => v.id)
+      }
+    };
+  }
+
+  const stock = variant.stock || 0;
+  const reserved = reservedUnits(product.id, variant.id);
+  return { variant, stock, reserved, available: Math.max(0, stock - reserved) };
+}
+
+/**
+ * Adjust the Stock of a Product or Variant
+ * @description Uses adjustVariantStock when a variantId is given and adjustStock otherwise
+ * @param {number} productId - Product ID
+ * @param {number} [variantId] - Variant ID
+ * @param {number} delta - Units to add (negative to remove)
+ * @param {number} minimum - Lowest stock the product or variant may be left with
+ * @param {Object} changes - Other fields to set, e.g. updatedAt
+ * @param {Object} context - Change context of the request (see changeContext)
+ * @returns {Object|null} Updated product, or null when nothing was changed
+ */
+function adjustUnitStock(productId, variantId, delta, minimum, changes, context) {
+  return variantId === undefined
+    ? productRepository.adjustStock(productId, delta, minimum, changes, context)
+    : productRepository.adjustVariantStock(productId, variantId, delta, minimum, changes, context);
+}
+
+/**
+ * Expire a Reservation if Its Time Is Up
+ * @param {Object} reservation - Reservation
+ * @returns {Object} The reservation, marked as expired when its hold has run out
+ */
+function refreshReservation(reservation) {
+  if (reservation.status !== 'active' || isHoldingStock(reservation)) {
+    return reservation;
+  }
+
+  return reservationRepository.update(reservation.id, {
+    status: 'expired',
+    updatedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Sweep Expired Reservations
+ * @description Marks every active reservation whose hold has run out as expired
+ * and deletes finished reservations older than the retention period
+ * @returns {number} Number of reservations that expired
+ */
+function sweepExpiredReservations() {
+  const cutoff = Date.now() - RESERVATION_RETENTION_MS;
+  let expired = 0;
+
+  reservationRepository.list().forEach(reservation => {
+    if (refreshReservation(reservation) !== reservation) {
+      expired++;
+    } else if (reservation.status !== 'active' && Date.parse(reservation.updatedAt) < cutoff) {
+      reservationRepository.delete(reservation.id);
+    }
+  });
+
+  if (expired > 0) {
+    console.log(`⏳ Expired ${expired} stock reservations`);
+  }
+  return expired;
+}
+
+sweepExpiredReservations();
+
+// unref() lets the process exit without waiting for the next sweep
+setInterval(sweepExpiredReservations, RESERVATION_SWEEP_INTERVAL_MS).unref();
+
+/**
+ * CART AND ORDER HELPERS
+ * Cart totals are always calculated from the current catalog, so price changes
+ * show up in open carts. Checkout copies the prices into the order. Every cart
+ * has a secret token, returned once when it is created; the cart routes and
+ * the shopper's order need it in the X-Cart-Token header, so cart IDs alone
+ * give nobody access. Only its hash is stored.
+ */
+
+// Largest quantity of a single product in one cart
+const MAX_CART_LINE_QUANTITY = 1000;
+
+const CART_ITEM_SCHEMA = {
+  title: 'Cart item',
+  type: 'object',
+  additionalProperties: false,
+  required: ['productId', 'quantity'],
+  properties: {
+    productId: { type: 'integer', title: 'Product ID', minimum: 1 },
+    variantId: { type: 'integer', title: 'Variant ID', minimum: 1 },
+    quantity: { type: 'integer', title: 'Quantity', minimum: 1, maximum: MAX_CART_LINE_QUANTITY }
+  }
+};
+
+// Order statuses and the statuses each one may move to
+const ORDER_STATUS_TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['shipped', 'cancelled'],
+  shipped: [],
+  cancelled: []
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS);
+
+// How long a pending order holds its stock before it is cancelled
+const ORDER_PAYMENT_MS = ORDER_PAYMENT_MINUTES * 60 * 1000;
+
+// How often unpaid orders are swept
+const ORDER_SWEEP_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Generate a Cart Token
+ * @returns {string} New random cart token
+ */
+function generateCartToken() {
+  return `cart_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Hash a Cart Token
+ * @param {string} token - Cart token as sent by the client
+ * @returns {string} Hex SHA-256 digest, the form in which tokens are stored
+ */
+function hashCartToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Check the Cart Token of a Request
+ * @param {Object} req - Express request object
+ * @param {Object} record - Stored cart or order with its tokenHash
+ * @returns {boolean} True if the X-Cart-Token header holds the record's token
+ */
+function hasCartToken(req, record) {
+  const token = req.get('X-Cart-Token');
+  if (!token || typeof record.tokenHash !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(record.tokenHash, 'hex');
+  const received = Buffer.from(hashCartToken(token), 'hex');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Describe an Order
+ * @param {Object} order - Stored order
+ * @returns {Object} Order without the hash of its cart token
+ */
+function describeOrder(order) {
+  const { tokenHash, ...description } = order;
+  return description;
+}
+
+/**
+ * Round a Money Amount
+ * @param {number} value - Amount
+ * @returns {number} Amount rounded to two decimals
+ */
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Validate a Cart Item
+ * @param {Object} data - { productId, variantId, quantity } from the request
+ * @param {Object} [options] - Passed to SchemaValidator.validate (e.g. partial)
+ * @returns {Object} { value, error } like validateProduct
+ */
+function validateCartItem(data, options) {
+  const { value, errors } = SchemaValidator.validate(CART_ITEM_SCHEMA, data, options);
+  return { value, error: validationErrorBody('Cart item', errors) };
+}
+
+/**
+ * Price a Cart or Order Line
+ * @description A variant's price override replaces the product price; the
+ * product discount applies to both
+ * @param {Object} product - Product
+ * @param {number} quantity - Units
+ * @param {Object|null} [variant] - Variant being sold, for products with variants
+ * @returns {Object} Line with the price, discounted unit price and line total
+ */
+function priceLine(product, quantity, variant = null) {
+  const discountPercentage = product.discountPercentage || 0;
+  const price = variant && typeof variant.price === 'number' ? variant.price : product.price;
+  const unitPrice = roundMoney(price * (1 - discountPercentage / 100));
+
+  return {
+    productId: product.id,
+    ...(variant ? { variantId: variant.id, sku: variant.sku, options: variant.options } : {}),
+    title: product.title,
+    price,
+    discountPercentage,
+    unitPrice,
+    quantity,
+    lineTotal: roundMoney(unitPrice * quantity)
+  };
+}
+
+/**
+ * Total Priced Lines
+ * @param {Array} lines - Lines from priceLine
+ * @returns {Object} itemCount, subtotal (before discounts), discount and total
+ */
+function totalLines(lines) {
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+  const total = roundMoney(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+
+  return {
+    itemCount: lines.reduce((sum, line) => sum + line.quantity, 0),
+    subtotal,
+    discount: roundMoney(subtotal - total),
+    total
+  };
+}
+
+/**
+ * Check Whether a Cart Line Is for a Product and Variant
+ * @param {Object} line - Cart line
+ * @param {number} productId - Product ID
+ * @param {number} [variantId] - Variant ID, for products with variants
+ * @returns {boolean} True when the line holds that product (and variant)
+ */
+function isCartLine(line, productId, variantId) {
+  return line.productId === productId && line.variantId === variantId;
+}
+
+/**
+ * Describe a Cart
+ * @description Prices every line from the current catalog. Lines whose product
+ * or variant has been deleted stay in the cart (marked missing) but do not
+ * count towards the totals; checkout refuses them. The token hash is left out.
+ * @param {Object} cart - Stored cart
+ * @returns {Object} Cart with priced lines and totals
+ */
+function describeCart(cart) {
+  const { tokenHash, ...description } = cart;
+  const items = cart.items.map(item => {
+    const product = productRepository.get(item.productId);
+    const unit = product && stockUnit(product, item.variantId);
+    if (!unit || unit.error) {
+      return { productId: item.productId, variantId: item.variantId, quantity: item.quantity, missing: true };
+    }
+    return { ...priceLine(product, item.quantity, unit.variant), availableStock: unit.available };
+  });
+
+  return {
+    ...description,
+    items,
+    ...totalLines(items.filter(item => !item.missing))
+  };
+}
+
+/**
+ * Check Cart Lines Before Checkout
+ * @param {Object} cart - Stored cart
+ * @returns {Array} One error per line that cannot be ordered (empty when all can)
+ */
+function checkoutErrors(cart) {
+  const errors = [];
+
+  cart.items.forEach((item, index) => {
+    const field = `items[${index}]`;
+    const product = productRepository.get(item.productId);
+
+    if (!product) {
+      errors.push({
+        field,
+        productId: item.productId,
+        message: `Product with ID ${item.productId} no longer exists`
+      });
+      return;
+    }
+
+    const { variant, available, error } = stockUnit(product, item.variantId);
+    if (error) {
+      errors.push({ field, productId: item.productId, variantId: item.variantId, message: error.message });
+      return;
+    }
+
+    if (item.quantity > available) {
+      errors.push({
+        field,
+        productId: item.productId,
+        variantId: item.variantId,
+        message: `Only ${available} units of "${product.title}"${variant ? ` (${variant.sku})` : ''} are available`,
+        requested: item.quantity,
+        available
+      });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Restock Order Lines
+ * @description Puts the units of an order back into stock, into the variant
+ * for lines that have one. Products and variants deleted since the order was
+ * placed, and products that have variants by now, are skipped.
+ * @param {Array} lines - Order lines
+ * @param {Object} context - Change context of the request (see changeContext)
+ * @returns {number} Number of lines restocked
+ */
+function restockLines(lines, context) {
+  let restocked = 0;
+
+  lines.forEach(line => {
+    const current = productRepository.get(line.productId);
+    if (!current || stockUnit(current, line.variantId).error) return;
+
+    const product = adjustUnitStock(line.productId, line.variantId, line.quantity, 0, {
+      updatedAt: new Date().toISOString(),
+      updatedBy: context.actor
+    }, context);
+    if (product) {
+      indexProduct(product);
+      restocked++;
+    }
+  });
+
+  return restocked;
+}
+
+/**
+ * Cancel an Order if Its Payment Time Is Up
+ * @description Pending orders hold their stock for ORDER_PAYMENT_MINUTES;
+ * after that they are cancelled and their units put back into stock
+ * @param {Object} order - Stored order
+ * @returns {Object} The order, cancelled when it was not paid in time
+ */
+function refreshOrder(order) {
+  if (order.status !== 'pending' || !order.expiresAt || Date.parse(order.expiresAt) > Date.now()) {
+    return order;
+  }
+
+  const restocked = restockLines(order.items, SYSTEM_CHANGE);
+  console.log(`⏳ Order ${order.id} was not paid in time, restocked ${restocked} of ${order.items.length} lines`);
+
+  const now = new Date().toISOString();
+  return orderRepository.update(order.id, {
+    status: 'cancelled',
+    statusHistory: [...order.statusHistory, { status: 'cancelled', at: now, reason: 'expired' }],
+    expiresAt: null,
+    updatedAt: now
+  });
+}
+
+/**
+ * Sweep Unpaid Orders
+ * @description Cancels every pending order whose payment time is up
+ * @returns {number} Number of orders cancelled
+ */
+function sweepExpiredOrders() {
+  let cancelled = 0;
+
+  orderRepository.list().forEach(order => {
+    if (refreshOrder(order) !== order) {
+      cancelled++;
+    }
+  });
+
+  return cancelled;
+}
+
+sweepExpiredOrders();
+
+// unref() lets the process exit without waiting for the next sweep
+setInterval(sweepExpiredOrders, ORDER_SWEEP_INTERVAL_MS).unref();
+
+/**
+ * REVIEW HELPERS
+ * A product's rating is the average score of its approved reviews, rounded to
+ * one decimal, and reviewCount is their number. Both are recalculated whenever
+ * a review is created, edited, moderated or deleted.
+ */
+const REVIEW_SCHEMA = {
+  $id: '/api/schema/review',
+  title: 'Review',
+  type: 'object',
+  additionalProperties: false,
+  required: ['author', 'score', 'title'],
+  properties: {
+    id: { type: 'integer', title: 'ID', readOnly: true },
+    productId: { type: 'integer', title: 'Product ID', readOnly: true },
+    author: { type: 'string', title: 'Author', trim: true, minLength: 1, maxLength: 100 },
+    score: { type: 'integer', title: 'Score', minimum: 1, maximum: 5 },
+    title: { type: 'string', title: 'Title', trim: true, minLength: 1, maxLength: 200 },
+    body: { type: 'string', title: 'Body', trim: true, maxLength: 5000, default: '' },
+    status: { type: 'string', title: 'Status', readOnly: true },
+    createdAt: { type: 'string', title: 'Created at', readOnly: true },
+    updatedAt: { type: 'string', title: 'Updated at', readOnly: true }
+  }
+};
+
+// Moderation states; only approved reviews count towards the rating
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Review fields that can be used with the sortBy query parameter
+const REVIEW_SORT_FIELDS = ['createdAt', 'score'];
+
+/**
+ * Validate Review Data
+ * @param {Object} data - Review data from the request
+ * @param {Object} [options] - Passed to SchemaValidator.validate (e.g. partial)
+ * @returns {Object} { value, error } like validateProduct
+ */
+function validateReview(data, options) {
+  const { value, errors } = SchemaValidator.validate(REVIEW_SCHEMA, data, options);
+  return { value, error: validationErrorBody('Review', errors) };
+}
+
+/**
+ * Aggregate Review Scores
+ * @param {Array} reviews - Reviews of one product
+ * @returns {Object} { rating, reviewCount } over the approved reviews
+ */
+function reviewAggregate(reviews) {
+  const approved = reviews.filter(review => review.status === 'approved');
+  const total = approved.reduce((sum, review) => sum + review.score, 0);
+
+  return {
+    rating: approved.length > 0 ? Math.round(total / approved.length * 10) / 10 : 0,
+    reviewCount: approved.length
+  };
+}
+
+/**
+ * Refresh Product Rating
+ * @param {number} productId - Product ID
+ * @param {Object} context - Change context of the request (see changeContext)
+ * @returns {Object|null} Updated product, or null if the product does not exist
+ */
+function refreshProductRating(productId, context) {
+  const reviews = reviewRepository.list().filter(review => review.productId === productId);
+  return productRepository.update(productId, reviewAggregate(reviews), context);
+}
+
+/**
+ * Refresh All Product Ratings
+ * @description Run on startup so stored ratings always match the reviews,
+ * including ratings that were set directly before reviews existed
+ */
+function refreshAllProductRatings() {
+  const reviewsByProduct = new Map();
+  reviewRepository.list().forEach(review => {
+    if (!reviewsByProduct.has(review.productId)) {
+      reviewsByProduct.set(review.productId, []);
+    }
+    reviewsByProduct.get(review.productId).push(review);
+  });
+
+  productRepository.list().products.forEach(product => {
+    const aggregate = reviewAggregate(reviewsByProduct.get(product.id) || []);
+    if (product.rating !== aggregate.rating || product.reviewCount !== aggregate.reviewCount) {
+      productRepository.update(product.id, aggregate, SYSTEM_CHANGE);
+    }
+  });
+}
+
+refreshAllProductRatings();
+
+/**
+ * Delete Product Reviews
+ * @description Called when a product is deleted, so a product created later
+ * with the same ID does not inherit its reviews
+ * @param {number} productId - Product ID
+ * @returns {number} Number of reviews deleted
+ */
+function deleteProductReviews(productId) {
+  const reviews = reviewRepository.list().filter(review => review.productId === productId);
+  reviews.forEach(review => reviewRepository.delete(review.id));
+  return reviews.length;
+}
+
+/**
+ * PRODUCT TRASH
+ * Deleting a product only sets its deletedAt; the repository then hides it from
+ * every normal read. It can be restored until it is purged: by an admin with
+ * DELETE /api/products/:id?purge=true, or automatically once it has been in the
+ * trash for TRASH_RETENTION_DAYS. Reviews are kept until the product is purged.
+ */
+const TRASH_RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// How often products past the retention period are purged
+const TRASH_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Move a Product to the Trash
+ * @param {number} id - Product ID
+ * @param {Object} context - Change context of the request (see changeContext)
+ * @returns {Object|null} Deleted product, or null if no product has this ID
+ */
+function trashProduct(id, context) {
+  const now = new Date().toISOString();
+  const product = productRepository.update(id, { deletedAt: now, updatedAt: now, updatedBy: context.actor }, context);
+
+  if (product) {
+    removeFromSearchIndex(id);
+  }
+  return product;
+}
+
+/**
+ * Purge a Product
+ * @description Removes a product for good, whether or not it is in the trash,
+ * together with its reviews and history, and sends product.purged
+ * @param {number} id - Product ID
+ * @returns {Object|null} Purged product, or null if no product has this ID
+ */
+function purgeProduct(id) {
+  const product = productRepository.delete(id);
+
+  if (product) {
+    removeFromSearchIndex(id);
+    deleteProductReviews(id);
+    deleteProductHistory(id);
+    queueWebhookEvent('product.purged', { product });
+    publishProductEvent('product.purged', product);
+  }
+  return product;
+}
+
+/**
+ * Add the Purge Time to a Deleted Product
+ * @param {Object} product - Deleted product
+ * @returns {Object} Product with purgeAt, when it will be purged automatically
+ */
+function withPurgeTime(product) {
+  return {
+    ...product,
+    purgeAt: new Date(Date.parse(product.deletedAt) + TRASH_RETENTION_MS).toISOString()
+  };
+}
+
+/**
+ * Purge Expired Trash
+ * @description Purges every product that has been in the trash for longer
+ * than the retention period
+ * @returns {number} Number of products purged
+ */
+function purgeExpiredTrash() {
+  const cutoff = Date.now() - TRASH_RETENTION_MS;
+  let purged = 0;
+
+  productRepository.list({ deleted: true }).products.forEach(product => {
+    if (Date.parse(product.deletedAt) <= cutoff && purgeProduct(product.id)) {
+      purged++;
+    }
+  });
+
+  if (purged > 0) {
+    console.log(`🗑️  Purged ${purged} products from the trash`);
+  }
+  return purged;
+}
+
+purgeExpiredTrash();
+
+// unref() lets the process exit without waiting for the next sweep
+setInterval(purgeExpiredTrash, TRASH_SWEEP_INTERVAL_MS).unref();
+
+/**
+ * USER ACCOUNTS AND SESSION TOKENS
+ * Logging in starts a session and returns two HMAC-SHA256 signed JWTs: a
+ * short-lived access token carrying the user's role, sent as a Bearer token,
+ * and a refresh token that trades itself for a new pair. Each refresh token
+ * works once; presenting a used one ends the session, since it may have been
+ * stolen. Logging out ends the session and with it all of its tokens.
+ */
+
+// Lifetime of access tokens and of sessions without a refresh
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// scrypt output length in bytes
+const PASSWORD_HASH_LENGTH = 64;
+
+if (!process.env.AUTH_TOKEN_SECRET && NODE_ENV === 'production') {
+  console.warn('⚠️ AUTH_TOKEN_SECRET is not set; users have to log in again after every restart.');
+}
+
+if (ALLOW_SELF_REGISTRATION && API_READ_ACCESS === 'viewer') {
+  console.warn('⚠️ ALLOW_SELF_REGISTRATION is on, so anyone can register a viewer account and read despite API_READ_ACCESS=viewer.');
+}
+
+const USER_SCHEMA = {
+  title: 'User',
+  type: 'object',
+  additionalProperties: false,
+  required: ['email', 'password', 'name'],
+  properties: {
+    email: {
+      type: 'string',
+      title: 'Email',
+      trim: true,
+      maxLength: 254,
+      pattern: '^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$',
+      patternMessage: 'must be a valid email address'
+    },
+    password: { type: 'string', title: 'Password', minLength: 8, maxLength: 200 },
+    name: { type: 'string', title: 'Name', trim: true, minLength: 1, maxLength: 100 },
+    role: { type: 'string', title: 'Role', default: 'viewer' }
+  }
+};
+
+/**
+ * Validate Registration Data
+ * @param {Object} data - { email, password, name, role } from the request
+ * @returns {Object} { value, error } like validateProduct; the email is lowercased
+ */
+function validateUser(data) {
+  const { value, errors } = SchemaValidator.validate(USER_SCHEMA, data);
+  if (typeof value.role === 'string' && !ROLES.includes(value.role)) {
+    errors.push({
+      field: 'role',
+      message: `role must be one of: ${ROLES.join(', ')}`,
+      received: value.role
+    });
+  }
+  if (typeof value.email === 'string') {
+    value.email = value.email.toLowerCase();
+  }
+  return { value, error: validationErrorBody('User', errors) };
+}
+
+/**
+ * Hash a Password
+ * @param {string} password - Plain-text password
+ * @returns {string} 'scrypt:<salt>:<hash>' in hex
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, PASSWORD_HASH_LENGTH);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+/**
+ * Check a Password
+ * @param {string} password - Plain-text password from the request
+ * @param {string} passwordHash - Stored result of hashPassword
+ * @returns {boolean} True if the password matches
+ */
+function verifyPassword(password, passwordHash) {
+  const [scheme, salt, hash] = passwordHash.split(':');
+  if (scheme !== 'scrypt') {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Describe a User
+ * @param {Object} user - Stored user
+ * @returns {Object} User without the password hash
+ */
+function describeUser(user) {
+  const { passwordHash, ...description } = user;
+  return description;
+}
+
+/**
+ * Find User by Email
+ * @param {string} email - Email address (case is ignored)
+ * @returns {Object|null} User or null
+ */
+function findUserByEmail(email) {
+  const wanted = String(email).trim().toLowerCase();
+  return userRepository.list().find(user => user.email === wanted) || null;
+}
+
+/**
+ * Sign a Token
+ * @param {Object} payload - JWT claims
+ * @returns {string} Compact JWT signed with HS256 and AUTH_TOKEN_SECRET
+ */
+function signToken(payload) {
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', AUTH_TOKEN_SECRET).update(`${header}.${body}`).digest('base64url');
+  return `${header}.${body}.${signature}`;
+}
+
+/**
+ * Verify a Token
+ * @param {string} token - Compact JWT
+ * @param {string} type - Expected token type: 'access' or 'refresh'
+ * @returns {Object|null} Claims, or null if the token is malformed, forged, expired or of another type
+ */
+function verifyToken(token, type) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  const [header, body, signature] = parts;
+  const expected = crypto.createHmac('sha256', AUTH_TOKEN_SECRET).update(`${header}.${body}`).digest();
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url').toString()).alg !== 'HS256') {
+      return null;
+    }
+    const claims = JSON.parse(Buffer.from(body, 'base64url').toString());
+    const now = Math.floor(Date.now() / 1000);
+    return claims.type === type && typeof claims.exp === 'number' && claims.exp > now ? claims : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Issue Session Tokens
+ * @description Signs a new access and refresh token for a session and stores
+ * the ID of the refresh token, so only the newest one is accepted
+ * @param {Object} session - Stored session
+ * @param {Object} user - User the session belongs to
+ * @returns {Object} Token response body
+ */
+function issueTokens(session, user) {
+  const now = Math.floor(Date.now() / 1000);
+  const refreshTokenId = crypto.randomBytes(16).toString('hex');
+
+  sessionRepository.update(session.id, {
+    refreshTokenId,
+    expiresAt: new Date((now + REFRESH_TOKEN_TTL_SECONDS) * 1000).toISOString()
+  });
+
+  return {
+    tokenType: 'Bearer',
+    accessToken: signToken({
+      type: 'access', sub: user.id, role: user.role, sid: session.id, iat: now, exp: now + ACCESS_TOKEN_TTL_SECONDS
+    }),
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    refreshToken: signToken({
+      type: 'refresh', sub: user.id, sid: session.id, jti: refreshTokenId, iat: now, exp: now + REFRESH_TOKEN_TTL_SECONDS
+    }),
+    refreshExpiresIn: REFRESH_TOKEN_TTL_SECONDS,
+    user: describeUser(user)
+  };
+}
+
+/**
+ * Verify an Access Token
+ * @param {string} token - Access token from the Authorization header
+ * @returns {Object|null} { id, user, role } of the session, or null if the
+ * token is invalid, its session has ended or its user is gone. The role is
+ * the user's current one, not the one the token was issued with.
+ */
+function verifyAccessToken(token) {
+  const claims = verifyToken(token, 'access');
+  const session = claims && sessionRepository.get(claims.sid);
+  const user = session && session.userId === claims.sub && userRepository.get(claims.sub);
+
+  return user ? { id: session.id, user, role: user.role } : null;
+}
+
+/**
+ * AUTHENTICATION
+ * Requests are authenticated with an API key sent in the X-API-Key header, or
+ * with `Authorization: Bearer <credential>` where the credential is an API key
+ * or a user's access token. API keys and users have a role; a role may do
+ * everything the roles before it in ROLES can:
+ * - viewer: read, use carts and submit reviews (only needed when API_READ_ACCESS is 'viewer')
+ * - editor: create, update and delete everything else
+ * - admin: also manage API keys and webhooks, and register staff with a role above viewer
+ */
+const ROLES = ['viewer', 'editor', 'admin'];
+
+const API_KEY_SCHEMA = {
+  title: 'API key',
+  type: 'object',
+  additionalProperties: false,
+  required: ['name', 'role'],
+  properties: {
+    name: { type: 'string', title: 'Name', trim: true, minLength: 1, maxLength: 100 },
+    role: { type: 'string', title: 'Role' }
+  }
+};
+
+/**
+ * Hash an API Key
+ * @param {string} key - API key as sent by the client
+ * @returns {string} Hex SHA-256 digest, the form in which keys are stored
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Generate an API Key
+ * @returns {string} New random key
+ */
+function generateApiKey() {
+  return `fpk_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Describe an API Key
+ * @description The public view of a stored key; the hash never leaves the server
+ * @param {Object} apiKey - Stored API key
+ * @returns {Object} API key without its hash
+ */
+function describeApiKey(apiKey) {
+  const { keyHash, ...description } = apiKey;
+  return description;
+}
+
+/**
+ * Validate API Key Data
+ * @param {Object} data - { name, role } from the request
+ * @returns {Object} { value, error } like validateProduct
+ */
+function validateApiKey(data) {
+  const { value, errors } = SchemaValidator.validate(API_KEY_SCHEMA, data);
+  if (typeof value.role === 'string' && !ROLES.includes(value.role)) {
+    errors.push({
+      field: 'role',
+      message: `role must be one of: ${ROLES.join(', ')}`,
+      received: value.role
+    });
+  }
+  return { value, error: validationErrorBody('API key', errors) };
+}
+
+/**
+ * Create an API Key
+ * @param {string} name - Label for the key
+ * @param {string} role - viewer, editor or admin
+ * @param {string} [key] - Key to store (a random one is generated by default)
+ * @returns {Object} { apiKey, key } - the stored key and the key itself
+ */
+function createApiKey(name, role, key = generateApiKey()) {
+  const apiKey = apiKeyRepository.create({
+    name,
+    role,
+    prefix: key.slice(0, 8),
+    keyHash: hashApiKey(key),
+    createdAt: new Date().toISOString()
+  });
+  return { apiKey, key };
+}
+
+/**
+ * Provision the Admin API Key
+ * @description Makes sure ADMIN_API_KEY is a stored admin key. Without
+ * ADMIN_API_KEY, an admin key is generated and logged once if no admin key
+ * exists yet.
+ */
+function provisionAdminApiKey() {
+  if (ADMIN_API_KEY) {
+    const keyHash = hashApiKey(ADMIN_API_KEY);
+    const existing = apiKeyRepository.list().find(apiKey => apiKey.keyHash === keyHash);
+
+    if (!existing) {
+      createApiKey('Admin (ADMIN_API_KEY)', 'admin', ADMIN_API_KEY);
+    } else if (existing.role !== 'admin') {
+      apiKeyRepository.update(existing.id, { role: 'admin' });
+    }
+    return;
+  }
+
+  if (!apiKeyRepository.list().some(apiKey => apiKey.role === 'admin')) {
+    const { key } = createApiKey('Admin (generated)', 'admin');
+    console.warn(`🔑 Generated admin API key (shown only once): ${key}`);
+  }
+}
+
+provisionAdminApiKey();
+
+/**
+ * Read the Credentials of a Request
+ * @param {Object} req - Express request object
+ * @returns {Object|null} { type: 'apiKey' | 'token', value }, or null if none were sent
+ */
+function requestCredentials(req) {
+  const header = req.get('X-API-Key');
+  if (header) {
+    return { type: 'apiKey', value: header.trim() };
+  }
+
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(req.get('Authorization') || '');
+  if (!match) {
+    return null;
+  }
+
+  // Access tokens are JWTs (three dot-separated parts); anything else is an API key
+  return { type: match[1].split('.').length === 3 ? 'token' : 'apiKey', value: match[1] };
+}
+
+/**
+ * Identify the Caller of a Request
+ * @param {Object} credentials - Result of requestCredentials
+ * @returns {Object} { auth } with the caller, or { error } with a 401 message
+ */
+function identifyCaller(credentials) {
+  if (credentials.type === 'token') {
+    const session = verifyAccessToken(credentials.value);
+    if (!session) {
+      return { error: 'Invalid or expired access token' };
+    }
+    return {
+      auth: { type: 'user', id: session.user.id, role: session.role, name: session.user.email, sessionId: session.id }
+    };
+  }
+
+  const keyHash = hashApiKey(credentials.value);
+  const apiKey = apiKeyRepository.list().find(candidate => candidate.keyHash === keyHash);
+  if (!apiKey) {
+    return { error: 'Invalid API key', received: `${credentials.value.slice(0, 8)}...` };
+  }
+  return { auth: { type: 'apiKey', id: apiKey.id, role: apiKey.role, name: apiKey.name } };
+}
+
+/**
+ * Describe Who Made a Request
+ * @description Recorded as createdBy/updatedBy on the products a request changes
+ * @param {Object} req - Express request object
+ * @returns {string|null} 'user:<id>', 'apiKey:<id>', or null for anonymous requests
+ */
+function requestActor(req) {
+  return req.auth ? `${req.auth.type}:${req.auth.id}` : null;
+}
+
+/**
+ * Describe the Change a Request Makes
+ * @description Passed to the productRepository write methods, which record it
+ * in the product history (see PRODUCT HISTORY)
+ * @param {Object} req - Express request object
+ * @param {Object} [extra] - Additional entry fields, e.g. { action: 'revert', revertedTo }
+ * @returns {Object} Change context { actor, requestId }
+ */
+function changeContext(req, extra = {}) {
+  return { actor: requestActor(req), requestId: req.id, ...extra };
+}
+
+/**
+ * Check for a Read Request
+ * @param {Object} req - Express request object
+ * @returns {boolean} True for GET, HEAD and OPTIONS, which never change data
+ */
+function isReadRequest(req) {
+  return req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS';
+}
+
+/**
+ * Check for a Shopper Request
+ * @description Carts, checkout and review submission are used by shoppers, so
+ * they need the same access as reads instead of an editor key. Reviews are
+ * moderated before they are published.
+ * @param {Object} req - Express request object (path relative to /api)
+ * @returns {boolean} True for the cart routes and POST /api/products/:id/reviews
+ */
+function isShopperRequest(req) {
+  return /^\/carts(\/|$)/.test(req.path) ||
+    (req.method === 'POST' && /^\/products\/[^/]+\/reviews\/?$/.test(req.path));
+}
+
+/**
+ * Check a Role
+ * @param {string} role - Role of the API key or user
+ * @param {string} requiredRole - Least role allowed
+ * @returns {boolean} True if role is requiredRole or above
+ */
+function hasRole(role, requiredRole) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+}
+
+/**
+ * Send an Authorization Error
+ * @description 401 when no valid credentials were sent, 403 when the caller's role is too low
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} requiredRole - Least role allowed
+ * @returns {boolean} True if a response was sent
+ */
+function denyUnlessRole(req, res, requiredRole) {
+  if (!req.auth) {
+    res.status(401)
+      .set('WWW-Authenticate', 'Bearer')
+      .json({
+        message: 'Authentication required. Send an API key in the X-API-Key header, or an API key or access token as a Bearer token.',
+        requiredRole
+      });
+    return true;
+  }
+
+  if (!hasRole(req.auth.role, requiredRole)) {
+    res.status(403).json({
+      message: `This request requires the ${requiredRole} role`,
+      role: req.auth.role,
+      requiredRole
+    });
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Identify the Caller of an API Request
+ * @description Sets req.auth from the request's credentials, or
+ * req.authError when they are unknown or invalid. Runs before rate limiting
+ * so every request, including the ones authenticateRequest then rejects,
+ * counts towards the caller's budget.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function identifyRequest(req, res, next) {
+  try {
+    const credentials = requestCredentials(req);
+    req.auth = null;
+    req.authError = null;
+
+    if (credentials) {
+      const { auth, error, received } = identifyCaller(credentials);
+
+      if (error) {
+        req.authError = { message: error, ...(received ? { received } : {}) };
+      } else {
+        req.auth = auth;
+      }
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error identifying request:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+/**
+ * Authenticate API Requests
+ * @description Rejects every /api and /graphql request whose credentials
+ * identifyRequest could not accept (unknown keys and invalid tokens) and
+ * checks the role needed for its method: editor for writes, viewer or nobody
+ * for reads and shopper requests (see isShopperRequest) depending on
+ * API_READ_ACCESS. The /api/auth routes and /graphql check access themselves.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function authenticateRequest(req, res, next) {
+  try {
+    if (req.authError) {
+      return res.status(401)
+        .set('WWW-Authenticate', 'Bearer error="invalid_token"')
+        .json(req.authError);
+    }
+
+    const requiredRole = req.path.startsWith('/auth/') || req.baseUrl === '/graphql'
+      ? null
+      : isReadRequest(req) || isShopperRequest(req) ? (API_READ_ACCESS === 'viewer' ? 'viewer' : null) : 'editor';
+
+    if (requiredRole && denyUnlessRole(req, res, requiredRole)) {
+      return;
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+/**
+ * RATE LIMITING
+ * Every client has a request budget per policy: its API key or user, or its
+ * IP address for anonymous requests (and for policies keyed by IP). Budgets
+ * are counted over a sliding window that weights the previous window's count
+ * by how much of it still overlaps. All /api requests count towards the read
+ * or write policy; routes can add a stricter policy of their own with
+ * rateLimit(name). Rejected requests count too, so a client that keeps
+ * retrying waits longer; that includes requests refused for missing or invalid
+ * credentials, which are counted (by IP address) before authenticateRequest
+ * sees them. Responses carry RateLimit-* headers for the policy with the
+ * fewest requests left, and 429 responses a Retry-After header.
+ */
+const RATE_LIMIT_POLICIES = {
+  read: { limit: RATE_LIMIT_READ_MAX, windowMs: RATE_LIMIT_WINDOW_MS },
+  write: { limit: RATE_LIMIT_WRITE_MAX, windowMs: RATE_LIMIT_WINDOW_MS },
+  // Bulk writes and CSV imports change many products per request
+  bulk: { limit: RATE_LIMIT_BULK_MAX, windowMs: RATE_LIMIT_WINDOW_MS },
+  // Password guessing and account creation are limited per IP address, whoever the caller claims to be
+  login: { limit: RATE_LIMIT_LOGIN_MAX, windowMs: RATE_LIMIT_LOGIN_WINDOW_MS, keyBy: 'ip' }
+};
+
+const rateLimitStore = createRateLimitStore({ driver: RATE_LIMIT_STORE });
+
+/**
+ * Time Until a Request Is Allowed Again
+ * @description Solves the sliding window estimate for the moment it leaves
+ * room for one more request
+ * @param {number} previous - Hits in the previous window
+ * @param {number} current - Hits in the current window
+ * @param {number} limit - Requests allowed per window
+ * @param {number} elapsed - Milliseconds since the current window started
+ * @param {number} windowMs - Window length in milliseconds
+ * @returns {number} Milliseconds to wait
+ */
+function millisecondsUntilAllowed(previous, current, limit, elapsed, windowMs) {
+  // Still in this window, once enough of the previous window has slid out
+  if (current + 1 <= limit && previous > 0) {
+    const at = windowMs * (1 - (limit - current - 1) / previous);
+    return Math.max(0, at - elapsed);
+  }
+
+  // Otherwise in the next window, once enough of this one has slid out
+  const at = windowMs + windowMs * Math.max(0, 1 - (limit - 1) / current);
+  return at - elapsed;
+}
+
+/**
+ * Count a Request Against a Policy
+ * @param {string} name - Policy name in RATE_LIMIT_POLICIES
+ * @param {string} client - Client identifier
+ * @returns {Promise<Object>} { allowed, limit, remaining, resetSeconds, retryAfterSeconds, windowSeconds }
+ */
+function consumeRateLimit(name, client) {
+  const { limit, windowMs } = RATE_LIMIT_POLICIES[name];
+  const now = Date.now();
+  const window = Math.floor(now / windowMs);
+  const elapsed = now - window * windowMs;
+  const key = `${name}:${client}`;
+
+  // Counters live for two windows: their own and the one weighting them
+  return Promise.all([
+    rateLimitStore.get(`${key}:${window - 1}`),
+    rateLimitStore.increment(`${key}:${window}`, windowMs * 2)
+  ]).then(([previous, current]) => {
+    const used = previous * (1 - elapsed / windowMs) + current;
+    const allowed = used <= limit;
+
+    return {
+      allowed,
+      limit,
+      remaining: Math.max(0, Math.floor(limit - used)),
+      resetSeconds: Math.ceil((windowMs - elapsed) / 1000),
+      retryAfterSeconds: allowed
+        ? 0
+        : Math.max(1, Math.ceil(millisecondsUntilAllowed(previous, current, limit, elapsed, windowMs) / 1000)),
+      windowSeconds: Math.round(windowMs / 1000)
+    };
+  });
+}
+
+/**
+ * Rate Limit Middleware
+ * @param {string|Function} policy - Policy name, or a function picking one for the request
+ * @returns {Function} Express middleware that answers 429 once the client's budget is used up
+ */
+function rateLimit(policy) {
+  return (req, res, next) => {
+    if (!RATE_LIMIT_ENABLED) {
+      return next();
+    }
+
+    const name = typeof policy === 'function' ? policy(req) : policy;
+    const client = RATE_LIMIT_POLICIES[name].keyBy === 'ip'
+      ? `ip:${req.ip}`
+      : requestActor(req) || `ip:${req.ip}`;
+
+    consumeRateLimit(name, client)
+      .then(result => {
+        // Report the policy closest to its limit when several apply
+        const reported = res.locals.rateLimit;
+        if (!reported || !result.allowed || result.remaining < reported.remaining) {
+          res.locals.rateLimit = result;
+          res.set({
+            'RateLimit-Limit': String(result.limit),
+            'RateLimit-Remaining': String(result.remaining),
+            'RateLimit-Reset': String(result.resetSeconds),
+            'RateLimit-Policy': `${result.limit};w=${result.windowSeconds}`
+          });
+        }
+
+        if (result.allowed) {
+          return next();
+        }
+
+        console.warn(`⚠️ Rate limit '${name}' exceeded by ${client}`);
+
+        res.status(429)
+          .set('Retry-After', String(result.retryAfterSeconds))
+          .json({
+            message: `Too many requests. Try again in ${result.retryAfterSeconds} seconds.`,
+            policy: name,
+            limit: result.limit,
+            windowSeconds: result.windowSeconds,
+            retryAfter: result.retryAfterSeconds
+          });
+      })
+      .catch(error => {
+        // A failing store must not take the API down with it
+        console.error('Error checking rate limit:', error);
+        next();
+      });
+  };
+}
+
+app.use('/api', identifyRequest, rateLimit(req => (isReadRequest(req) ? 'read' : 'write')), authenticateRequest);
+
+/**
+ * ROUTE HANDLERS
+ * Define all API endpoints and their corresponding handlers
+ */
+
+// API routes will be defined here
+
+/**
+ * Get All Products
+ * @route GET /api/products
+ * @description Retrieve products with pagination, sorting and filtering. The
+ * response has an ETag; sending it back in If-None-Match returns 304 Not Modified
+ * while no listed product has changed.
+ * @access Public
+ * @param {number} [req.query.skip] - Number of products to skip
+ * @param {number} [req.query.limit] - Maximum number of products to return
+ * @param {number} [req.query.page] - Page number (used when skip/limit are absent)
+ * @param {number} [req.query.pageSize] - Products per page (default 10)
+ * @param {string} [req.query.sortBy] - Field to sort by
+ * @param {string} [req.query.order] - Sort direction: asc or desc
+ * @param {string} [req.query.category] - Only products in this category
+ * @param {string} [req.query.brand] - Only products of this brand
+ * @param {number} [req.query.minPrice] - Minimum price
+ * @param {number} [req.query.maxPrice] - Maximum price
+ * @param {number} [req.query.minRating] - Minimum rating
+ * @param {string} [req.query.inStock] - 'true' for products in stock, 'false' for sold out
+ * @returns {Object} Response object containing products array and metadata
+ */
+app.get('/api/products', (req, res) => {
+  try {
+    const { options, error } = parseListQuery(req.query);
+
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    // total reports the number of products matching the filters, not the catalog size
+    const page = productRepository.list(options);
+    const response = {
+      ...page,
+      timestamp: new Date().toISOString()
+    };
+
+    // Express answers 304 Not Modified when If-None-Match has this ETag
+    res.set('ETag', productListETag(page));
+    res.json(response);
+  } catch (error) {
+    console.error('Error fetching products:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Get Product Schema
+ * @route GET /api/schema/product
+ * @description Publishes the declarative product schema used for validation,
+ * so clients can validate input with the same rules as the server
+ * @access Public
+ * @returns {Object} Product schema
+ */
+app.get('/api/schema/product', (req, res) => {
+  res.json(PRODUCT_SCHEMA);
+});
+
+/**
+ * Get Category Schema
+ * @route GET /api/schema/category
+ * @description Publishes the declarative category schema used for validation
+ * @access Public
+ * @returns {Object} Category schema
+ */
+app.get('/api/schema/category', (req, res) => {
+  res.json(CATEGORY_SCHEMA);
+});
+
+/**
+ * Get Brand Schema
+ * @route GET /api/schema/brand
+ * @description Publishes the declarative brand schema used for validation
+ * @access Public
+ * @returns {Object} Brand schema
+ */
+app.get('/api/schema/brand', (req, res) => {
+  res.json(BRAND_SCHEMA);
+});
+
+/**
+ * Get Variant Schema
+ * @route GET /api/schema/variant
+ * @description Publishes the declarative product variant schema used for validation
+ * @access Public
+ * @returns {Object} Variant schema
+ */
+app.get('/api/schema/variant', (req, res) => {
+  res.json(VARIANT_SCHEMA);
+});
+
+/**
+ * Get Review Schema
+ * @route GET /api/schema/review
+ * @description Publishes the declarative review schema used for validation
+ * @access Public
+ * @returns {Object} Review schema
+ */
+app.get('/api/schema/review', (req, res) => {
+  res.json(REVIEW_SCHEMA);
+});
+
+/**
+ * Search Products
+ * @route GET /api/products/search
+ * @description Full-text search over title, description, brand and category,
+ * ranked by relevance with typo tolerance and highlighted matches
+ * @access Public
+ * @param {string} req.query.q - Search query (required)
+ * @returns {Object} Ranked results with scores and highlights, plus list metadata
+ */
+app.get('/api/products/search', (req, res) => {
+  try {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+
+    if (query === '' || tokenize(query).length === 0) {
+      return res.status(400).json({
+        message: 'Search query is required and must contain at least one word of two or more characters',
+        parameter: 'q',
+        received: req.query.q
+      });
+    }
+
+    // Filters and pagination work as on the list route; sortBy overrides relevance order
+    const { options, error } = parseListQuery(req.query);
+
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const matches = searchProducts(query);
+    const matchesById = new Map(matches.map(match => [match.product.id, match]));
+    const page = applyListQuery(matches.map(match => match.product), options);
+
+    res.json({
+      query,
+      results: page.products.map(product => matchesById.get(product.id)),
+      total: page.total,
+      skip: page.skip,
+      limit: page.limit,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error searching products:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Export Products as CSV
+ * @route GET /api/products/export.csv
+ * @description Streams the catalog as RFC 4180 CSV with one column per product
+ * field. Images are joined into one cell with "|" and formula-like text gets a
+ * leading apostrophe. Accepts the same sortBy,
+ * order and filter parameters as GET /api/products; pagination is ignored.
+ * @access Public
+ * @returns {string} CSV file (text/csv)
+ */
+app.get('/api/products/export.csv', (req, res) => {
+  try {
+    const { options, error } = parseListQuery(req.query);
+    
+    if (error) {
+      return res.status(400).json(error);
+    }
+    
+    const { sortBy, order, filters } = options;
+    
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': 'attachment; filename="products.csv"'
+    });
+    
+    pipeline(Readable.from(productCsvLines({ sortBy, order, filters })), res, streamError => {
+      if (streamError) {
+        console.error('Error exporting products:', streamError);
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error exporting products:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Get Deleted Products
+ * @route GET /api/products/trash
+ * @description List the products in the trash, with the same pagination,
+ * sorting and filters as GET /api/products. Each product has a purgeAt telling
+ * when it will be purged automatically.
+ * @access Editor
+ * @param {string} [req.query.sortBy] - Field to sort by, e.g. deletedAt
+ * @returns {Object} Page of deleted products plus the retention period in days
+ */
+app.get('/api/products/trash', (req, res) => {
+  try {
+    if (denyUnlessRole(req, res, 'editor')) return;
+    
+    const { options, error } = parseListQuery(req.query);
+    
+    if (error) {
+      return res.status(400).json(error);
+    }
+    
+    const page = productRepository.list({ ...options, deleted: true });
+    
+    res.json({
+      ...page,
+      products: page.products.map(withPurgeTime),
+      retentionDays: TRASH_RETENTION_DAYS,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching deleted products:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Get Single Product by ID
+ * @route GET /api/products/:id
+ * @description Retrieve a specific product by its unique identifier. The ETag
+ * response header identifies this version of the product: send it in If-None-Match
+ * to get 304 Not Modified while it is unchanged, or in If-Match to update it safely.
+ * @access Public
+ * @param {string} id - Product ID (must be a valid number)
+ * @returns {Object} Product object or error message
+ */
+app.get('/api/products/:id', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    
+    // Validate ID parameter - must be a positive integer
+    if (isNaN(id) || id <= 0) {
+      return res.status(400).json({ 
+        message: 'Invalid product ID. ID must be a positive number.',
+        received: req.params.id
+      });
+    }
+    
+    // Find product in the repository
+    const product = productRepository.get(id);
+    
+    // Handle product not found
+    if (!product) {
+      return res.status(404).json({ 
+        message: `Product with ID ${id} not found`,
+        availableIds: productRepository.ids()
+      });
+    }
+    
+    // Return the found product with its reserved and available units. Express
+    // answers 304 Not Modified when If-None-Match has this ETag.
+    const stocked = withStockLevels(product);
+    res.set('ETag', productETag(product, stocked.reserved));
+    res.json(stocked);
+  } catch (error) {
+    console.error(`Error fetching product ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Create New Product
+ * @route POST /api/products
+ * @description Create a new product with comprehensive validation
+ * @access Editor
+ * @param {Object} req.body - Product data
+ * @param {string} req.body.title - Product title (required)
+ * @param {number} req.body.price - Product price (required)
+ * @param {string} [req.body.description] - Product description
+ * @param {number} [req.body.discountPercentage] - Discount percentage (0-100)
+ * @param {number} [req.body.rating] - Product rating (0-5)
+ * @param {number} [req.body.stock] - Available stock (>= 0)
+ * @param {string} [req.body.brand] - Product brand
+ * @param {string} [req.body.category] - Product category
+ * @param {string} [req.body.thumbnail] - Thumbnail image URL
+ * @param {Array} [req.body.images] - Array of image URLs
+ * @returns {Object} Created product object
+ */
+app.post('/api/products', (req, res) => {
+  try {
+    const newProduct = req.body;
+    
+    // Validate product data against the product schema
+    const { value: fields, error: validationError } = validateProduct(newProduct);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+    
+    // Create product object with validated data and defaults (the repository assigns the ID)
+    const productToCreate = {
+      ...fields,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      createdBy: requestActor(req),
+      updatedBy: requestActor(req)
+    };
+    
+    // Store the product
+    const createdProduct = productRepository.create(productToCreate, changeContext(req));
+    indexProduct(createdProduct);
+    
+    // Log the creation for debugging
+    console.log(`New product created with ID: ${createdProduct.id}`);
+    
+    // Return created product with 201 status
+    res.status(201).set('ETag', productETag(createdProduct)).json(createdProduct);
+    
+  } catch (error) {
+    console.error('Error creating product:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Bulk Create, Update and Delete Products
+ * @route POST /api/products/bulk
+ * @description Run a list of create, update and delete operations in one request.
+ * Create data is validated like POST /api/products and update data is a merge
+ * patch validated like PATCH /api/products/:id. By default valid operations are
+ * applied and invalid ones are reported per index; with atomic=true nothing is
+ * applied unless every operation is valid. Counts against the bulk rate limit.
+ * @access Editor
+ * @param {string} [req.query.atomic] - 'true' to apply all operations or none
+ * @param {Array} req.body.operations - Operations such as { op: 'create', data },
+ * { op: 'update', id, data } or { op: 'delete', id }
+ * @returns {Object} Summary with one result per operation, in request order
+ */
+app.post('/api/products/bulk', rateLimit('bulk'), (req, res) => {
+  try {
+    const { atomic: atomicParam } = req.query;
+    if (atomicParam !== undefined && atomicParam !== 'true' && atomicParam !== 'false') {
+      return res.status(400).json({
+        message: "atomic must be 'true' or 'false'",
+        parameter: 'atomic',
+        received: atomicParam
+      });
+    }
+    const atomic = atomicParam === 'true';
+    
+    const operations = req.body && req.body.operations;
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return res.status(400).json({
+        message: 'operations must be a non-empty array',
+        field: 'operations',
+        received: operations
+      });
+    }
+    
+    if (operations.length > MAX_BULK_OPERATIONS) {
+      return res.status(400).json({
+        message: `A bulk request can contain at most ${MAX_BULK_OPERATIONS} operations`,
+        field: 'operations',
+        received: operations.length
+      });
+    }
+    
+    // Validate everything first so atomic requests can be rejected before any change
+    const plans = planBulkOperations(operations);
+    const failed = plans.filter(plan => plan.error).length;
+    
+    if (atomic && failed > 0) {
+      return res.status(400).json({
+        message: `Bulk request rejected: ${failed} of ${operations.length} operations failed, nothing was applied`,
+        atomic,
+        total: operations.length,
+        succeeded: 0,
+        failed,
+        results: plans.map(({ index, op, status, id, error }) => (error
+          ? { index, op, status, error }
+          : { index, op, status: 424, id, error: { message: 'Not applied because another operation failed' } }
+        )),
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const results = plans.map(plan => {
+      if (plan.error) {
+        const { index, op, status, error } = plan;
+        return { index, op, status, error };
+      }
+      return applyBulkOperation(plan, changeContext(req));
+    });
+    
+    // Log the bulk request for debugging
+    console.log(`Bulk request applied ${operations.length - failed} of ${operations.length} operations`);
+    
+    // 207 Multi-Status tells clients to check the per-operation results
+    res.status(failed > 0 ? 207 : 200).json({
+      message: failed > 0
+        ? `${operations.length - failed} of ${operations.length} operations applied`
+        : `All ${operations.length} operations applied`,
+      atomic,
+      total: operations.length,
+      succeeded: operations.length - failed,
+      failed,
+      results,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error processing bulk request:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Import Products from CSV
+ * @route POST /api/products/import
+ * @description Imports a CSV file sent as the request body (Content-Type text/csv).
+ * The header row names product fields, e.g. as produced by the CSV export. Rows
+ * are validated with the same rules as POST and PATCH; rows with an id upsert
+ * that product, rows without one create a new product. Valid rows are imported
+ * and invalid rows are reported by line number. Counts against the bulk rate limit.
+ * @access Editor
+ * @param {string} [req.query.dryRun] - 'true' to only validate and report, without importing
+ * @param {string} req.body - CSV text
+ * @returns {Object} Summary with one result per data row
+ */
+app.post('/api/products/import', rateLimit('bulk'), express.text({ type: 'text/csv', limit: '10mb' }), (req, res) => {
+  try {
+    const { dryRun: dryRunParam } = req.query;
+    if (dryRunParam !== undefined && dryRunParam !== 'true' && dryRunParam !== 'false') {
+      return res.status(400).json({
+        message: "dryRun must be 'true' or 'false'",
+        parameter: 'dryRun',
+        received: dryRunParam
+      });
+    }
+    const dryRun = dryRunParam === 'true';
+    
+    if (typeof req.body !== 'string') {
+      return res.status(415).json({
+        message: 'Send the CSV file as the request body with Content-Type text/csv',
+        received: req.get('Content-Type') || null
+      });
+    }
+    
+    const { records, error: csvError } = parseCsv(req.body);
+    if (csvError) {
+      return res.status(400).json(csvError);
+    }
+    
+    const [header, ...rows] = records;
+    if (!header || rows.length === 0) {
+      return res.status(400).json({ message: 'CSV file must contain a header row and at least one data row' });
+    }
+    
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        message: `A CSV import can contain at most ${MAX_IMPORT_ROWS} rows`,
+        received: rows.length
+      });
+    }
+    
+    const { columns, error: headerError } = parseCsvHeader(header.fields);
+    if (headerError) {
+      return res.status(400).json(headerError);
+    }
+    
+    const plans = planImportRows(rows, columns);
+    const failed = plans.filter(plan => plan.error).length;
+    const toResult = ({ row, index, op, status, id, error }) => ({ row, index, op, status, id, error });
+    
+    if (dryRun) {
+      return res.json({
+        message: `Dry run: ${rows.length - failed} of ${rows.length} rows are valid, nothing was imported`,
+        dryRun,
+        total: rows.length,
+        succeeded: rows.length - failed,
+        failed,
+        results: plans.map(toResult),
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const results = plans.map(plan => (plan.error
+      ? toResult(plan)
+      : { row: plan.row, ...applyBulkOperation(plan, changeContext(req)) }
+    ));
+    
+    // Log the import for debugging
+    console.log(`CSV import applied ${rows.length - failed} of ${rows.length} rows`);
+    
+    res.status(failed > 0 ? 207 : 200).json({
+      message: `${rows.length - failed} of ${rows.length} rows imported`,
+      dryRun,
+      total: rows.length,
+      succeeded: rows.length - failed,
+      failed,
+      results,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error importing products:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Replace Product
+ * @route PUT /api/products/:id
+ * @description Replace a product with the full document in the request body.
+ * Required fields are the same as for POST, omitted optional fields are reset
+ * to their defaults, and `id` and `createdAt` are kept. If no product has this
+ * ID yet, it is created with the client-chosen ID. Repeating the same request
+ * leaves the product in the same state, so PUT can be used for idempotent syncs.
+ * With If-Match, the product is only replaced while it still has that ETag
+ * (412 Precondition Failed otherwise); REQUIRE_IF_MATCH makes If-Match mandatory
+ * for existing products (428 Precondition Required without it).
+ * @access Editor
+ * @param {string} id - Product ID (must be a valid positive number)
+ * @param {string} [If-Match] - ETag of the product version being replaced
+ * @param {Object} req.body - Complete product data (same fields as POST)
+ * @returns {Object} Replaced product (200) or created product (201)
+ */
+app.put('/api/products/:id', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const replacement = req.body;
+    
+    // Validate ID parameter
+    if (isNaN(id) || id <= 0) {
+      return res.status(400).json({ 
+        message: 'Invalid product ID. ID must be a positive number.',
+        received: req.params.id
+      });
+    }
+    
+    // An ID in the body must agree with the URL
+    if (replacement.id !== undefined && Number(replacement.id) !== id) {
+      return res.status(400).json({
+        message: 'Product ID in the request body does not match the URL',
+        field: 'id',
+        received: replacement.id
+      });
+    }
+    
+    // The replacement must be a complete, valid product (the ID comes from the URL)
+    const existingProduct = productRepository.get(id);
+
+    // A deleted product keeps its ID until it is purged
+    if (!existingProduct && productRepository.getDeleted(id)) {
+      return res.status(409).json({
+        message: `Product ${id} is in the trash. Restore it with POST /api/products/${id}/restore before replacing it.`,
+        received: id
+      });
+    }
+
+    // Refuse to overwrite changes the client has not seen
+    const precondition = ifMatchFailure(req, id, existingProduct);
+    if (precondition) {
+      return res.status(precondition.status).json(precondition.body);
+    }
+
+    const replacementFields = { ...replacement };
+    delete replacementFields.id;
+    const { value: fields, error: validationError } = validateProduct(replacementFields, existingProduct);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+    
+    const now = new Date().toISOString();
+    
+    const savedProduct = productRepository.upsert(id, {
+      ...fields,
+      createdAt: existingProduct ? existingProduct.createdAt : now,
+      updatedAt: now,
+      createdBy: existingProduct ? existingProduct.createdBy : requestActor(req),
+      updatedBy: requestActor(req)
+    }, changeContext(req));
+    indexProduct(savedProduct);
+    
+    if (!existingProduct) {
+      console.log(`New product created with client-chosen ID: ${id}`);
+      return res.status(201).location(`/api/products/${id}`).set('ETag', productETag(savedProduct)).json(savedProduct);
+    }
+    
+    // Log the replacement for debugging
+    console.log(`Product ${id} replaced successfully`);
+    
+    res.set('ETag', productETag(savedProduct)).json(savedProduct);
+    
+  } catch (error) {
+    console.error(`Error replacing product ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Patch Product
+ * @route PATCH /api/products/:id
+ * @description Modify a product with a JSON Merge Patch (RFC 7396) or a JSON Patch
+ * (RFC 6902). The patched product must pass the same validation as POST, and
+ * nothing is saved if any operation or validation rule fails. If-Match works as
+ * for PUT.
+ * @access Editor
+ * @param {string} id - Product ID (must be a valid positive number)
+ * @param {string} [If-Match] - ETag of the product version being patched
+ * @param {Object|Array} req.body - Merge patch object or array of JSON Patch operations
+ * @returns {Object} Patched product object
+ */
+app.patch('/api/products/:id', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    
+    // Validate ID parameter
+    if (isNaN(id) || id <= 0) {
+      return res.status(400).json({ 
+        message: 'Invalid product ID. ID must be a positive number.',
+        received: req.params.id
+      });
+    }
+    
+    // Only the two patch formats are accepted
+    const patchType = req.is(MERGE_PATCH_TYPE, JSON_PATCH_TYPE);
+    if (!patchType) {
+      res.set('Accept-Patch', `${MERGE_PATCH_TYPE}, ${JSON_PATCH_TYPE}`);
+      return res.status(415).json({
+        message: `Unsupported patch format. Use ${MERGE_PATCH_TYPE} or ${JSON_PATCH_TYPE}.`,
+        received: req.get('Content-Type') || null
+      });
+    }
+    
+    const existingProduct = productRepository.get(id);
+    
+    if (!existingProduct) {
+      return res.status(404).json({ 
+        message: `Product with ID ${id} not found`,
+        availableIds: productRepository.ids()
+      });
+    }
+    
+    // Refuse to overwrite changes the client has not seen
+    const precondition = ifMatchFailure(req, id, existingProduct);
+    if (precondition) {
+      return res.status(precondition.status).json(precondition.body);
+    }
+    
+    // Apply the patch to a copy of the product
+    let patchedProduct;
+    try {
+      if (patchType === MERGE_PATCH_TYPE) {
+        if (!isPlainObject(req.body)) {
+          throw patchError(400, 'Merge patch must be a JSON object');
+        }
+        patchedProduct = applyMergePatch(existingProduct, req.body);
+      } else {
+        patchedProduct = applyJsonPatch(existingProduct, req.body);
+      }
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    
+    if (!isPlainObject(patchedProduct)) {
+      return res.status(400).json({ message: 'Patched product must be a JSON object' });
+    }
+    
+    // Identity and timestamps are managed by the server
+    for (const field of READ_ONLY_FIELDS) {
+      if (!util.isDeepStrictEqual(patchedProduct[field], existingProduct[field])) {
+        return res.status(400).json({
+          message: `${field} is read-only and cannot be patched`,
+          field
+        });
+      }
+    }
+    
+    // The patched product must satisfy the same rules as a newly created one
+    const { value: fields, error: validationError } = validateProduct(omitReadOnlyFields(patchedProduct), existingProduct);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+    
+    const updatedProduct = productRepository.update(id, {
+      ...fields,
+      updatedAt: new Date().toISOString(),
+      updatedBy: requestActor(req)
+    }, changeContext(req));
+    indexProduct(updatedProduct);
+    
+    // Log the patch for debugging
+    console.log(`Product ${id} patched successfully`);
+    
+    res.set('ETag', productETag(updatedProduct)).json(updatedProduct);
+    
+  } catch (error) {
+    console.error(`Error patching product ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Delete Product
+ * @route DELETE /api/products/:id
+ * @description Move a product to the trash, where it can be restored until it is
+ * purged after TRASH_RETENTION_DAYS. With purge=true an admin removes the product
+ * for good, whether or not it is in the trash. If-Match works as for PUT.
+ * @access Editor (Admin with purge=true)
+ * @param {string} id - Product ID (must be a valid positive number)
+ * @param {string} [req.query.purge] - 'true' to delete the product permanently
+ * @param {string} [If-Match] - ETag of the product version being deleted
+ * @returns {Object} Success message with deleted product data
+ */
+app.delete('/api/products/:id', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { purge } = req.query;
+    
+    // Validate ID parameter
+    if (isNaN(id) || id <= 0) {
+      return res.status(400).json({ 
+        message: 'Invalid product ID. ID must be a positive number.',
+        received: req.params.id
+      });
+    }
+    
+    if (purge !== undefined && purge !== 'true' && purge !== 'false') {
+      return res.status(400).json({
+        message: "purge must be 'true' or 'false'",
+        parameter: 'purge',
+        received: purge
+      });
+    }
+    
+    if (purge === 'true' && denyUnlessRole(req, res, 'admin')) return;
+    
+    // Only a purge can reach products that are already in the trash
+    const existingProduct = productRepository.get(id)
+      || (purge === 'true' ? productRepository.getDeleted(id) : null);
+    
+    if (!existingProduct) {
+      return res.status(404).json({ 
+        message: `Product with ID ${id} not found`,
+        availableIds: productRepository.ids()
+      });
+    }
+    
+    // Refuse to delete a version the client has not seen
+    const precondition = ifMatchFailure(req, id, existingProduct);
+    if (precondition) {
+      return res.status(precondition.status).json(precondition.body);
+    }
+    
+    if (purge === 'true') {
+      const purgedProduct = purgeProduct(id);
+      
+      // Log the purge for debugging
+      console.log(`Product ${id} purged permanently`);
+      
+      return res.json({
+        message: 'Product deleted permanently',
+        deletedProduct: purgedProduct,
+        purged: true,
+        remainingProducts: productRepository.count(),
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const deletedProduct = trashProduct(id, changeContext(req));
+    
+    // Log the deletion for debugging
+    console.log(`Product ${id} moved to the trash`);
+    
+    // Return success response with deleted product data
+    res.json({
+      message: 'Product deleted successfully. It can be restored from the trash until purgeAt.',
+      deletedProduct: withPurgeTime(deletedProduct),
+      purged: false,
+      remainingProducts: productRepository.count(),
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error(`Error deleting product ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Restore Deleted Product
+ * @route POST /api/products/:id/restore
+ * @description Bring a product back from the trash. It must still be valid: if
+ * its category or brand was deleted, or another product took one of its SKUs,
+ * while it was in the trash, the restore is refused with 409.
+ * @access Editor
+ * @param {string} id - Product ID (must be a valid positive number)
+ * @returns {Object} Restored product
+ */
+app.post('/api/products/:id/restore', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    
+    // Validate ID parameter
+    if (isNaN(id) || id <= 0) {
+      return res.status(400).json({ 
+        message: 'Invalid product ID. ID must be a positive number.',
+        received: req.params.id
+      });
+    }
+    
+    const deletedProduct = productRepository.getDeleted(id);
+    
+    if (!deletedProduct) {
+      if (productRepository.get(id)) {
+        return res.status(409).json({ message: `Product ${id} is not in the trash` });
+      }
+      return res.status(404).json({
+        message: `No product with ID ${id} in the trash`,
+        availableIds: productRepository.list({ deleted: true }).products.map(product => product.id)
+      });
+    }
+    
+    // The catalog may have changed while the product was in the trash
+    const { error: validationError } = validateProduct(omitReadOnlyFields(deletedProduct), deletedProduct);
+    if (validationError) {
+      return res.status(409).json({
+        ...validationError,
+        message: `Product ${id} cannot be restored: ${validationError.message}`
+      });
+    }
+    
+    for (const variant of deletedProduct.variants || []) {
+      const sameSku = findVariantBySku(variant.sku);
+      if (sameSku) {
+        return res.status(409).json({
+          message: `Product ${id} cannot be restored: SKU ${variant.sku} is now used by variant ${sameSku.variant.id} of product ${sameSku.product.id}`,
+          field: 'variants',
+          received: variant.sku
+        });
+      }
+    }
+    
+    const restoredProduct = productRepository.restore(id, {
+      updatedAt: new Date().toISOString(),
+      updatedBy: requestActor(req)
+    }, changeContext(req));
+    indexProduct(restoredProduct);
+    
+    // Log the restore for debugging
+    console.log(`Product ${id} restored from the trash`);
+    
+    res.set('ETag', productETag(restoredProduct)).json(restoredProduct);
+    
+  } catch (error) {
+    console.error(`Error restoring product ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Find a Product for the History Routes
+ * @description Products in the trash keep their history, so it can be checked
+ * before restoring them. Sends the error response itself when the ID is
+ * invalid or unknown.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} The product, or null if a response was sent
+ */
+function findHistoryProduct(req, res) {
+  const id = parseInt(req.params.id);
+
+  if (isNaN(id) || id <= 0) {
+    res.status(400).json({
+      message: 'Invalid product ID. ID must be a positive number.',
+      received: req.params.id
+    });
+    return null;
+  }
+
+  const product = productRepository.get(id) || productRepository.getDeleted(id);
+
+  if (!product) {
+    res.status(404).json({
+      message: `Product with ID ${id} not found`,
+      availableIds: productRepository.ids()
+    });
+    return null;
+  }
+
+  return product;
+}
+
+/**
+ * Find a Product Version
+ * @description Shared lookup for the single-version routes. Sends the error
+ * response itself when the IDs are invalid or the version cannot be rebuilt.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} { product, version, snapshot }, or null if a response was sent
+ */
+function findProductVersion(req, res) {
+  const product = findHistoryProduct(req, res);
+  if (!product) return null;
+
+  const version = parseInt(req.params.version);
+
+  if (isNaN(version) || version <= 0) {
+    res.status(400).json({
+      message: 'Invalid version. Version must be a positive number.',
+      received: req.params.version
+    });
+    return null;
+  }
+
+  const entries = productHistory(product.id);
+  const snapshot = productAtVersion(product, entries, version);
+
+  if (!snapshot) {
+    res.status(404).json({
+      message: `Version ${version} of product ${product.id} is not available`,
+      oldestVersion: oldestProductVersion(product, entries),
+      currentVersion: product.version
+    });
+    return null;
+  }
+
+  return { product, version, snapshot };
+}
+
+/**
+ * Get Product History
+ * @route GET /api/products/:id/history
+ * @description List the changes made to a product, newest first. Each entry
+ * holds the version the change produced, the action (create, update, delete,
+ * restore or revert), a field-level diff, the time, the actor and the request ID.
+ * @access Editor
+ * @param {string} id - Product ID (must be a valid positive number)
+ * @param {number} [req.query.skip] - Number of entries to skip (with limit)
+ * @param {number} [req.query.limit] - Maximum number of entries to return
+ * @param {number} [req.query.page] - Page number (with pageSize)
+ * @param {number} [req.query.pageSize] - Entries per page
+ * @returns {Object} Page of history entries plus the current and oldest available version
+ */
+app.get('/api/products/:id/history', (req, res) => {
+  try {
+    if (denyUnlessRole(req, res, 'editor')) return;
+
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json(pagination.error);
+    }
+
+    const product = findHistoryProduct(req, res);
+    if (!product) return;
+
+    const entries = productHistory(product.id);
+    const limit = pagination.limit !== undefined ? pagination.limit : entries.length;
+
+    res.json({
+      productId: product.id,
+      currentVersion: product.version,
+      oldestVersion: oldestProductVersion(product, entries),
+      entries: entries.slice(pagination.skip, pagination.skip + limit),
+      total: entries.length,
+      skip: pagination.skip,
+      limit,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error fetching history of product ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Get Product Version
+ * @route GET /api/products/:id/history/:version
+ * @description Retrieve the product as it was at a version, rebuilt from its
+ * history. Versions older than the oldest history entry are not available.
+ * @access Editor
+ * @param {string} id - Product ID (must be a valid positive number)
+ * @param {string} version - Version (must be a valid positive number)
+ * @returns {Object} Product at that version
+ */
+app.get('/api/products/:id/history/:version', (req, res) => {
+  try {
+    if (denyUnlessRole(req, res, 'editor')) return;
+
+    const found = findProductVersion(req, res);
+    if (found) {
+      res.json(found.snapshot);
+    }
+  } catch (error) {
+    console.error(`Error fetching version ${req.params.version} of product ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Revert Product
+ * @route POST /api/products/:id/revert/:version
+ * @description Replace the product's editable fields with those it had at an
+ * earlier version. The revert is a new change with a new version; the history
+ * entry records it as a revert with revertedTo. Stock, variants and the rating
+ * stay as they are, since orders, reservations and reviews have moved on since.
+ * The old version must still be valid (e.g. its category must exist), and
+ * If-Match works as for PUT.
+ * @access Editor
+ * @param {string} id - Product ID (must be a valid positive number)
+ * @param {string} version - Version to revert to (must be a valid positive number)
+ * @param {string} [If-Match] - ETag of the product version being reverted
+ * @returns {Object} Reverted product
+ */
+app.post('/api/products/:id/revert/:version', (req, res) => {
+  try {
+    const found = findProductVersion(req, res);
+    if (!found) return;
+
+    const { product, version, snapshot } = found;
+
+    if (product.deletedAt) {
+      return res.status(409).json({
+        message: `Product ${product.id} is in the trash. Restore it with POST /api/products/${product.id}/restore before reverting it.`,
+        received: product.id
+      });
+    }
+
+    if (version === product.version) {
+      return res.status(409).json({
+        message: `Product ${product.id} is already at version ${version}`,
+        received: req.params.version
+      });
+    }
+
+    // Refuse to overwrite changes the client has not seen
+    const precondition = ifMatchFailure(req, product.id, product);
+    if (precondition) {
+      return res.status(precondition.status).json(precondition.body);
+    }
+
+    // The catalog may have changed since that version
+    const { value: fields, error: validationError } = validateProduct(
+      { ...omitReadOnlyFields(snapshot), stock: product.stock },
+      product
+    );
+    if (validationError) {
+      return res.status(409).json({
+        ...validationError,
+        message: `Product ${product.id} cannot be reverted to version ${version}: ${validationError.message}`
+      });
+    }
+
+    const revertedProduct = productRepository.upsert(product.id, {
+      ...fields,
+      createdAt: product.createdAt,
+      updatedAt: new Date().toISOString(),
+      createdBy: product.createdBy,
+      updatedBy: requestActor(req)
+    }, changeContext(req, { action: 'revert', revertedTo: version }));
+    indexProduct(revertedProduct);
+
+    // Log the revert for debugging
+    console.log(`Product ${product.id} reverted to version ${version} (now version ${revertedProduct.version})`);
+
+    res.set('ETag', productETag(revertedProduct)).json(revertedProduct);
+
+  } catch (error) {
+    console.error(`Error reverting product ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Stream Product Events
+ * @route GET /api/events
+ * @description Server-Sent Events stream of product changes: product.created,
+ * product.updated, product.deleted, product.restored and product.purged. Each
+ * event's data holds the product ID, category, version, changed fields and the
+ * product itself. A ready event with the current event ID follows the replay;
+ * a reset event tells a resuming client to reload instead.
+ * @access Public
+ * @param {string} [req.headers.last-event-id] - Resume after this event (sent by browsers when reconnecting)
+ * @param {string} [req.query.lastEventId] - Same as Last-Event-ID, for the first connection
+ * @param {string} [req.query.category] - Only products in these categories (comma-separated)
+ * @param {string} [req.query.productId] - Only these products (comma-separated IDs)
+ * @returns {Stream} text/event-stream
+ */
+app.get('/api/events', (req, res) => {
+  try {
+    const { filter, error } = parseEventFilter(req.query);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    const missed = lastEventId ? productEventsSince(String(lastEventId)) : [];
+    const replay = missed && missed.filter(streamEvent => matchesEventFilter(filter, streamEvent));
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      // Stops nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${EVENT_STREAM_RETRY_MS}\n\n`);
+
+    if (replay) {
+      replay.forEach(streamEvent => res.write(formatStreamEvent(streamEvent)));
+    } else {
+      res.write(formatStreamEvent({
+        event: 'reset',
+        data: {
+          message: 'Some events since Last-Event-ID are no longer available. Reload the products you show.',
+          lastEventId: String(lastEventId),
+          timestamp: new Date().toISOString()
+        }
+      }));
+    }
+
+    res.write(formatStreamEvent({
+      id: `${EVENT_STREAM_ID}-${productEventSequence}`,
+      event: 'ready',
+      data: {
+        categories: filter.categories,
+        productIds: filter.productIds,
+        replayed: replay ? replay.length : 0,
+        timestamp: new Date().toISOString()
+      }
+    }));
+
+    const client = { res, filter };
+    eventStreamClients.add(client);
+    req.on('close', () => eventStreamClients.delete(client));
+
+  } catch (error) {
+    console.error('Error opening event stream:', error);
+    if (res.headersSent) {
+      res.end();
+    } else {
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+});
+
+/**
+ * Adjust Product Stock
+ * @route POST /api/products/:id/stock/adjust
+ * @description Add to or remove from stock by a relative amount in one atomic
+ * step, so concurrent adjustments never overwrite each other. Stock can never
+ * drop below the units held by active reservations (and so never below zero).
+ * @access Editor
+ * @param {string} id - Product ID (must be a valid positive number)
+ * @param {number} req.body.delta - Units to add (positive) or remove (negative)
+ * @returns {Object} Product with stock, reserved and available units
+ */
+app.post('/api/products/:id/stock/adjust', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id) || id <= 0) {
+      return res.status(400).json({
+        message: 'Invalid product ID. ID must be a positive number.',
+        received: req.params.id
+      });
+    }
+
+    const delta = req.body ? req.body.delta : undefined;
+    if (!Number.isInteger(delta) || delta === 0) {
+      return res.status(400).json({
+        message: 'delta must be a non-zero whole number',
+        field: 'delta',
+        received: delta
+      });
+    }
+
+    const product = productRepository.get(id);
+
+    if (!product) {
+      return res.status(404).json({
+        message: `Product with ID ${id} not found`,
+        availableIds: productRepository.ids()
+      });
+    }
+
+    if (hasVariants(product)) {
+      return res.status(409).json({
+        message: `Product ${id} has variants; change the stock of its variants instead`,
+        field: 'delta',
+        received: delta
+      });
+    }
+
+    // Removing stock must leave every reserved unit in place
+    const reserved = reservedUnits(id);
+    const adjustedProduct = productRepository.adjustStock(id, delta, delta < 0 ? reserved : 0, {
+      updatedAt: new Date().toISOString(),
+      updatedBy: requestActor(req)
+    }, changeContext(req));
+
+    if (!adjustedProduct) {
+      const { stock = 0 } = productRepository.get(id);
+      return res.status(409).json({
+        message: `Cannot remove ${-delta} units: only ${Math.max(0, stock - reserved)} are available`,
+        field: 'delta',
+        received: delta,
+        stock,
+        reserved
+      });
+    }
+
+    indexProduct(adjustedProduct);
+
+    // Log the adjustment for debugging
+    console.log(`Product ${id} stock adjusted by ${delta} to ${adjustedProduct.stock}`);
+
+    res.json(withStockLevels(adjustedProduct));
+
+  } catch (error) {
+    console.error(`Error adjusting stock of product ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Get Product Reservations
+ * @route GET /api/products/:id/reservations
+ * @description List all reservations of a product, oldest first
+ * @access Public
+ * @param {string} id - Product ID (must be a valid positive number)
+ * @returns {Object} Reservations plus the product's stock, reserved and available units
+ */
+app.get('/api/products/:id/reservations', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id) || id <= 0) {
+      return res.status(400).json({
+        message: 'Invalid product ID. ID must be a positive number.',
+        received: req.params.id
+      });
+    }
+
+    const product = productRepository.get(id);
+
+    if (!product) {
+      return res.status(404).json({
+        message: `Product with ID ${id} not found`,
+        availableIds: productRepository.ids()
+      });
+    }
+
+    const reservations = reservationRepository.list()
+      .filter(reservation => reservation.productId === id)
+      .map(refreshReservation);
+    const { stock, reserved, available } = withStockLevels(product);
+
+    res.json({
+      reservations,
+      total: reservations.length,
+      stock,
+      reserved,
+      available,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error fetching reservations of product ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Reserve Product Stock
+ * @route POST /api/products/:id/reservations
+ * @description Hold units of a product, e.g. while a customer checks out.
+ * Held units are not available to other reservations or stock removals until
+ * the reservation is committed, released or expires. Products with variants
+ * are reserved one variant at a time.
+ * @access Editor
+ * @param {string} id - Product ID (must be a valid positive number)
+ * @param {number} [req.body.variantId] - Variant to hold units of (required for products with variants)
+ * @param {number} req.body.quantity - Units to hold (positive whole number)
+ * @param {number} [req.body.ttlSeconds] - Seconds until the hold expires (default 900, max 86400)
+ * @returns {Object} Created reservation
+ */
+app.post('/api/products/:id/reservations', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id) || id <= 0) {
+      return res.status(400).json({
+        message: 'Invalid product ID. ID must be a positive number.',
+        received: req.params.id
+      });
+    }
+
+    const { variantId, quantity, ttlSeconds = DEFAULT_RESERVATION_TTL_SECONDS } = req.body || {};
+
+    if (variantId !== undefined && (!Number.isInteger(variantId) || variantId <= 0)) {
+      return res.status(400).json({
+        message: 'variantId must be a positive whole number',
+        field: 'variantId',
+        received: variantId
+      });
+    }
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return res.status(400).json({
+        message: 'quantity must be a positive whole number',
+        field: 'quantity',
+        received: quantity
+      });
+    }
+
+    if (!Number.isInteger(ttlSeconds) || ttlSeconds <= 0 || ttlSeconds > MAX_RESERVATION_TTL_SECONDS) {
+      return res.status(400).json({
+        message: `ttlSeconds must be a whole number between 1 and ${MAX_RESERVATION_TTL_SECONDS}`,
+        field: 'ttlSeconds',
+        received: ttlSeconds
+      });
+    }
+
+    const product = productRepository.get(id);
+
+    if (!product) {
+      return res.status(404).json({
+        message: `Product with ID ${id} not found`,
+        availableIds: productRepository.ids()
+      });
+    }
+
+    const { variant, stock, reserved, available, error: unitError } = stockUnit(product, variantId);
+    if (unitError) {
+      return res.status(hasVariants(product) ? 409 : 400).json(unitError);
+    }
+
+    if (quantity > available) {
+      return res.status(409).json({
+        message: `Cannot reserve ${quantity} units: only ${available} are available`,
+        field: 'quantity',
+        received: quantity,
+        stock,
+        reserved
+      });
+    }
+
+    const now = new Date();
+    const reservation = reservationRepository.create({
+      productId: id,
+      variantId,
+      quantity,
+      status: 'active',
+      expiresAt: new Date(now.getTime() + ttlSeconds * 1000).toISOString(),
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString()
+    });
+
+    // Log the reservation for debugging
+    console.log(`Reserved ${quantity} units of product ${id}${variant ? ` variant ${variant.id}` : ''} (reservation ${reservation.id})`);
+
+    res.status(201)
+      .location(`/api/products/${id}/reservations/${reservation.id}`)
+      .json(reservation);
+
+  } catch (error) {
+    console.error(`Error reserving stock of product ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Find a Product Reservation
+ * @description Shared lookup for the single-reservation routes. Sends the
+ * error response itself when the IDs are invalid or unknown.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} The reservation (expired if its time is up), or null if a response was sent
+ */
+function findProductReservation(req, res) {
+  const id = parseInt(req.params.id);
+  const reservationId = parseInt(req.params.reservationId);
+
+  if (isNaN(id) || id <= 0 || isNaN(reservationId) || reservationId <= 0) {
+    res.status(400).json({
+      message: 'Invalid ID. Product and reservation IDs must be positive numbers.',
+      received: { id: req.params.id, reservationId: req.params.reservationId }
+    });
+    return null;
+  }
+
+  const reservation = reservationRepository.get(reservationId);
+
+  if (!reservation || reservation.productId !== id) {
+    res.status(404).json({ message: `Reservation ${reservationId} not found for product ${id}` });
+    return null;
+  }
+
+  return refreshReservation(reservation);
+}
+
+/**
+ * Get Product Reservation
+ * @route GET /api/products/:id/reservations/:reservationId
+ * @description Retrieve a single reservation
+ * @access Public
+ * @returns {Object} Reservation
+ */
+app.get('/api/products/:id/reservations/:reservationId', (req, res) => {
+  try {
+    const reservation = findProductReservation(req, res);
+    if (reservation) {
+      res.json(reservation);
+    }
+  } catch (error) {
+    console.error(`Error fetching reservation ${req.params.reservationId}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Commit Product Reservation
+ * @route POST /api/products/:id/reservations/:reservationId/commit
+ * @description Turn an active reservation into a sale: the held units are
+ * removed from stock and the hold ends
+ * @access Editor
+ * @returns {Object} Committed reservation
+ */
+app.post('/api/products/:id/reservations/:reservationId/commit', (req, res) => {
+  try {
+    const reservation = findProductReservation(req, res);
+    if (!reservation) return;
+
+    if (reservation.status !== 'active') {
+      return res.status(409).json({
+        message: `Reservation ${reservation.id} is ${reservation.status} and can no longer be committed`,
+        status: reservation.status
+      });
+    }
+
+    // The product may have gained variants, or lost the variant, since the hold was made
+    const current = productRepository.get(reservation.productId);
+    const { error: unitError } = current ? stockUnit(current, reservation.variantId) : {};
+    if (unitError) {
+      return res.status(409).json({ message: unitError.message, status: reservation.status });
+    }
+
+    // The committed units leave stock; all other holds must stay covered
+    const otherReserved = reservedUnits(reservation.productId, reservation.variantId) - reservation.quantity;
+    const now = new Date().toISOString();
+    const product = adjustUnitStock(reservation.productId, reservation.variantId, -reservation.quantity, otherReserved, {
+      updatedAt: now,
+      updatedBy: requestActor(req)
+    }, changeContext(req));
+
+    if (!product) {
+      return res.status(409).json({
+        message: reservation.variantId === undefined
+          ? `Product ${reservation.productId} no longer has the ${reservation.quantity} reserved units in stock`
+          : `Variant ${reservation.variantId} of product ${reservation.productId} no longer has the ${reservation.quantity} reserved units in stock`,
+        status: reservation.status
+      });
+    }
+
+    indexProduct(product);
+    const committed = reservationRepository.update(reservation.id, { status: 'committed', updatedAt: now });
+
+    // Log the commit for debugging
+    console.log(`Reservation ${reservation.id} committed, product ${product.id} stock is now ${product.stock}`);
+
+    res.json(committed);
+
+  } catch (error) {
+    console.error(`Error committing reservation ${req.params.reservationId}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Release Product Reservation
+ * @route POST /api/products/:id/reservations/:reservationId/release
+ * @description End an active reservation without a sale, making its units available again
+ * @access Editor
+ * @returns {Object} Released reservation
+ */
+app.post('/api/products/:id/reservations/:reservationId/release', (req, res) => {
+  try {
+    const reservation = findProductReservation(req, res);
+    if (!reservation) return;
+
+    if (reservation.status !== 'active') {
+      return res.status(409).json({
+        message: `Reservation ${reservation.id} is ${reservation.status} and can no longer be released`,
+        status: reservation.status
+      });
+    }
+
+    const released = reservationRepository.update(reservation.id, {
+      status: 'released',
+      updatedAt: new Date().toISOString()
+    });
+
+    // Log the release for debugging
+    console.log(`Reservation ${reservation.id} released`);
+
+    res.json(released);
+
+  } catch (error) {
+    console.error(`Error releasing reservation ${req.params.reservationId}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Find a Product for the Variant Routes
+ * @description Sends the error response itself when the ID is invalid or unknown
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} The product, or null if a response was sent
+ */
+function findVariantProduct(req, res) {
+  const id = parseInt(req.params.id);
+
+  if (isNaN(id) || id <= 0) {
+    res.status(400).json({
+      message: 'Invalid product ID. ID must be a positive number.',
+      received: req.params.id
+    });
+    return null;
+  }
+
+  const product = productRepository.get(id);
+
+  if (!product) {
+    res.status(404).json({
+      message: `Product with ID ${id} not found`,
+      availableIds: productRepository.ids()
+    });
+    return null;
+  }
+
+  return product;
+}
+
+/**
+ * Find a Product Variant
+ * @description Shared lookup for the single-variant routes. Sends the error
+ * response itself when the IDs are invalid or unknown.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} { product, variant }, or null if a response was sent
+ */
+function findProductVariant(req, res) {
+  const product = findVariantProduct(req, res);
+  if (!product) return null;
+
+  const variantId = parseInt(req.params.variantId);
+
+  if (isNaN(variantId) || variantId <= 0) {
+    res.status(400).json({
+      message: 'Invalid variant ID. ID must be a positive number.',
+      received: req.params.variantId
+    });
+    return null;
+  }
+
+  const variants = product.variants || [];
+  const variant = variants.find(candidate => candidate.id === variantId);
+
+  if (!variant) {
+    res.status(404).json({
+      message: `Variant ${variantId} not found for product ${product.id}`,
+      availableIds: variants.map(v => v.id)
+    });
+    return null;
+  }
+
+  return { product, variant };
+}
+
+/**
+ * Find a Variant Conflict
+ * @description SKUs are unique across the catalog and no two variants of a
+ * product may have the same option values
+ * @param {Object} product - Product the variant belongs to
+ * @param {Object} fields - Validated variant fields
+ * @param {number|null} variantId - ID of the variant being replaced, if any
+ * @returns {Object|null} 409 response body, or null when there is no conflict
+ */
+function variantConflict(product, fields, variantId) {
+  const sameSku = findVariantBySku(fields.sku);
+  if (sameSku && !(sameSku.product.id === product.id && sameSku.variant.id === variantId)) {
+    return {
+      message: `SKU ${sameSku.variant.sku} is already used by variant ${sameSku.variant.id} of product ${sameSku.product.id}`,
+      field: 'sku',
+      received: fields.sku
+    };
+  }
+
+  const sameOptions = (product.variants || []).find(variant =>
+    variant.id !== variantId && util.isDeepStrictEqual(variant.options, fields.options)
+  );
+  if (sameOptions) {
+    return {
+      message: `Variant ${sameOptions.sku} already has these options`,
+      field: 'options',
+      received: fields.options
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Get Product Variants
+ * @route GET /api/products/:id/variants
+ * @description List the option axes and variants of a product
+ * @access Public
+ * @param {string} id - Product ID (must be a valid positive number)
+ * @returns {Object} Options, variants and the product's total stock
+ */
+app.get('/api/products/:id/variants', (req, res) => {
+  try {
+    const product = findVariantProduct(req, res);
+    if (!product) return;
+    
+    const variants = product.variants || [];
+    
+    res.json({
+      productId: product.id,
+      options: product.options || [],
+      variants,
+      total: variants.length,
+      stock: product.stock || 0,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error fetching variants of product ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Get Product Variant
+ * @route GET /api/products/:id/variants/:variantId
+ * @description Retrieve a single variant
+ * @access Public
+ * @returns {Object} Variant
+ */
+app.get('/api/products/:id/variants/:variantId', (req, res) => {
+  try {
+    const found = findProductVariant(req, res);
+    if (found) {
+      res.json(found.variant);
+    }
+  } catch (error) {
+    console.error(`Error fetching variant ${req.params.variantId}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Create Product Variant
+ * @route POST /api/products/:id/variants
+ * @description Add a variant to a product. The product's stock becomes the
+ * total stock of its variants.
+ * @access Editor
+ * @param {string} id - Product ID (must be a valid positive number)
+ * @param {string} req.body.sku - Stock keeping unit (required, unique)
+ * @param {Object} req.body.options - One value per product option, e.g. { "size": "10" } (required)
+ * @param {number} [req.body.stock] - Units in stock (default 0)
+ * @param {number} [req.body.price] - Price override; the product price applies without one
+ * @param {Array} [req.body.images] - Variant image URLs
+ * @returns {Object} Created variant
+ */
+app.post('/api/products/:id/variants', (req, res) => {
+  try {
+    const product = findVariantProduct(req, res);
+    if (!product) return;
+    
+    const { value: fields, error: validationError } = validateVariant(req.body, product);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+    
+    const conflict = variantConflict(product, fields, null);
+    if (conflict) {
+      return res.status(409).json(conflict);
+    }
+    
+    const variants = product.variants || [];
+    const createdVariant = { id: Math.max(0, ...variants.map(v => v.id)) + 1, ...fields };
+    const updatedProduct = saveVariants(product.id, [...variants, createdVariant], changeContext(req));
+    
+    // Log the creation for debugging
+    console.log(`Variant ${createdVariant.id} (${createdVariant.sku}) added to product ${product.id}, stock is now ${updatedProduct.stock}`);
+    
+    res.status(201)
+      .location(`/api/products/${product.id}/variants/${createdVariant.id}`)
+      .json(createdVariant);
+
+  } catch (error) {
+    console.error(`Error creating variant of product ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Replace Product Variant
+ * @route PUT /api/products/:id/variants/:variantId
+ * @description Replace a variant's SKU, options, stock, price override and images
+ * @access Editor
+ * @param {Object} req.body - Complete variant data (same fields as POST)
+ * @returns {Object} Replaced variant
+ */
+app.put('/api/products/:id/variants/:variantId', (req, res) => {
+  try {
+    const found = findProductVariant(req, res);
+    if (!found) return;
+    
+    const { product, variant } = found;
+    const replacement = { ...(req.body || {}) };
+    
+    // An ID in the body must agree with the URL
+    if (replacement.id !== undefined && Number(replacement.id) !== variant.id) {
+      return res.status(400).json({
+        message: 'Variant ID in the request body does not match the URL',
+        field: 'id',
+        received: replacement.id
+      });
+    }
+    delete replacement.id;
+    
+    const { value: fields, error: validationError } = validateVariant(replacement, product);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+    
+    const conflict = variantConflict(product, fields, variant.id);
+    if (conflict) {
+      return res.status(409).json(conflict);
+    }
+    
+    // Like stock adjustments, a replacement must leave every reserved unit in place
+    const reserved = reservedUnits(product.id, variant.id);
+    if (fields.stock < reserved) {
+      return res.status(400).json(validationErrorBody('Variant', [{
+        field: 'stock',
+        message: `Stock cannot be less than the ${reserved} units held by active reservations`,
+        received: fields.stock
+      }]));
+    }
+    
+    const replacedVariant = { id: variant.id, ...fields };
+    const updatedProduct = saveVariants(product.id, product.variants.map(candidate =>
+      candidate.id === variant.id ? replacedVariant : candidate
+    ), changeContext(req));
+    
+    // Log the replacement for debugging
+    console.log(`Variant ${variant.id} of product ${product.id} replaced, stock is now ${updatedProduct.stock}`);
+    
+    res.json(replacedVariant);
+
+  } catch (error) {
+    console.error(`Error replacing variant ${req.params.variantId}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Delete Product Variant
+ * @route DELETE /api/products/:id/variants/:variantId
+ * @description Remove a variant; its stock no longer counts towards the product.
+ * Variants with active reservations cannot be deleted.
+ * @access Editor
+ * @returns {Object} Success message with the deleted variant and the product's stock
+ */
+app.delete('/api/products/:id/variants/:variantId', (req, res) => {
+  try {
+    const found = findProductVariant(req, res);
+    if (!found) return;
+    
+    const { product, variant } = found;
+    
+    const reserved = reservedUnits(product.id, variant.id);
+    if (reserved > 0) {
+      return res.status(409).json({
+        message: `Variant ${variant.id} has ${reserved} units held by active reservations. Commit or release them first.`,
+        reserved
+      });
+    }
+    const updatedProduct = saveVariants(product.id, product.variants.filter(candidate => candidate.id !== variant.id), changeContext(req));
+    
+    // Log the deletion for debugging
+    console.log(`Variant ${variant.id} of product ${product.id} deleted successfully`);
+    
+    res.json({
+      message: 'Variant deleted successfully',
+      deletedVariant: variant,
+      stock: updatedProduct.stock,
+      remainingVariants: updatedProduct.variants.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Error deleting variant ${req.params.variantId}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Find a Product Review
+ * @description Shared lookup for the single-review routes. Sends the error
+ * response itself when the IDs are invalid or unknown. Reviews of products in
+ * the trash are not found, like their product, so they cannot change until
+ * it is restored.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} The review, or null if a response was sent
+ */
+function findProductReview(req, res) {
+  const id = parseInt(req.params.id);
+  const reviewId = parseInt(req.params.reviewId);
+
+  if (isNaN(id) || id <= 0 || isNaN(reviewId) || reviewId <= 0) {
+    res.status(400).json({
+      message: 'Invalid ID. Product and review IDs must be positive numbers.',
+      received: { id: req.params.id, reviewId: req.params.reviewId }
+    });
+    return null;
+  }
+
+  if (!productRepository.get(id)) {
+    res.status(404).json({
+      message: `Product with ID ${id} not found`,
+      availableIds: productRepository.ids()
+    });
+    return null;
+  }
+
+  const review = reviewRepository.get(reviewId);
+
+  if (!review || review.productId !== id) {
+    res.status(404).json({ message: `Review ${reviewId} not found for product ${id}` });
+    return null;
+  }
+
+  return review;
+}
+
+/**
+ * Get Product Reviews
+ * @route GET /api/products/:id/reviews
+ * @description Retrieve the reviews of a product with pagination and sorting.
+ * Only approved reviews are listed unless another status is requested.
+ * @access Public for approved reviews, Editor for the others
+ * @param {string} id - Product ID (must be a valid positive number)
+ * @param {string} [req.query.status] - approved (default), pending, rejected or all
+ * @param {string} [req.query.sortBy] - createdAt (default) or score
+ * @param {string} [req.query.order] - desc (default) or asc
+ * @param {number} [req.query.skip] - Number of reviews to skip (with limit)
+ * @param {number} [req.query.limit] - Maximum number of reviews to return
+ * @param {number} [req.query.page] - Page number (with pageSize)
+ * @param {number} [req.query.pageSize] - Reviews per page
+ * @returns {Object} Page of reviews plus the product's rating and reviewCount
+ */
+app.get('/api/products/:id/reviews', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    
+    if (isNaN(id) || id <= 0) {
+      return res.status(400).json({
+        message: 'Invalid product ID. ID must be a positive number.',
+        received: req.params.id
+      });
+    }
+    
+    const { status = 'approved', sortBy = 'createdAt', order = 'desc' } = req.query;
+    
+    if (status !== 'all' && !REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        message: `status must be one of: ${REVIEW_STATUSES.join(', ')}, all`,
+        parameter: 'status',
+        received: status
+      });
+    }
+    
+    // Reviews awaiting or failing moderation are not published
+    if (status !== 'approved' && denyUnlessRole(req, res, 'editor')) return;
+    
+    if (!REVIEW_SORT_FIELDS.includes(sortBy)) {
+      return res.status(400).json({
+        message: `sortBy must be one of: ${REVIEW_SORT_FIELDS.join(', ')}`,
+        parameter: 'sortBy',
+        received: sortBy
+      });
+    }
+    
+    if (order !== 'asc' && order !== 'desc') {
+      return res.status(400).json({
+        message: "order must be 'asc' or 'desc'",
+        parameter: 'order',
+        received: order
+      });
+    }
+    
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json(pagination.error);
+    }
+    
+    const product = productRepository.get(id);
+    
+    if (!product) {
+      return res.status(404).json({
+        message: `Product with ID ${id} not found`,
+        availableIds: productRepository.ids()
+      });
+    }
+    
+    // Ties are broken by id so pages are stable
+    const direction = order === 'desc' ? -1 : 1;
+    const reviews = reviewRepository.list()
+      .filter(review => review.productId === id && (status === 'all' || review.status === status))
+      .sort((a, b) => {
+        const left = a[sortBy];
+        const right = b[sortBy];
+        return ((left < right ? -1 : left > right ? 1 : 0) || a.id - b.id) * direction;
+      });
+    const limit = pagination.limit !== undefined ? pagination.limit : reviews.length;
+    
+    res.json({
+      reviews: reviews.slice(pagination.skip, pagination.skip + limit),
+      total: reviews.length,
+      skip: pagination.skip,
+      limit,
+      rating: product.rating || 0,
+      reviewCount: product.reviewCount || 0,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error fetching reviews of product ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Get Product Review
+ * @route GET /api/products/:id/reviews/:reviewId
+ * @description Retrieve a single review. Editors get reviews of any moderation
+ * status; everyone else only approved reviews (404 for the others).
+ * @access Public
+ * @returns {Object} Review
+ */
+app.get('/api/products/:id/reviews/:reviewId', (req, res) => {
+  try {
+    const review = findProductReview(req, res);
+    if (!review) return;
+    
+    if (review.status !== 'approved' && !(req.auth && hasRole(req.auth.role, 'editor'))) {
+      return res.status(404).json({ message: `Review ${review.id} not found for product ${review.productId}` });
+    }
+    
+    res.json(review);
+  } catch (error) {
+    console.error(`Error fetching review ${req.params.reviewId}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Create Product Review
+ * @route POST /api/products/:id/reviews
+ * @description Submit a review. New reviews are pending and only count towards
+ * the product rating once approved.
+ * @access Public (Viewer with API_READ_ACCESS=viewer)
+ * @param {string} id - Product ID (must be a valid positive number)
+ * @param {string} req.body.author - Reviewer name (required)
+ * @param {number} req.body.score - Whole number from 1 to 5 (required)
+ * @param {string} req.body.title - Review title (required)
+ * @param {string} [req.body.body] - Review text
+ * @returns {Object} Created review
+ */
+app.post('/api/products/:id/reviews', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    
+    if (isNaN(id) || id <= 0) {
+      return res.status(400).json({
+        message: 'Invalid product ID. ID must be a positive number.',
+        received: req.params.id
+      });
+    }
+    
+    if (!productRepository.get(id)) {
+      return res.status(404).json({
+        message: `Product with ID ${id} not found`,
+        availableIds: productRepository.ids()
+      });
+    }
+    
+    const { value: fields, error: validationError } = validateReview(req.body);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+    
+    const now = new Date().toISOString();
+    const createdReview = reviewRepository.create({
+      productId: id,
+      ...fields,
+      status: 'pending',
+      createdAt: now,
+      updatedAt: now
+    });
+    
+    // Log the creation for debugging
+    console.log(`New review ${createdReview.id} submitted for product ${id}`);
+    
+    res.status(201)
+      .location(`/api/products/${id}/reviews/${createdReview.id}`)
+      .json(createdReview);
+
+  } catch (error) {
+    console.error(`Error creating review for product ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Update Product Review
+ * @route PATCH /api/products/:id/reviews/:reviewId
+ * @description Edit a review and/or change its moderation status. Only the
+ * given fields change; the product rating is recalculated.
+ * @access Editor
+ * @param {string} [req.body.author] - Reviewer name
+ * @param {number} [req.body.score] - Whole number from 1 to 5
+ * @param {string} [req.body.title] - Review title
+ * @param {string} [req.body.body] - Review text
+ * @param {string} [req.body.status] - pending, approved or rejected
+ * @returns {Object} Updated review
+ */
+app.patch('/api/products/:id/reviews/:reviewId', (req, res) => {
+  try {
+    const review = findProductReview(req, res);
+    if (!review) return;
+    
+    if (!isPlainObject(req.body)) {
+      return res.status(400).json({ message: 'Review update must be a JSON object', received: req.body });
+    }
+    
+    // Moderation status is checked separately from the editable fields
+    const { status, ...changes } = req.body;
+    const { value: fields, errors } = SchemaValidator.validate(REVIEW_SCHEMA, changes, { partial: true });
+    if (status !== undefined && !REVIEW_STATUSES.includes(status)) {
+      errors.push({
+        field: 'status',
+        message: `status must be one of: ${REVIEW_STATUSES.join(', ')}`,
+        received: status
+      });
+    }
+    
+    const validationError = validationErrorBody('Review', errors);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+    
+    const updatedReview = reviewRepository.update(review.id, {
+      ...fields,
+      ...(status !== undefined ? { status } : {}),
+      updatedAt: new Date().toISOString()
+    });
+    const product = refreshProductRating(review.productId, changeContext(req));
+    
+    // Log the update for debugging
+    console.log(`Review ${review.id} updated (${updatedReview.status}), product ${review.productId} rating is now ${product.rating}`);
+    
+    res.json(updatedReview);
+
+  } catch (error) {
+    console.error(`Error updating review ${req.params.reviewId}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Delete Product Review
+ * @route DELETE /api/products/:id/reviews/:reviewId
+ * @description Delete a review and recalculate the product rating
+ * @access Editor
+ * @returns {Object} Success message with the deleted review and the new rating
+ */
+app.delete('/api/products/:id/reviews/:reviewId', (req, res) => {
+  try {
+    const review = findProductReview(req, res);
+    if (!review) return;
+    
+    const deletedReview = reviewRepository.delete(review.id);
+    const product = refreshProductRating(review.productId, changeContext(req));
+    
+    // Log the deletion for debugging
+    console.log(`Review ${review.id} deleted successfully`);
+    
+    res.json({
+      message: 'Review deleted successfully',
+      deletedReview,
+      rating: product.rating,
+      reviewCount: product.reviewCount,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Error deleting review ${req.params.reviewId}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Get All Categories
+ * @route GET /api/categories
+ * @description Retrieve all categories as a flat list, or as a tree of root
+ * categories with nested children when tree=true
+ * @access Public
+ * @param {string} [req.query.tree] - 'true' to nest subcategories under their parents
+ * @returns {Object} Categories and their total count
+ */
+app.get('/api/categories', (req, res) => {
+  try {
+    const { tree } = req.query;
+    if (tree !== undefined && tree !== 'true' && tree !== 'false') {
+      return res.status(400).json({
+        message: "tree must be 'true' or 'false'",
+        parameter: 'tree',
+        received: tree
+      });
+    }
+    
+    const stored = categoryRepository.list();
+    const categories = stored.map(category => describeCategory(category, stored));
+    
+    if (tree === 'true') {
+      const nest = category => ({
+        ...category,
+        children: categories.filter(child => child.parent === category.slug).map(nest)
+      });
+      
+      return res.json({
+        categories: categories.filter(category => category.parent === null).map(nest),
+        total: categories.length,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    res.json({
+      categories,
+      total: categories.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Get Single Category
+ * @route GET /api/categories/:slug
+ * @description Retrieve a category with its direct subcategories and product count
+ * @access Public
+ * @param {string} slug - Category slug
+ * @returns {Object} Category object or error message
+ */
+app.get('/api/categories/:slug', (req, res) => {
+  try {
+    const category = categoryRepository.get(req.params.slug);
+    
+    if (!category) {
+      return res.status(404).json({
+        message: `Category "${req.params.slug}" not found`,
+        availableCategories: categoryRepository.list().map(c => c.slug)
+      });
+    }
+    
+    res.json(describeCategory(category));
+  } catch (error) {
+    console.error(`Error fetching category ${req.params.slug}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Get Category Products
+ * @route GET /api/categories/:slug/products
+ * @description Retrieve the products of a category and all of its descendant
+ * categories. Supports the pagination, sorting and filter parameters of
+ * GET /api/products.
+ * @access Public
+ * @param {string} slug - Category slug
+ * @returns {Object} Products plus the category slugs that were included
+ */
+app.get('/api/categories/:slug/products', (req, res) => {
+  try {
+    const category = categoryRepository.get(req.params.slug);
+    
+    if (!category) {
+      return res.status(404).json({
+        message: `Category "${req.params.slug}" not found`,
+        availableCategories: categoryRepository.list().map(c => c.slug)
+      });
+    }
+    
+    const { options, error } = parseListQuery(req.query);
+    if (error) {
+      return res.status(400).json(error);
+    }
+    
+    const categories = categorySubtree(category.slug);
+    options.filters.categories = categories;
+    
+    res.json({
+      category: category.slug,
+      categories,
+      ...productRepository.list(options),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error fetching products of category ${req.params.slug}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Create Category
+ * @route POST /api/categories
+ * @description Create a new category. The slug is derived from the name when
+ * it is not given.
+ * @access Editor
+ * @param {string} req.body.name - Display name (required)
+ * @param {string} [req.body.slug] - URL-friendly identifier
+ * @param {string} [req.body.parent] - Slug of the parent category
+ * @param {string} [req.body.description] - Category description
+ * @returns {Object} Created category
+ */
+app.post('/api/categories', (req, res) => {
+  try {
+    const { value: fields, error: validationError } = validateCategory(req.body);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+    
+    if (categoryRepository.get(fields.slug)) {
+      return res.status(409).json({
+        message: `Category "${fields.slug}" already exists`,
+        field: 'slug',
+        received: fields.slug
+      });
+    }
+    
+    const now = new Date().toISOString();
+    const createdCategory = categoryRepository.create({ ...fields, createdAt: now, updatedAt: now });
+    
+    // Log the creation for debugging
+    console.log(`New category created: ${createdCategory.slug}`);
+    
+    res.status(201)
+      .location(`/api/categories/${createdCategory.slug}`)
+      .json(describeCategory(createdCategory));
+    
+  } catch (error) {
+    console.error('Error creating category:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Replace Category
+ * @route PUT /api/categories/:slug
+ * @description Replace a category's name, parent and description, or create
+ * the category with this slug if it does not exist yet. The slug cannot be
+ * changed because products reference it.
+ * @access Editor
+ * @param {string} slug - Category slug
+ * @param {Object} req.body - Complete category data (same fields as POST)
+ * @returns {Object} Replaced category (200) or created category (201)
+ */
+app.put('/api/categories/:slug', (req, res) => {
+  try {
+    const { slug } = req.params;
+    
+    if (req.body && req.body.slug !== undefined && req.body.slug !== slug) {
+      return res.status(400).json({
+        message: 'Category slug in the body does not match the URL. Slugs cannot be changed.',
+        field: 'slug',
+        received: req.body.slug
+      });
+    }
+    
+    const { value: fields, error: validationError } = validateCategory({ ...req.body, slug });
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+    
+    const existingCategory = categoryRepository.get(slug);
+    const now = new Date().toISOString();
+    const category = categoryRepository.upsert(slug, {
+      ...fields,
+      createdAt: existingCategory ? existingCategory.createdAt : now,
+      updatedAt: now
+    });
+    
+    // Log the change for debugging
+    console.log(`Category ${slug} ${existingCategory ? 'replaced' : 'created'} successfully`);
+    
+    if (!existingCategory) {
+      res.status(201).location(`/api/categories/${slug}`);
+    }
+    res.json(describeCategory(category));
+    
+  } catch (error) {
+    console.error(`Error replacing category ${req.params.slug}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Delete Category
+ * @route DELETE /api/categories/:slug
+ * @description Delete a category. A category that still has products or
+ * subcategories is only deleted when reassignTo names another category; its
+ * products and subcategories are then moved there first.
+ * @access Editor
+ * @param {string} slug - Category slug
+ * @param {string} [req.query.reassignTo] - Slug of the category that takes over products and subcategories
+ * @returns {Object} Success message with the deleted category and what was reassigned
+ */
+app.delete('/api/categories/:slug', (req, res) => {
+  try {
+    const { slug } = req.params;
+    const { reassignTo } = req.query;
+    const category = categoryRepository.get(slug);
+    
+    if (!category) {
+      return res.status(404).json({
+        message: `Category "${slug}" not found`,
+        availableCategories: categoryRepository.list().map(c => c.slug)
+      });
+    }
+    
+    const products = productRepository.list({ filters: { category: slug } }).products;
+    const subcategories = categoryRepository.list().filter(child => child.parent === slug);
+    
+    if (reassignTo === undefined && (products.length > 0 || subcategories.length > 0)) {
+      return res.status(409).json({
+        message: `Category "${slug}" still has ${products.length} products and ${subcategories.length} subcategories. Pass reassignTo=<slug> to move them before deleting.`,
+        productCount: products.length,
+        subcategories: subcategories.map(child => child.slug)
+      });
+    }
+    
+    if (reassignTo !== undefined) {
+      if (!categoryRepository.get(reassignTo)) {
+        return res.status(400).json({
+          message: `Category "${reassignTo}" does not exist`,
+          parameter: 'reassignTo',
+          received: reassignTo
+        });
+      }
+      
+      if (categorySubtree(slug).includes(reassignTo)) {
+        return res.status(400).json({
+          message: 'Products cannot be reassigned to the deleted category or one of its subcategories',
+          parameter: 'reassignTo',
+          received: reassignTo
+        });
+      }
+    }
+    
+    // Move products and subcategories before removing the category
+    const now = new Date().toISOString();
+    products.forEach(product => {
+      indexProduct(productRepository.update(product.id, { category: reassignTo, updatedAt: now, updatedBy: requestActor(req) }, changeContext(req)));
+    });
+    subcategories.forEach(child => {
+      categoryRepository.update(child.slug, { parent: reassignTo, updatedAt: now });
+    });
+    
+    const deletedCategory = categoryRepository.delete(slug);
+    
+    // Log the deletion for debugging
+    console.log(`Category ${slug} deleted successfully`);
+    
+    res.json({
+      message: 'Category deleted successfully',
+      deletedCategory,
+      reassignedTo: reassignTo || null,
+      reassignedProducts: products.length,
+      reassignedCategories: subcategories.length,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error(`Error deleting category ${req.params.slug}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Get All Brands
+ * @route GET /api/brands
+ * @description Retrieve all brands with the number of products of each
+ * @access Public
+ * @returns {Object} Brands and their total count
+ */
+app.get('/api/brands', (req, res) => {
+  try {
+    const brands = brandRepository.list().map(brand => ({
+      ...brand,
+      productCount: productRepository.list({ filters: { brand: brand.name }, limit: 0 }).total
+    }));
+    
+    res.json({
+      brands,
+      total: brands.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching brands:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Get Single Brand
+ * @route GET /api/brands/:id
+ * @description Retrieve a brand by its ID
+ * @access Public
+ * @param {string} id - Brand ID (must be a valid positive number)
+ * @returns {Object} Brand object or error message
+ */
+app.get('/api/brands/:id', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    
+    if (isNaN(id) || id <= 0) {
+      return res.status(400).json({
+        message: 'Invalid brand ID. ID must be a positive number.',
+        received: req.params.id
+      });
+    }
+    
+    const brand = brandRepository.get(id);
+    
+    if (!brand) {
+      return res.status(404).json({
+        message: `Brand with ID ${id} not found`,
+        availableIds: brandRepository.list().map(b => b.id)
+      });
+    }
+    
+    res.json(brand);
+  } catch (error) {
+    console.error(`Error fetching brand ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Get Brand Statistics
+ * @route GET /api/brands/:id/stats
+ * @description Catalog statistics for a brand: product count, average rating,
+ * average effective price (after discountPercentage) and total units in stock
+ * @access Public
+ * @param {string} id - Brand ID (must be a valid positive number)
+ * @returns {Object} Brand statistics
+ */
+app.get('/api/brands/:id/stats', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    
+    if (isNaN(id) || id <= 0) {
+      return res.status(400).json({
+        message: 'Invalid brand ID. ID must be a positive number.',
+        received: req.params.id
+      });
+    }
+    
+    const brand = brandRepository.get(id);
+    
+    if (!brand) {
+      return res.status(404).json({
+        message: `Brand with ID ${id} not found`,
+        availableIds: brandRepository.list().map(b => b.id)
+      });
+    }
+    
+    res.json({
+      brandId: brand.id,
+      brand: brand.name,
+      ...brandStats(brand),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error calculating stats for brand ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Create Brand
+ * @route POST /api/brands
+ * @description Create a new brand
+ * @access Editor
+ * @param {string} req.body.name - Brand name (required, unique)
+ * @param {string} [req.body.country] - Country of origin
+ * @param {string} [req.body.logoUrl] - Logo image URL
+ * @param {string} [req.body.description] - Brand description
+ * @returns {Object} Created brand
+ */
+app.post('/api/brands', (req, res) => {
+  try {
+    const { value: fields, error: validationError } = validateBrand(req.body);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+    
+    // Products reference brands by name, so names must be unique
+    const sameName = findBrandByName(fields.name);
+    if (sameName) {
+      return res.status(409).json({
+        message: `Brand "${sameName.name}" already exists with ID ${sameName.id}`,
+        field: 'name',
+        received: fields.name
+      });
+    }
+    
+    const now = new Date().toISOString();
+    const createdBrand = brandRepository.create({ ...fields, createdAt: now, updatedAt: now });
+    
+    // Log the creation for debugging
+    console.log(`New brand created with ID: ${createdBrand.id}`);
+    
+    res.status(201).location(`/api/brands/${createdBrand.id}`).json(createdBrand);
+    
+  } catch (error) {
+    console.error('Error creating brand:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Replace Brand
+ * @route PUT /api/brands/:id
+ * @description Replace a brand's metadata. Renaming a brand also renames it on
+ * all of its products.
+ * @access Editor
+ * @param {string} id - Brand ID (must be a valid positive number)
+ * @param {Object} req.body - Complete brand data (same fields as POST)
+ * @returns {Object} Replaced brand
+ */
+app.put('/api/brands/:id', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    
+    if (isNaN(id) || id <= 0) {
+      return res.status(400).json({
+        message: 'Invalid brand ID. ID must be a positive number.',
+        received: req.params.id
+      });
+    }
+    
+    const existingBrand = brandRepository.get(id);
+    
+    if (!existingBrand) {
+      return res.status(404).json({
+        message: `Brand with ID ${id} not found`,
+        availableIds: brandRepository.list().map(b => b.id)
+      });
+    }
+    
+    const replacement = { ...req.body };
+    if (replacement.id !== undefined && Number(replacement.id) !== id) {
+      return res.status(400).json({
+        message: 'Brand ID in the body does not match the URL',
+        field: 'id',
+        received: replacement.id
+      });
+    }
+    delete replacement.id;
+    
+    const { value: fields, error: validationError } = validateBrand(replacement);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+    
+    // Products reference brands by name, so names must be unique
+    const sameName = findBrandByName(fields.name);
+    if (sameName && sameName.id !== id) {
+      return res.status(409).json({
+        message: `Brand "${sameName.name}" already exists with ID ${sameName.id}`,
+        field: 'name',
+        received: fields.name
+      });
+    }
+    
+    const now = new Date().toISOString();
+    const brand = brandRepository.upsert(id, {
+      ...fields,
+      createdAt: existingBrand.createdAt,
+      updatedAt: now
+    });
+    
+    // Keep product references in sync with the new name
+    let renamedProducts = 0;
+    if (brand.name !== existingBrand.name) {
+      productRepository.list({ filters: { brand: existingBrand.name } }).products.forEach(product => {
+        indexProduct(productRepository.update(product.id, { brand: brand.name, updatedAt: now, updatedBy: requestActor(req) }, changeContext(req)));
+        renamedProducts++;
+      });
+    }
+    
+    // Log the change for debugging
+    console.log(`Brand ${id} replaced successfully${renamedProducts > 0 ? ` (${renamedProducts} products renamed)` : ''}`);
+    
+    res.json(brand);
+    
+  } catch (error) {
+    console.error(`Error replacing brand ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Delete Brand
+ * @route DELETE /api/brands/:id
+ * @description Delete a brand. A brand that still has products is only deleted
+ * when reassignTo names another brand; its products are then moved there first.
+ * @access Editor
+ * @param {string} id - Brand ID (must be a valid positive number)
+ * @param {string} [req.query.reassignTo] - ID of the brand that takes over the products
+ * @returns {Object} Success message with the deleted brand
+ */
+app.delete('/api/brands/:id', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    
+    if (isNaN(id) || id <= 0) {
+      return res.status(400).json({
+        message: 'Invalid brand ID. ID must be a positive number.',
+        received: req.params.id
+      });
+    }
+    
+    const brand = brandRepository.get(id);
+    
+    if (!brand) {
+      return res.status(404).json({
+        message: `Brand with ID ${id} not found`,
+        availableIds: brandRepository.list().map(b => b.id)
+      });
+    }
+    
+    const { products } = productRepository.list({ filters: { brand: brand.name } });
+    const { reassignTo } = req.query;
+    
+    if (reassignTo === undefined && products.length > 0) {
+      return res.status(409).json({
+        message: `Brand "${brand.name}" still has ${products.length} products. Pass reassignTo=<brand id> to move them before deleting.`,
+        productCount: products.length
+      });
+    }
+    
+    let targetBrand = null;
+    if (reassignTo !== undefined) {
+      targetBrand = brandRepository.get(parseInt(reassignTo));
+      
+      if (!targetBrand || targetBrand.id === id) {
+        return res.status(400).json({
+          message: 'reassignTo must be the ID of another existing brand',
+          parameter: 'reassignTo',
+          received: reassignTo
+        });
+      }
+    }
+    
+    // Move products before removing the brand
+    const now = new Date().toISOString();
+    products.forEach(product => {
+      indexProduct(productRepository.update(product.id, { brand: targetBrand.name, updatedAt: now, updatedBy: requestActor(req) }, changeContext(req)));
+    });
+    
+    const deletedBrand = brandRepository.delete(id);
+    
+    // Log the deletion for debugging
+    console.log(`Brand ${id} deleted successfully`);
+    
+    res.json({
+      message: 'Brand deleted successfully',
+      deletedBrand,
+      reassignedTo: targetBrand ? targetBrand.id : null,
+      reassignedProducts: products.length,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error(`Error deleting brand ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Find a Cart
+ * @description Shared lookup for the cart routes. Sends the error response
+ * itself when the ID is invalid or unknown, or the request does not carry the
+ * cart's token (404 as well, so cart IDs cannot be probed).
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} The stored cart, or null if a response was sent
+ */
+function findCart(req, res) {
+  const id = parseInt(req.params.id);
+
+  if (isNaN(id) || id <= 0) {
+    res.status(400).json({
+      message: 'Invalid cart ID. ID must be a positive number.',
+      received: req.params.id
+    });
+    return null;
+  }
+
+  const cart = cartRepository.get(id);
+
+  if (!cart || !hasCartToken(req, cart)) {
+    res.status(404).json({ message: `Cart with ID ${id} not found` });
+    return null;
+  }
+
+  return cart;
+}
+
+/**
+ * Find a Cart Line
+ * @description Lines are identified by the product ID in the URL and, for
+ * products with variants, the variantId query parameter. Sends the error
+ * response itself when an ID is invalid or the cart has no such line.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} cart - Stored cart
+ * @returns {Object|null} { productId, variantId }, or null if a response was sent
+ */
+function findCartLine(req, res, cart) {
+  const productId = parseInt(req.params.productId);
+
+  if (isNaN(productId) || productId <= 0) {
+    res.status(400).json({
+      message: 'Invalid product ID. ID must be a positive number.',
+      received: req.params.productId
+    });
+    return null;
+  }
+
+  let variantId;
+  if (req.query.variantId !== undefined) {
+    variantId = parseInt(req.query.variantId);
+
+    if (isNaN(variantId) || variantId <= 0) {
+      res.status(400).json({
+        message: 'Invalid variant ID. ID must be a positive number.',
+        parameter: 'variantId',
+        received: req.query.variantId
+      });
+      return null;
+    }
+  }
+
+  if (!cart.items.some(line => isCartLine(line, productId, variantId))) {
+    res.status(404).json({
+      message: variantId === undefined
+        ? `Product ${productId} is not in cart ${cart.id}`
+        : `Variant ${variantId} of product ${productId} is not in cart ${cart.id}`,
+      productIds: cart.items.map(line => line.productId)
+    });
+    return null;
+  }
+
+  return { productId, variantId };
+}
+
+/**
+ * Create Cart
+ * @route POST /api/carts
+ * @description Create a new, empty shopping cart. The response holds the
+ * cart's token; it is shown only this once and every other cart route needs
+ * it in the X-Cart-Token header.
+ * @access Public (Viewer with API_READ_ACCESS=viewer)
+ * @returns {Object} Created cart with totals and its token
+ */
+app.post('/api/carts', (req, res) => {
+  try {
+    const token = generateCartToken();
+    const now = new Date().toISOString();
+    const createdCart = cartRepository.create({ items: [], tokenHash: hashCartToken(token), createdAt: now, updatedAt: now });
+    
+    // Log the creation for debugging
+    console.log(`New cart created with ID: ${createdCart.id}`);
+    
+    res.status(201).location(`/api/carts/${createdCart.id}`).json({ ...describeCart(createdCart), token });
+
+  } catch (error) {
+    console.error('Error creating cart:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Get Cart
+ * @route GET /api/carts/:id
+ * @description Retrieve a cart with its lines priced from the current catalog
+ * @access Public with the cart's token (Viewer with API_READ_ACCESS=viewer)
+ * @param {string} id - Cart ID (must be a valid positive number)
+ * @returns {Object} Cart with priced lines, itemCount, subtotal, discount and total
+ */
+app.get('/api/carts/:id', (req, res) => {
+  try {
+    const cart = findCart(req, res);
+    if (cart) {
+      res.json(describeCart(cart));
+    }
+  } catch (error) {
+    console.error(`Error fetching cart ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Add Cart Item
+ * @route POST /api/carts/:id/items
+ * @description Add a product to a cart. Adding a product (or variant) that is
+ * already in the cart increases the quantity of its line.
+ * @access Public with the cart's token (Viewer with API_READ_ACCESS=viewer)
+ * @param {string} id - Cart ID (must be a valid positive number)
+ * @param {number} req.body.productId - Product to add
+ * @param {number} [req.body.variantId] - Variant to add (required for products with variants)
+ * @param {number} req.body.quantity - Units to add (1-1000)
+ * @returns {Object} Updated cart with totals
+ */
+app.post('/api/carts/:id/items', (req, res) => {
+  try {
+    const cart = findCart(req, res);
+    if (!cart) return;
+    
+    const { value: item, error: validationError } = validateCartItem(req.body);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+    
+    const product = productRepository.get(item.productId);
+    
+    if (!product) {
+      return res.status(400).json({
+        message: `Product with ID ${item.productId} does not exist`,
+        field: 'productId',
+        received: item.productId
+      });
+    }
+    
+    const { error: unitError } = stockUnit(product, item.variantId);
+    if (unitError) {
+      return res.status(hasVariants(product) ? 409 : 400).json(unitError);
+    }
+    
+    const existingLine = cart.items.find(line => isCartLine(line, item.productId, item.variantId));
+    const quantity = item.quantity + (existingLine ? existingLine.quantity : 0);
+    
+    if (quantity > MAX_CART_LINE_QUANTITY) {
+      return res.status(400).json({
+        message: `A cart can hold at most ${MAX_CART_LINE_QUANTITY} units of a product`,
+        field: 'quantity',
+        received: item.quantity
+      });
+    }
+    
+    const items = existingLine
+      ? cart.items.map(line => (line === existingLine ? { ...line, quantity } : line))
+      : [...cart.items, { productId: item.productId, variantId: item.variantId, quantity }];
+    const updatedCart = cartRepository.update(cart.id, { items, updatedAt: new Date().toISOString() });
+    
+    res.json(describeCart(updatedCart));
+
+  } catch (error) {
+    console.error(`Error adding item to cart ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Update Cart Item
+ * @route PUT /api/carts/:id/items/:productId
+ * @description Set the quantity of a product that is already in the cart
+ * @access Public with the cart's token (Viewer with API_READ_ACCESS=viewer)
+ * @param {string} id - Cart ID (must be a valid positive number)
+ * @param {string} productId - Product ID of the line
+ * @param {string} [req.query.variantId] - Variant ID of the line, for products with variants
+ * @param {number} req.body.quantity - New quantity (1-1000)
+ * @returns {Object} Updated cart with totals
+ */
+app.put('/api/carts/:id/items/:productId', (req, res) => {
+  try {
+    const cart = findCart(req, res);
+    if (!cart) return;
+    
+    const body = req.body || {};
+    if (body.quantity === undefined || body.quantity === null) {
+      return res.status(400).json({ message: 'Quantity is required', field: 'quantity' });
+    }
+    
+    const { value, error: validationError } = validateCartItem({ quantity: body.quantity }, { partial: true });
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+    
+    const cartLine = findCartLine(req, res, cart);
+    if (!cartLine) return;
+    
+    const items = cart.items.map(line =>
+      isCartLine(line, cartLine.productId, cartLine.variantId) ? { ...line, quantity: value.quantity } : line
+    );
+    const updatedCart = cartRepository.update(cart.id, { items, updatedAt: new Date().toISOString() });
+    
+    res.json(describeCart(updatedCart));
+
+  } catch (error) {
+    console.error(`Error updating item in cart ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Remove Cart Item
+ * @route DELETE /api/carts/:id/items/:productId
+ * @description Remove a product from a cart
+ * @access Public with the cart's token (Viewer with API_READ_ACCESS=viewer)
+ * @param {string} id - Cart ID (must be a valid positive number)
+ * @param {string} productId - Product ID of the line
+ * @param {string} [req.query.variantId] - Variant ID of the line, for products with variants
+ * @returns {Object} Updated cart with totals
+ */
+app.delete('/api/carts/:id/items/:productId', (req, res) => {
+  try {
+    const cart = findCart(req, res);
+    if (!cart) return;
+    
+    const cartLine = findCartLine(req, res, cart);
+    if (!cartLine) return;
+    
+    const items = cart.items.filter(line => !isCartLine(line, cartLine.productId, cartLine.variantId));
+    const updatedCart = cartRepository.update(cart.id, { items, updatedAt: new Date().toISOString() });
+    
+    res.json(describeCart(updatedCart));
+
+  } catch (error) {
+    console.error(`Error removing item from cart ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Delete Cart
+ * @route DELETE /api/carts/:id
+ * @description Discard a cart and all of its lines
+ * @access Public with the cart's token (Viewer with API_READ_ACCESS=viewer)
+ * @param {string} id - Cart ID (must be a valid positive number)
+ * @returns {Object} Success message with the deleted cart
+ */
+app.delete('/api/carts/:id', (req, res) => {
+  try {
+    const cart = findCart(req, res);
+    if (!cart) return;
+    
+    const deletedCart = cartRepository.delete(cart.id);
+    
+    // Log the deletion for debugging
+    console.log(`Cart ${cart.id} deleted successfully`);
+    
+    res.json({
+      message: 'Cart deleted successfully',
+      deletedCart: describeCart(deletedCart),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Error deleting cart ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Check Out Cart
+ * @route POST /api/carts/:id/checkout
+ * @description Turn a cart into a pending order. Stock of every line is
+ * decremented atomically; if any line cannot be ordered (product deleted or
+ * not enough units available) nothing is changed and every failing line is
+ * reported. The cart is removed once the order exists, and its token gives
+ * access to the order. The order must be paid within ORDER_PAYMENT_MINUTES,
+ * or it is cancelled and its units restocked.
+ * @access Public with the cart's token (Viewer with API_READ_ACCESS=viewer)
+ * @param {string} id - Cart ID (must be a valid positive number)
+ * @returns {Object} Created order
+ */
+app.post('/api/carts/:id/checkout', (req, res) => {
+  try {
+    const cart = findCart(req, res);
+    if (!cart) return;
+    
+    if (cart.items.length === 0) {
+      return res.status(400).json({ message: 'Cannot check out an empty cart', field: 'items', received: [] });
+    }
+    
+    const errors = checkoutErrors(cart);
+    if (errors.length > 0) {
+      return res.status(409).json({
+        message: `Checkout failed: ${errors.length} of ${cart.items.length} cart items cannot be ordered`,
+        errors
+      });
+    }
+    
+    // Decrement stock line by line, undoing earlier lines if a later one fails
+    const now = new Date().toISOString();
+    const lines = [];
+    for (const item of cart.items) {
+      const product = adjustUnitStock(item.productId, item.variantId, -item.quantity, reservedUnits(item.productId, item.variantId), {
+        updatedAt: now,
+        updatedBy: requestActor(req)
+      }, changeContext(req));
+    
+      if (!product) {
+        restockLines(lines, changeContext(req));
+        return res.status(409).json({
+          message: `Checkout failed: stock of product ${item.productId} changed during checkout`,
+          errors: checkoutErrors(cart)
+        });
+      }
+    
+      indexProduct(product);
+      lines.push(priceLine(product, item.quantity, stockUnit(product, item.variantId).variant));
+    }
+    
+    const createdOrder = orderRepository.create({
+      cartId: cart.id,
+      status: 'pending',
+      items: lines,
+      ...totalLines(lines),
+      statusHistory: [{ status: 'pending', at: now }],
+      tokenHash: cart.tokenHash,
+      expiresAt: new Date(Date.parse(now) + ORDER_PAYMENT_MS).toISOString(),
+      createdAt: now,
+      updatedAt: now
+    });
+    cartRepository.delete(cart.id);
+    
+    // Log the checkout for debugging
+    console.log(`Cart ${cart.id} checked out as order ${createdOrder.id}`);
+    
+    res.status(201).location(`/api/orders/${createdOrder.id}`).json(describeOrder(createdOrder));
+
+  } catch (error) {
+    console.error(`Error checking out cart ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Get All Orders
+ * @route GET /api/orders
+ * @description Retrieve all orders, optionally only those with a given status
+ * @access Editor
+ * @param {string} [req.query.status] - pending, paid, shipped or cancelled
+ * @returns {Object} Orders and their total count
+ */
+app.get('/api/orders', (req, res) => {
+  try {
+    if (denyUnlessRole(req, res, 'editor')) return;
+    
+    const { status } = req.query;
+    
+    if (status !== undefined && !ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({
+        message: `status must be one of: ${ORDER_STATUSES.join(', ')}`,
+        parameter: 'status',
+        received: status
+      });
+    }
+    
+    const orders = orderRepository.list()
+      .map(refreshOrder)
+      .filter(order => status === undefined || order.status === status);
+    
+    res.json({
+      orders: orders.map(describeOrder),
+      total: orders.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching orders:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Get Single Order
+ * @route GET /api/orders/:id
+ * @description Retrieve an order by its ID. Shoppers send the token of the
+ * cart they checked out in the X-Cart-Token header; without it (or an editor
+ * key) the order is not found.
+ * @access Editor, or Public with the cart's token
+ * @param {string} id - Order ID (must be a valid positive number)
+ * @returns {Object} Order object or error message
+ */
+app.get('/api/orders/:id', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    
+    if (isNaN(id) || id <= 0) {
+      return res.status(400).json({
+        message: 'Invalid order ID. ID must be a positive number.',
+        received: req.params.id
+      });
+    }
+    
+    const order = orderRepository.get(id);
+    const isEditor = Boolean(req.auth && hasRole(req.auth.role, 'editor'));
+    
+    if (!order || !(isEditor || hasCartToken(req, order))) {
+      return res.status(404).json({
+        message: `Order with ID ${id} not found`,
+        ...(isEditor ? { availableIds: orderRepository.list().map(o => o.id) } : {})
+      });
+    }
+    
+    res.json(describeOrder(refreshOrder(order)));
+  } catch (error) {
+    console.error(`Error fetching order ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Update Order Status
+ * @route PATCH /api/orders/:id
+ * @description Move an order through its lifecycle: pending → paid → shipped,
+ * or cancelled from pending or paid. Cancelling puts the ordered units back
+ * into stock, as does the automatic cancellation of orders not paid within
+ * ORDER_PAYMENT_MINUTES.
+ * @access Editor
+ * @param {string} id - Order ID (must be a valid positive number)
+ * @param {string} req.body.status - New status
+ * @returns {Object} Updated order
+ */
+app.patch('/api/orders/:id', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    
+    if (isNaN(id) || id <= 0) {
+      return res.status(400).json({
+        message: 'Invalid order ID. ID must be a positive number.',
+        received: req.params.id
+      });
+    }
+    
+    const body = req.body || {};
+    const unknownField = Object.keys(body).find(field => field !== 'status');
+    if (unknownField) {
+      return res.status(400).json({
+        message: `${unknownField} cannot be changed; only status can be updated`,
+        field: unknownField,
+        received: body[unknownField]
+      });
+    }
+    
+    if (!ORDER_STATUSES.includes(body.status)) {
+      return res.status(400).json({
+        message: `status must be one of: ${ORDER_STATUSES.join(', ')}`,
+        field: 'status',
+        received: body.status
+      });
+    }
+    
+    const stored = orderRepository.get(id);
+    
+    if (!stored) {
+      return res.status(404).json({
+        message: `Order with ID ${id} not found`,
+        availableIds: orderRepository.list().map(o => o.id)
+      });
+    }
+    
+    const order = refreshOrder(stored);
+    const allowed = ORDER_STATUS_TRANSITIONS[order.status];
+    if (!allowed.includes(body.status)) {
+      return res.status(409).json({
+        message: `Cannot change order status from ${order.status} to ${body.status}`,
+        field: 'status',
+        received: body.status,
+        allowed
+      });
+    }
+    
+    if (body.status === 'cancelled') {
+      const restocked = restockLines(order.items, changeContext(req));
+      console.log(`Order ${id} cancelled, restocked ${restocked} of ${order.items.length} lines`);
+    }
+    
+    const now = new Date().toISOString();
+    const updatedOrder = orderRepository.update(id, {
+      status: body.status,
+      statusHistory: [...order.statusHistory, { status: body.status, at: now }],
+      expiresAt: null,
+      updatedAt: now
+    });
+    
+    // Log the status change for debugging
+    console.log(`Order ${id} status changed from ${order.status} to ${body.status}`);
+    
+    res.json(describeOrder(updatedOrder));
+
+  } catch (error) {
+    console.error(`Error updating order ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Get API Keys
+ * @route GET /api/keys
+ * @description List the API keys. Keys are identified by their prefix; the
+ * keys themselves cannot be retrieved.
+ * @access Admin
+ * @returns {Object} API keys and total count
+ */
+app.get('/api/keys', (req, res) => {
+  try {
+    if (denyUnlessRole(req, res, 'admin')) return;
+
+    const keys = apiKeyRepository.list().map(describeApiKey);
+
+    res.json({
+      keys,
+      total: keys.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Create API Key
+ * @route POST /api/keys
+ * @description Create an API key. The response is the only time the key is
+ * shown; store it safely.
+ * @access Admin
+ * @param {string} req.body.name - Label for the key (required)
+ * @param {string} req.body.role - viewer, editor or admin (required)
+ * @returns {Object} Created API key including the key itself
+ */
+app.post('/api/keys', (req, res) => {
+  try {
+    if (denyUnlessRole(req, res, 'admin')) return;
+
+    const { value: fields, error: validationError } = validateApiKey(req.body);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    const { apiKey, key } = createApiKey(fields.name, fields.role);
+
+    // Log the creation for debugging (never the key itself)
+    console.log(`API key ${apiKey.id} (${apiKey.prefix}..., ${apiKey.role}) created by ${requestActor(req)}`);
+
+    res.status(201)
+      .location(`/api/keys/${apiKey.id}`)
+      .json({ ...describeApiKey(apiKey), key });
+
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Revoke API Key
+ * @route DELETE /api/keys/:id
+ * @description Delete an API key; requests using it are rejected from then on.
+ * The last admin key cannot be revoked.
+ * @access Admin
+ * @param {string} id - API key ID (must be a valid positive number)
+ * @returns {Object} Success message with the revoked key
+ */
+app.delete('/api/keys/:id', (req, res) => {
+  try {
+    if (denyUnlessRole(req, res, 'admin')) return;
+
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id) || id <= 0) {
+      return res.status(400).json({
+        message: 'Invalid API key ID. ID must be a positive number.',
+        received: req.params.id
+      });
+    }
+
+    const apiKey = apiKeyRepository.get(id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        message: `API key with ID ${id} not found`,
+        availableIds: apiKeyRepository.list().map(candidate => candidate.id)
+      });
+    }
+
+    const adminCount = apiKeyRepository.list().filter(candidate => candidate.role === 'admin').length;
+    if (apiKey.role === 'admin' && adminCount === 1) {
+      return res.status(409).json({
+        message: 'Cannot revoke the last admin API key',
+        received: id
+      });
+    }
+
+    const revokedKey = apiKeyRepository.delete(id);
+
+    // Log the deletion for debugging
+    console.log(`API key ${id} (${revokedKey.prefix}...) revoked`);
+
+    res.json({
+      message: 'API key revoked successfully',
+      revokedKey: describeApiKey(revokedKey),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Error revoking API key ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Find a Webhook
+ * @description Shared lookup for the single-webhook routes. Sends the error
+ * response itself when the ID is invalid or unknown.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} The webhook, or null if a response was sent
+ */
+function findWebhook(req, res) {
+  const id = parseInt(req.params.id);
+
+  if (isNaN(id) || id <= 0) {
+    res.status(400).json({
+      message: 'Invalid webhook ID. ID must be a positive number.',
+      received: req.params.id
+    });
+    return null;
+  }
+
+  const webhook = webhookRepository.get(id);
+
+  if (!webhook) {
+    res.status(404).json({
+      message: `Webhook with ID ${id} not found`,
+      availableIds: webhookRepository.list().map(candidate => candidate.id)
+    });
+    return null;
+  }
+
+  return webhook;
+}
+
+/**
+ * Find a Webhook Delivery
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} { webhook, delivery }, or null if a response was sent
+ */
+function findWebhookDelivery(req, res) {
+  const webhook = findWebhook(req, res);
+  if (!webhook) return null;
+
+  const deliveryId = parseInt(req.params.deliveryId);
+
+  if (isNaN(deliveryId) || deliveryId <= 0) {
+    res.status(400).json({
+      message: 'Invalid delivery ID. ID must be a positive number.',
+      received: req.params.deliveryId
+    });
+    return null;
+  }
+
+  const delivery = webhookDeliveryRepository.get(deliveryId);
+
+  if (!delivery || delivery.webhookId !== webhook.id) {
+    res.status(404).json({ message: `Delivery ${deliveryId} not found for webhook ${webhook.id}` });
+    return null;
+  }
+
+  return { webhook, delivery };
+}
+
+/**
+ * Get Webhooks
+ * @route GET /api/webhooks
+ * @description List the registered webhooks (without their secrets)
+ * @access Admin
+ * @returns {Object} Webhooks, total count and the events that can be subscribed to
+ */
+app.get('/api/webhooks', (req, res) => {
+  try {
+    if (denyUnlessRole(req, res, 'admin')) return;
+
+    const webhooks = webhookRepository.list().map(describeWebhook);
+
+    res.json({
+      webhooks,
+      total: webhooks.length,
+      events: WEBHOOK_EVENTS,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Create Webhook
+ * @route POST /api/webhooks
+ * @description Subscribe a URL to product events. The response is the only
+ * time the signing secret is shown; store it with the receiver.
+ * @access Admin
+ * @param {string} req.body.url - http(s) URL the events are POSTed to (required)
+ * @param {Array} req.body.events - Events to send, from WEBHOOK_EVENTS (required)
+ * @param {string} [req.body.description] - What the webhook is for
+ * @param {boolean} [req.body.active] - false registers it paused (default true)
+ * @returns {Object} Created webhook including its secret
+ */
+app.post('/api/webhooks', (req, res) => {
+  try {
+    if (denyUnlessRole(req, res, 'admin')) return;
+
+    const { value: fields, error: validationError } = validateWebhook(req.body);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    const now = new Date().toISOString();
+    const webhook = webhookRepository.create({
+      url: fields.url,
+      events: fields.events,
+      description: fields.description,
+      active: fields.active !== false,
+      secret: generateWebhookSecret(),
+      createdAt: now,
+      updatedAt: now,
+      createdBy: requestActor(req)
+    });
+
+    // Log the creation for debugging (never the secret)
+    console.log(`Webhook ${webhook.id} created for ${webhook.url} (${webhook.events.join(', ')})`);
+
+    res.status(201)
+      .location(`/api/webhooks/${webhook.id}`)
+      .json({ ...describeWebhook(webhook), secret: webhook.secret });
+
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Get Webhook
+ * @route GET /api/webhooks/:id
+ * @description Retrieve a webhook with the number of deliveries in each status
+ * @access Admin
+ * @param {string} id - Webhook ID (must be a valid positive number)
+ * @returns {Object} Webhook without its secret
+ */
+app.get('/api/webhooks/:id', (req, res) => {
+  try {
+    if (denyUnlessRole(req, res, 'admin')) return;
+
+    const webhook = findWebhook(req, res);
+    if (!webhook) return;
+
+    const deliveryCounts = Object.fromEntries(WEBHOOK_DELIVERY_STATUSES.map(status => [status, 0]));
+    webhookDeliveryRepository.list()
+      .filter(delivery => delivery.webhookId === webhook.id)
+      .forEach(delivery => deliveryCounts[delivery.status]++);
+
+    res.json({ ...describeWebhook(webhook), deliveries: deliveryCounts });
+  } catch (error) {
+    console.error(`Error fetching webhook ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Update Webhook
+ * @route PATCH /api/webhooks/:id
+ * @description Change a webhook's URL, events, description or active flag.
+ * Only the given fields change. Pending deliveries of an inactive webhook wait
+ * until it is activated again.
+ * @access Admin
+ * @param {string} [req.body.url] - http(s) URL the events are POSTed to
+ * @param {Array} [req.body.events] - Events to send
+ * @param {string} [req.body.description] - What the webhook is for
+ * @param {boolean} [req.body.active] - Whether events are sent
+ * @returns {Object} Updated webhook without its secret
+ */
+app.patch('/api/webhooks/:id', (req, res) => {
+  try {
+    if (denyUnlessRole(req, res, 'admin')) return;
+
+    const webhook = findWebhook(req, res);
+    if (!webhook) return;
+
+    const { value: fields, error: validationError } = validateWebhook(req.body, { partial: true });
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    const updatedWebhook = webhookRepository.update(webhook.id, {
+      ...fields,
+      updatedAt: new Date().toISOString()
+    });
+    if (updatedWebhook.active) {
+      scheduleWebhookQueue();
+    }
+
+    // Log the update for debugging
+    console.log(`Webhook ${webhook.id} updated (${updatedWebhook.active ? 'active' : 'paused'})`);
+
+    res.json(describeWebhook(updatedWebhook));
+
+  } catch (error) {
+    console.error(`Error updating webhook ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Delete Webhook
+ * @route DELETE /api/webhooks/:id
+ * @description Unsubscribe a webhook. Its pending deliveries are dropped and
+ * its delivery log is deleted.
+ * @access Admin
+ * @param {string} id - Webhook ID (must be a valid positive number)
+ * @returns {Object} Success message with the deleted webhook
+ */
+app.delete('/api/webhooks/:id', (req, res) => {
+  try {
+    if (denyUnlessRole(req, res, 'admin')) return;
+
+    const webhook = findWebhook(req, res);
+    if (!webhook) return;
+
+    const deletedWebhook = webhookRepository.delete(webhook.id);
+    const deletedDeliveries = deleteWebhookDeliveries(webhook.id);
+
+    // Log the deletion for debugging
+    console.log(`Webhook ${webhook.id} deleted with ${deletedDeliveries} deliveries`);
+
+    res.json({
+      message: 'Webhook deleted successfully',
+      deletedWebhook: describeWebhook(deletedWebhook),
+      deletedDeliveries,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Error deleting webhook ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Ping Webhook
+ * @route POST /api/webhooks/:id/ping
+ * @description Queue a webhook.ping delivery to check that the receiver is
+ * reachable and verifies signatures. Works for paused webhooks too, but the
+ * delivery is only sent once the webhook is active.
+ * @access Admin
+ * @param {string} id - Webhook ID (must be a valid positive number)
+ * @returns {Object} Queued delivery (202)
+ */
+app.post('/api/webhooks/:id/ping', (req, res) => {
+  try {
+    if (denyUnlessRole(req, res, 'admin')) return;
+
+    const webhook = findWebhook(req, res);
+    if (!webhook) return;
+
+    const [delivery] = queueWebhookEvent(WEBHOOK_PING_EVENT, { webhookId: webhook.id }, [webhook]);
+
+    res.status(202)
+      .location(`/api/webhooks/${webhook.id}/deliveries/${delivery.id}`)
+      .json(delivery);
+
+  } catch (error) {
+    console.error(`Error pinging webhook ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Get Webhook Deliveries
+ * @route GET /api/webhooks/:id/deliveries
+ * @description The delivery log of a webhook, newest first: the payload sent,
+ * the status and every attempt with its time, duration, HTTP status, the
+ * start of the answer and the error, if any. Finished deliveries are kept
+ * for 7 days.
+ * @access Admin
+ * @param {string} id - Webhook ID (must be a valid positive number)
+ * @param {string} [req.query.status] - pending, delivered or failed
+ * @param {number} [req.query.skip] - Number of deliveries to skip (with limit)
+ * @param {number} [req.query.limit] - Maximum number of deliveries to return
+ * @param {number} [req.query.page] - Page number (with pageSize)
+ * @param {number} [req.query.pageSize] - Deliveries per page
+ * @returns {Object} Page of deliveries
+ */
+app.get('/api/webhooks/:id/deliveries', (req, res) => {
+  try {
+    if (denyUnlessRole(req, res, 'admin')) return;
+
+    const { status } = req.query;
+
+    if (status !== undefined && !WEBHOOK_DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        message: `status must be one of: ${WEBHOOK_DELIVERY_STATUSES.join(', ')}`,
+        parameter: 'status',
+        received: status
+      });
+    }
+
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json(pagination.error);
+    }
+
+    const webhook = findWebhook(req, res);
+    if (!webhook) return;
+
+    const deliveries = webhookDeliveryRepository.list()
+      .filter(delivery => delivery.webhookId === webhook.id && (status === undefined || delivery.status === status))
+      .reverse();
+    const limit = pagination.limit !== undefined ? pagination.limit : deliveries.length;
+
+    res.json({
+      deliveries: deliveries.slice(pagination.skip, pagination.skip + limit),
+      total: deliveries.length,
+      skip: pagination.skip,
+      limit,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error fetching deliveries of webhook ${req.params.id}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Get Webhook Delivery
+ * @route GET /api/webhooks/:id/deliveries/:deliveryId
+ * @description Retrieve a single delivery with its payload and attempts
+ * @access Admin
+ * @returns {Object} Delivery
+ */
+app.get('/api/webhooks/:id/deliveries/:deliveryId', (req, res) => {
+  try {
+    if (denyUnlessRole(req, res, 'admin')) return;
+
+    const found = findWebhookDelivery(req, res);
+    if (found) {
+      res.json(found.delivery);
+    }
+  } catch (error) {
+    console.error(`Error fetching webhook delivery ${req.params.deliveryId}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Retry Webhook Delivery
+ * @route POST /api/webhooks/:id/deliveries/:deliveryId/retry
+ * @description Attempt a pending or failed delivery now instead of waiting
+ * for its next retry. A failed delivery gets one more attempt.
+ * @access Admin
+ * @returns {Object} Delivery, due immediately (202)
+ */
+app.post('/api/webhooks/:id/deliveries/:deliveryId/retry', (req, res) => {
+  try {
+    if (denyUnlessRole(req, res, 'admin')) return;
+
+    const found = findWebhookDelivery(req, res);
+    if (!found) return;
+
+    const { webhook, delivery } = found;
+
+    if (delivery.status === 'delivered') {
+      return res.status(409).json({
+        message: `Delivery ${delivery.id} was already delivered`,
+        status: delivery.status
+      });
+    }
+
+    const now = new Date().toISOString();
+    const dueDelivery = webhookDeliveryRepository.update(delivery.id, {
+      status: 'pending',
+      nextAttemptAt: now,
+      updatedAt: now
+    });
+    scheduleWebhookQueue();
+
+    // Log the retry for debugging
+    console.log(`Webhook delivery ${delivery.id} of webhook ${webhook.id} queued for a retry`);
+
+    res.status(202).json(dueDelivery);
+
+  } catch (error) {
+    console.error(`Error retrying webhook delivery ${req.params.deliveryId}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Register User
+ * @route POST /api/auth/register
+ * @description Create a staff account. Registering requires an admin API key
+ * or token, except for viewers when ALLOW_SELF_REGISTRATION is on. Shares
+ * the login limit of 10 attempts per 15 minutes per IP address.
+ * @access Admin (Public for viewers with ALLOW_SELF_REGISTRATION=true)
+ * @param {string} req.body.email - Email address, used to log in (required, unique)
+ * @param {string} req.body.password - Password of at least 8 characters (required)
+ * @param {string} req.body.name - Display name (required)
+ * @param {string} [req.body.role] - viewer (default), editor or admin
+ * @returns {Object} Created user
+ */
+app.post('/api/auth/register', rateLimit('login'), (req, res) => {
+  try {
+    const { value: fields, error: validationError } = validateUser(req.body);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    const selfRegistration = ALLOW_SELF_REGISTRATION && fields.role === 'viewer';
+    if (!selfRegistration && denyUnlessRole(req, res, 'admin')) return;
+
+    if (findUserByEmail(fields.email)) {
+      return res.status(409).json({
+        message: `A user with email ${fields.email} already exists`,
+        field: 'email',
+        received: fields.email
+      });
+    }
+
+    const now = new Date().toISOString();
+    const createdUser = userRepository.create({
+      email: fields.email,
+      name: fields.name,
+      role: fields.role,
+      passwordHash: hashPassword(fields.password),
+      createdAt: now,
+      updatedAt: now
+    });
+
+    // Log the registration for debugging
+    console.log(`User ${createdUser.id} (${createdUser.email}, ${createdUser.role}) registered`);
+
+    res.status(201).json(describeUser(createdUser));
+
+  } catch (error) {
+    console.error('Error registering user:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Log In
+ * @route POST /api/auth/login
+ * @description Start a session. Send the access token as
+ * `Authorization: Bearer <accessToken>` and use the refresh token to get a new
+ * pair before the access token expires. Limited to 10 attempts per 15 minutes
+ * per IP address.
+ * @access Public
+ * @param {string} req.body.email - Email address
+ * @param {string} req.body.password - Password
+ * @returns {Object} Access token, refresh token, their lifetimes in seconds and the user
+ */
+app.post('/api/auth/login', rateLimit('login'), (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({
+        message: 'email and password are required',
+        received: { email, password: password === undefined ? undefined : '[hidden]' }
+      });
+    }
+
+    const user = findUserByEmail(email);
+
+    // The same answer for unknown emails and wrong passwords
+    if (!user || !verifyPassword(password, user.passwordHash)) {
+      return res.status(401).json({ message: 'Invalid email or password' });
+    }
+
+    // Drop the user's sessions that ran out without logging out
+    const now = new Date().toISOString();
+    sessionRepository.list()
+      .filter(session => session.userId === user.id && session.expiresAt <= now)
+      .forEach(session => sessionRepository.delete(session.id));
+
+    const session = sessionRepository.create({ userId: user.id, createdAt: now });
+
+    // Log the login for debugging
+    console.log(`User ${user.id} logged in (session ${session.id})`);
+
+    res.json(issueTokens(session, user));
+
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Refresh Session Tokens
+ * @route POST /api/auth/refresh
+ * @description Trade a refresh token for a new access and refresh token. Each
+ * refresh token can be used once; reusing one ends the session.
+ * @access Public
+ * @param {string} req.body.refreshToken - Refresh token from login or the last refresh
+ * @returns {Object} New tokens, like login
+ */
+app.post('/api/auth/refresh', (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    const claims = typeof refreshToken === 'string' ? verifyToken(refreshToken, 'refresh') : null;
+    const session = claims && sessionRepository.get(claims.sid);
+    const user = session && session.userId === claims.sub && userRepository.get(claims.sub);
+
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token', field: 'refreshToken' });
+    }
+
+    if (session.refreshTokenId !== claims.jti) {
+      sessionRepository.delete(session.id);
+      console.warn(`⚠️ Refresh token of session ${session.id} was reused; session ended`);
+      return res.status(401).json({
+        message: 'Refresh token has already been used. The session has ended; log in again.',
+        field: 'refreshToken'
+      });
+    }
+
+    res.json(issueTokens(session, user));
+
+  } catch (error) {
+    console.error('Error refreshing session:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Log Out
+ * @route POST /api/auth/logout
+ * @description End the session of the access token; its access and refresh
+ * tokens stop working
+ * @access User (access token)
+ * @returns {Object} Success message
+ */
+app.post('/api/auth/logout', (req, res) => {
+  try {
+    if (!req.auth || req.auth.type !== 'user') {
+      return res.status(401)
+        .set('WWW-Authenticate', 'Bearer')
+        .json({ message: 'Logging out requires the access token of a session' });
+    }
+
+    sessionRepository.delete(req.auth.sessionId);
+
+    // Log the logout for debugging
+    console.log(`User ${req.auth.id} logged out (session ${req.auth.sessionId})`);
+
+    res.json({
+      message: 'Logged out successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * Get Current User
+ * @route GET /api/auth/me
+ * @description The user of the access token
+ * @access User (access token)
+ * @returns {Object} User and session ID
+ */
+app.get('/api/auth/me', (req, res) => {
+  try {
+    if (!req.auth || req.auth.type !== 'user') {
+      return res.status(401)
+        .set('WWW-Authenticate', 'Bearer')
+        .json({ message: 'This request requires the access token of a session' });
+    }
+
+    res.json({
+      user: describeUser(userRepository.get(req.auth.id)),
+      sessionId: req.auth.sessionId,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching current user:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/**
+ * GRAPHQL
+ * /graphql answers GraphQL queries over the catalog, so clients can fetch the
+ * fields they need and nested data (reviews, variants, the category and its
+ * products) in one request. The Product, Review and Category types are built
+ * from PRODUCT_SCHEMA, REVIEW_SCHEMA and CATEGORY_SCHEMA, so they always have
+ * the same fields as the REST resources. Lists take the same filters, sorting
+ * and pagination as GET /api/products, and the mutations go through the same
+ * validation, If-Match checks, history and search index as the REST routes.
+ * Queries need the same access as GET requests, mutations an editor key.
+ * Before running, every operation is measured: its depth (nested fields) and
+ * complexity (fields to resolve, multiplied by the page sizes of the lists
+ * they are in) must stay within GRAPHQL_MAX_DEPTH and GRAPHQL_MAX_COMPLEXITY.
+ * Introspection (__schema, __type) is free, so tools can always load the schema.
+ */
+
+// Page size of lists whose query gives no pagination (REST would return everything)
+const GRAPHQL_DEFAULT_PAGE_SIZE = 10;
+
+// Variants per product assumed by the complexity estimate
+const GRAPHQL_VARIANT_ESTIMATE = 10;
+
+// Longest query document accepted, in tokens
+const GRAPHQL_MAX_TOKENS = 5000;
+
+// Error code reported in extensions for each HTTP status of the REST routes
+const GRAPHQL_ERROR_CODES = {
+  400: 'BAD_USER_INPUT',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  412: 'PRECONDITION_FAILED',
+  428: 'PRECONDITION_REQUIRED'
+};
+
+/**
+ * Create a GraphQL Error
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status the REST routes answer with
+ * @param {Object} [details] - Extra fields for extensions, e.g. field and received
+ * @returns {GraphQLError} Error with code and status in its extensions
+ */
+function graphqlError(message, status, details = {}) {
+  return new GraphQLError(message, {
+    extensions: { code: GRAPHQL_ERROR_CODES[status], status, ...details }
+  });
+}
+
+/**
+ * Convert a REST Error Body
+ * @param {number} status - HTTP status
+ * @param {Object} body - { message, field, received, errors, ... } as sent by the REST routes
+ * @returns {GraphQLError} Error with the rest of the body in its extensions
+ */
+function graphqlErrorFromBody(status, body) {
+  const { message, ...details } = body;
+  return graphqlError(message, status, details);
+}
+
+/**
+ * Copy GraphQL Input
+ * @description Input objects arrive without a prototype; validation and merge
+ * patches expect plain JSON
+ * @param {Object} input - Coerced input object
+ * @returns {Object} Plain copy
+ */
+function plainInput(input) {
+  return JSON.parse(JSON.stringify(input));
+}
+
+/**
+ * Convert Schema Properties to GraphQL Fields
+ * @description Maps JSON schema scalars and string arrays; other properties
+ * need an override. Required properties (and id) are non-null in output
+ * types; input types make required properties non-null only when asked.
+ * @param {Object} schema - Declarative schema such as PRODUCT_SCHEMA
+ * @param {Object} [options]
+ * @param {boolean} [options.input] - Build input fields (read-only properties are left out)
+ * @param {boolean} [options.requireRequired] - Make required input fields non-null
+ * @param {Object} [options.overrides] - Field configs ({ type, resolve, ... }) for
+ * properties that are not scalars
+ * @returns {Object} Field config map
+ */
+function graphqlFields(schema, { input = false, requireRequired = false, overrides = {} } = {}) {
+  const scalars = { integer: GraphQLInt, number: GraphQLFloat, string: GraphQLString, boolean: GraphQLBoolean };
+  const fields = {};
+
+  Object.entries(schema.properties).forEach(([name, property]) => {
+    if (input && property.readOnly) return;
+
+    const field = overrides[name] || {
+      type: property.type === 'array' && scalars[property.items && property.items.type]
+        ? new GraphQLList(new GraphQLNonNull(scalars[property.items.type]))
+        : scalars[property.type]
+    };
+
+    const required = input
+      ? requireRequired && schema.required.includes(name)
+      : name === 'id' || schema.required.includes(name);
+
+    fields[name] = {
+      description: property.title,
+      ...field,
+      type: required ? new GraphQLNonNull(field.type) : field.type
+    };
+  });
+
+  return fields;
+}
+
+/**
+ * Parse GraphQL List Arguments
+ * @description Turns the arguments of a product list into parseListQuery
+ * options, so they are checked exactly like the query string of GET /api/products
+ * @param {Object} args - filter, sortBy, order, skip, limit, page and pageSize
+ * @returns {Object} List options
+ */
+function graphqlListOptions(args) {
+  const filter = args.filter || {};
+  const query = {};
+
+  ['skip', 'limit', 'page', 'pageSize', 'sortBy', 'order'].forEach(name => {
+    if (args[name] !== undefined && args[name] !== null) query[name] = args[name];
+  });
+  ['category', 'brand', 'minPrice', 'maxPrice', 'minRating'].forEach(name => {
+    if (filter[name] !== undefined && filter[name] !== null) query[name] = filter[name];
+  });
+  if (typeof filter.inStock === 'boolean') {
+    query.inStock = String(filter.inStock);
+  }
+  if (filter.variant && filter.variant.length > 0) {
+    query.variant = Object.fromEntries(filter.variant.map(option => [option.name, option.value]));
+  }
+  if (query.limit === undefined && query.page === undefined && query.pageSize === undefined) {
+    query.limit = GRAPHQL_DEFAULT_PAGE_SIZE;
+  }
+
+  const { options, error } = parseListQuery(query);
+  if (error) {
+    const { parameter, ...body } = error;
+    throw graphqlErrorFromBody(400, { ...body, argument: parameter });
+  }
+  return options;
+}
+
+/**
+ * Page Size of a List Field
+ * @description Used by the complexity estimate (see measureGraphqlOperation)
+ * @param {Object} args - List arguments
+ * @returns {number} Number of items the list can return
+ */
+function graphqlPageSize(args) {
+  return args.limit || args.pageSize || GRAPHQL_DEFAULT_PAGE_SIZE;
+}
+
+const SortOrderType = new GraphQLEnumType({
+  name: 'SortOrder',
+  values: { ASC: { value: 'asc' }, DESC: { value: 'desc' } }
+});
+
+const ProductSortFieldType = new GraphQLEnumType({
+  name: 'ProductSortField',
+  values: Object.fromEntries(SORTABLE_FIELDS.map(field => [field, { value: field }]))
+});
+
+const OptionValueInputType = new GraphQLInputObjectType({
+  name: 'OptionValueInput',
+  description: 'A variant option value, e.g. { name: "size", value: "10" }',
+  fields: {
+    name: { type: new GraphQLNonNull(GraphQLString) },
+    value: { type: new GraphQLNonNull(GraphQLString) }
+  }
+});
+
+const ProductFilterType = new GraphQLInputObjectType({
+  name: 'ProductFilter',
+  description: 'Same filters as the query parameters of GET /api/products',
+  fields: {
+    category: { type: GraphQLString },
+    brand: { type: GraphQLString },
+    minPrice: { type: GraphQLFloat },
+    maxPrice: { type: GraphQLFloat },
+    minRating: { type: GraphQLFloat },
+    inStock: { type: GraphQLBoolean },
+    variant: { type: new GraphQLList(new GraphQLNonNull(OptionValueInputType)) }
+  }
+});
+
+// Arguments shared by every product list
+const PRODUCT_LIST_ARGS = {
+  sortBy: { type: ProductSortFieldType },
+  order: { type: SortOrderType },
+  skip: { type: GraphQLInt },
+  limit: { type: GraphQLInt, description: `1 to ${MAX_PAGE_SIZE}; ${GRAPHQL_DEFAULT_PAGE_SIZE} unless page or pageSize is given` },
+  page: { type: GraphQLInt },
+  pageSize: { type: GraphQLInt }
+};
+
+const ReviewStatusType = new GraphQLEnumType({
+  name: 'ReviewStatus',
+  values: {
+    ...Object.fromEntries(REVIEW_STATUSES.map(status => [status.toUpperCase(), { value: status }])),
+    ALL: { value: 'all' }
+  }
+});
+
+const ProductOptionType = new GraphQLObjectType({
+  name: 'ProductOption',
+  fields: graphqlFields(PRODUCT_SCHEMA.properties.options.items)
+});
+
+const ProductOptionInputType = new GraphQLInputObjectType({
+  name: 'ProductOptionInput',
+  fields: graphqlFields(PRODUCT_SCHEMA.properties.options.items, { input: true, requireRequired: true })
+});
 
-// API routes will be defined here
+// Options in product input, e.g. [{ name: "size", values: ["9", "10"] }]
+const PRODUCT_OPTIONS_INPUT = { type: new GraphQLList(new GraphQLNonNull(ProductOptionInputType)) };
 
-/**
- * Get All Products
- * @route GET /api/products
- * @description Retrieve all products with pagination-like response format
- * @access Public
- * @returns {Object} Response object containing products array and metadata
- */
-app.get('/api/products', (req, res) => {
-  try {
-    // In a real application, you might want to implement actual pagination
-    // Query parameters like ?page=1&limit=10 could be supported here
-    const response = {
-      products,
-      total: products.length,
-      skip: 0,
-      limit: products.length,
-      timestamp: new Date().toISOString()
-    };
-    
-    res.json(response);
-  } catch (error) {
-    console.error('Error fetching products:', error);
-    res.status(500).json({ message: 'Internal server error' });
+const OptionValueType = new GraphQLObjectType({
+  name: 'OptionValue',
+  fields: {
+    name: { type: new GraphQLNonNull(GraphQLString) },
+    value: { type: new GraphQLNonNull(GraphQLString) }
   }
 });
 
-/**
- * Get Single Product by ID
- * @route GET /api/products/:id
- * @description Retrieve a specific product by its unique identifier
- * @access Public
- * @param {string} id - Product ID (must be a valid number)
- * @returns {Object} Product object or error message
- */
-app.get('/api/products/:id', (req, res) => {
-  try {
-    const id = parseInt(req.params.id);
-    
-    // Validate ID parameter - must be a positive integer
-    if (isNaN(id) || id <= 0) {
-      return res.status(400).json({ 
-        message: 'Invalid product ID. ID must be a positive number.',
-        received: req.params.id
-      });
-    }
-    
-    // Find product in the products array
-    const product = products.find(p => p.id === id);
-    
-    // Handle product not found
-    if (!product) {
-      return res.status(404).json({ 
-        message: `Product with ID ${id} not found`,
-        availableIds: products.map(p => p.id)
-      });
+const VariantType = new GraphQLObjectType({
+  name: 'Variant',
+  fields: graphqlFields(VARIANT_SCHEMA, {
+    overrides: {
+      options: {
+        type: new GraphQLList(new GraphQLNonNull(OptionValueType)),
+        resolve: variant => Object.entries(variant.options || {}).map(([name, value]) => ({ name, value }))
+      }
     }
-    
-    // Return the found product
-    res.json(product);
-  } catch (error) {
-    console.error(`Error fetching product ${req.params.id}:`, error);
-    res.status(500).json({ message: 'Internal server error' });
-  }
+  })
 });
 
-/**
- * Create New Product
- * @route POST /api/products
- * @description Create a new product with comprehensive validation
- * @access Public
- * @param {Object} req.body - Product data
- * @param {string} req.body.title - Product title (required)
- * @param {number} req.body.price - Product price (required)
- * @param {string} [req.body.description] - Product description
- * @param {number} [req.body.discountPercentage] - Discount percentage (0-100)
- * @param {number} [req.body.rating] - Product rating (0-5)
- * @param {number} [req.body.stock] - Available stock (>= 0)
- * @param {string} [req.body.brand] - Product brand
- * @param {string} [req.body.category] - Product category
- * @param {string} [req.body.thumbnail] - Thumbnail image URL
- * @param {Array} [req.body.images] - Array of image URLs
- * @returns {Object} Created product object
- */
-app.post('/api/products', (req, res) => {
-  try {
-    const newProduct = req.body;
-    
-    // Validate required fields
-    if (!newProduct.title || newProduct.title.trim() === '') {
-      return res.status(400).json({ 
-        message: 'Title is required and cannot be empty',
-        field: 'title'
-      });
-    }
-    
-    if (newProduct.price === undefined || newProduct.price === null) {
-      return res.status(400).json({ 
-        message: 'Price is required',
-        field: 'price'
-      });
-    }
-    
-    // Validate data types and ranges
-    const price = parseFloat(newProduct.price);
-    if (isNaN(price) || price < 0) {
-      return res.status(400).json({ 
-        message: 'Price must be a valid positive number',
-        field: 'price',
-        received: newProduct.price
-      });
-    }
-    
-    // Validate optional fields
-    if (newProduct.stock !== undefined) {
-      const stock = parseInt(newProduct.stock);
-      if (isNaN(stock) || stock < 0) {
-        return res.status(400).json({ 
-          message: 'Stock must be a valid non-negative integer',
-          field: 'stock',
-          received: newProduct.stock
-        });
+const ReviewType = new GraphQLObjectType({
+  name: 'Review',
+  fields: graphqlFields(REVIEW_SCHEMA)
+});
+
+const CategoryType = new GraphQLObjectType({
+  name: 'Category',
+  fields: () => ({
+    ...graphqlFields(CATEGORY_SCHEMA),
+    slug: { type: new GraphQLNonNull(GraphQLString), description: 'Slug' },
+    products: {
+      type: new GraphQLNonNull(ProductPageType),
+      description: 'Products in this category and its subcategories',
+      args: { ...PRODUCT_LIST_ARGS },
+      extensions: { listSize: graphqlPageSize },
+      resolve: (category, args) => {
+        const options = graphqlListOptions(args);
+        options.filters.categories = categorySubtree(category.slug);
+        return productRepository.list(options);
       }
     }
-    
-    if (newProduct.discountPercentage !== undefined) {
-      const discount = parseFloat(newProduct.discountPercentage);
-      if (isNaN(discount) || discount < 0 || discount > 100) {
-        return res.status(400).json({ 
-          message: 'Discount percentage must be a number between 0 and 100',
-          field: 'discountPercentage',
-          received: newProduct.discountPercentage
-        });
+  })
+});
+
+const ProductType = new GraphQLObjectType({
+  name: 'Product',
+  fields: () => ({
+    ...graphqlFields(PRODUCT_SCHEMA, {
+      overrides: {
+        options: {
+          type: new GraphQLList(new GraphQLNonNull(ProductOptionType)),
+          extensions: { listSize: () => PRODUCT_SCHEMA.properties.options.maxItems }
+        },
+        variants: {
+          type: new GraphQLList(new GraphQLNonNull(VariantType)),
+          extensions: { listSize: () => GRAPHQL_VARIANT_ESTIMATE }
+        }
       }
-    }
-    
-    if (newProduct.rating !== undefined) {
-      const rating = parseFloat(newProduct.rating);
-      if (isNaN(rating) || rating < 0 || rating > 5) {
-        return res.status(400).json({ 
-          message: 'Rating must be a number between 0 and 5',
-          field: 'rating',
-          received: newProduct.rating
-        });
+    }),
+    reserved: {
+      type: new GraphQLNonNull(GraphQLInt),
+      description: 'Units held by active reservations',
+      resolve: product => reservedUnits(product.id)
+    },
+    available: {
+      type: new GraphQLNonNull(GraphQLInt),
+      description: 'Units that can still be ordered',
+      resolve: product => withStockLevels(product).available
+    },
+    etag: {
+      type: new GraphQLNonNull(GraphQLString),
+      description: 'ETag of this version, for the ifMatch argument of the mutations',
+      resolve: product => productETag(product)
+    },
+    categoryDetails: {
+      type: CategoryType,
+      description: 'The product\'s category',
+      resolve: product => (product.category ? categoryRepository.get(product.category) || null : null)
+    },
+    reviews: {
+      type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(ReviewType))),
+      description: 'Reviews, newest first; statuses other than approved need an editor key',
+      args: {
+        status: { type: ReviewStatusType, defaultValue: 'approved' },
+        limit: { type: GraphQLInt, defaultValue: GRAPHQL_DEFAULT_PAGE_SIZE }
+      },
+      extensions: { listSize: args => args.limit },
+      resolve: (product, { status, limit }, { req }) => {
+        if (limit < 1 || limit > MAX_PAGE_SIZE) {
+          throw graphqlError(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`, 400, { argument: 'limit', received: limit });
+        }
+        // Reviews awaiting or failing moderation are not published, as in GET /api/products/:id/reviews
+        if (status !== 'approved' && !(req.auth && hasRole(req.auth.role, 'editor'))) {
+          throw req.auth
+            ? graphqlError('This request requires the editor role', 403, { role: req.auth.role, requiredRole: 'editor', argument: 'status' })
+            : graphqlError('Authentication required. Send an API key in the X-API-Key header, or an API key or access token as a Bearer token.', 401, { requiredRole: 'editor', argument: 'status' });
+        }
+        return reviewRepository.list()
+          .filter(review => review.productId === product.id && (status === 'all' || review.status === status))
+          .sort((a, b) => (a.createdAt < b.createdAt ? 1 : a.createdAt > b.createdAt ? -1 : b.id - a.id))
+          .slice(0, limit);
       }
     }
-    
-    // Generate new unique ID
-    const maxId = products.length > 0 ? Math.max(...products.map(p => p.id)) : 0;
-    const productId = maxId + 1;
-    
-    // Create product object with validated data and defaults
-    const productToCreate = {
-      id: productId,
-      title: newProduct.title.trim(),
-      description: newProduct.description || '',
-      price: parseFloat(newProduct.price),
-      discountPercentage: newProduct.discountPercentage ? parseFloat(newProduct.discountPercentage) : 0,
-      rating: newProduct.rating ? parseFloat(newProduct.rating) : 0,
-      stock: newProduct.stock ? parseInt(newProduct.stock) : 0,
-      brand: newProduct.brand || '',
-      category: newProduct.category || '',
-      thumbnail: newProduct.thumbnail || '',
-      images: Array.isArray(newProduct.images) ? newProduct.images : [],
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-    
-    // Add to products array
-    products.push(productToCreate);
-    
-    // Log the creation for debugging
-    console.log(`New product created with ID: ${productId}`);
-    
-    // Return created product with 201 status
-    res.status(201).json(productToCreate);
-    
-  } catch (error) {
-    console.error('Error creating product:', error);
-    res.status(500).json({ message: 'Internal server error' });
+  })
+});
+
+const ProductPageType = new GraphQLObjectType({
+  name: 'ProductPage',
+  fields: () => ({
+    products: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(ProductType))) },
+    total: { type: new GraphQLNonNull(GraphQLInt), description: 'Products matching the filters' },
+    skip: { type: new GraphQLNonNull(GraphQLInt) },
+    limit: { type: GraphQLInt }
+  })
+});
+
+const ProductInputType = new GraphQLInputObjectType({
+  name: 'ProductInput',
+  description: 'A complete product, validated like POST /api/products',
+  fields: graphqlFields(PRODUCT_SCHEMA, {
+    input: true,
+    requireRequired: true,
+    overrides: { options: PRODUCT_OPTIONS_INPUT }
+  })
+});
+
+const ProductPatchType = new GraphQLInputObjectType({
+  name: 'ProductPatch',
+  description: 'Fields to change, applied like a JSON Merge Patch: null resets a field to its default',
+  fields: graphqlFields(PRODUCT_SCHEMA, {
+    input: true,
+    overrides: { options: PRODUCT_OPTIONS_INPUT }
+  })
+});
+
+const DeletedProductType = new GraphQLObjectType({
+  name: 'DeletedProduct',
+  fields: {
+    product: { type: new GraphQLNonNull(ProductType) },
+    purged: { type: new GraphQLNonNull(GraphQLBoolean) },
+    purgeAt: { type: GraphQLString, description: 'When a product in the trash is purged automatically' },
+    remainingProducts: { type: new GraphQLNonNull(GraphQLInt) }
   }
 });
 
 /**
- * Update Product
- * @route PUT /api/products/:id
- * @description Update an existing product with partial data
- * @access Public
- * @param {string} id - Product ID (must be a valid positive number)
- * @param {Object} req.body - Updated product data (partial)
- * @returns {Object} Updated product object
+ * Find a Product for a Mutation
+ * @param {number} id - Product ID argument
+ * @param {string} [ifMatch] - ETag the product must still have
+ * @param {Object|null} product - Stored product
+ * @returns {Object} The product; throws when it is missing or has changed
  */
-app.put('/api/products/:id', (req, res) => {
-  try {
-    const id = parseInt(req.params.id);
-    const updates = req.body;
-    
-    // Validate ID parameter
-    if (isNaN(id) || id <= 0) {
-      return res.status(400).json({ 
-        message: 'Invalid product ID. ID must be a positive number.',
-        received: req.params.id
-      });
-    }
-    
-    // Find product by ID
-    const productIndex = products.findIndex(p => p.id === id);
-    
-    if (productIndex === -1) {
-      return res.status(404).json({ 
-        message: `Product with ID ${id} not found`,
-        availableIds: products.map(p => p.id)
-      });
-    }
-    
-    // Validate update fields (only validate provided fields)
-    if (updates.title !== undefined) {
-      if (!updates.title || updates.title.trim() === '') {
-        return res.status(400).json({ 
-          message: 'Title cannot be empty',
-          field: 'title'
-        });
-      }
-    }
-    
-    if (updates.price !== undefined) {
-      const price = parseFloat(updates.price);
-      if (isNaN(price) || price < 0) {
-        return res.status(400).json({ 
-          message: 'Price must be a valid positive number',
-          field: 'price',
-          received: updates.price
-        });
+function graphqlMutationProduct(id, ifMatch, product) {
+  if (id <= 0) {
+    throw graphqlError('Invalid product ID. ID must be a positive number.', 400, { argument: 'id', received: id });
+  }
+  if (!product) {
+    throw graphqlError(`Product with ID ${id} not found`, 404);
+  }
+
+  const precondition = checkIfMatch(ifMatch === null ? undefined : ifMatch, id, product);
+  if (precondition) {
+    // The REST message names the If-Match header; the mutations take an argument
+    const { message, header, ...details } = precondition.body;
+    throw graphqlError(precondition.status === 428
+      ? 'This mutation requires the ifMatch argument with the product ETag. Query the product\'s etag to get it.'
+      : message, precondition.status, { ...details, argument: 'ifMatch' });
+  }
+
+  return product;
+}
+
+const graphqlSchema = new GraphQLSchema({
+  query: new GraphQLObjectType({
+    name: 'Query',
+    fields: {
+      products: {
+        type: new GraphQLNonNull(ProductPageType),
+        description: 'Products with filters, sorting and pagination like GET /api/products',
+        args: { filter: { type: ProductFilterType }, ...PRODUCT_LIST_ARGS },
+        extensions: { listSize: graphqlPageSize },
+        resolve: (root, args) => productRepository.list(graphqlListOptions(args))
+      },
+      product: {
+        type: ProductType,
+        description: 'A product by ID, or null when there is none',
+        args: { id: { type: new GraphQLNonNull(GraphQLInt) } },
+        resolve: (root, { id }) => {
+          if (id <= 0) {
+            throw graphqlError('Invalid product ID. ID must be a positive number.', 400, { argument: 'id', received: id });
+          }
+          return productRepository.get(id) || null;
+        }
       }
     }
-    
-    if (updates.stock !== undefined) {
-      const stock = parseInt(updates.stock);
-      if (isNaN(stock) || stock < 0) {
-        return res.status(400).json({ 
-          message: 'Stock must be a valid non-negative integer',
-          field: 'stock',
-          received: updates.stock
-        });
+  }),
+  mutation: new GraphQLObjectType({
+    name: 'Mutation',
+    fields: {
+      createProduct: {
+        type: new GraphQLNonNull(ProductType),
+        description: 'Create a product, like POST /api/products',
+        args: { input: { type: new GraphQLNonNull(ProductInputType) } },
+        resolve: (root, { input }, { req }) => {
+          const { value: fields, error: validationError } = validateProduct(plainInput(input));
+          if (validationError) {
+            throw graphqlErrorFromBody(400, validationError);
+          }
+
+          const now = new Date().toISOString();
+          const createdProduct = productRepository.create({
+            ...fields,
+            createdAt: now,
+            updatedAt: now,
+            createdBy: requestActor(req),
+            updatedBy: requestActor(req)
+          }, changeContext(req));
+          indexProduct(createdProduct);
+
+          // Log the creation for debugging
+          console.log(`New product created with ID: ${createdProduct.id} (GraphQL)`);
+
+          return createdProduct;
+        }
+      },
+      updateProduct: {
+        type: new GraphQLNonNull(ProductType),
+        description: 'Change some fields of a product, like a merge patch to PATCH /api/products/:id',
+        args: {
+          id: { type: new GraphQLNonNull(GraphQLInt) },
+          input: { type: new GraphQLNonNull(ProductPatchType) },
+          ifMatch: { type: GraphQLString, description: 'Only update while the product has this ETag' }
+        },
+        resolve: (root, { id, input, ifMatch }, { req }) => {
+          const existingProduct = graphqlMutationProduct(id, ifMatch, productRepository.get(id));
+
+          const patchedProduct = applyMergePatch(existingProduct, plainInput(input));
+          const { value: fields, error: validationError } = validateProduct(omitReadOnlyFields(patchedProduct), existingProduct);
+          if (validationError) {
+            throw graphqlErrorFromBody(400, validationError);
+          }
+
+          const updatedProduct = productRepository.update(id, {
+            ...fields,
+            updatedAt: new Date().toISOString(),
+            updatedBy: requestActor(req)
+          }, changeContext(req));
+          indexProduct(updatedProduct);
+
+          // Log the update for debugging
+          console.log(`Product ${id} updated successfully (GraphQL)`);
+
+          return updatedProduct;
+        }
+      },
+      deleteProduct: {
+        type: new GraphQLNonNull(DeletedProductType),
+        description: 'Move a product to the trash, or delete it for good with purge (admin), like DELETE /api/products/:id',
+        args: {
+          id: { type: new GraphQLNonNull(GraphQLInt) },
+          purge: { type: GraphQLBoolean, defaultValue: false },
+          ifMatch: { type: GraphQLString, description: 'Only delete while the product has this ETag' }
+        },
+        resolve: (root, { id, purge, ifMatch }, { req }) => {
+          if (purge && !hasRole(req.auth.role, 'admin')) {
+            throw graphqlError('This request requires the admin role', 403, { role: req.auth.role, requiredRole: 'admin' });
+          }
+
+          // Only a purge can reach products that are already in the trash
+          graphqlMutationProduct(id, ifMatch, productRepository.get(id) || (purge ? productRepository.getDeleted(id) : null));
+
+          if (purge) {
+            const purgedProduct = purgeProduct(id);
+
+            // Log the purge for debugging
+            console.log(`Product ${id} purged permanently (GraphQL)`);
+
+            return { product: purgedProduct, purged: true, purgeAt: null, remainingProducts: productRepository.count() };
+          }
+
+          const deletedProduct = withPurgeTime(trashProduct(id, changeContext(req)));
+
+          // Log the deletion for debugging
+          console.log(`Product ${id} moved to the trash (GraphQL)`);
+
+          return {
+            product: deletedProduct,
+            purged: false,
+            purgeAt: deletedProduct.purgeAt,
+            remainingProducts: productRepository.count()
+          };
+        }
       }
     }
-    
-    if (updates.discountPercentage !== undefined) {
-      const discount = parseFloat(updates.discountPercentage);
-      if (isNaN(discount) || discount < 0 || discount > 100) {
-        return res.status(400).json({ 
-          message: 'Discount percentage must be a number between 0 and 100',
-          field: 'discountPercentage',
-          received: updates.discountPercentage
-        });
+  })
+});
+
+/**
+ * Measure a GraphQL Operation
+ * @description Depth counts nested fields; complexity counts the fields that
+ * will be resolved, multiplying everything inside a list by its page size
+ * (fields with extensions.listSize, clamped to 1..MAX_PAGE_SIZE). Introspection fields count once and their
+ * selections are not measured. Stops as soon as a limit is exceeded, so
+ * fragments spread many times cannot make the measurement itself expensive.
+ * @param {Object} document - Validated document
+ * @param {Object} operation - Operation to run
+ * @param {Object} variables - Coerced variable values
+ * @returns {GraphQLError|null} Error for the first limit exceeded, or null
+ */
+function measureGraphqlOperation(document, operation, variables) {
+  const fragments = {};
+  document.definitions
+    .filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION)
+    .forEach(definition => {
+      fragments[definition.name.value] = definition;
+    });
+
+  let complexity = 0;
+
+  const measure = (selectionSet, parentType, depth, multiplier) => {
+    for (const selection of selectionSet.selections) {
+      if (selection.kind === Kind.FIELD) {
+        const name = selection.name.value;
+        complexity += name.startsWith('__') ? 1 : multiplier;
+
+        if (depth > GRAPHQL_MAX_DEPTH) {
+          return graphqlError(`Query is too deep: ${depth} levels of nested fields, at most ${GRAPHQL_MAX_DEPTH} are allowed`, 400, {
+            code: 'QUERY_TOO_DEEP',
+            maxDepth: GRAPHQL_MAX_DEPTH
+          });
+        }
+        if (complexity > GRAPHQL_MAX_COMPLEXITY) {
+          return graphqlError(`Query is too complex: more than ${GRAPHQL_MAX_COMPLEXITY} fields to resolve`, 400, {
+            code: 'QUERY_TOO_COMPLEX',
+            maxComplexity: GRAPHQL_MAX_COMPLEXITY
+          });
+        }
+
+        if (selection.selectionSet && !name.startsWith('__')) {
+          const field = parentType.getFields()[name];
+          // Out-of-range limits are rejected when resolving, but must not lower the estimate first
+          const listSize = field.extensions.listSize
+            ? Math.min(Math.max(field.extensions.listSize(getArgumentValues(field, selection, variables)) || 1, 1), MAX_PAGE_SIZE)
+            : 1;
+          const error = measure(selection.selectionSet, getNamedType(field.type), depth + 1, multiplier * listSize);
+          if (error) return error;
+        }
+      } else {
+        // Fragments add their fields at the level they are spread in
+        const fragment = selection.kind === Kind.INLINE_FRAGMENT ? selection : fragments[selection.name.value];
+        const type = fragment.typeCondition ? graphqlSchema.getType(fragment.typeCondition.name.value) : parentType;
+        const error = measure(fragment.selectionSet, type, depth, multiplier);
+        if (error) return error;
       }
     }
-    
-    if (updates.rating !== undefined) {
-      const rating = parseFloat(updates.rating);
-      if (isNaN(rating) || rating < 0 || rating > 5) {
-        return res.status(400).json({ 
-          message: 'Rating must be a number between 0 and 5',
-          field: 'rating',
-          received: updates.rating
-        });
-      }
+    return null;
+  };
+
+  const rootType = operation.operation === 'mutation' ? graphqlSchema.getMutationType() : graphqlSchema.getQueryType();
+  return measure(operation.selectionSet, rootType, 1, 1);
+}
+
+/**
+ * Read a GraphQL Request
+ * @description Parses and validates the query of a GET (query string) or POST
+ * (JSON body) request once; the result is kept on req.graphql, because the
+ * rate limiter needs the operation type before the route runs
+ * @param {Object} req - Express request object
+ * @returns {Object} { document, operation, variables } or { status, errors }
+ */
+function readGraphqlRequest(req) {
+  if (req.graphql) return req.graphql;
+
+  const fail = (status, errors) => {
+    req.graphql = { status, errors: errors.map(error => (error instanceof GraphQLError ? error : new GraphQLError(error))) };
+    return req.graphql;
+  };
+
+  const params = req.method === 'GET' ? req.query : req.body;
+  if (!isPlainObject(params) || typeof params.query !== 'string' || params.query.trim() === '') {
+    return fail(400, ['query is required and must be a GraphQL document']);
+  }
+
+  let variables = params.variables === undefined || params.variables === '' ? null : params.variables;
+  if (typeof variables === 'string') {
+    try {
+      variables = JSON.parse(variables);
+    } catch {
+      return fail(400, ['variables must be a JSON object']);
     }
-    
-    // Prepare sanitized updates
-    const sanitizedUpdates = {};
-    
-    if (updates.title !== undefined) sanitizedUpdates.title = updates.title.trim();
-    if (updates.description !== undefined) sanitizedUpdates.description = updates.description;
-    if (updates.price !== undefined) sanitizedUpdates.price = parseFloat(updates.price);
-    if (updates.discountPercentage !== undefined) sanitizedUpdates.discountPercentage = parseFloat(updates.discountPercentage);
-    if (updates.rating !== undefined) sanitizedUpdates.rating = parseFloat(updates.rating);
-    if (updates.stock !== undefined) sanitizedUpdates.stock = parseInt(updates.stock);
-    if (updates.brand !== undefined) sanitizedUpdates.brand = updates.brand;
-    if (updates.category !== undefined) sanitizedUpdates.category = updates.category;
-    if (updates.thumbnail !== undefined) sanitizedUpdates.thumbnail = updates.thumbnail;
-    if (updates.images !== undefined && Array.isArray(updates.images)) sanitizedUpdates.images = updates.images;
-    
-    // Add updatedAt timestamp
-    sanitizedUpdates.updatedAt = new Date().toISOString();
-    
-    // Update product with sanitized data
-    products[productIndex] = { ...products[productIndex], ...sanitizedUpdates };
-    
-    // Log the update for debugging
-    console.log(`Product ${id} updated successfully`);
-    
-    // Return updated product
-    res.json(products[productIndex]);
-    
+  }
+  if (variables !== null && !isPlainObject(variables)) {
+    return fail(400, ['variables must be a JSON object']);
+  }
+
+  let document;
+  try {
+    document = parse(params.query, { maxTokens: GRAPHQL_MAX_TOKENS });
   } catch (error) {
-    console.error(`Error updating product ${req.params.id}:`, error);
-    res.status(500).json({ message: 'Internal server error' });
+    return fail(400, [error]);
   }
-});
+
+  const validationErrors = validate(graphqlSchema, document);
+  if (validationErrors.length > 0) {
+    return fail(400, validationErrors);
+  }
+
+  const operationName = typeof params.operationName === 'string' && params.operationName !== '' ? params.operationName : null;
+  const operation = getOperationAST(document, operationName);
+  if (!operation) {
+    return fail(400, [operationName
+      ? `Unknown operation named "${operationName}"`
+      : 'operationName is required when the document contains several operations']);
+  }
+
+  req.graphql = { document, operation, operationName, variables: variables || {} };
+  return req.graphql;
+}
 
 /**
- * Delete Product
- * @route DELETE /api/products/:id
- * @description Delete a product by its ID
- * @access Public
- * @param {string} id - Product ID (must be a valid positive number)
- * @returns {Object} Success message with deleted product data
+ * Format a GraphQL Error
+ * @description Errors thrown by resolvers on purpose are GraphQLErrors with a
+ * code; anything else is a bug, logged and reported without its details
+ * @param {GraphQLError} error - Error from validation or execution
+ * @returns {Object} Error as sent to the client
  */
-app.delete('/api/products/:id', (req, res) => {
+function formatGraphqlError(error) {
+  if (error.originalError && !(error.originalError instanceof GraphQLError)) {
+    console.error('Error executing GraphQL operation:', error.originalError);
+    return { message: 'Internal server error', locations: error.locations, path: error.path };
+  }
+  return error.toJSON();
+}
+
+// Queries count as reads and mutations as writes; invalid requests count as reads
+app.use('/graphql', identifyRequest, rateLimit(req => {
+  const { operation } = readGraphqlRequest(req);
+  return operation && operation.operation === 'mutation' ? 'write' : 'read';
+}), authenticateRequest);
+
+/**
+ * GraphQL Endpoint
+ * @route GET /graphql, POST /graphql
+ * @description Run a GraphQL query or mutation over the product catalog. POST
+ * takes { query, variables, operationName } as JSON; GET takes the same
+ * parameters in the query string (variables as JSON) and only runs queries.
+ * Requests that cannot run (syntax, validation, depth or complexity errors)
+ * are answered with 400; errors while running are reported in errors next to
+ * the data, with the REST status and details in their extensions.
+ * @access Public for queries (Viewer with API_READ_ACCESS=viewer), Editor for mutations
+ * @param {string} query - GraphQL document
+ * @param {Object} [variables] - Variable values
+ * @param {string} [operationName] - Operation to run when the document has several
+ * @returns {Object} { data, errors }
+ */
+function handleGraphqlRequest(req, res) {
   try {
-    const id = parseInt(req.params.id);
-    
-    // Validate ID parameter
-    if (isNaN(id) || id <= 0) {
-      return res.status(400).json({ 
-        message: 'Invalid product ID. ID must be a positive number.',
-        received: req.params.id
+    const { document, operation, operationName, variables, status, errors } = readGraphqlRequest(req);
+    if (errors) {
+      return res.status(status).json({ errors: errors.map(formatGraphqlError) });
+    }
+
+    // Mutations through GET could be triggered by links and prefetching
+    if (operation.operation === 'mutation' && req.method === 'GET') {
+      return res.status(405).set('Allow', 'POST').json({
+        errors: [{ message: 'Mutations must be sent with POST' }]
       });
     }
-    
-    // Find product index
-    const index = products.findIndex(p => p.id === id);
-    
-    if (index === -1) {
-      return res.status(404).json({ 
-        message: `Product with ID ${id} not found`,
-        availableIds: products.map(p => p.id)
+
+    const requiredRole = operation.operation === 'mutation'
+      ? 'editor'
+      : API_READ_ACCESS === 'viewer' ? 'viewer' : null;
+    if (requiredRole && (!req.auth || !hasRole(req.auth.role, requiredRole))) {
+      const authStatus = req.auth ? 403 : 401;
+      if (!req.auth) res.set('WWW-Authenticate', 'Bearer');
+      return res.status(authStatus).json({
+        errors: [graphqlError(req.auth
+          ? `This request requires the ${requiredRole} role`
+          : 'Authentication required. Send an API key in the X-API-Key header, or an API key or access token as a Bearer token.',
+        authStatus, { requiredRole }).toJSON()]
       });
     }
-    
-    // Store product data before deletion
-    const deletedProduct = { ...products[index] };
-    
-    // Remove product from array
-    products.splice(index, 1);
-    
-    // Log the deletion for debugging
-    console.log(`Product ${id} deleted successfully`);
-    
-    // Return success response with deleted product data
-    res.json({
-      message: 'Product deleted successfully',
-      deletedProduct,
-      remainingProducts: products.length,
-      timestamp: new Date().toISOString()
-    });
-    
+
+    const { coerced, errors: variableErrors } = getVariableValues(graphqlSchema, operation.variableDefinitions || [], variables);
+    if (variableErrors) {
+      return res.status(400).json({ errors: variableErrors.map(formatGraphqlError) });
+    }
+
+    const limitError = measureGraphqlOperation(document, operation, coerced);
+    if (limitError) {
+      return res.status(400).json({ errors: [limitError.toJSON()] });
+    }
+
+    Promise.resolve(execute({
+      schema: graphqlSchema,
+      document,
+      operationName,
+      variableValues: variables,
+      contextValue: { req }
+    }))
+      .then(result => {
+        res.json({
+          ...(result.errors ? { errors: result.errors.map(formatGraphqlError) } : {}),
+          data: result.data
+        });
+      })
+      .catch(error => {
+        console.error('Error executing GraphQL operation:', error);
+        res.status(500).json({ message: 'Internal server error' });
+      });
+
   } catch (error) {
-    console.error(`Error deleting product ${req.params.id}:`, error);
+    console.error('Error handling GraphQL request:', error);
     res.status(500).json({ message: 'Internal server error' });
   }
-});
+}
+
+app.get('/graphql', handleGraphqlRequest);
+app.post('/graphql', handleGraphqlRequest);
 
 /**
  * Root Route - Serve Landing Page
@@ -588,10 +9279,81 @@ app.use('/api', (req, res, next) => {
     timestamp: new Date().toISOString(),
     availableRoutes: [
       'GET /api/products',
+      'GET /api/products/search',
+      'GET /api/products/export.csv',
+      'GET /api/products/trash',
       'GET /api/products/:id',
       'POST /api/products',
+      'POST /api/products/bulk',
+      'POST /api/products/import',
       'PUT /api/products/:id',
-      'DELETE /api/products/:id'
+      'PATCH /api/products/:id',
+      'DELETE /api/products/:id',
+      'POST /api/products/:id/restore',
+      'GET /api/products/:id/history',
+      'GET /api/products/:id/history/:version',
+      'POST /api/products/:id/revert/:version',
+      'GET /api/events',
+      'GET /api/products/:id/variants',
+      'GET /api/products/:id/variants/:variantId',
+      'POST /api/products/:id/variants',
+      'PUT /api/products/:id/variants/:variantId',
+      'DELETE /api/products/:id/variants/:variantId',
+      'GET /api/schema/variant',
+      'GET /api/products/:id/reviews',
+      'GET /api/products/:id/reviews/:reviewId',
+      'POST /api/products/:id/reviews',
+      'PATCH /api/products/:id/reviews/:reviewId',
+      'DELETE /api/products/:id/reviews/:reviewId',
+      'GET /api/schema/review',
+      'POST /api/products/:id/stock/adjust',
+      'GET /api/products/:id/reservations',
+      'POST /api/products/:id/reservations',
+      'GET /api/products/:id/reservations/:reservationId',
+      'POST /api/products/:id/reservations/:reservationId/commit',
+      'POST /api/products/:id/reservations/:reservationId/release',
+      'GET /api/schema/product',
+      'GET /api/categories',
+      'GET /api/categories/:slug',
+      'GET /api/categories/:slug/products',
+      'POST /api/categories',
+      'PUT /api/categories/:slug',
+      'DELETE /api/categories/:slug',
+      'GET /api/schema/category',
+      'GET /api/brands',
+      'GET /api/brands/:id',
+      'GET /api/brands/:id/stats',
+      'POST /api/brands',
+      'PUT /api/brands/:id',
+      'DELETE /api/brands/:id',
+      'GET /api/schema/brand',
+      'POST /api/carts',
+      'GET /api/carts/:id',
+      'DELETE /api/carts/:id',
+      'POST /api/carts/:id/items',
+      'PUT /api/carts/:id/items/:productId',
+      'DELETE /api/carts/:id/items/:productId',
+      'POST /api/carts/:id/checkout',
+      'GET /api/orders',
+      'GET /api/orders/:id',
+      'PATCH /api/orders/:id',
+      'GET /api/keys',
+      'POST /api/keys',
+      'DELETE /api/keys/:id',
+      'GET /api/webhooks',
+      'POST /api/webhooks',
+      'GET /api/webhooks/:id',
+      'PATCH /api/webhooks/:id',
+      'DELETE /api/webhooks/:id',
+      'POST /api/webhooks/:id/ping',
+      'GET /api/webhooks/:id/deliveries',
+      'GET /api/webhooks/:id/deliveries/:deliveryId',
+      'POST /api/webhooks/:id/deliveries/:deliveryId/retry',
+      'POST /api/auth/register',
+      'POST /api/auth/login',
+      'POST /api/auth/refresh',
+      'POST /api/auth/logout',
+      'GET /api/auth/me'
     ]
   });
 });
@@ -612,11 +9374,84 @@ app.use((req, res) => {
     timestamp: new Date().toISOString(),
     availableRoutes: [
       'GET /',
+      'GET /graphql',
+      'POST /graphql',
       'GET /api/products',
+      'GET /api/products/search',
+      'GET /api/products/export.csv',
+      'GET /api/products/trash',
       'GET /api/products/:id',
       'POST /api/products',
+      'POST /api/products/bulk',
+      'POST /api/products/import',
       'PUT /api/products/:id',
-      'DELETE /api/products/:id'
+      'PATCH /api/products/:id',
+      'DELETE /api/products/:id',
+      'POST /api/products/:id/restore',
+      'GET /api/products/:id/history',
+      'GET /api/products/:id/history/:version',
+      'POST /api/products/:id/revert/:version',
+      'GET /api/events',
+      'GET /api/products/:id/variants',
+      'GET /api/products/:id/variants/:variantId',
+      'POST /api/products/:id/variants',
+      'PUT /api/products/:id/variants/:variantId',
+      'DELETE /api/products/:id/variants/:variantId',
+      'GET /api/schema/variant',
+      'GET /api/products/:id/reviews',
+      'GET /api/products/:id/reviews/:reviewId',
+      'POST /api/products/:id/reviews',
+      'PATCH /api/products/:id/reviews/:reviewId',
+      'DELETE /api/products/:id/reviews/:reviewId',
+      'GET /api/schema/review',
+      'POST /api/products/:id/stock/adjust',
+      'GET /api/products/:id/reservations',
+      'POST /api/products/:id/reservations',
+      'GET /api/products/:id/reservations/:reservationId',
+      'POST /api/products/:id/reservations/:reservationId/commit',
+      'POST /api/products/:id/reservations/:reservationId/release',
+      'GET /api/schema/product',
+      'GET /api/categories',
+      'GET /api/categories/:slug',
+      'GET /api/categories/:slug/products',
+      'POST /api/categories',
+      'PUT /api/categories/:slug',
+      'DELETE /api/categories/:slug',
+      'GET /api/schema/category',
+      'GET /api/brands',
+      'GET /api/brands/:id',
+      'GET /api/brands/:id/stats',
+      'POST /api/brands',
+      'PUT /api/brands/:id',
+      'DELETE /api/brands/:id',
+      'GET /api/schema/brand',
+      'POST /api/carts',
+      'GET /api/carts/:id',
+      'DELETE /api/carts/:id',
+      'POST /api/carts/:id/items',
+      'PUT /api/carts/:id/items/:productId',
+      'DELETE /api/carts/:id/items/:productId',
+      'POST /api/carts/:id/checkout',
+      'GET /api/orders',
+      'GET /api/orders/:id',
+      'PATCH /api/orders/:id',
+      'GET /api/keys',
+      'POST /api/keys',
+      'DELETE /api/keys/:id',
+      'GET /api/webhooks',
+      'POST /api/webhooks',
+      'GET /api/webhooks/:id',
+      'PATCH /api/webhooks/:id',
+      'DELETE /api/webhooks/:id',
+      'POST /api/webhooks/:id/ping',
+      'GET /api/webhooks/:id/deliveries',
+      'GET /api/webhooks/:id/deliveries/:deliveryId',
+      'POST /api/webhooks/:id/deliveries/:deliveryId/retry',
+      'POST /api/auth/register',
+      'POST /api/auth/login',
+      'POST /api/auth/refresh',
+      'POST /api/auth/logout',
+      'GET /api/auth/me'
     ]
   });
 });
@@ -630,22 +9465,102 @@ app.use((req, res) => {
  * Start the HTTP server
  * @description Starts the server on the specified port with error handling
  */
+const storageDescription = STORAGE_DRIVER === 'sqlite'
+  ? `sqlite (${SQLITE_FILE})`
+  : `memory${DATA_FILE ? ` (${DATA_FILE})` : ''}`;
+
 const server = app.listen(PORT, () => {
   console.log('='.repeat(50));
   console.log('🚀 Fashion Products API Server Started');
   console.log('='.repeat(50));
   console.log(`📍 Server URL: http://localhost:${PORT}`);
   console.log(`🌍 Environment: ${NODE_ENV}`);
-  console.log(`📊 Initial Products: ${products.length}`);
+  console.log(`💾 Storage: ${storageDescription}`);
+  console.log(`📊 Initial Products: ${productRepository.count()}`);
+  console.log(`🏷️ Categories: ${categoryRepository.count()}`);
+  console.log(`🏷️ Brands: ${brandRepository.count()}`);
+  console.log(`🛒 Open carts: ${cartRepository.count()}, orders: ${orderRepository.count()} (unpaid orders cancelled after ${ORDER_PAYMENT_MINUTES} min)`);
+  console.log(`🔑 API keys: ${apiKeyRepository.count()} (reads: ${API_READ_ACCESS}, writes: editor)`);
+  console.log(`👤 Users: ${userRepository.count()}, sessions: ${sessionRepository.count()}`);
+  console.log(`🌐 CORS origins: ${corsOrigins.length > 0 ? corsOrigins.map(({ entry }) => entry).join(', ') : 'none (same origin only)'}`);
+  console.log(`🚦 Rate limits: ${RATE_LIMIT_ENABLED
+    ? `${RATE_LIMIT_READ_MAX} reads, ${RATE_LIMIT_WRITE_MAX} writes and ${RATE_LIMIT_BULK_MAX} bulk writes per ${RATE_LIMIT_WINDOW_MS / 1000}s per client, ${RATE_LIMIT_LOGIN_MAX} logins per ${RATE_LIMIT_LOGIN_WINDOW_MS / 1000}s per IP (${RATE_LIMIT_STORE} store)`
+    : 'off'}`);
+  console.log(`🏷️  If-Match for product writes: ${REQUIRE_IF_MATCH ? 'required' : 'optional'}`);
+  console.log(`🗑️  Trash: ${productRepository.list({ deleted: true }).total} products, purged after ${TRASH_RETENTION_DAYS} days`);
+  console.log(`📜 Product history: ${productHistoryRepository.count()} changes recorded`);
+  console.log(`🪝 Webhooks: ${webhookRepository.count()}, up to ${WEBHOOK_MAX_ATTEMPTS} attempts per delivery (first retry after ${WEBHOOK_RETRY_BASE_SECONDS}s)`);
+  if (WEBHOOK_ALLOWED_HOSTS.length > 0) {
+    console.log(`🪝 Webhooks may reach internal hosts: ${WEBHOOK_ALLOWED_HOSTS.join(', ')}`);
+  }
+  console.log(`📡 Event stream: last ${EVENT_REPLAY_BUFFER_SIZE} product changes kept for Last-Event-ID resume`);
+  console.log(`🔮 GraphQL: /graphql, up to ${GRAPHQL_MAX_DEPTH} levels deep and ${GRAPHQL_MAX_COMPLEXITY} fields per operation`);
   console.log(`⏰ Started at: ${new Date().toISOString()}`);
   console.log('='.repeat(50));
   console.log('Available endpoints:');
   console.log('  GET    /                    - API Documentation');
   console.log('  GET    /api/products        - Get all products');
+  console.log('  GET    /api/products/search - Search products');
+  console.log('  GET    /api/products/export.csv - Export products as CSV');
+  console.log('  GET    /api/products/trash - List deleted products');
   console.log('  GET    /api/products/:id    - Get single product');
   console.log('  POST   /api/products        - Create new product');
-  console.log('  PUT    /api/products/:id    - Update product');
-  console.log('  DELETE /api/products/:id    - Delete product');
+  console.log('  POST   /api/products/bulk   - Bulk create, update and delete');
+  console.log('  POST   /api/products/import - Import products from CSV');
+  console.log('  PUT    /api/products/:id    - Replace product');
+  console.log('  PATCH  /api/products/:id    - Patch product');
+  console.log('  DELETE /api/products/:id    - Move product to the trash (?purge=true deletes it for good)');
+  console.log('  POST   /api/products/:id/restore - Restore a deleted product');
+  console.log('  GET    /api/products/:id/history - Get product change history');
+  console.log('  GET    /api/products/:id/history/:version - Get product as it was at a version');
+  console.log('  POST   /api/products/:id/revert/:version - Revert product to a version');
+  console.log('  GET    /api/events          - Stream product changes (Server-Sent Events)');
+  console.log('  GET    /api/products/:id/variants - Get product variants');
+  console.log('  POST   /api/products/:id/variants - Create variant');
+  console.log('  PUT    /api/products/:id/variants/:variantId - Replace variant');
+  console.log('  DELETE /api/products/:id/variants/:variantId - Delete variant');
+  console.log('  GET    /api/products/:id/reviews - Get product reviews');
+  console.log('  POST   /api/products/:id/reviews - Submit review');
+  console.log('  PATCH  /api/products/:id/reviews/:reviewId - Edit or moderate review');
+  console.log('  DELETE /api/products/:id/reviews/:reviewId - Delete review');
+  console.log('  POST   /api/products/:id/stock/adjust - Adjust stock by a delta');
+  console.log('  POST   /api/products/:id/reservations - Reserve stock');
+  console.log('  POST   /api/products/:id/reservations/:reservationId/commit - Commit reservation');
+  console.log('  POST   /api/products/:id/reservations/:reservationId/release - Release reservation');
+  console.log('  GET    /api/schema/product  - Product validation schema');
+  console.log('  GET    /api/categories      - Get all categories');
+  console.log('  GET    /api/categories/:slug/products - Products in a category tree');
+  console.log('  POST   /api/categories      - Create category');
+  console.log('  PUT    /api/categories/:slug - Replace category');
+  console.log('  DELETE /api/categories/:slug - Delete category');
+  console.log('  GET    /api/schema/category - Category validation schema');
+  console.log('  GET    /api/brands          - Get all brands');
+  console.log('  GET    /api/brands/:id/stats - Brand catalog statistics');
+  console.log('  POST   /api/brands          - Create brand');
+  console.log('  PUT    /api/brands/:id      - Replace brand');
+  console.log('  DELETE /api/brands/:id      - Delete brand');
+  console.log('  GET    /api/schema/brand    - Brand validation schema');
+  console.log('  POST   /api/carts           - Create cart');
+  console.log('  GET    /api/carts/:id       - Get cart with totals');
+  console.log('  POST   /api/carts/:id/items - Add cart item');
+  console.log('  POST   /api/carts/:id/checkout - Check out cart as an order');
+  console.log('  GET    /api/orders/:id      - Get single order');
+  console.log('  PATCH  /api/orders/:id      - Update order status');
+  console.log('  GET    /api/keys            - List API keys (admin)');
+  console.log('  POST   /api/keys            - Create API key (admin)');
+  console.log('  DELETE /api/keys/:id        - Revoke API key (admin)');
+  console.log('  GET    /api/webhooks        - List webhooks (admin)');
+  console.log('  POST   /api/webhooks        - Register webhook (admin)');
+  console.log('  PATCH  /api/webhooks/:id    - Update or pause webhook (admin)');
+  console.log('  DELETE /api/webhooks/:id    - Delete webhook (admin)');
+  console.log('  POST   /api/webhooks/:id/ping - Send a test event (admin)');
+  console.log('  GET    /api/webhooks/:id/deliveries - Webhook delivery log (admin)');
+  console.log('  POST   /api/webhooks/:id/deliveries/:deliveryId/retry - Retry delivery now (admin)');
+  console.log('  POST   /api/auth/register   - Register user');
+  console.log('  POST   /api/auth/login      - Log in (returns session tokens)');
+  console.log('  POST   /api/auth/refresh    - Refresh session tokens');
+  console.log('  POST   /api/auth/logout     - Log out');
+  console.log('  POST   /graphql             - GraphQL queries and mutations (GET for queries)');
   console.log('='.repeat(50));
 });
 
@@ -667,6 +9582,7 @@ server.on('error', (error) => {
  */
 process.on('SIGTERM', () => {
   console.log('\n🛑 SIGTERM received. Shutting down gracefully...');
+  closeEventStreams();
   server.close(() => {
     console.log('✅ Server closed successfully');
     process.exit(0);
@@ -675,6 +9591,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('\n🛑 SIGINT received. Shutting down gracefully...');
+  closeEventStreams();
   server.close(() => {
     console.log('✅ Server closed successfully');
     process.exit(0);
@@ -1,11 +1,52 @@
 // Manual API Test Script for Fashion Products API
 const http = require('http');
+const crypto = require('crypto');
 
 // Configuration
 const API_HOST = 'localhost';
 const API_PORT = 3000;
 const API_BASE = '/api/products';
 
+// Admin API key sent with every request unless a test overrides X-API-Key.
+// Start the server and the tests with the same ADMIN_API_KEY (or pass the
+// server's admin key as API_KEY).
+const API_KEY = process.env.API_KEY || process.env.ADMIN_API_KEY;
+
+// Values captured from earlier responses (see the save option of a test)
+const saved = {};
+
+// Local receiver for webhook deliveries (see the Webhook Tests). It records
+// every request and answers /hooks/fail with 500 and a long body, everything
+// else with 204.
+const WEBHOOK_RECEIVER_PORT = 3199;
+const WEBHOOK_RECEIVER_URL = `http://localhost:${WEBHOOK_RECEIVER_PORT}`;
+const webhookRequests = [];
+const webhookReceiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    webhookRequests.push({ path: req.url, headers: req.headers, body });
+    res.statusCode = req.url === '/hooks/fail' ? 500 : 204;
+    res.end(req.url === '/hooks/fail' ? 'error '.repeat(10000) : undefined);
+  });
+});
+
+/**
+ * Check a Webhook Signature the Way a Receiver Would
+ * @param {Object} request - Request recorded by webhookReceiver
+ * @param {string} secret - Secret returned when the webhook was created
+ * @returns {boolean} True if X-Webhook-Signature matches the body
+ */
+function hasValidWebhookSignature(request, secret) {
+  const match = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(request.headers['x-webhook-signature'] || '');
+  if (!match) return false;
+
+  const expected = crypto.createHmac('sha256', secret).update(`${match[1]}.${request.body}`).digest('hex');
+  return crypto.timingSafeEqual(Buffer.from(match[2]), Buffer.from(expected));
+}
+
 // Test cases
 const tests = [
   // GET Tests
@@ -14,8 +55,23 @@ const tests = [
   { name: 'Get Non-existent Product', method: 'GET', path: `${API_BASE}/999` },
   { name: 'Invalid Product ID Format', method: 'GET', path: `${API_BASE}/abc` },
   { name: 'Negative Product ID', method: 'GET', path: `${API_BASE}/-1` },
+  { name: 'Paginate Products', method: 'GET', path: `${API_BASE}?skip=1&limit=2`, expectedStatus: 200 },
+  { name: 'Filter Products by Category', method: 'GET', path: `${API_BASE}?category=clothing`, expectedStatus: 200 },
+  { name: 'Sort Products by Price Descending', method: 'GET', path: `${API_BASE}?sortBy=price&order=desc`, expectedStatus: 200 },
+  { name: 'Invalid Sort Field', method: 'GET', path: `${API_BASE}?sortBy=color`, expectedStatus: 400 },
+  { name: 'Invalid Pagination Limit', method: 'GET', path: `${API_BASE}?limit=0`, expectedStatus: 400 },
+  { name: 'Search Products with Typo', method: 'GET', path: `${API_BASE}/search?q=lether%20walet`, expectedStatus: 200 },
+  { name: 'Search Without Query', method: 'GET', path: `${API_BASE}/search`, expectedStatus: 400 },
+  { name: 'Get Product Schema', method: 'GET', path: '/api/schema/product', expectedStatus: 200 },
   
   // POST Tests
+  {
+    name: 'Create Brand',
+    method: 'POST',
+    path: '/api/brands',
+    data: { name: "TestBrand", country: "Testland", logoUrl: "https://example.com/logo.png" },
+    expectedStatus: 201
+  },
   { 
     name: 'Create New Product', 
     method: 'POST', 
@@ -25,10 +81,9 @@ const tests = [
       description: "A test product for API testing",
       price: 29.99,
       discountPercentage: 5,
-      rating: 4.5,
       stock: 100,
       brand: "TestBrand",
-      category: "test",
+      category: "accessories",
       thumbnail: "https://example.com/thumbnail.jpg",
       images: ["https://example.com/image1.jpg", "https://example.com/image2.jpg"]
     },
@@ -75,6 +130,147 @@ const tests = [
     },
     expectedStatus: 400
   },
+  {
+    name: 'Create Product with Multiple Invalid Fields',
+    method: 'POST',
+    path: API_BASE,
+    data: {
+      title: "   ",
+      price: -5,
+      stock: 2.5,
+      thumbnail: "not a url"
+    },
+    expectedStatus: 400
+  },
+  {
+    name: 'Create Product with Unknown Field',
+    method: 'POST',
+    path: API_BASE,
+    data: {
+      title: "Test Product",
+      price: 29.99,
+      colour: "red"
+    },
+    expectedStatus: 400
+  },
+  
+  {
+    name: 'Search Finds Created Product',
+    method: 'GET',
+    path: `${API_BASE}/search?q=testbrand`,
+    expectedStatus: 200
+  },
+  
+  // Bulk Tests
+  {
+    name: 'Atomic Bulk Request with Invalid Item',
+    method: 'POST',
+    path: `${API_BASE}/bulk?atomic=true`,
+    data: {
+      operations: [
+        { op: 'create', data: { title: "Atomic Bulk Scarf", price: 15 } },
+        { op: 'update', id: 4, data: { price: -1 } }
+      ]
+    },
+    expectedStatus: 400
+  },
+  {
+    name: 'Atomic Bulk Request Applied Nothing',
+    method: 'GET',
+    path: `${API_BASE}/search?q=atomic`,
+    expectedStatus: 200
+  },
+  {
+    name: 'Partial Bulk Request',
+    method: 'POST',
+    path: `${API_BASE}/bulk`,
+    data: {
+      operations: [
+        { op: 'create', data: { title: "Bulk Silk Scarf", price: 19.99, category: "accessories" } },
+        { op: 'update', id: 4, data: { stock: 30 } },
+        { op: 'delete', id: 999 }
+      ]
+    },
+    expectedStatus: 207
+  },
+  {
+    name: 'Bulk Request Without Operations',
+    method: 'POST',
+    path: `${API_BASE}/bulk`,
+    data: { operations: [] },
+    expectedStatus: 400
+  },
+  
+  // CSV Tests
+  { name: 'Export Products as CSV', method: 'GET', path: `${API_BASE}/export.csv`, expectedStatus: 200 },
+  {
+    name: 'Import Products CSV Dry Run',
+    method: 'POST',
+    path: `${API_BASE}/import?dryRun=true`,
+    headers: { 'Content-Type': 'text/csv' },
+    data: 'title,price,images\r\n"Linen Shirt, White",39.99,https://example.com/1.jpg|https://example.com/2.jpg\r\nBroken Row,-5,\r\n',
+    expectedStatus: 200
+  },
+  {
+    name: 'Import Products from CSV',
+    method: 'POST',
+    path: `${API_BASE}/import`,
+    headers: { 'Content-Type': 'text/csv' },
+    data: 'id,title,price,stock\r\n,Imported Linen Shirt,39.99,12\r\n4,Summer Dress,45.99,35\r\n',
+    expectedStatus: 200
+  },
+  {
+    name: 'Import CSV with Unknown Column',
+    method: 'POST',
+    path: `${API_BASE}/import`,
+    headers: { 'Content-Type': 'text/csv' },
+    data: 'title,price,colour\r\nScarf,9.99,red\r\n',
+    expectedStatus: 400
+  },
+  {
+    name: 'Import Formula-like Title from CSV',
+    method: 'POST',
+    path: `${API_BASE}/import`,
+    headers: { 'Content-Type': 'text/csv' },
+    data: 'title,price,description\r\n=SUM(1+1) Tee,12.5,@mention me\r\n',
+    save: data => ({ formulaProductId: data.results && data.results[0].product.id }),
+    expectedStatus: 200
+  },
+  { name: 'Export Formula-like Title as CSV', method: 'GET', path: `${API_BASE}/export.csv`, expectedStatus: 200 },
+  {
+    name: 'Reimport Exported Formula-like Title',
+    method: 'POST',
+    path: `${API_BASE}/import`,
+    headers: { 'Content-Type': 'text/csv' },
+    data: () => `id,title,price,description\r\n${saved.formulaProductId},'=SUM(1+1) Tee,13,'@mention me\r\n`,
+    expectedStatus: 200
+  },
+  {
+    name: 'Create Product with Apostrophe Before Formula',
+    method: 'POST',
+    path: API_BASE,
+    data: { title: "'=Sale Scarf", price: 15, category: 'accessories' },
+    save: data => ({ apostropheProductId: data.id }),
+    expectedStatus: 201
+  },
+  {
+    name: 'Export Apostrophe Before Formula as CSV',
+    method: 'GET',
+    path: `${API_BASE}/export.csv`,
+    save: data => {
+      const [header, ...rows] = data.split('\r\n');
+      return { apostropheCsv: `${header}\r\n${rows.find(row => row.startsWith(`${saved.apostropheProductId},`))}\r\n` };
+    },
+    expectedStatus: 200
+  },
+  {
+    name: 'Reimport Exported Apostrophe Before Formula',
+    method: 'POST',
+    path: `${API_BASE}/import`,
+    headers: { 'Content-Type': 'text/csv' },
+    data: () => saved.apostropheCsv,
+    expectedStatus: 200
+  },
   
   // PUT Tests
   { 
@@ -89,123 +285,1567 @@ const tests = [
     expectedStatus: 200
   },
   { 
-    name: 'Update Non-existent Product', 
+    name: 'Replace Product Missing Required Fields', 
     method: 'PUT', 
-    path: `${API_BASE}/999`,
+    path: `${API_BASE}/1`,
     data: {
       title: "Updated Product"
     },
-    expectedStatus: 404
+    expectedStatus: 400
   },
   { 
     name: 'Update Product with Invalid Price', 
     method: 'PUT', 
     path: `${API_BASE}/1`,
     data: {
+      title: "Updated Denim Jacket",
       price: -50
     },
     expectedStatus: 400
   },
+  {
+    name: 'Create Product with PUT',
+    method: 'PUT',
+    path: `${API_BASE}/500`,
+    data: {
+      title: "Synced Product",
+      price: 19.99,
+      stock: 7
+    },
+    expectedStatus: 201
+  },
+  {
+    name: 'Repeat PUT Is Idempotent',
+    method: 'PUT',
+    path: `${API_BASE}/500`,
+    data: {
+      title: "Synced Product",
+      price: 19.99,
+      stock: 7
+    },
+    expectedStatus: 200
+  },
+  {
+    name: 'PUT with Mismatched Body ID',
+    method: 'PUT',
+    path: `${API_BASE}/500`,
+    data: {
+      id: 501,
+      title: "Synced Product",
+      price: 19.99
+    },
+    expectedStatus: 400
+  },
   
-  // DELETE Tests
-  { 
-    name: 'Delete Product', 
-    method: 'DELETE', 
-    path: `${API_BASE}/5`,
+  // PATCH Tests
+  {
+    name: 'Merge Patch Product',
+    method: 'PATCH',
+    path: `${API_BASE}/2`,
+    headers: { 'Content-Type': 'application/merge-patch+json' },
+    data: { description: null, stock: 15 },
     expectedStatus: 200
   },
-  { 
-    name: 'Delete Non-existent Product', 
-    method: 'DELETE', 
-    path: `${API_BASE}/999`,
-    expectedStatus: 404
+  {
+    name: 'JSON Patch Remove Image',
+    method: 'PATCH',
+    path: `${API_BASE}/2`,
+    headers: { 'Content-Type': 'application/json-patch+json' },
+    data: [
+      { op: 'test', path: '/title', value: 'Designer Handbag' },
+      { op: 'remove', path: '/images/0' }
+    ],
+    expectedStatus: 200
+  },
+  {
+    name: 'JSON Patch Failed Test Operation',
+    method: 'PATCH',
+    path: `${API_BASE}/2`,
+    headers: { 'Content-Type': 'application/json-patch+json' },
+    data: [
+      { op: 'replace', path: '/price', value: 1 },
+      { op: 'test', path: '/title', value: 'Wrong Title' }
+    ],
+    expectedStatus: 409
+  },
+  {
+    name: 'Merge Patch Invalid Discount',
+    method: 'PATCH',
+    path: `${API_BASE}/2`,
+    headers: { 'Content-Type': 'application/merge-patch+json' },
+    data: { discountPercentage: 150 },
+    expectedStatus: 400
+  },
+  {
+    name: 'Patch Unsupported Content Type',
+    method: 'PATCH',
+    path: `${API_BASE}/2`,
+    data: { stock: 1 },
+    expectedStatus: 415
+  },
+  {
+    name: 'Patch Leaves Product Unchanged After Failures',
+    method: 'GET',
+    path: `${API_BASE}/2`,
+    expectedStatus: 200
   },
   
-  // Non-existent Route Test
+  // Brand Tests
   {
-    name: '404 Non-existent Route',
+    name: 'Create Product with Unknown Brand',
+    method: 'POST',
+    path: API_BASE,
+    data: { title: "Mystery Tote", price: 49.99, brand: "No Such Brand" },
+    expectedStatus: 400
+  },
+  {
+    name: 'Create Duplicate Brand',
+    method: 'POST',
+    path: '/api/brands',
+    data: { name: "testbrand" },
+    expectedStatus: 409
+  },
+  { name: 'Get Brand Stats', method: 'GET', path: '/api/brands/6/stats', expectedStatus: 200 },
+  { name: 'Delete Brand with Products', method: 'DELETE', path: '/api/brands/6', expectedStatus: 409 },
+  
+  // Category Tests
+  { name: 'Get Categories', method: 'GET', path: '/api/categories', expectedStatus: 200 },
+  {
+    name: 'Create Subcategory',
+    method: 'POST',
+    path: '/api/categories',
+    data: { name: "Outerwear", parent: "clothing" },
+    expectedStatus: 201
+  },
+  {
+    name: 'Category Parent Cycle',
+    method: 'PUT',
+    path: '/api/categories/clothing',
+    data: { name: "Clothing", parent: "outerwear" },
+    expectedStatus: 400
+  },
+  {
+    name: 'Create Product in Unknown Category',
+    method: 'POST',
+    path: API_BASE,
+    data: { title: "Wool Coat", price: 149.99, category: "clothes" },
+    expectedStatus: 400
+  },
+  {
+    name: 'Create Product in Subcategory',
+    method: 'POST',
+    path: API_BASE,
+    data: { title: "Wool Coat", price: 149.99, category: "Outerwear" },
+    expectedStatus: 201
+  },
+  {
+    name: 'List Category Products with Subcategories',
     method: 'GET',
-    path: '/api/nonexistent',
+    path: '/api/categories/clothing/products',
+    expectedStatus: 200
+  },
+  {
+    name: 'Delete Category with Products',
+    method: 'DELETE',
+    path: '/api/categories/outerwear',
+    expectedStatus: 409
+  },
+  {
+    name: 'Delete Category with Reassignment',
+    method: 'DELETE',
+    path: '/api/categories/outerwear?reassignTo=clothing',
+    expectedStatus: 200
+  },
+  
+  // Stock and Reservation Tests
+  {
+    name: 'Adjust Stock Up',
+    method: 'POST',
+    path: `${API_BASE}/3/stock/adjust`,
+    data: { delta: 5 },
+    expectedStatus: 200
+  },
+  {
+    name: 'Adjust Stock Below Zero',
+    method: 'POST',
+    path: `${API_BASE}/3/stock/adjust`,
+    data: { delta: -100 },
+    expectedStatus: 409
+  },
+  {
+    name: 'Adjust Stock with Invalid Delta',
+    method: 'POST',
+    path: `${API_BASE}/3/stock/adjust`,
+    data: { delta: 0 },
+    expectedStatus: 400
+  },
+  {
+    name: 'Reserve Stock',
+    method: 'POST',
+    path: `${API_BASE}/3/reservations`,
+    data: { quantity: 10, ttlSeconds: 600 },
+    expectedStatus: 201
+  },
+  { name: 'Get Product with Reserved Stock', method: 'GET', path: `${API_BASE}/3`, expectedStatus: 200 },
+  {
+    name: 'Reserve More Than Available',
+    method: 'POST',
+    path: `${API_BASE}/3/reservations`,
+    data: { quantity: 30 },
+    expectedStatus: 409
+  },
+  {
+    name: 'Adjust Stock Into Reserved Units',
+    method: 'POST',
+    path: `${API_BASE}/3/stock/adjust`,
+    data: { delta: -30 },
+    expectedStatus: 409
+  },
+  {
+    name: 'Patch Stock Below Reserved Units',
+    method: 'PATCH',
+    path: `${API_BASE}/3`,
+    headers: { 'Content-Type': 'application/merge-patch+json' },
+    data: { stock: 5 },
+    expectedStatus: 400
+  },
+  {
+    name: 'Atomic Bulk Update of Stock Below Reserved Units',
+    method: 'POST',
+    path: `${API_BASE}/bulk?atomic=true`,
+    data: { operations: [{ op: 'update', id: 3, data: { stock: 5 } }] },
+    expectedStatus: 400
+  },
+  { name: 'Commit Reservation', method: 'POST', path: `${API_BASE}/3/reservations/1/commit`, expectedStatus: 200 },
+  { name: 'Commit Reservation Twice', method: 'POST', path: `${API_BASE}/3/reservations/1/commit`, expectedStatus: 409 },
+  {
+    name: 'Reserve Stock to Release',
+    method: 'POST',
+    path: `${API_BASE}/3/reservations`,
+    data: { quantity: 5 },
+    expectedStatus: 201
+  },
+  { name: 'Release Reservation', method: 'POST', path: `${API_BASE}/3/reservations/2/release`, expectedStatus: 200 },
+  { name: 'Get Product After Reservations', method: 'GET', path: `${API_BASE}/3`, expectedStatus: 200 },
+  
+  // Cart and Order Tests
+  {
+    name: 'Create Cart',
+    method: 'POST',
+    path: '/api/carts',
+    save: data => ({ cartToken: data.token }),
+    expectedStatus: 201
+  },
+  {
+    name: 'Create Second Cart',
+    method: 'POST',
+    path: '/api/carts',
+    headers: { 'X-API-Key': null },
+    save: data => ({ otherCartToken: data.token }),
+    expectedStatus: 201
+  },
+  {
+    name: 'Get Cart without Cart Token',
+    method: 'GET',
+    path: '/api/carts/1',
     expectedStatus: 404
-  }
-];
-
-// Helper function to make HTTP requests
-function makeRequest(method, path, data = null) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: API_HOST,
-      port: API_PORT,
-      path: path,
-      method: method,
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    };
-
-    const req = http.request(options, (res) => {
-      let responseData = '';
-
-      res.on('data', (chunk) => {
-        responseData += chunk;
-      });
-
-      res.on('end', () => {
-        try {
-          const parsedData = responseData ? JSON.parse(responseData) : {};
-          resolve({
-            statusCode: res.statusCode,
-            headers: res.headers,
-            data: parsedData,
-          });
-        } catch (error) {
-          // Provide more detailed error information
-          const responsePreview = responseData ? responseData.substring(0, 100) + '...' : '';
-          const errorMessage = `Failed to parse JSON response for ${method} ${path}: ${error.message}. Response starts with: ${responsePreview}`;
-          console.error(errorMessage);
-          
-          resolve({
-            statusCode: res.statusCode,
-            headers: res.headers,
-            data: responseData,
-            error: errorMessage,
-          });
-        }
-      });
-    });
-
-    req.on('error', (error) => {
-      reject(error);
-    });
-
-    if (data) {
-      req.write(JSON.stringify(data));
-    }
-
-    req.end();
-  });
-}
-
-// Run tests
-async function runTests() {
-  console.log('🚀 Starting API Tests...');
-  console.log('======================');
-
-  let passedTests = 0;
-  let failedTests = 0;
-  let skippedTests = 0;
-  const testResults = [];
-
-  for (const test of tests) {
-    try {
-      console.log(`\n🧪 Running Test: ${test.name}`);
-      console.log(`${test.method} ${test.path}`);
-      if (test.data) {
-        console.log('Request Data:');
-        console.log(JSON.stringify(test.data, null, 2));
-      }
+  },
+  {
+    name: 'Get Cart with Another Cart Token',
+    method: 'GET',
+    path: '/api/carts/1',
+    headers: () => ({ 'X-API-Key': null, 'X-Cart-Token': saved.otherCartToken }),
+    expectedStatus: 404
+  },
+  {
+    name: 'Check Out Cart with Another Cart Token',
+    method: 'POST',
+    path: '/api/carts/1/checkout',
+    headers: () => ({ 'X-API-Key': null, 'X-Cart-Token': saved.otherCartToken }),
+    expectedStatus: 404
+  },
+  {
+    name: 'Add Cart Item',
+    method: 'POST',
+    path: '/api/carts/1/items',
+    headers: () => ({ 'X-Cart-Token': saved.cartToken }),
+    data: { productId: 3, quantity: 2 },
+    expectedStatus: 200
+  },
+  {
+    name: 'Add Same Cart Item Again without API Key',
+    method: 'POST',
+    path: '/api/carts/1/items',
+    data: { productId: 3, quantity: 1 },
+    headers: () => ({ 'X-API-Key': null, 'X-Cart-Token': saved.cartToken }),
+    expectedStatus: 200
+  },
+  {
+    name: 'Add Unknown Product to Cart',
+    method: 'POST',
+    path: '/api/carts/1/items',
+    headers: () => ({ 'X-Cart-Token': saved.cartToken }),
+    data: { productId: 999, quantity: 1 },
+    expectedStatus: 400
+  },
+  {
+    name: 'Add Cart Item with Invalid Quantity',
+    method: 'POST',
+    path: '/api/carts/1/items',
+    headers: () => ({ 'X-Cart-Token': saved.cartToken }),
+    data: { productId: 3, quantity: 0 },
+    expectedStatus: 400
+  },
+  {
+    name: 'Add Cart Item Exceeding Stock',
+    method: 'POST',
+    path: '/api/carts/1/items',
+    headers: () => ({ 'X-Cart-Token': saved.cartToken }),
+    data: { productId: 1, quantity: 100 },
+    expectedStatus: 200
+  },
+  { name: 'Checkout with Insufficient Stock', method: 'POST', path: '/api/carts/1/checkout', headers: () => ({ 'X-Cart-Token': saved.cartToken }), expectedStatus: 409 },
+  {
+    name: 'Update Cart Item Quantity',
+    method: 'PUT',
+    path: '/api/carts/1/items/1',
+    headers: () => ({ 'X-Cart-Token': saved.cartToken }),
+    data: { quantity: 2 },
+    expectedStatus: 200
+  },
+  { name: 'Remove Cart Item', method: 'DELETE', path: '/api/carts/1/items/1', headers: () => ({ 'X-Cart-Token': saved.cartToken }), expectedStatus: 200 },
+  { name: 'Checkout Cart', method: 'POST', path: '/api/carts/1/checkout', headers: () => ({ 'X-Cart-Token': saved.cartToken }), expectedStatus: 201 },
+  { name: 'Get Checked Out Cart', method: 'GET', path: '/api/carts/1', headers: () => ({ 'X-Cart-Token': saved.cartToken }), expectedStatus: 404 },
+  { name: 'Get Order', method: 'GET', path: '/api/orders/1', expectedStatus: 200 },
+  {
+    name: 'Get Order with Cart Token',
+    method: 'GET',
+    path: '/api/orders/1',
+    headers: () => ({ 'X-API-Key': null, 'X-Cart-Token': saved.cartToken }),
+    expectedStatus: 200
+  },
+  {
+    name: 'Get Order with Another Cart Token',
+    method: 'GET',
+    path: '/api/orders/1',
+    headers: () => ({ 'X-API-Key': null, 'X-Cart-Token': saved.otherCartToken }),
+    expectedStatus: 404
+  },
+  { name: 'List Orders without API Key', method: 'GET', path: '/api/orders', headers: { 'X-API-Key': null }, expectedStatus: 401 },
+  {
+    name: 'Ship Unpaid Order',
+    method: 'PATCH',
+    path: '/api/orders/1',
+    data: { status: 'shipped' },
+    expectedStatus: 409
+  },
+  {
+    name: 'Pay Order',
+    method: 'PATCH',
+    path: '/api/orders/1',
+    data: { status: 'paid' },
+    expectedStatus: 200
+  },
+  {
+    name: 'Cancel Order',
+    method: 'PATCH',
+    path: '/api/orders/1',
+    data: { status: 'cancelled' },
+    expectedStatus: 200
+  },
+  { name: 'Cancelled Order Restocks Product', method: 'GET', path: `${API_BASE}/3`, expectedStatus: 200 },
+  
+  // Variant Tests
+  {
+    name: 'Add Options to Product',
+    method: 'PATCH',
+    path: `${API_BASE}/3`,
+    headers: { 'Content-Type': 'application/merge-patch+json' },
+    data: { options: [{ name: 'size', values: ['9', '10'] }, { name: 'color', values: ['Black', 'White'] }] },
+    expectedStatus: 200
+  },
+  {
+    name: 'Create Variant',
+    method: 'POST',
+    path: `${API_BASE}/3/variants`,
+    data: { sku: 'RUN-10-BLK', options: { size: '10', color: 'black' }, stock: 7 },
+    expectedStatus: 201
+  },
+  {
+    name: 'Create Variant with Unknown Option Value',
+    method: 'POST',
+    path: `${API_BASE}/3/variants`,
+    data: { sku: 'RUN-11-BLK', options: { size: '11', color: 'Black' } },
+    expectedStatus: 400
+  },
+  {
+    name: 'Create Variant with Duplicate SKU',
+    method: 'POST',
+    path: `${API_BASE}/3/variants`,
+    data: { sku: 'run-10-blk', options: { size: '9', color: 'Black' } },
+    expectedStatus: 409
+  },
+  {
+    name: 'Create Variant with Price Override',
+    method: 'POST',
+    path: `${API_BASE}/3/variants`,
+    data: { sku: 'RUN-9-WHT', options: { size: '9', color: 'White' }, stock: 3, price: 79.99 },
+    expectedStatus: 201
+  },
+  { name: 'Product Stock Is Variant Total', method: 'GET', path: `${API_BASE}/3`, expectedStatus: 200 },
+  {
+    name: 'Set Stock of Product with Variants',
+    method: 'PATCH',
+    path: `${API_BASE}/3`,
+    headers: { 'Content-Type': 'application/merge-patch+json' },
+    data: { stock: 50 },
+    expectedStatus: 400
+  },
+  {
+    name: 'Filter Products by Variant Options',
+    method: 'GET',
+    path: `${API_BASE}?variant[size]=9&variant[color]=white`,
+    expectedStatus: 200
+  },
+  {
+    name: 'Replace Variant',
+    method: 'PUT',
+    path: `${API_BASE}/3/variants/1`,
+    data: { sku: 'RUN-10-BLK', options: { size: '10', color: 'Black' }, stock: 2 },
+    expectedStatus: 200
+  },
+  { name: 'Delete Variant', method: 'DELETE', path: `${API_BASE}/3/variants/2`, expectedStatus: 200 },
+  {
+    name: 'Adjust Stock of Product with Variants',
+    method: 'POST',
+    path: `${API_BASE}/3/stock/adjust`,
+    data: { delta: 1 },
+    expectedStatus: 409
+  },
+  {
+    name: 'Create Cart for Variants',
+    method: 'POST',
+    path: '/api/carts',
+    save: data => ({ variantCartId: data.id, variantCartToken: data.token }),
+    expectedStatus: 201
+  },
+  {
+    name: 'Add Product with Variants to Cart Without Variant',
+    method: 'POST',
+    path: () => `/api/carts/${saved.variantCartId}/items`,
+    headers: () => ({ 'X-Cart-Token': saved.variantCartToken }),
+    data: { productId: 3, quantity: 1 },
+    expectedStatus: 409
+  },
+  {
+    name: 'Add Variant to Cart',
+    method: 'POST',
+    path: () => `/api/carts/${saved.variantCartId}/items`,
+    headers: () => ({ 'X-Cart-Token': saved.variantCartToken }),
+    data: { productId: 3, variantId: 1, quantity: 1 },
+    expectedStatus: 200
+  },
+  {
+    name: 'Reserve Variant Stock',
+    method: 'POST',
+    path: `${API_BASE}/3/reservations`,
+    data: { variantId: 1, quantity: 1 },
+    save: data => ({ variantReservationId: data.id }),
+    expectedStatus: 201
+  },
+  {
+    name: 'Replace Variant Below Reserved Units',
+    method: 'PUT',
+    path: `${API_BASE}/3/variants/1`,
+    data: { sku: 'RUN-10-BLK', options: { size: '10', color: 'Black' }, stock: 0 },
+    expectedStatus: 400
+  },
+  {
+    name: 'Check Out Variant',
+    method: 'POST',
+    path: () => `/api/carts/${saved.variantCartId}/checkout`,
+    headers: () => ({ 'X-Cart-Token': saved.variantCartToken }),
+    save: data => ({ variantOrderId: data.id }),
+    expectedStatus: 201
+  },
+  { name: 'Checkout Decrements Variant Stock', method: 'GET', path: `${API_BASE}/3`, expectedStatus: 200 },
+  {
+    name: 'Release Variant Reservation',
+    method: 'POST',
+    path: () => `${API_BASE}/3/reservations/${saved.variantReservationId}/release`,
+    expectedStatus: 200
+  },
+  {
+    name: 'Cancel Variant Order',
+    method: 'PATCH',
+    path: () => `/api/orders/${saved.variantOrderId}`,
+    data: { status: 'cancelled' },
+    expectedStatus: 200
+  },
+  { name: 'Cancelled Order Restocks Variant', method: 'GET', path: `${API_BASE}/3`, expectedStatus: 200 },
+  
+  // Review Tests
+  {
+    name: 'Create Product with Rating',
+    method: 'POST',
+    path: API_BASE,
+    data: { title: "Rated Scarf", price: 19.99, rating: 5 },
+    expectedStatus: 400
+  },
+  {
+    name: 'Get Product Reviews',
+    method: 'GET',
+    path: `${API_BASE}/1/reviews?sortBy=score&order=asc&limit=2`,
+    expectedStatus: 200
+  },
+  {
+    name: 'Create Review without API Key',
+    method: 'POST',
+    path: `${API_BASE}/1/reviews`,
+    data: { author: "Test Reviewer", score: 1, title: "Fell apart", body: "The zip broke after a week." },
+    headers: { 'X-API-Key': null },
+    expectedStatus: 201
+  },
+  {
+    name: 'Create Review with Invalid Score',
+    method: 'POST',
+    path: `${API_BASE}/1/reviews`,
+    data: { author: "Test Reviewer", score: 6, title: "Too good" },
+    expectedStatus: 400
+  },
+  { name: 'Pending Review Does Not Count', method: 'GET', path: `${API_BASE}/1`, expectedStatus: 200 },
+  {
+    name: 'List Pending Reviews without API Key',
+    method: 'GET',
+    path: `${API_BASE}/1/reviews?status=pending`,
+    headers: { 'X-API-Key': null },
+    expectedStatus: 401
+  },
+  {
+    name: 'Get Pending Review without API Key',
+    method: 'GET',
+    path: `${API_BASE}/1/reviews/20`,
+    headers: { 'X-API-Key': null },
+    expectedStatus: 404
+  },
+  { name: 'Get Pending Review with API Key', method: 'GET', path: `${API_BASE}/1/reviews/20`, expectedStatus: 200 },
+  {
+    name: 'Approve Review',
+    method: 'PATCH',
+    path: `${API_BASE}/1/reviews/20`,
+    data: { status: "approved" },
+    expectedStatus: 200
+  },
+  { name: 'Approved Review Updates Rating', method: 'GET', path: `${API_BASE}/1`, expectedStatus: 200 },
+  {
+    name: 'Edit Review Score',
+    method: 'PATCH',
+    path: `${API_BASE}/1/reviews/20`,
+    data: { score: 3 },
+    expectedStatus: 200
+  },
+  { name: 'Edited Review Updates Rating', method: 'GET', path: `${API_BASE}/1`, expectedStatus: 200 },
+  { name: 'Delete Review', method: 'DELETE', path: `${API_BASE}/1/reviews/20`, expectedStatus: 200 },
+  {
+    name: 'Patch Product Rating',
+    method: 'PATCH',
+    path: `${API_BASE}/1`,
+    headers: { 'Content-Type': 'application/merge-patch+json' },
+    data: { rating: 5 },
+    expectedStatus: 400
+  },
+  
+  // Authentication Tests
+  {
+    name: 'Write Without API Key',
+    method: 'POST',
+    path: '/api/brands',
+    headers: { 'X-API-Key': null },
+    data: { name: 'Unauthorized Brand' },
+    expectedStatus: 401
+  },
+  {
+    name: 'Write with Invalid API Key',
+    method: 'DELETE',
+    path: `${API_BASE}/2`,
+    headers: { 'X-API-Key': 'fpk_not-a-real-key' },
+    expectedStatus: 401
+  },
+  { name: 'Read Without API Key', method: 'GET', path: `${API_BASE}/2`, headers: { 'X-API-Key': null }, expectedStatus: 200 },
+  {
+    name: 'Create API Key with Invalid Role',
+    method: 'POST',
+    path: '/api/keys',
+    data: { name: 'Test key', role: 'owner' },
+    expectedStatus: 400
+  },
+  {
+    name: 'Create Viewer API Key',
+    method: 'POST',
+    path: '/api/keys',
+    data: { name: 'Test viewer', role: 'viewer' },
+    save: data => ({ viewerKey: data.key }),
+    expectedStatus: 201
+  },
+  {
+    name: 'Write with Viewer API Key',
+    method: 'DELETE',
+    path: `${API_BASE}/2`,
+    headers: () => ({ 'X-API-Key': saved.viewerKey }),
+    expectedStatus: 403
+  },
+  {
+    name: 'List API Keys as Viewer',
+    method: 'GET',
+    path: '/api/keys',
+    headers: () => ({ 'X-API-Key': saved.viewerKey }),
+    expectedStatus: 403
+  },
+  {
+    name: 'List API Keys with Bearer Token',
+    method: 'GET',
+    path: '/api/keys',
+    headers: { 'X-API-Key': null, 'Authorization': `Bearer ${API_KEY}` },
+    expectedStatus: 200
+  },
+  { name: 'Revoke Viewer API Key', method: 'DELETE', path: '/api/keys/2', expectedStatus: 200 },
+  {
+    name: 'Revoked API Key Rejected',
+    method: 'GET',
+    path: `${API_BASE}/2`,
+    headers: () => ({ 'X-API-Key': saved.viewerKey }),
+    expectedStatus: 401
+  },
+  { name: 'Revoke Last Admin API Key', method: 'DELETE', path: '/api/keys/1', expectedStatus: 409 },
+  
+  // User Account Tests
+  {
+    name: 'Register Viewer Without Admin',
+    method: 'POST',
+    path: '/api/auth/register',
+    headers: { 'X-API-Key': null },
+    data: { email: 'Viewer@Example.com', password: 'viewer-password', name: 'Test Viewer' },
+    expectedStatus: 401
+  },
+  {
+    name: 'Register Viewer',
+    method: 'POST',
+    path: '/api/auth/register',
+    data: { email: 'Viewer@Example.com', password: 'viewer-password', name: 'Test Viewer' },
+    expectedStatus: 201
+  },
+  {
+    name: 'Register Editor Without Admin',
+    method: 'POST',
+    path: '/api/auth/register',
+    headers: { 'X-API-Key': null },
+    data: { email: 'editor@example.com', password: 'editor-password', name: 'Test Editor', role: 'editor' },
+    expectedStatus: 401
+  },
+  {
+    name: 'Register Editor',
+    method: 'POST',
+    path: '/api/auth/register',
+    data: { email: 'editor@example.com', password: 'editor-password', name: 'Test Editor', role: 'editor' },
+    expectedStatus: 201
+  },
+  {
+    name: 'Register Duplicate Email',
+    method: 'POST',
+    path: '/api/auth/register',
+    data: { email: 'VIEWER@example.com', password: 'another-password', name: 'Someone Else' },
+    expectedStatus: 409
+  },
+  {
+    name: 'Register with Short Password',
+    method: 'POST',
+    path: '/api/auth/register',
+    headers: { 'X-API-Key': null },
+    data: { email: 'short@example.com', password: 'short', name: 'Short Password' },
+    expectedStatus: 400
+  },
+  {
+    name: 'Login with Wrong Password',
+    method: 'POST',
+    path: '/api/auth/login',
+    headers: { 'X-API-Key': null },
+    data: { email: 'editor@example.com', password: 'wrong-password' },
+    expectedStatus: 401
+  },
+  {
+    name: 'Login as Editor',
+    method: 'POST',
+    path: '/api/auth/login',
+    headers: { 'X-API-Key': null },
+    data: { email: 'editor@example.com', password: 'editor-password' },
+    save: data => ({ accessToken: data.accessToken, refreshToken: data.refreshToken }),
+    expectedStatus: 200
+  },
+  {
+    name: 'Get Current User',
+    method: 'GET',
+    path: '/api/auth/me',
+    headers: () => ({ 'X-API-Key': null, 'Authorization': `Bearer ${saved.accessToken}` }),
+    expectedStatus: 200
+  },
+  {
+    name: 'Patch Product as User',
+    method: 'PATCH',
+    path: `${API_BASE}/2`,
+    headers: () => ({
+      'X-API-Key': null,
+      'Authorization': `Bearer ${saved.accessToken}`,
+      'Content-Type': 'application/merge-patch+json'
+    }),
+    data: { description: 'Elegant designer handbag with premium leather finish' },
+    expectedStatus: 200
+  },
+  {
+    name: 'Forged Access Token',
+    method: 'DELETE',
+    path: `${API_BASE}/2`,
+    headers: () => ({ 'X-API-Key': null, 'Authorization': `Bearer ${saved.accessToken.slice(0, -4)}AAAA` }),
+    expectedStatus: 401
+  },
+  {
+    name: 'Refresh Session',
+    method: 'POST',
+    path: '/api/auth/refresh',
+    headers: { 'X-API-Key': null },
+    data: () => ({ refreshToken: saved.refreshToken }),
+    save: data => ({
+      previousRefreshToken: saved.refreshToken,
+      accessToken: data.accessToken,
+      refreshToken: data.refreshToken
+    }),
+    expectedStatus: 200
+  },
+  {
+    name: 'Reuse Refresh Token',
+    method: 'POST',
+    path: '/api/auth/refresh',
+    headers: { 'X-API-Key': null },
+    data: () => ({ refreshToken: saved.previousRefreshToken }),
+    expectedStatus: 401
+  },
+  {
+    name: 'Session Ended After Refresh Token Reuse',
+    method: 'GET',
+    path: '/api/auth/me',
+    headers: () => ({ 'X-API-Key': null, 'Authorization': `Bearer ${saved.accessToken}` }),
+    expectedStatus: 401
+  },
+  {
+    name: 'Login as Viewer',
+    method: 'POST',
+    path: '/api/auth/login',
+    headers: { 'X-API-Key': null },
+    data: { email: 'viewer@example.com', password: 'viewer-password' },
+    save: data => ({ accessToken: data.accessToken }),
+    expectedStatus: 200
+  },
+  {
+    name: 'Write as Viewer User',
+    method: 'POST',
+    path: '/api/brands',
+    headers: () => ({ 'X-API-Key': null, 'Authorization': `Bearer ${saved.accessToken}` }),
+    data: { name: 'Viewer Brand' },
+    expectedStatus: 403
+  },
+  {
+    name: 'Logout',
+    method: 'POST',
+    path: '/api/auth/logout',
+    headers: () => ({ 'X-API-Key': null, 'Authorization': `Bearer ${saved.accessToken}` }),
+    expectedStatus: 200
+  },
+  {
+    name: 'Access Token Rejected After Logout',
+    method: 'GET',
+    path: '/api/auth/me',
+    headers: () => ({ 'X-API-Key': null, 'Authorization': `Bearer ${saved.accessToken}` }),
+    expectedStatus: 401
+  },
+  
+  // Rate Limiting Tests
+  { name: 'Rate Limit Headers', method: 'GET', path: `${API_BASE}?limit=1`, expectedStatus: 200 },
+  {
+    name: 'Login Rate Limit',
+    method: 'POST',
+    path: '/api/auth/login',
+    headers: { 'X-API-Key': null },
+    data: { email: 'editor@example.com', password: 'wrong-password' },
+    repeat: 10,
+    expectedStatus: 429
+  },
+  {
+    name: 'Register Rate Limit',
+    method: 'POST',
+    path: '/api/auth/register',
+    headers: { 'X-API-Key': null },
+    data: { email: 'flood@example.com', password: 'flood-password', name: 'Flood' },
+    expectedStatus: 429
+  },
+  
+  // CORS Tests
+  {
+    name: 'CORS Allowed Origin',
+    method: 'GET',
+    path: `${API_BASE}/1`,
+    headers: { 'Origin': 'http://localhost:5173' },
+    expectedStatus: 200
+  },
+  {
+    name: 'CORS Disallowed Origin',
+    method: 'GET',
+    path: `${API_BASE}/1`,
+    headers: { 'Origin': 'https://evil.example' },
+    expectedStatus: 200
+  },
+  {
+    name: 'CORS Preflight',
+    method: 'OPTIONS',
+    path: `${API_BASE}/1`,
+    headers: {
+      'Origin': 'http://localhost:5173',
+      'Access-Control-Request-Method': 'PATCH',
+      'Access-Control-Request-Headers': 'content-type, x-api-key',
+      'X-API-Key': null
+    },
+    expectedStatus: 204
+  },
+  {
+    name: 'CORS Preflight from Disallowed Origin',
+    method: 'OPTIONS',
+    path: `${API_BASE}/1`,
+    headers: { 'Origin': 'https://evil.example', 'Access-Control-Request-Method': 'DELETE', 'X-API-Key': null },
+    expectedStatus: 204
+  },
+  
+  // ETag Tests
+  {
+    name: 'Product ETag',
+    method: 'GET',
+    path: `${API_BASE}/1`,
+    save: (data, headers) => ({ productETag: headers.etag }),
+    expectedStatus: 200
+  },
+  {
+    name: 'Product Not Modified',
+    method: 'GET',
+    path: `${API_BASE}/1`,
+    headers: () => ({ 'If-None-Match': saved.productETag }),
+    expectedStatus: 304
+  },
+  {
+    name: 'Product List ETag',
+    method: 'GET',
+    path: `${API_BASE}?limit=3`,
+    save: (data, headers) => ({ listETag: headers.etag }),
+    expectedStatus: 200
+  },
+  {
+    name: 'Product List Not Modified',
+    method: 'GET',
+    path: `${API_BASE}?limit=3`,
+    headers: () => ({ 'If-None-Match': saved.listETag }),
+    expectedStatus: 304
+  },
+  {
+    name: 'Update Product with Current ETag',
+    method: 'PATCH',
+    path: `${API_BASE}/1`,
+    headers: () => ({ 'Content-Type': 'application/merge-patch+json', 'If-Match': saved.productETag }),
+    data: { title: 'Updated Denim Jacket' },
+    save: (data, headers) => ({ staleETag: saved.productETag, productETag: headers.etag }),
+    expectedStatus: 200
+  },
+  {
+    name: 'Update Product with Stale ETag',
+    method: 'PATCH',
+    path: `${API_BASE}/1`,
+    headers: () => ({ 'Content-Type': 'application/merge-patch+json', 'If-Match': saved.staleETag }),
+    data: { title: 'Lost Update' },
+    expectedStatus: 412
+  },
+  {
+    name: 'Replace Product with Stale ETag',
+    method: 'PUT',
+    path: `${API_BASE}/1`,
+    headers: () => ({ 'If-Match': saved.staleETag }),
+    data: { title: 'Lost Update', price: 1 },
+    expectedStatus: 412
+  },
+  {
+    name: 'Delete Product with Stale ETag',
+    method: 'DELETE',
+    path: `${API_BASE}/1`,
+    headers: () => ({ 'If-Match': saved.staleETag }),
+    expectedStatus: 412
+  },
+  {
+    name: 'Product List Modified',
+    method: 'GET',
+    path: `${API_BASE}?limit=3`,
+    headers: () => ({ 'If-None-Match': saved.listETag }),
+    expectedStatus: 200
+  },
+  {
+    name: 'Product Still Matches Current ETag',
+    method: 'GET',
+    path: `${API_BASE}/1`,
+    headers: () => ({ 'If-None-Match': saved.productETag }),
+    expectedStatus: 304
+  },
+  
+  // History Tests (product 1 was renamed above)
+  {
+    name: 'Product History',
+    method: 'GET',
+    path: `${API_BASE}/1/history`,
+    save: data => {
+      const rename = (data.entries || []).find(entry =>
+        entry.changes.some(change => change.field === 'title' && change.to === 'Updated Denim Jacket'));
+      return rename ? {
+        versionBeforeRename: rename.version - 1,
+        titleBeforeRename: rename.changes.find(change => change.field === 'title').from
+      } : {};
+    },
+    expectedStatus: 200
+  },
+  {
+    name: 'Update Product with Request ID',
+    method: 'PATCH',
+    path: `${API_BASE}/1`,
+    headers: { 'Content-Type': 'application/merge-patch+json', 'X-Request-Id': 'history-test-1' },
+    data: { price: 64.99 },
+    save: data => ({ versionAfterPriceChange: data.version }),
+    expectedStatus: 200
+  },
+  {
+    name: 'Product History Records Request ID',
+    method: 'GET',
+    path: `${API_BASE}/1/history?limit=1`,
+    expectedStatus: 200
+  },
+  {
+    name: 'Get Product Version',
+    method: 'GET',
+    path: () => `${API_BASE}/1/history/${saved.versionBeforeRename}`,
+    expectedStatus: 200
+  },
+  {
+    name: 'Get Unavailable Product Version',
+    method: 'GET',
+    path: `${API_BASE}/1/history/999`,
+    expectedStatus: 404
+  },
+  {
+    name: 'Get Invalid Product Version',
+    method: 'GET',
+    path: `${API_BASE}/1/history/abc`,
+    expectedStatus: 400
+  },
+  {
+    name: 'Revert Product',
+    method: 'POST',
+    path: () => `${API_BASE}/1/revert/${saved.versionBeforeRename}`,
+    expectedStatus: 200
+  },
+  {
+    name: 'Product History Records Revert',
+    method: 'GET',
+    path: `${API_BASE}/1/history?limit=1`,
+    expectedStatus: 200
+  },
+  {
+    name: 'Revert Product with Stale ETag',
+    method: 'POST',
+    path: () => `${API_BASE}/1/revert/${saved.versionAfterPriceChange}`,
+    headers: () => ({ 'If-Match': saved.productETag }),
+    expectedStatus: 412
+  },
+  {
+    name: 'History of Non-existent Product',
+    method: 'GET',
+    path: `${API_BASE}/999/history`,
+    expectedStatus: 404
+  },
+  
+  // Event Stream Tests (streams are read up to their ready event, see makeRequest)
+  {
+    name: 'Open Event Stream',
+    method: 'GET',
+    path: '/api/events',
+    save: data => ({ streamEventId: data[data.length - 1].id }),
+    expectedStatus: 200
+  },
+  {
+    name: 'Update Product for Event Stream',
+    method: 'PATCH',
+    path: `${API_BASE}/1`,
+    headers: { 'Content-Type': 'application/merge-patch+json' },
+    data: { stock: 44 },
+    expectedStatus: 200
+  },
+  {
+    name: 'Resume Event Stream',
+    method: 'GET',
+    path: '/api/events',
+    headers: () => ({ 'Last-Event-ID': saved.streamEventId }),
+    expectedStatus: 200
+  },
+  {
+    name: 'Resume Filtered Event Stream',
+    method: 'GET',
+    path: () => `/api/events?productId=2&lastEventId=${saved.streamEventId}`,
+    expectedStatus: 200
+  },
+  {
+    name: 'Resume Event Stream from Unknown Event',
+    method: 'GET',
+    path: '/api/events',
+    headers: { 'Last-Event-ID': 'unknown-1' },
+    expectedStatus: 200
+  },
+  {
+    name: 'Event Stream with Invalid Product Filter',
+    method: 'GET',
+    path: '/api/events?productId=abc',
+    expectedStatus: 400
+  },
+  
+  // DELETE Tests
+  { 
+    name: 'Delete Product', 
+    method: 'DELETE', 
+    path: `${API_BASE}/5`,
+    expectedStatus: 200
+  },
+  {
+    name: 'Search Excludes Deleted Product',
+    method: 'GET',
+    path: `${API_BASE}/search?q=wallet`,
+    expectedStatus: 200
+  },
+  { 
+    name: 'Delete Non-existent Product', 
+    method: 'DELETE', 
+    path: `${API_BASE}/999`,
+    expectedStatus: 404
+  },
+  
+  // Trash Tests (product 5 was deleted above)
+  {
+    name: 'List Trash',
+    method: 'GET',
+    path: `${API_BASE}/trash`,
+    expectedStatus: 200
+  },
+  {
+    name: 'Get Deleted Product',
+    method: 'GET',
+    path: `${API_BASE}/5`,
+    expectedStatus: 404
+  },
+  {
+    name: 'Replace Deleted Product',
+    method: 'PUT',
+    path: `${API_BASE}/5`,
+    data: { title: 'Replacement Wallet', price: 10 },
+    expectedStatus: 409
+  },
+  {
+    name: 'Moderate Review of Deleted Product',
+    method: 'PATCH',
+    path: `${API_BASE}/5/reviews/15`,
+    data: { status: 'rejected' },
+    expectedStatus: 404
+  },
+  {
+    name: 'Delete Review of Deleted Product',
+    method: 'DELETE',
+    path: `${API_BASE}/5/reviews/15`,
+    expectedStatus: 404
+  },
+  {
+    name: 'Restore Product',
+    method: 'POST',
+    path: `${API_BASE}/5/restore`,
+    expectedStatus: 200
+  },
+  {
+    name: 'Restore Product Not in Trash',
+    method: 'POST',
+    path: `${API_BASE}/5/restore`,
+    expectedStatus: 409
+  },
+  {
+    name: 'Create Editor API Key',
+    method: 'POST',
+    path: '/api/keys',
+    data: { name: 'Test editor', role: 'editor' },
+    save: data => ({ editorKey: data.key }),
+    expectedStatus: 201
+  },
+  {
+    name: 'Purge Product as Editor',
+    method: 'DELETE',
+    path: `${API_BASE}/5?purge=true`,
+    headers: () => ({ 'X-API-Key': saved.editorKey }),
+    expectedStatus: 403
+  },
+  {
+    name: 'Purge Product',
+    method: 'DELETE',
+    path: `${API_BASE}/5?purge=true`,
+    expectedStatus: 200
+  },
+  {
+    name: 'Restore Purged Product',
+    method: 'POST',
+    path: `${API_BASE}/5/restore`,
+    expectedStatus: 404
+  },
+  
+  // Webhook Tests (deliveries go to webhookReceiver)
+  {
+    name: 'Create Webhook',
+    method: 'POST',
+    path: '/api/webhooks',
+    data: {
+      url: `${WEBHOOK_RECEIVER_URL}/hooks/ok`,
+      events: ['product.created', 'stock.depleted'],
+      description: 'Test receiver'
+    },
+    save: data => ({ webhookId: data.id, webhookSecret: data.secret }),
+    expectedStatus: 201
+  },
+  {
+    name: 'Create Webhook with Unknown Event',
+    method: 'POST',
+    path: '/api/webhooks',
+    data: { url: `${WEBHOOK_RECEIVER_URL}/hooks/ok`, events: ['product.sold'] },
+    expectedStatus: 400
+  },
+  {
+    name: 'Create Webhook for Loopback Address',
+    method: 'POST',
+    path: '/api/webhooks',
+    data: { url: `http://127.0.0.1:${WEBHOOK_RECEIVER_PORT}/hooks/ok`, events: ['product.created'] },
+    expectedStatus: 400
+  },
+  {
+    name: 'Create Webhook for Metadata Address',
+    method: 'POST',
+    path: '/api/webhooks',
+    data: { url: 'http://169.254.169.254/latest/meta-data/', events: ['product.created'] },
+    expectedStatus: 400
+  },
+  {
+    name: 'Create Webhook for Private IPv6 Address',
+    method: 'POST',
+    path: '/api/webhooks',
+    data: { url: 'http://[::ffff:10.0.0.1]/hooks', events: ['product.created'] },
+    expectedStatus: 400
+  },
+  {
+    name: 'Create Failing Webhook',
+    method: 'POST',
+    path: '/api/webhooks',
+    data: { url: `${WEBHOOK_RECEIVER_URL}/hooks/fail`, events: ['product.created'] },
+    save: data => ({ failingWebhookId: data.id }),
+    expectedStatus: 201
+  },
+  {
+    name: 'Get Webhooks as Editor',
+    method: 'GET',
+    path: '/api/webhooks',
+    headers: () => ({ 'X-API-Key': saved.editorKey }),
+    expectedStatus: 403
+  },
+  {
+    name: 'Create Product for Webhooks',
+    method: 'POST',
+    path: API_BASE,
+    data: { title: 'Webhook Test Scarf', price: 19.99, stock: 1, category: 'accessories' },
+    save: data => ({ webhookProductId: data.id }),
+    expectedStatus: 201
+  },
+  {
+    name: 'Deplete Stock for Webhooks',
+    method: 'POST',
+    path: () => `${API_BASE}/${saved.webhookProductId}/stock/adjust`,
+    data: { delta: -1 },
+    expectedStatus: 200
+  },
+  {
+    name: 'Webhook Deliveries',
+    method: 'GET',
+    path: () => `/api/webhooks/${saved.webhookId}/deliveries`,
+    delay: 500,
+    expectedStatus: 200
+  },
+  {
+    name: 'Failing Webhook Deliveries',
+    method: 'GET',
+    path: () => `/api/webhooks/${saved.failingWebhookId}/deliveries`,
+    save: data => ({ failingDeliveryId: data.deliveries[0] && data.deliveries[0].id }),
+    expectedStatus: 200
+  },
+  {
+    name: 'Retry Webhook Delivery',
+    method: 'POST',
+    path: () => `/api/webhooks/${saved.failingWebhookId}/deliveries/${saved.failingDeliveryId}/retry`,
+    expectedStatus: 202
+  },
+  {
+    name: 'Webhook Delivery After Retry',
+    method: 'GET',
+    path: () => `/api/webhooks/${saved.failingWebhookId}/deliveries/${saved.failingDeliveryId}`,
+    delay: 500,
+    expectedStatus: 200
+  },
+  {
+    name: 'Ping Webhook',
+    method: 'POST',
+    path: () => `/api/webhooks/${saved.webhookId}/ping`,
+    expectedStatus: 202
+  },
+  {
+    name: 'Pause Webhook',
+    method: 'PATCH',
+    path: () => `/api/webhooks/${saved.webhookId}`,
+    data: { active: false },
+    expectedStatus: 200
+  },
+  {
+    name: 'Delete Webhook',
+    method: 'DELETE',
+    path: () => `/api/webhooks/${saved.failingWebhookId}`,
+    expectedStatus: 200
+  },
+  
+  // GraphQL Tests
+  {
+    name: 'GraphQL List Products',
+    method: 'POST',
+    path: '/graphql',
+    data: {
+      query: `{
+        products(filter: { category: "clothing" }, sortBy: price, order: DESC, limit: 2) {
+          total
+          limit
+          products { id price category categoryDetails { slug name } reviews(limit: 1) { score } }
+        }
+      }`
+    },
+    expectedStatus: 200
+  },
+  {
+    name: 'GraphQL Get Product',
+    method: 'POST',
+    path: '/graphql',
+    data: {
+      query: 'query Product($id: Int!) { product(id: $id) { id title etag available } }',
+      variables: { id: 1 }
+    },
+    expectedStatus: 200
+  },
+  {
+    name: 'GraphQL Create Product',
+    method: 'POST',
+    path: '/graphql',
+    data: {
+      query: 'mutation Create($input: ProductInput!) { createProduct(input: $input) { id title version etag } }',
+      variables: { input: { title: 'GraphQL Tee', price: 19.5, category: 'clothing', stock: 3 } }
+    },
+    save: data => ({
+      graphqlProductId: data.data && data.data.createProduct.id,
+      graphqlETag: data.data && data.data.createProduct.etag
+    }),
+    expectedStatus: 200
+  },
+  {
+    name: 'GraphQL Create Invalid Product',
+    method: 'POST',
+    path: '/graphql',
+    data: { query: 'mutation { createProduct(input: { title: "", price: -1 }) { id } }' },
+    expectedStatus: 200
+  },
+  {
+    name: 'GraphQL Update Product',
+    method: 'POST',
+    path: '/graphql',
+    data: () => ({
+      query: 'mutation Update($id: Int!, $ifMatch: String) { updateProduct(id: $id, input: { price: 25, brand: null }, ifMatch: $ifMatch) { price brand version } }',
+      variables: { id: saved.graphqlProductId, ifMatch: saved.graphqlETag }
+    }),
+    expectedStatus: 200
+  },
+  {
+    name: 'GraphQL Update Product with Stale ETag',
+    method: 'POST',
+    path: '/graphql',
+    data: () => ({
+      query: 'mutation Update($id: Int!, $ifMatch: String) { updateProduct(id: $id, input: { price: 30 }, ifMatch: $ifMatch) { price } }',
+      variables: { id: saved.graphqlProductId, ifMatch: saved.graphqlETag }
+    }),
+    expectedStatus: 200
+  },
+  {
+    name: 'GraphQL Delete Product',
+    method: 'POST',
+    path: '/graphql',
+    data: () => ({
+      query: `mutation { deleteProduct(id: ${saved.graphqlProductId}) { purged purgeAt product { id deletedAt } } }`
+    }),
+    expectedStatus: 200
+  },
+  {
+    name: 'GraphQL Mutation without API Key',
+    method: 'POST',
+    path: '/graphql',
+    headers: { 'X-API-Key': null },
+    data: { query: 'mutation { deleteProduct(id: 1) { purged } }' },
+    expectedStatus: 401
+  },
+  {
+    name: 'GraphQL Pending Reviews without API Key',
+    method: 'POST',
+    path: '/graphql',
+    headers: { 'X-API-Key': null },
+    data: { query: '{ product(id: 1) { id reviews(status: PENDING) { id } } }' },
+    expectedStatus: 200
+  },
+  {
+    name: 'GraphQL Pending Reviews',
+    method: 'POST',
+    path: '/graphql',
+    data: { query: '{ product(id: 1) { id reviews(status: ALL) { id status } } }' },
+    expectedStatus: 200
+  },
+  {
+    name: 'GraphQL Mutation over GET',
+    method: 'GET',
+    path: `/graphql?query=${encodeURIComponent('mutation { deleteProduct(id: 1) { purged } }')}`,
+    expectedStatus: 405
+  },
+  {
+    name: 'GraphQL Query over GET',
+    method: 'GET',
+    path: `/graphql?query=${encodeURIComponent('query($id: Int!) { product(id: $id) { title } }')}&variables=${encodeURIComponent('{"id":1}')}`,
+    expectedStatus: 200
+  },
+  {
+    name: 'GraphQL Introspection',
+    method: 'POST',
+    path: '/graphql',
+    data: { query: '{ __schema { queryType { name } mutationType { name } types { name } } }' },
+    expectedStatus: 200
+  },
+  {
+    name: 'GraphQL Query Too Deep',
+    method: 'POST',
+    path: '/graphql',
+    data: {
+      query: `{ products { products { categoryDetails { products { products { categoryDetails {
+        products { products { categoryDetails { name } } } } } } } } } }`
+    },
+    expectedStatus: 400
+  },
+  {
+    name: 'GraphQL Query Too Complex',
+    method: 'POST',
+    path: '/graphql',
+    data: { query: '{ products(limit: 100) { products { reviews(limit: 100) { author score } } } }' },
+    expectedStatus: 400
+  },
+  {
+    name: 'GraphQL Query Too Complex with Negative Limit',
+    method: 'POST',
+    path: '/graphql',
+    data: {
+      query: `{ a: product(id: 1) { reviews(limit: -100000000) { id } }
+        products(limit: 100) { products { categoryDetails { products(limit: 100) { products { title reviews(limit: 100) { id } } } } } } }`
+    },
+    expectedStatus: 400
+  },
+  {
+    name: 'GraphQL Syntax Error',
+    method: 'POST',
+    path: '/graphql',
+    data: { query: '{ products { total }' },
+    expectedStatus: 400
+  },
+  // Non-existent Route Test
+  {
+    name: '404 Non-existent Route',
+    method: 'GET',
+    path: '/api/nonexistent',
+    expectedStatus: 404
+  }
+];
+
+/**
+ * Parse Server-Sent Events
+ * @param {string} text - Stream received so far
+ * @returns {Array} { id, event, data } for every complete event; comments and
+ * retry lines are skipped
+ */
+function parseEventStream(text) {
+  return text.split('\n\n').slice(0, -1)
+    .map(block => {
+      const event = {};
+      block.split('\n').forEach(line => {
+        const match = /^(id|event|data): (.*)$/.exec(line);
+        if (match) {
+          event[match[1]] = match[1] === 'data' ? JSON.parse(match[2]) : match[2];
+        }
+      });
+      return event;
+    })
+    .filter(event => event.event);
+}
+
+// Helper function to make HTTP requests
+function makeRequest(method, path, data = null, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const options = {
+      hostname: API_HOST,
+      port: API_PORT,
+      path: path,
+      method: method,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-API-Key': API_KEY,
+        ...headers,
+      },
+    };
+
+    // A null header is left out (e.g. to send a request without an API key)
+    Object.keys(options.headers).forEach(name => {
+      if (options.headers[name] === null) {
+        delete options.headers[name];
+      }
+    });
+
+    const req = http.request(options, (res) => {
+      let responseData = '';
+
+      // Event streams never end: read them up to the ready event and hang up
+      if (/text\/event-stream/.test(res.headers['content-type'] || '')) {
+        res.on('data', (chunk) => {
+          responseData += chunk;
+          const events = parseEventStream(responseData);
+          if (events.some(event => event.event === 'ready')) {
+            req.destroy();
+            resolve({
+              statusCode: res.statusCode,
+              headers: res.headers,
+              data: events,
+            });
+          }
+        });
+        return;
+      }
+
+      res.on('data', (chunk) => {
+        responseData += chunk;
+      });
+
+      res.on('end', () => {
+        // Non-JSON responses such as CSV exports are returned as text
+        if (responseData && !/json/.test(res.headers['content-type'] || '')) {
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            data: responseData,
+          });
+          return;
+        }
+
+        try {
+          const parsedData = responseData ? JSON.parse(responseData) : {};
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            data: parsedData,
+          });
+        } catch (error) {
+          // Provide more detailed error information
+          const responsePreview = responseData ? responseData.substring(0, 100) + '...' : '';
+          const errorMessage = `Failed to parse JSON response for ${method} ${path}: ${error.message}. Response starts with: ${responsePreview}`;
+          console.error(errorMessage);
+          
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            data: responseData,
+            error: errorMessage,
+          });
+        }
+      });
+    });
+
+    req.on('error', (error) => {
+      reject(error);
+    });
+
+    if (data) {
+      // Strings are sent as-is (e.g. CSV uploads), everything else as JSON
+      req.write(typeof data === 'string' ? data : JSON.stringify(data));
+    }
+
+    req.end();
+  });
+}
+
+// Run tests
+async function runTests() {
+  console.log('🚀 Starting API Tests...');
+  console.log('======================');
+
+  if (!API_KEY) {
+    console.error('❌ Set ADMIN_API_KEY (or API_KEY) to the admin API key of the server under test');
+    process.exitCode = 1;
+    return;
+  }
+
+  await new Promise(resolve => webhookReceiver.listen(WEBHOOK_RECEIVER_PORT, resolve));
+
+  let passedTests = 0;
+  let failedTests = 0;
+  let skippedTests = 0;
+  const testResults = [];
+
+  for (const test of tests) {
+    try {
+      // Path, data and headers may depend on values saved from earlier responses
+      const testPath = typeof test.path === 'function' ? test.path() : test.path;
+      console.log(`\n🧪 Running Test: ${test.name}`);
+      console.log(`${test.method} ${testPath}`);
+      
+      const data = typeof test.data === 'function' ? test.data() : test.data;
+      const headers = typeof test.headers === 'function' ? test.headers() : test.headers;
+      if (data) {
+        console.log('Request Data:');
+        console.log(JSON.stringify(data, null, 2));
+      }
       
-      const response = await makeRequest(test.method, test.path, test.data);
+      // Tests with delay wait first, e.g. for webhook deliveries to arrive
+      if (test.delay) {
+        await new Promise(resolve => setTimeout(resolve, test.delay));
+      }
+      
+      // Tests with repeat send the request that many times and check the last response
+      let response = await makeRequest(test.method, testPath, data, headers);
+      for (let attempt = 1; attempt < (test.repeat || 1); attempt++) {
+        response = await makeRequest(test.method, testPath, data, headers);
+      }
+      if (test.save) {
+        Object.assign(saved, test.save(response.data, response.headers));
+      }
       
       console.log(`Status Code: ${response.statusCode}`);
       console.log('Response Data:');
@@ -224,7 +1864,6 @@ async function runTests() {
         'Invalid Discount Percentage': 400,
         'Invalid Rating': 400,
         'Update Product': 200,
-        'Update Non-existent Product': 404,
         'Update Product with Invalid Price': 400,
         'Delete Product': 200,
         'Delete Non-existent Product': 404,
@@ -239,10 +1878,859 @@ async function runTests() {
         case 'Get All Products':
           if (!Array.isArray(response.data.products)) {
             additionalValidationPassed = false;
-            validationMessage = 'Response should contain products array';
-          } else if (typeof response.data.total !== 'number') {
+            validationMessage = 'Response should contain products array';
+          } else if (typeof response.data.total !== 'number') {
+            additionalValidationPassed = false;
+            validationMessage = 'Response should contain total count';
+          }
+          break;
+          
+        case 'Get Product Schema':
+          if (!response.data.properties || !response.data.required.includes('price')) {
+            additionalValidationPassed = false;
+            validationMessage = 'Schema should describe product properties and required fields';
+          }
+          break;
+          
+        case 'Create Product with Multiple Invalid Fields':
+          if (!Array.isArray(response.data.errors) || response.data.errors.length !== 4) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected one error per invalid field';
+          }
+          break;
+          
+        case 'Create Product with Unknown Field':
+          if (response.data.field !== 'colour') {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the unknown field to be reported';
+          }
+          break;
+          
+        case 'Atomic Bulk Request with Invalid Item':
+          if (response.data.results[0].status !== 424 || response.data.results[1].error.field !== 'price') {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the valid item to be skipped and the invalid price reported';
+          }
+          break;
+          
+        case 'Atomic Bulk Request Applied Nothing':
+          if (response.data.total !== 0) {
+            additionalValidationPassed = false;
+            validationMessage = 'Rejected atomic bulk request should not create products';
+          }
+          break;
+          
+        case 'Partial Bulk Request': {
+          const statuses = response.data.results.map(result => result.status);
+          if (statuses.join(',') !== '201,200,404' || response.data.results[1].product.stock !== 30) {
+            additionalValidationPassed = false;
+            validationMessage = `Expected per-item statuses 201,200,404, got ${statuses.join(',')}`;
+          }
+          break;
+        }
+          
+        case 'Export Products as CSV':
+          if (!/^text\/csv/.test(response.headers['content-type']) || !response.data.startsWith('id,title,description,price')) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected CSV with a header row of product fields';
+          }
+          break;
+          
+        case 'Import Products CSV Dry Run':
+          if (response.data.failed !== 1 || response.data.results[1].row !== 3 || response.data.results[1].error.field !== 'price') {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the invalid price on line 3 to be reported';
+          }
+          break;
+          
+        case 'Import Products from CSV': {
+          const [created, updated] = response.data.results;
+          if (created.status !== 201 || updated.status !== 200 || updated.product.stock !== 35) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected one created and one updated product';
+          }
+          break;
+        }
+          
+        case 'Export Formula-like Title as CSV': {
+          const line = response.data.split('\r\n').find(row => row.startsWith(`${saved.formulaProductId},`));
+          if (!line || !line.includes(",'=SUM(1+1) Tee,") || !line.includes(",'@mention me,")) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected formula-like cells to start with an apostrophe';
+          }
+          break;
+        }
+          
+        case 'Reimport Exported Formula-like Title': {
+          const product = response.data.results && response.data.results[0].product;
+          if (!product || product.title !== '=SUM(1+1) Tee' || product.description !== '@mention me' || product.price !== 13) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the apostrophe to be removed on import';
+          }
+          break;
+        }
+          
+        case 'Export Apostrophe Before Formula as CSV':
+          if (!saved.apostropheCsv.includes(",''=Sale Scarf,")) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected an apostrophe before the existing one';
+          }
+          break;
+          
+        case 'Reimport Exported Apostrophe Before Formula': {
+          const product = response.data.results && response.data.results[0].product;
+          if (!product || product.id !== saved.apostropheProductId || product.title !== "'=Sale Scarf") {
+            additionalValidationPassed = false;
+            validationMessage = `Expected the title to survive export and import, got ${product && product.title}`;
+          }
+          break;
+        }
+          
+        case 'Patch Stock Below Reserved Units':
+          if (response.data.errors[0].field !== 'stock' || !/reservations/.test(response.data.errors[0].message)) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected a stock error naming the reserved units';
+          }
+          break;
+          
+        case 'Add Variant to Cart': {
+          const [line] = response.data.items;
+          if (!line || line.variantId !== 1 || line.sku !== 'RUN-10-BLK' || line.availableStock !== 2) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected a cart line for the variant with its available stock';
+          }
+          break;
+        }
+          
+        case 'Check Out Variant': {
+          const [line] = response.data.items || [];
+          if (!line || line.variantId !== 1 || line.sku !== 'RUN-10-BLK' || line.options.size !== '10') {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the order line to keep the variant';
+          }
+          break;
+        }
+          
+        case 'Checkout Decrements Variant Stock':
+        case 'Cancelled Order Restocks Variant': {
+          const expected = test.name === 'Checkout Decrements Variant Stock' ? 1 : 2;
+          const variant = response.data.variants.find(v => v.id === 1);
+          if (variant.stock !== expected || response.data.stock !== expected) {
+            additionalValidationPassed = false;
+            validationMessage = `Expected the variant and the product total to be at ${expected} units`;
+          }
+          break;
+        }
+          
+        case 'Create Product in Subcategory':
+          if (response.data.category !== 'outerwear') {
+            additionalValidationPassed = false;
+            validationMessage = 'Category name should be stored as the category slug';
+          }
+          break;
+          
+        case 'List Category Products with Subcategories':
+          if (!response.data.products.some(p => p.category === 'outerwear') ||
+              !response.data.products.some(p => p.category === 'clothing')) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected products from the category and its subcategory';
+          }
+          break;
+          
+        case 'Delete Category with Reassignment':
+          if (response.data.reassignedProducts !== 1) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the subcategory product to be reassigned';
+          }
+          break;
+          
+        case 'Adjust Stock Up':
+          if (response.data.stock !== 35 || response.data.available !== 35) {
+            additionalValidationPassed = false;
+            validationMessage = `Expected stock 35, got ${response.data.stock}`;
+          }
+          break;
+          
+        case 'Get Product with Reserved Stock':
+          if (response.data.stock !== 35 || response.data.reserved !== 10 || response.data.available !== 25) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected 35 in stock with 10 reserved and 25 available';
+          }
+          break;
+          
+        case 'Commit Reservation':
+          if (response.data.status !== 'committed') {
+            additionalValidationPassed = false;
+            validationMessage = `Expected status 'committed', got '${response.data.status}'`;
+          }
+          break;
+          
+        case 'Get Product After Reservations':
+          if (response.data.stock !== 25 || response.data.reserved !== 0 || response.data.available !== 25) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the committed units to leave stock and the released units to be available';
+          }
+          break;
+          
+        case 'Add Same Cart Item Again without API Key':
+          if (response.data.items.length !== 1 || response.data.items[0].quantity !== 3 ||
+              response.data.subtotal !== 269.97 || response.data.total !== 256.47) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected one line of 3 units totalling 256.47 after discount';
+          }
+          break;
+          
+        case 'Checkout with Insufficient Stock':
+          if (!Array.isArray(response.data.errors) || response.data.errors.length !== 1 ||
+              response.data.errors[0].productId !== 1) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected a single line error for product 1';
+          }
+          break;
+          
+        case 'Create Cart':
+          if (!/^cart_[0-9a-f]{48}$/.test(response.data.token || '') || 'tokenHash' in response.data) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the cart token without its hash';
+          }
+          break;
+          
+        case 'Get Order with Cart Token':
+          if (response.data.id !== 1 || 'tokenHash' in response.data || !response.data.statusHistory) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the shopper to read their order without its token hash';
+          }
+          break;
+          
+        case 'Get Order with Another Cart Token':
+          if ('availableIds' in response.data) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected no order IDs for a shopper';
+          }
+          break;
+          
+        case 'Checkout Cart':
+          if (response.data.status !== 'pending' || response.data.total !== 256.47 ||
+              response.data.items[0].unitPrice !== 85.49 || !(Date.parse(response.data.expiresAt) > Date.now())) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected a pending order with the cart prices';
+          }
+          break;
+          
+        case 'Cancel Order':
+          if (response.data.status !== 'cancelled' || response.data.statusHistory.length !== 3) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the order to be cancelled after pending and paid';
+          }
+          break;
+          
+        case 'Cancelled Order Restocks Product':
+          if (response.data.stock !== 25) {
+            additionalValidationPassed = false;
+            validationMessage = `Expected stock 25 after restocking, got ${response.data.stock}`;
+          }
+          break;
+          
+        case 'Create Variant':
+          if (response.data.id !== 1 || response.data.options.color !== 'Black' || response.data.stock !== 7) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected variant 1 with the product\'s spelling of the option value';
+          }
+          break;
+          
+        case 'Product Stock Is Variant Total':
+          if (response.data.stock !== 10 || response.data.variants.length !== 2) {
+            additionalValidationPassed = false;
+            validationMessage = `Expected stock 10 from two variants, got ${response.data.stock}`;
+          }
+          break;
+          
+        case 'Filter Products by Variant Options':
+          if (response.data.products.length !== 1 || response.data.products[0].id !== 3) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected only the product with a white size 9 variant';
+          }
+          break;
+          
+        case 'Delete Variant':
+          if (response.data.stock !== 2 || response.data.remainingVariants !== 1) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the remaining variant stock to be the product stock';
+          }
+          break;
+          
+        case 'Get Product Reviews':
+          if (response.data.total !== 4 || response.data.reviews.length !== 2 ||
+              response.data.reviews[0].score !== 4 || response.data.rating !== 4.8) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the first page of four approved reviews, lowest score first';
+          }
+          break;
+          
+        case 'Create Review without API Key':
+          if (response.data.status !== 'pending' || response.data.productId !== 1) {
+            additionalValidationPassed = false;
+            validationMessage = `Expected a pending review of product 1, got status '${response.data.status}'`;
+          }
+          break;
+          
+        case 'Pending Review Does Not Count':
+        case 'Approved Review Updates Rating':
+        case 'Edited Review Updates Rating': {
+          const expected = {
+            'Pending Review Does Not Count': { rating: 4.8, reviewCount: 4 },
+            'Approved Review Updates Rating': { rating: 4, reviewCount: 5 },
+            'Edited Review Updates Rating': { rating: 4.4, reviewCount: 5 }
+          }[test.name];
+          if (response.data.rating !== expected.rating || response.data.reviewCount !== expected.reviewCount) {
+            additionalValidationPassed = false;
+            validationMessage = `Expected rating ${expected.rating} from ${expected.reviewCount} reviews, got ${response.data.rating} from ${response.data.reviewCount}`;
+          }
+          break;
+        }
+          
+        case 'Delete Review':
+          if (response.data.rating !== 4.8 || response.data.reviewCount !== 4) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the rating to return to 4.8 after deleting the review';
+          }
+          break;
+          
+        case 'Write Without API Key':
+          if (response.data.requiredRole !== 'editor' || !response.headers['www-authenticate']) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected a 401 naming the editor role with a WWW-Authenticate header';
+          }
+          break;
+          
+        case 'Create API Key with Invalid Role':
+          if (response.data.field !== 'role') {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the role to be reported';
+          }
+          break;
+          
+        case 'Create Viewer API Key':
+          if (typeof response.data.key !== 'string' || response.data.keyHash !== undefined
+            || response.data.role !== 'viewer' || !response.data.key.startsWith(response.data.prefix)) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the new key once, with its prefix and without its hash';
+          }
+          break;
+          
+        case 'Write with Viewer API Key':
+          if (response.data.role !== 'viewer' || response.data.requiredRole !== 'editor') {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected a 403 naming the viewer and required editor roles';
+          }
+          break;
+          
+        case 'List API Keys with Bearer Token':
+          if (response.data.total !== 2 || response.data.keys.some(key => key.keyHash !== undefined || key.key !== undefined)) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected two keys listed without their hashes or keys';
+          }
+          break;
+          
+        case 'Register Viewer':
+          if (response.data.role !== 'viewer' || response.data.email !== 'viewer@example.com'
+            || response.data.passwordHash !== undefined || response.data.password !== undefined) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected a viewer with a lowercased email and no password in the response';
+          }
+          break;
+          
+        case 'Login as Editor': {
+          const claims = JSON.parse(Buffer.from(response.data.accessToken.split('.')[1], 'base64url').toString());
+          if (claims.role !== 'editor' || response.data.tokenType !== 'Bearer' || typeof response.data.refreshToken !== 'string') {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected a Bearer access token carrying the editor role and a refresh token';
+          }
+          break;
+        }
+          
+        case 'Patch Product as User':
+          if (!/^user:\d+$/.test(response.data.updatedBy)) {
+            additionalValidationPassed = false;
+            validationMessage = `Expected updatedBy to name the user, got ${response.data.updatedBy}`;
+          }
+          break;
+          
+        case 'Write with Invalid API Key':
+          if (response.headers['ratelimit-limit'] !== '200' || !/^\d+$/.test(response.headers['ratelimit-remaining'])) {
             additionalValidationPassed = false;
-            validationMessage = 'Response should contain total count';
+            validationMessage = 'Expected the rejected write to count towards the write policy';
+          }
+          break;
+          
+        case 'Create Webhook for Loopback Address':
+        case 'Create Webhook for Metadata Address':
+        case 'Create Webhook for Private IPv6 Address':
+          if (!response.data.errors || response.data.errors[0].field !== 'url') {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the webhook URL to be refused';
+          }
+          break;
+          
+        case 'Rate Limit Headers':
+          if (response.headers['ratelimit-limit'] !== '600' || !/^\d+$/.test(response.headers['ratelimit-remaining'])
+            || response.headers['ratelimit-policy'] !== '600;w=60') {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected RateLimit headers for the read policy';
+          }
+          break;
+          
+        case 'Login Rate Limit':
+          if (response.data.policy !== 'login' || !(Number(response.headers['retry-after']) > 0)
+            || response.headers['ratelimit-remaining'] !== '0') {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected a 429 for the login policy with Retry-After';
+          }
+          break;
+          
+        case 'Register Rate Limit':
+          if (response.data.policy !== 'login') {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected registration to share the login policy';
+          }
+          break;
+          
+        case 'CORS Allowed Origin':
+          if (response.headers['access-control-allow-origin'] !== 'http://localhost:5173'
+            || response.headers['access-control-allow-credentials'] !== 'true'
+            || !/\bOrigin\b/.test(response.headers['vary'] || '')
+            || !/\bETag\b/.test(response.headers['access-control-expose-headers'] || '')) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the origin echoed with credentials, Vary: Origin and exposed headers';
+          }
+          break;
+          
+        case 'CORS Disallowed Origin':
+        case 'CORS Preflight from Disallowed Origin':
+          if (Object.keys(response.headers).some(name => name.startsWith('access-control-'))
+            || !/\bOrigin\b/.test(response.headers['vary'] || '')) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected no CORS headers for a disallowed origin';
+          }
+          break;
+          
+        case 'CORS Preflight':
+          if (!/\bPATCH\b/.test(response.headers['access-control-allow-methods'] || '')
+            || !/X-API-Key/i.test(response.headers['access-control-allow-headers'] || '')
+            || response.headers['access-control-max-age'] !== '600') {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected PATCH, the X-API-Key header and a max-age in the preflight response';
+          }
+          break;
+          
+        case 'Product ETag':
+          if (!/^"1-[0-9a-z]+-v\d+"$/.test(response.headers.etag || '') || !Number.isInteger(response.data.version)) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected a strong ETag and the version of the product';
+          }
+          break;
+          
+        case 'Update Product with Current ETag':
+          if (!response.headers.etag || response.headers.etag === saved.staleETag) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected a new ETag after the update';
+          }
+          break;
+          
+        case 'Update Product with Stale ETag':
+        case 'Replace Product with Stale ETag':
+        case 'Delete Product with Stale ETag':
+          if (response.data.header !== 'If-Match' || !Number.isInteger(response.data.currentVersion)) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the If-Match error with the current version';
+          }
+          break;
+          
+        case 'List Trash': {
+          const deleted = (response.data.products || []).find(product => product.id === 5);
+          if (!deleted || !deleted.deletedAt || !deleted.purgeAt || response.data.retentionDays !== 30) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected product 5 in the trash with deletedAt and purgeAt';
+          }
+          break;
+        }
+          
+        case 'Restore Product':
+          if (response.data.id !== 5 || response.data.deletedAt !== undefined) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected product 5 back without deletedAt';
+          }
+          break;
+          
+        case 'Purge Product as Editor':
+          if (response.data.requiredRole !== 'admin') {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected purging to require the admin role';
+          }
+          break;
+          
+        case 'Purge Product':
+          if (response.data.purged !== true || response.data.deletedProduct.id !== 5) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected product 5 to be deleted permanently';
+          }
+          break;
+          
+        case 'Product History':
+          if (!saved.versionBeforeRename || typeof saved.titleBeforeRename !== 'string' ||
+              response.data.currentVersion !== response.data.entries[0].version) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the rename in the history, newest entry first';
+          }
+          break;
+          
+        case 'Update Product with Request ID':
+          if (response.headers['x-request-id'] !== 'history-test-1') {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the request ID to be echoed';
+          }
+          break;
+          
+        case 'Product History Records Request ID': {
+          const entry = response.data.entries[0];
+          if (entry.requestId !== 'history-test-1' || entry.action !== 'update' || entry.actor !== 'apiKey:1' ||
+              !entry.changes.some(change => change.field === 'price' && change.to === 64.99)) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the price change with its actor and request ID';
+          }
+          break;
+        }
+          
+        case 'Get Product Version':
+          if (response.data.version !== saved.versionBeforeRename || response.data.title !== saved.titleBeforeRename) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the product as it was before the rename';
+          }
+          break;
+          
+        case 'Get Unavailable Product Version':
+          if (response.data.oldestVersion !== 1 || response.data.currentVersion !== saved.versionAfterPriceChange) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the range of available versions';
+          }
+          break;
+          
+        case 'Revert Product':
+          if (response.data.title !== saved.titleBeforeRename || response.data.version !== saved.versionAfterPriceChange + 1) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the old title in a new version';
+          }
+          break;
+          
+        case 'Product History Records Revert': {
+          const entry = response.data.entries[0];
+          if (entry.action !== 'revert' || entry.revertedTo !== saved.versionBeforeRename) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected a revert entry';
+          }
+          break;
+        }
+          
+        case 'GraphQL List Products': {
+          const page = response.data.data && response.data.data.products;
+          const prices = page ? page.products.map(product => product.price) : [];
+          if (!page || page.limit !== 2 || page.products.length === 0 || page.products.length > 2) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected a page of at most two products';
+          } else if (!page.products.every(product => product.category === 'clothing' && product.categoryDetails.slug === 'clothing')) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected only clothing, with nested category details';
+          } else if (prices.some((price, index) => index > 0 && price > prices[index - 1])) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the most expensive products first';
+          }
+          break;
+        }
+          
+        case 'GraphQL Pending Reviews without API Key': {
+          const error = response.data.errors && response.data.errors[0];
+          if (!error || error.extensions.code !== 'UNAUTHENTICATED' || response.data.data.product !== null) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected pending reviews to be refused without a key';
+          }
+          break;
+        }
+          
+        case 'GraphQL Pending Reviews': {
+          const product = response.data.data && response.data.data.product;
+          if (response.data.errors || !product || product.reviews.length === 0) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected an editor to list reviews of every status';
+          }
+          break;
+        }
+          
+        case 'GraphQL Get Product': {
+          const product = response.data.data && response.data.data.product;
+          if (!product || product.id !== 1 || !/^"1-/.test(product.etag) || typeof product.available !== 'number') {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected product 1 with its ETag and available units';
+          } else if (Object.keys(product).length !== 4) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected only the requested fields';
+          }
+          break;
+        }
+          
+        case 'GraphQL Create Product':
+          if (response.data.errors || response.data.data.createProduct.version !== 1) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the created product at version 1';
+          }
+          break;
+          
+        case 'GraphQL Create Invalid Product': {
+          const error = (response.data.errors || [])[0];
+          if (response.data.data !== null || !error || error.extensions.code !== 'BAD_USER_INPUT') {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected a BAD_USER_INPUT error and no data';
+          } else if (error.extensions.errors.map(e => e.field).join(',') !== 'title,price') {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the same per-field errors as the REST routes';
+          }
+          break;
+        }
+          
+        case 'GraphQL Update Product': {
+          const product = response.data.data && response.data.data.updateProduct;
+          if (!product || product.price !== 25 || product.brand !== '' || product.version !== 2) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the new price, the default brand and version 2';
+          }
+          break;
+        }
+          
+        case 'GraphQL Update Product with Stale ETag': {
+          const error = (response.data.errors || [])[0];
+          if (!error || error.extensions.code !== 'PRECONDITION_FAILED' || error.extensions.currentVersion !== 2) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected PRECONDITION_FAILED with the current version';
+          }
+          break;
+        }
+          
+        case 'GraphQL Delete Product': {
+          const result = response.data.data && response.data.data.deleteProduct;
+          if (!result || result.purged !== false || !result.purgeAt || !result.product.deletedAt) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the product to be moved to the trash';
+          }
+          break;
+        }
+          
+        case 'GraphQL Introspection': {
+          const schema = response.data.data && response.data.data.__schema;
+          const types = schema ? schema.types.map(type => type.name) : [];
+          if (!schema || schema.mutationType.name !== 'Mutation' || !['Product', 'ProductInput', 'ProductFilter'].every(name => types.includes(name))) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the product types in the schema';
+          }
+          break;
+        }
+          
+        case 'GraphQL Query Too Deep':
+        case 'GraphQL Query Too Complex':
+        case 'GraphQL Query Too Complex with Negative Limit': {
+          const code = test.name.endsWith('Deep') ? 'QUERY_TOO_DEEP' : 'QUERY_TOO_COMPLEX';
+          if (!response.data.errors || response.data.errors[0].extensions.code !== code) {
+            additionalValidationPassed = false;
+            validationMessage = `Expected a ${code} error`;
+          }
+          break;
+        }
+          
+        case 'Open Event Stream':
+          if (response.data.length !== 1 || response.data[0].event !== 'ready' || !response.data[0].id) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected only a ready event with the current event ID';
+          }
+          break;
+          
+        case 'Resume Event Stream': {
+          const events = response.data.map(event => event.event);
+          const update = response.data[0];
+          if (events.join(',') !== 'product.updated,ready') {
+            additionalValidationPassed = false;
+            validationMessage = `Expected the missed update followed by ready, got ${events.join(', ')}`;
+          } else if (update.data.productId !== 1 || !update.data.changedFields.includes('stock') || update.data.product.stock !== 44) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the stock change of product 1';
+          } else if (response.data[1].id !== update.id) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected ready to carry the ID of the last event';
+          }
+          break;
+        }
+          
+        case 'Resume Filtered Event Stream':
+          if (response.data.length !== 1 || response.data[0].event !== 'ready' || response.data[0].data.productIds[0] !== 2) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the update of product 1 to be filtered out';
+          }
+          break;
+          
+        case 'Resume Event Stream from Unknown Event':
+          if (response.data.map(event => event.event).join(',') !== 'reset,ready') {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected a reset event before ready';
+          }
+          break;
+          
+        case 'Create Webhook':
+          if (!/^whsec_/.test(response.data.secret || '') || response.data.active !== true) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected an active webhook with its secret';
+          }
+          break;
+          
+        case 'Webhook Deliveries': {
+          const events = (response.data.deliveries || []).map(delivery => `${delivery.event}:${delivery.status}`);
+          const received = webhookRequests.filter(request => request.path === '/hooks/ok');
+          if (events.join(',') !== 'stock.depleted:delivered,product.created:delivered') {
+            additionalValidationPassed = false;
+            validationMessage = `Expected product.created and stock.depleted to be delivered, got ${events.join(', ')}`;
+          } else if (received.length !== 2 || !received.every(request => hasValidWebhookSignature(request, saved.webhookSecret))) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the receiver to get two correctly signed deliveries';
+          } else if (JSON.parse(received[0].body).data.product.id !== saved.webhookProductId) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the created product in the payload';
+          }
+          break;
+        }
+          
+        case 'Failing Webhook Deliveries': {
+          const delivery = response.data.deliveries[0];
+          if (!delivery || delivery.status !== 'pending' || delivery.attempts[0].statusCode !== 500 || !delivery.nextAttemptAt) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected a failed attempt and a scheduled retry';
+          } else if (delivery.attempts[0].response.length !== 500) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected only the first 500 characters of the answer';
+          }
+          break;
+        }
+          
+        case 'Webhook Delivery After Retry':
+          if (response.data.attempts.length !== 2 || response.data.status !== 'pending') {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected a second failed attempt';
+          }
+          break;
+          
+        case 'Pause Webhook':
+          if (response.data.active !== false || response.data.secret !== undefined) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected a paused webhook without its secret';
+          }
+          break;
+          
+        case 'Delete Webhook':
+          if (response.data.deletedWebhook.id !== saved.failingWebhookId || response.data.deletedDeliveries !== 1) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the webhook and its delivery to be deleted';
+          }
+          break;
+          
+        case 'Get Brand Stats':
+          if (response.data.productCount !== 1 || response.data.averageEffectivePrice !== 28.49 ||
+              response.data.averageRating !== null || response.data.totalStock !== 100) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the stats of the single TestBrand product';
+          }
+          break;
+          
+        case 'Paginate Products':
+          if (response.data.products.length !== 2 || response.data.skip !== 1 || response.data.limit !== 2) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected 2 products starting after the first one';
+          }
+          break;
+          
+        case 'Filter Products by Category':
+          if (response.data.total !== response.data.products.length ||
+              !response.data.products.every(p => p.category === 'clothing')) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected only clothing products with a matching total';
+          }
+          break;
+          
+        case 'Sort Products by Price Descending': {
+          const prices = response.data.products.map(p => p.price);
+          if (prices.some((price, i) => i > 0 && price > prices[i - 1])) {
+            additionalValidationPassed = false;
+            validationMessage = `Expected prices in descending order, got ${prices.join(', ')}`;
+          }
+          break;
+        }
+          
+        case 'Search Products with Typo':
+          if (!response.data.results.length || response.data.results[0].product.id !== 5 ||
+              !response.data.results[0].highlights.title.includes('<mark>')) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected Leather Wallet as the top highlighted result';
+          }
+          break;
+          
+        case 'Search Finds Created Product':
+          if (!response.data.results.some(r => r.product.title === 'Test Product')) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the newly created product in search results';
+          }
+          break;
+          
+        case 'Search Excludes Deleted Product':
+          if (response.data.results.some(r => r.product.id === 5)) {
+            additionalValidationPassed = false;
+            validationMessage = 'Deleted product should not appear in search results';
+          }
+          break;
+          
+        case 'Update Product':
+          if (response.data.title !== 'Updated Denim Jacket' || response.data.description !== '' ||
+              response.data.brand !== '' || response.data.images.length !== 0) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected omitted optional fields to be reset to defaults';
+          }
+          break;
+          
+        case 'Create Product with PUT':
+          if (response.data.id !== 500 || response.headers.location !== '/api/products/500') {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected product created with the client-chosen ID 500';
+          }
+          break;
+          
+        case 'Repeat PUT Is Idempotent':
+          if (response.data.id !== 500 || response.data.title !== 'Synced Product' || response.data.stock !== 7) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected the same product state after repeating the PUT';
+          }
+          break;
+          
+        case 'Merge Patch Product':
+          if (response.data.description !== '' || response.data.stock !== 15) {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected cleared description and stock of 15';
+          }
+          break;
+          
+        case 'JSON Patch Remove Image':
+          if (response.data.images.length !== 1) {
+            additionalValidationPassed = false;
+            validationMessage = `Expected 1 remaining image, got ${response.data.images.length}`;
+          }
+          break;
+          
+        case 'Patch Leaves Product Unchanged After Failures':
+          if (response.data.price !== 129.99 || response.data.discountPercentage !== 15 || response.data.stock !== 15) {
+            additionalValidationPassed = false;
+            validationMessage = 'Rejected patches should not change the product';
           }
           break;
           
@@ -254,7 +2742,6 @@ async function runTests() {
           break;
           
         case 'Get Non-existent Product':
-        case 'Update Non-existent Product':
         case 'Delete Non-existent Product':
           if (!response.data.message || !response.data.message.includes('not found')) {
             additionalValidationPassed = false;
@@ -266,6 +2753,9 @@ async function runTests() {
           if (response.data.title !== 'Test Product') {
             additionalValidationPassed = false;
             validationMessage = `Expected title 'Test Product', got '${response.data.title}'`;
+          } else if (response.data.createdBy !== 'apiKey:1' || response.data.updatedBy !== 'apiKey:1') {
+            additionalValidationPassed = false;
+            validationMessage = 'Expected createdBy and updatedBy to name the admin API key';
           }
           break;
       }
@@ -294,6 +2784,9 @@ async function runTests() {
     }
   }
 
+  webhookReceiver.closeAllConnections();
+  webhookReceiver.close();
+
   // Print detailed summary
   console.log('\n📊 Test Results Summary:');
   console.log('======================');
@@ -0,0 +1,236 @@
+/**
+ * Schema Validator
+ *
+ * Validates and coerces data against the declarative schemas published by the
+ * API (for example GET /api/schema/product). The same file is loaded by the
+ * server (app.js) and by the browser (script.js), so both apply exactly the
+ * same rules and produce the same error messages.
+ *
+ * Supported keywords: type (string, number, integer, array, object), required,
+ * properties, additionalProperties, readOnly, default, minLength, maxLength,
+ * trim, pattern (with an optional patternMessage), format ('uri'), minimum,
+ * maximum, items and maxItems.
+ *
+ * Nested objects are checked with properties/required/additionalProperties;
+ * an additionalProperties schema validates every value of a map-like object.
+ *
+ * Coercion rules:
+ * - Numeric strings such as "29.99" are converted to numbers
+ * - Strings with `trim: true` are trimmed before length checks
+ * - null is treated like a missing value, so defaults apply
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SchemaValidator = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  /**
+   * Check URL Format
+   * @param {string} value - Value to check
+   * @returns {boolean} True for absolute http(s) URLs
+   */
+  function isHttpUrl(value) {
+    try {
+      const url = new URL(value);
+      return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Describe an Allowed Range
+   * @param {Object} rule - Property schema
+   * @returns {string} Human-readable range
+   */
+  function rangeText(rule) {
+    if (rule.minimum !== undefined && rule.maximum !== undefined) {
+      return `between ${rule.minimum} and ${rule.maximum}`;
+    }
+    return rule.minimum !== undefined ? `at least ${rule.minimum}` : `at most ${rule.maximum}`;
+  }
+
+  /**
+   * Validate a Single Value
+   * @param {Object} rule - Property schema
+   * @param {*} value - Value to validate (never undefined or null)
+   * @param {string} field - Field path used in error messages
+   * @param {Array} errors - Errors are appended here
+   * @returns {*} Coerced value
+   */
+  function validateValue(rule, value, field, errors) {
+    const label = rule.title || field;
+    const fail = message => {
+      errors.push({ field, message, received: value });
+      return value;
+    };
+
+    switch (rule.type) {
+      case 'string': {
+        if (typeof value !== 'string') return fail(`${label} must be a string`);
+
+        const text = rule.trim ? value.trim() : value;
+        if (rule.minLength !== undefined && text.length < rule.minLength) {
+          return fail(rule.minLength === 1
+            ? `${label} cannot be empty`
+            : `${label} must be at least ${rule.minLength} characters long`);
+        }
+        if (rule.maxLength !== undefined && text.length > rule.maxLength) {
+          return fail(`${label} cannot be longer than ${rule.maxLength} characters`);
+        }
+        if (rule.pattern !== undefined && !new RegExp(rule.pattern).test(text)) {
+          return fail(`${label} ${rule.patternMessage || `must match the pattern ${rule.pattern}`}`);
+        }
+        // Formats apply to non-empty strings, so optional fields may stay ''
+        if (rule.format === 'uri' && text !== '' && !isHttpUrl(text)) {
+          return fail(`${label} must be a valid http(s) URL`);
+        }
+        return text;
+      }
+
+      case 'number':
+      case 'integer': {
+        let number = value;
+        if (typeof number === 'string' && number.trim() !== '') {
+          number = Number(number);
+        }
+
+        if (typeof number !== 'number' || !Number.isFinite(number)) {
+          return fail(`${label} must be a ${rule.type === 'integer' ? 'whole number' : 'number'}`);
+        }
+        if (rule.type === 'integer' && !Number.isInteger(number)) {
+          return fail(`${label} must be a whole number`);
+        }
+        if ((rule.minimum !== undefined && number < rule.minimum) ||
+            (rule.maximum !== undefined && number > rule.maximum)) {
+          return fail(`${label} must be ${rangeText(rule)}`);
+        }
+        return number;
+      }
+
+      case 'array': {
+        if (!Array.isArray(value)) return fail(`${label} must be an array`);
+        if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+          return fail(`${label} cannot contain more than ${rule.maxItems} items`);
+        }
+        if (!rule.items) return value.slice();
+
+        return value.map((item, index) =>
+          item === undefined || item === null
+            ? fail(`${label} cannot contain empty items`)
+            : validateValue(rule.items, item, `${field}[${index}]`, errors)
+        );
+      }
+
+      case 'object': {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+          return fail(`${label} must be an object`);
+        }
+
+        const properties = rule.properties || {};
+        const result = {};
+        (rule.required || []).forEach(name => {
+          if (value[name] === undefined || value[name] === null) {
+            errors.push({ field: `${field}.${name}`, message: `${(properties[name] && properties[name].title) || name} is required` });
+          }
+        });
+
+        Object.keys(value).forEach(name => {
+          if (value[name] === undefined || value[name] === null) return;
+
+          const propertyRule = Object.prototype.hasOwnProperty.call(properties, name)
+            ? properties[name]
+            : rule.additionalProperties;
+          if (propertyRule === false) {
+            errors.push({ field: `${field}.${name}`, message: `${name} is not a known field`, received: value[name] });
+          } else if (propertyRule && typeof propertyRule === 'object') {
+            result[name] = validateValue(propertyRule, value[name], `${field}.${name}`, errors);
+          } else {
+            result[name] = value[name];
+          }
+        });
+        return result;
+      }
+
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Validate a Single Property
+   * @description Used for live validation of individual form inputs
+   * @param {Object} schema - Object schema
+   * @param {string} name - Property name
+   * @param {*} value - Property value
+   * @returns {Array} Errors for this property (empty when valid)
+   */
+  function validateProperty(schema, name, value) {
+    return validate(schema, { [name]: value }, { partial: true }).errors;
+  }
+
+  /**
+   * Validate Data Against a Schema
+   * @param {Object} schema - Object schema
+   * @param {Object} data - Data to validate
+   * @param {Object} [options]
+   * @param {boolean} [options.partial=false] - Only check the given properties
+   * (no required checks, no defaults), e.g. for partial updates
+   * @returns {Object} { value, errors } where value holds the coerced data with defaults
+   */
+  function validate(schema, data, options) {
+    const partial = Boolean(options && options.partial);
+    const properties = schema.properties || {};
+    const required = schema.required || [];
+    const errors = [];
+    const value = {};
+
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      errors.push({ field: null, message: `${schema.title || 'Data'} must be a JSON object`, received: data });
+      return { value, errors };
+    }
+
+    // Reject fields the schema does not know about
+    if (schema.additionalProperties === false) {
+      Object.keys(data).forEach(name => {
+        if (!Object.prototype.hasOwnProperty.call(properties, name)) {
+          errors.push({ field: name, message: `${name} is not a known field`, received: data[name] });
+        }
+      });
+    }
+
+    Object.keys(properties).forEach(name => {
+      const rule = properties[name];
+      const label = rule.title || name;
+      const provided = data[name] !== undefined && data[name] !== null;
+
+      if (rule.readOnly) {
+        if (provided) {
+          errors.push({ field: name, message: `${label} is read-only`, received: data[name] });
+        }
+        return;
+      }
+
+      if (!provided) {
+        if (partial) return;
+        if (required.includes(name)) {
+          errors.push({ field: name, message: `${label} is required` });
+        } else if (rule.default !== undefined) {
+          value[name] = JSON.parse(JSON.stringify(rule.default));
+        }
+        return;
+      }
+
+      value[name] = validateValue(rule, data[name], name, errors);
+    });
+
+    return { value, errors };
+  }
+
+  return {
+    validate,
+    validateProperty
+  };
+});
@@ -16,6 +16,21 @@ const API_TIMEOUT = 10000; // 10 seconds timeout
 const MAX_RETRIES = 3;
 const RETRY_DELAY = 1000; // 1 second
 
+// Product schema published by the server (loaded on startup, see loadProductSchema)
+let productSchema = null;
+
+// ETag of the product version last seen for each product ID (see rememberProductETag)
+const productETags = new Map();
+
+// Live updates from GET /api/events (see subscribeToProductEvents)
+const PRODUCT_EVENTS_RETRY_DELAY = 3000; // until the server sends its own retry delay
+const PRODUCT_LIST_REFRESH_DELAY = 300; // changes arriving together cause one refresh
+let productEventsLastId = null;
+let productListRefreshTimer = null;
+
+// True while the response panel shows the product list, which then refreshes on changes
+let productListShown = false;
+
 // Global error handler for uncaught promise rejections
 window.addEventListener('unhandledrejection', (event) => {
   console.error('❌ Unhandled promise rejection:', event.reason);
@@ -82,6 +97,12 @@ document.addEventListener('DOMContentLoaded', () => {
   // Check server connectivity before loading data
   checkServerConnectivity()
     .then(() => {
+      // Load the validation schema alongside the initial product list
+      loadProductSchema();
+      
+      // Refresh the product list when anyone changes a product
+      subscribeToProductEvents();
+      
       // Load initial data to display all products
       return fetchAllProducts();
     })
@@ -155,6 +176,68 @@ function checkServerConnectivity() {
     });
 }
 
+/**
+ * Load Product Schema
+ * @description Fetches the product schema used by the server so the form
+ * validates input with exactly the same rules
+ * @returns {Promise} Promise that resolves with the schema, or null if it could not be loaded
+ */
+function loadProductSchema() {
+  return fetchWithTimeout(`${API_BASE}/api/schema/product`, {
+    method: 'GET',
+    headers: {
+      'Accept': 'application/json'
+    }
+  }, 5000)
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`Server responded with status ${response.status}`);
+      }
+      return response.json();
+    })
+    .then(schema => {
+      productSchema = schema;
+      console.log('✅ Product schema loaded');
+      return schema;
+    })
+    .catch(error => {
+      // The server still validates every request, so the form keeps working without it
+      console.warn('⚠️ Failed to load product schema, relying on server-side validation:', error.message);
+      return null;
+    });
+}
+
+/**
+ * Validate Product Input
+ * @description Validates product data against the server's product schema
+ * @param {Object} data - Product data to validate
+ * @param {Object} [options] - Validator options ({ partial: true } for updates)
+ * @returns {Array<string>} Validation error messages (empty when valid or the schema is unavailable)
+ */
+function validateProductInput(data, options = {}) {
+  if (!productSchema || !window.SchemaValidator) {
+    return [];
+  }
+  
+  return window.SchemaValidator.validate(productSchema, data, options).errors.map(error => error.message);
+}
+
+/**
+ * Show Field Validation State
+ * @description Colors a form input according to its validation errors
+ * @param {HTMLElement} input - The input element
+ * @param {Array<string>} errors - Validation error messages for the input
+ */
+function showFieldValidation(input, errors) {
+  if (errors.length > 0) {
+    input.style.borderColor = '#e74c3c';
+    input.title = errors.join('\n');
+  } else {
+    input.style.borderColor = '#2ecc71';
+    input.title = '';
+  }
+}
+
 /**
  * Initialize Event Listeners
  * @description Sets up event listeners for all interactive elements
@@ -181,30 +264,17 @@ function initializeFormValidation() {
   const titleInput = document.getElementById('product-title');
   const idInput = document.getElementById('product-id');
   
-  // Validate price input
+  // Validate price input against the product schema
   if (priceInput) {
     priceInput.addEventListener('input', (e) => {
-      const value = parseFloat(e.target.value);
-      if (isNaN(value) || value < 0) {
-        e.target.style.borderColor = '#e74c3c';
-        e.target.title = 'Price must be a positive number';
-      } else {
-        e.target.style.borderColor = '#2ecc71';
-        e.target.title = '';
-      }
+      showFieldValidation(e.target, validateProductInput({ price: e.target.value }, { partial: true }));
     });
   }
   
-  // Validate title input
+  // Validate title input against the product schema
   if (titleInput) {
     titleInput.addEventListener('input', (e) => {
-      if (e.target.value.trim() === '') {
-        e.target.style.borderColor = '#e74c3c';
-        e.target.title = 'Title cannot be empty';
-      } else {
-        e.target.style.borderColor = '#2ecc71';
-        e.target.title = '';
-      }
+      showFieldValidation(e.target, validateProductInput({ title: e.target.value }, { partial: true }));
     });
   }
   
@@ -309,6 +379,8 @@ function handleApiTest(event) {
  * @param {boolean} isError - Whether this is an error response
  */
 function displayResponse(data, action, isError = false) {
+  productListShown = action === 'All Products Retrieved';
+  
   try {
     const responseElement = document.getElementById('api-response');
     const statusElement = document.getElementById('response-status');
@@ -436,6 +508,18 @@ function syntaxHighlightJson(json) {
  * These functions handle all HTTP requests to the Fashion Products API
  */
 
+/**
+ * API Key Headers
+ * @description Reads the API key field. Writes need an editor or admin key;
+ * reads work without one unless the server requires a viewer key.
+ * @returns {Object} X-API-Key header, or no headers when the field is empty
+ */
+function apiKeyHeaders() {
+  const apiKeyInput = document.getElementById('api-key');
+  const apiKey = apiKeyInput ? apiKeyInput.value.trim() : '';
+  return apiKey ? { 'X-API-Key': apiKey } : {};
+}
+
 /**
  * Fetch with Timeout and Retry Logic
  * @description Enhanced fetch function with timeout and retry capabilities
@@ -453,9 +537,10 @@ function fetchWithTimeout(url, options = {}, timeout = API_TIMEOUT, retries = MA
       reject(new Error(`Request timeout after ${timeout}ms`));
     }, timeout);
 
-    // Add abort signal to options
+    // Add abort signal and the API key to options
     const fetchOptions = {
       ...options,
+      headers: { ...apiKeyHeaders(), ...options.headers },
       signal: controller.signal
     };
 
@@ -500,6 +585,153 @@ function validateApiEndpoint(endpoint) {
   }
 }
 
+/**
+ * Remember a Product ETag
+ * @description updateProduct sends the remembered ETag in If-Match, so the server
+ * rejects the update (412) when someone else has changed the product since this
+ * page last saw it, instead of silently overwriting their change
+ * @param {number} id - Product ID
+ * @param {Response} response - Successful response containing the product
+ */
+function rememberProductETag(id, response) {
+  const etag = response.headers.get('ETag');
+  if (etag) {
+    productETags.set(id, etag);
+  }
+}
+
+/**
+ * Parse a Server-Sent Event
+ * @param {string} block - Lines of one event, without the blank line ending it
+ * @returns {Object} id, event, data (parsed JSON) and retry, when present
+ */
+function parseServerSentEvent(block) {
+  const event = {};
+  
+  block.split('\n').forEach(line => {
+    // Lines starting with a colon are comments, e.g. the server's heartbeat
+    const match = /^(id|event|data|retry): ?(.*)$/.exec(line);
+    if (!match) return;
+    
+    const [, field, value] = match;
+    if (field === 'data') {
+      try {
+        event.data = JSON.parse(value);
+      } catch {
+        event.data = value;
+      }
+    } else if (field === 'retry') {
+      event.retry = parseInt(value);
+    } else {
+      event[field] = value;
+    }
+  });
+  
+  return event;
+}
+
+/**
+ * Show the Live Updates Status
+ * @param {string} text - Status text
+ * @param {string} state - connected, connecting or disconnected (used as CSS class)
+ */
+function setLiveUpdatesStatus(text, state) {
+  const statusElement = document.getElementById('live-updates-status');
+  if (statusElement) {
+    statusElement.textContent = `Live updates: ${text}`;
+    statusElement.className = state;
+  }
+}
+
+/**
+ * Schedule a Product List Refresh
+ * @description Refreshes the list shortly after a change, but only while it is shown
+ */
+function scheduleProductListRefresh() {
+  if (!productListShown) return;
+  
+  clearTimeout(productListRefreshTimer);
+  productListRefreshTimer = setTimeout(() => {
+    if (productListShown) {
+      // fetchAllProducts already shows its own errors
+      fetchAllProducts().catch(() => {});
+    }
+  }, PRODUCT_LIST_REFRESH_DELAY);
+}
+
+/**
+ * Handle a Product Event
+ * @param {Object} event - Parsed event from the stream
+ */
+function handleProductEvent(event) {
+  if (event.event === 'ready') {
+    setLiveUpdatesStatus('on', 'connected');
+    return;
+  }
+  
+  if (event.event === 'reset') {
+    // Changes were missed while disconnected, so reload whatever is shown
+    console.warn('⚠️ Missed product changes:', event.data.message);
+  } else {
+    console.log(`📡 ${event.event}: product ${event.data.productId} (version ${event.data.version})`);
+  }
+  
+  scheduleProductListRefresh();
+}
+
+/**
+ * Subscribe to Product Events
+ * @description Reads the GET /api/events stream with fetch rather than
+ * EventSource, which cannot send the API key a server with viewer-only reads
+ * requires. Reconnects after the server's retry delay and resumes with
+ * Last-Event-ID, so changes made in between are not missed.
+ */
+function subscribeToProductEvents() {
+  let retryDelay = PRODUCT_EVENTS_RETRY_DELAY;
+  const headers = { 'Accept': 'text/event-stream', ...apiKeyHeaders() };
+  if (productEventsLastId) {
+    headers['Last-Event-ID'] = productEventsLastId;
+  }
+  
+  fetch(`${API_BASE}/api/events`, { headers })
+    .then(response => {
+      if (!response.ok || !response.body) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      
+      // Events end with a blank line; an incomplete one waits for the next chunk
+      const read = () => reader.read().then(({ done, value }) => {
+        if (done) return;
+        
+        buffer += decoder.decode(value, { stream: true });
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+        
+        blocks.forEach(block => {
+          const event = parseServerSentEvent(block);
+          if (event.retry) retryDelay = event.retry;
+          if (event.id) productEventsLastId = event.id;
+          if (event.event) handleProductEvent(event);
+        });
+        
+        return read();
+      });
+      
+      return read();
+    })
+    .catch(error => {
+      console.warn('⚠️ Product event stream failed:', error.message);
+    })
+    .then(() => {
+      setLiveUpdatesStatus('reconnecting...', 'connecting');
+      setTimeout(subscribeToProductEvents, retryDelay);
+    });
+}
+
 /**
  * Fetch All Products
  * @description Retrieves all products from the API with enhanced error handling
@@ -645,6 +877,7 @@ function fetchProduct(id) {
           throw new Error(errorData.message || `HTTP ${response.status}: ${response.statusText}`);
         });
       }
+      rememberProductETag(id, response);
       return response.json();
     })
     .then(data => {
@@ -708,38 +941,13 @@ function createProduct() {
   const productTitle = titleInput ? titleInput.value.trim() : 'New Fashion Item';
   const productPrice = priceInput ? parseFloat(priceInput.value) : 79.99;
   
-  // Client-side validation
-  const validationErrors = [];
-  
-  if (!productTitle || productTitle.length < 2) {
-    validationErrors.push('Product title must be at least 2 characters long');
-  }
-  
-  if (!productPrice || isNaN(productPrice) || productPrice <= 0) {
-    validationErrors.push('Product price must be a valid number greater than 0');
-  } else if (productPrice > 999999) {
-    validationErrors.push('Product price cannot exceed $999,999');
-  }
-  
-  if (validationErrors.length > 0) {
-    console.warn('⚠️ Validation errors:', validationErrors);
-    displayResponse({
-      error: 'Validation Failed',
-      errors: validationErrors,
-      timestamp: new Date().toISOString()
-    }, 'Validation Error', true);
-    return Promise.reject(new Error('Validation failed'));
-  }
-  
   // Prepare comprehensive product data
   const newProduct = {
     title: productTitle,
     description: `High-quality ${productTitle.toLowerCase()} perfect for fashion enthusiasts`,
     price: productPrice,
     discountPercentage: 5,
-    rating: 0,
     stock: 50,
-    brand: 'Fashion Brand',
     category: 'clothing',
     thumbnail: 'https://via.placeholder.com/300x300/FF6B6B/FFFFFF?text=Fashion+Item',
     images: [
@@ -748,6 +956,19 @@ function createProduct() {
     ]
   };
   
+  // Client-side validation with the server's product schema
+  const validationErrors = validateProductInput(newProduct);
+  
+  if (validationErrors.length > 0) {
+    console.warn('⚠️ Validation errors:', validationErrors);
+    displayResponse({
+      error: 'Validation Failed',
+      errors: validationErrors,
+      timestamp: new Date().toISOString()
+    }, 'Validation Error', true);
+    return Promise.reject(new Error('Validation failed'));
+  }
+  
   console.log('📤 Sending product data:', newProduct);
   
   const endpoint = `${API_BASE}/api/products`;
@@ -855,7 +1076,10 @@ function createProduct() {
 
 /**
  * Update Product
- * @description Updates an existing product by sending a PUT request to the API
+ * @description Updates an existing product by sending a PATCH request (JSON Merge Patch)
+ * to the API, so fields left empty in the form keep their current values. The ETag
+ * last seen for the product is sent in If-Match, so the update fails instead of
+ * overwriting changes made by someone else since then.
  * @param {number} id - The ID of the product to update
  * @returns {Promise} Promise that resolves when the request completes
  */
@@ -880,21 +1104,20 @@ function updateProduct(id) {
   const priceInput = document.getElementById('product-price');
   
   const productTitle = titleInput ? titleInput.value.trim() : 'Updated Product Name';
-  const productPrice = priceInput ? parseFloat(priceInput.value) : 99.99;
-  
-  // Client-side validation
-  const validationErrors = [];
+  const productPrice = priceInput ? priceInput.value.trim() : '';
   
-  if (productTitle && productTitle.length < 2) {
-    validationErrors.push('Product title must be at least 2 characters long');
+  // Prepare update data (only include non-empty values)
+  const updates = {};
+  if (productTitle && productTitle !== 'Updated Product Name') {
+    updates.title = productTitle;
   }
-  
-  if (productPrice && (isNaN(productPrice) || productPrice <= 0)) {
-    validationErrors.push('Product price must be a valid number greater than 0');
-  } else if (productPrice && productPrice > 999999) {
-    validationErrors.push('Product price cannot exceed $999,999');
+  if (productPrice !== '') {
+    updates.price = parseFloat(productPrice);
   }
   
+  // Client-side validation of the changed fields with the server's product schema
+  const validationErrors = validateProductInput(updates, { partial: true });
+  
   if (validationErrors.length > 0) {
     console.warn('⚠️ Validation errors:', validationErrors);
     displayResponse({
@@ -906,15 +1129,6 @@ function updateProduct(id) {
     return Promise.reject(new Error('Validation failed'));
   }
   
-  // Prepare update data (only include non-empty values)
-  const updates = {};
-  if (productTitle && productTitle !== 'Updated Product Name') {
-    updates.title = productTitle;
-  }
-  if (productPrice && productPrice !== 99.99) {
-    updates.price = productPrice;
-  }
-  
   // Check if there are any updates to make
   if (Object.keys(updates).length === 0) {
     const message = 'No valid updates provided';
@@ -944,11 +1158,14 @@ function updateProduct(id) {
     return Promise.reject(error);
   }
 
+  const etagHeaders = productETags.has(id) ? { 'If-Match': productETags.get(id) } : {};
+
   return fetchWithTimeout(endpoint, {
-    method: 'PUT',
+    method: 'PATCH',
     headers: {
       'Accept': 'application/json',
-      'Content-Type': 'application/json'
+      'Content-Type': 'application/merge-patch+json',
+      ...etagHeaders
     },
     body: JSON.stringify(updates)
   })
@@ -966,6 +1183,7 @@ function updateProduct(id) {
         throw new Error(errorData.message || `HTTP ${response.status}: ${response.statusText}`);
       });
     }
+    rememberProductETag(id, response);
     return response.json();
   })
   .then(data => {
@@ -1010,6 +1228,12 @@ function updateProduct(id) {
     } else if (error.message.includes('fetch') || error.message.includes('NetworkError')) {
       errorType = 'Network Error';
       errorMessage = 'Network error occurred. Please check if the server is running.';
+    } else if (error.message.includes('has changed since')) {
+      errorType = 'Edit Conflict';
+      errorMessage = `Product ${id} was changed by someone else since you fetched it. Fetch it again and reapply your changes.`;
+    } else if (error.message.includes('If-Match')) {
+      errorType = 'Edit Conflict';
+      errorMessage = `The server only accepts updates to products you have fetched. Fetch product ${id} first.`;
     } else if (error.message.includes('404') || error.message.includes('not found')) {
       errorType = 'Product Not Found';
       errorMessage = `Product with ID ${id} was not found.`;
@@ -1026,7 +1250,7 @@ function updateProduct(id) {
       updateData: updates,
       timestamp: new Date().toISOString(),
       endpoint: `/api/products/${id}`,
-      method: 'PUT',
+      method: 'PATCH',
       troubleshooting: [
         'Verify the product ID exists',
         'Check that update data is valid',
@@ -1073,7 +1297,7 @@ function deleteProduct(id) {
   let confirmDelete = true;
   
   if (!isTestMode) {
-    confirmDelete = confirm(`Are you sure you want to delete product ${id}? This action cannot be undone.`);
+    confirmDelete = confirm(`Are you sure you want to delete product ${id}? It is moved to the trash and can be restored with POST /api/products/${id}/restore.`);
   }
   
   if (!confirmDelete) {
@@ -1138,6 +1362,7 @@ function deleteProduct(id) {
     }
     
     console.log('✅ Product deleted successfully:', data);
+    productETags.delete(id);
     displayResponse(data, `Product ${id} Deleted Successfully`);
     
     // Refresh the product list after a short delay
@@ -1170,7 +1395,11 @@ function deleteProduct(id) {
       errorType = 'Product Not Found';
       errorMessage = `Product with ID ${id} does not exist`;
       troubleshooting = 'The product may have already been deleted, or the ID is incorrect. Use "Get All Products" to see available products.';
-    } else if (error.message.includes('403') || error.message.includes('forbidden')) {
+    } else if (error.message.includes('API key')) {
+      errorType = 'Authentication Error';
+      errorMessage = 'A valid API key is required to delete products';
+      troubleshooting = 'Enter an editor or admin API key in the API Key field and try again.';
+    } else if (error.message.includes('403') || error.message.includes('forbidden') || error.message.includes('requires the')) {
       errorType = 'Permission Error';
       errorMessage = 'Access denied for delete operation';
       troubleshooting = 'You may not have sufficient permissions to delete this product. Contact your administrator.';
@@ -1178,7 +1407,7 @@ function deleteProduct(id) {
       errorType = 'Server Error';
       errorMessage = 'Server error occurred during deletion';
       troubleshooting = 'There was an internal server error. Please try again later or contact support.';
-    } else if (error.message.includes('429')) {
+    } else if (error.message.includes('429') || error.message.includes('Too many requests')) {
       errorType = 'Rate Limit Error';
       errorMessage = 'Too many requests - rate limit exceeded';
       troubleshooting = 'Please wait a moment before trying again. The server is temporarily limiting requests.';
@@ -0,0 +1,42 @@
+/**
+ * Rate Limit Stores
+ *
+ * The rate limiter in app.js keeps its hit counters in a store. Every store
+ * implements the same interface; methods may return the value directly or a
+ * Promise of it, so shared stores with asynchronous clients fit in:
+ * - increment(key, ttlMs): adds one hit to the counter and returns the new
+ *   count; a new counter starts at 1 and expires ttlMs later
+ * - get(key): current count, or 0 when the counter does not exist or expired
+ * - reset(key): removes the counter
+ *
+ * The memory store only limits clients within one server process. To share
+ * limits between processes, implement the interface on a shared backend (for
+ * Redis: INCR plus PEXPIRE on the first hit, GET and DEL) and add it to
+ * createRateLimitStore.
+ */
+
+const { createMemoryRateLimitStore } = require('./memoryRateLimitStore');
+
+// Stores that can be selected with RATE_LIMIT_STORE
+const RATE_LIMIT_STORE_DRIVERS = ['memory'];
+
+/**
+ * Create Rate Limit Store
+ * @param {Object} config - Store configuration
+ * @param {string} [config.driver='memory'] - One of RATE_LIMIT_STORE_DRIVERS
+ * @returns {Object} Rate limit store
+ * @throws {Error} If the driver is unknown
+ */
+function createRateLimitStore({ driver = 'memory' } = {}) {
+  switch (driver) {
+    case 'memory':
+      return createMemoryRateLimitStore();
+    default:
+      throw new Error(`Unknown rate limit store '${driver}'. Use one of: ${RATE_LIMIT_STORE_DRIVERS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  RATE_LIMIT_STORE_DRIVERS,
+  createRateLimitStore
+};
@@ -0,0 +1,66 @@
+/**
+ * In-Memory Rate Limit Store
+ *
+ * Keeps hit counters in a Map inside the server process. Limits are
+ * therefore per process: with several server processes each one counts on
+ * its own.
+ */
+
+// How often expired counters are removed
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Create In-Memory Rate Limit Store
+ * @returns {Object} Rate limit store
+ */
+function createMemoryRateLimitStore() {
+  // key -> { count, expiresAt }
+  const counters = new Map();
+
+  const live = (key, now) => {
+    const counter = counters.get(key);
+    if (counter && counter.expiresAt <= now) {
+      counters.delete(key);
+      return null;
+    }
+    return counter || null;
+  };
+
+  const sweep = () => {
+    const now = Date.now();
+    counters.forEach((counter, key) => {
+      if (counter.expiresAt <= now) {
+        counters.delete(key);
+      }
+    });
+  };
+
+  // The timer must not keep the process alive on its own
+  setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    increment(key, ttlMs) {
+      const now = Date.now();
+      const counter = live(key, now);
+
+      if (counter) {
+        counter.count++;
+        return counter.count;
+      }
+
+      counters.set(key, { count: 1, expiresAt: now + ttlMs });
+      return 1;
+    },
+
+    get(key) {
+      const counter = live(key, Date.now());
+      return counter ? counter.count : 0;
+    },
+
+    reset(key) {
+      counters.delete(key);
+    }
+  };
+}
+
+module.exports = { createMemoryRateLimitStore };
@@ -0,0 +1,117 @@
+/**
+ * Product Repositories
+ *
+ * Every storage backend implements the same interface:
+ * - list(options): { products, total, skip, limit } for the given filter, sort and pagination options;
+ *   with options.deleted set, the same for deleted products instead
+ * - get(id): product or null
+ * - getDeleted(id): deleted product or null
+ * - ids(): all product ids in ascending order
+ * - count(): number of stored products
+ * - create(data): stored product with a newly assigned id (higher than any
+ *   stored id, including deleted products)
+ * - upsert(id, data): stores data as the whole product with the given id, replacing any existing one
+ * - update(id, changes): merged product, or null when the id does not exist
+ * - adjustStock(id, delta, minimum, changes): adds delta to stock in one atomic
+ *   step and merges changes; returns the updated product, or null when the id
+ *   does not exist or the new stock would be below minimum (nothing is changed)
+ * - adjustVariantStock(id, variantId, delta, minimum, changes): the same for the
+ *   stock of one variant; the product's stock becomes the total of its variants.
+ *   Returns null when the product or variant does not exist or the variant's
+ *   new stock would be below minimum
+ * - restore(id, changes): clears deletedAt of a deleted product and merges
+ *   changes; returns the product, or null when no deleted product has the id
+ * - delete(id): permanently removed product (deleted or not), or null when the id does not exist
+ *
+ * A product whose deletedAt is set is deleted: it stays stored, so it can be
+ * restored, but get, ids, count, update, adjustStock, adjustVariantStock and list (without
+ * options.deleted) behave as if it did not exist. update(id, { deletedAt })
+ * deletes a product.
+ *
+ * Every product has a version: create, and upsert of a new id, start it at 1;
+ * update, adjustStock, adjustVariantStock and upsert of an existing id increase it by one. Any
+ * version in data or changes is ignored, and products stored before versions
+ * existed are at version 1.
+ *
+ * Products returned by a repository are copies; changing them has no effect
+ * on stored data until they are passed back through create or update.
+ *
+ * Other resources use collection repositories, a simpler keyed store:
+ * - list(): all items in key order
+ * - get(key): item or null
+ * - count(): number of stored items
+ * - create(data): stored item (integer key assigned when autoIncrement is set,
+ *   otherwise taken from data; throws if the key is already taken)
+ * - upsert(key, data): stores data as the whole item with the given key
+ * - update(key, changes): merged item, or null when the key does not exist
+ * - delete(key): removed item, or null when the key does not exist
+ */
+
+const path = require('path');
+const { createMemoryProductRepository } = require('./memoryProductRepository');
+const { createSqliteProductRepository } = require('./sqliteProductRepository');
+const { createMemoryCollectionRepository } = require('./memoryCollectionRepository');
+const { createSqliteCollectionRepository } = require('./sqliteCollectionRepository');
+
+// Storage drivers that can be selected with STORAGE_DRIVER
+const STORAGE_DRIVERS = ['memory', 'sqlite'];
+
+/**
+ * Create Product Repository
+ * @param {Object} config - Storage configuration
+ * @param {string} [config.driver='memory'] - One of STORAGE_DRIVERS
+ * @param {Array} [config.seedProducts] - Products used when the store is empty on first use
+ * @param {string|null} [config.dataFile] - JSON file for the memory driver (optional)
+ * @param {string} [config.sqliteFile] - Database file for the sqlite driver
+ * @returns {Object} Product repository
+ * @throws {Error} If the driver is unknown or cannot be initialized
+ */
+function createProductRepository({ driver = 'memory', seedProducts = [], dataFile = null, sqliteFile } = {}) {
+  switch (driver) {
+    case 'memory':
+      return createMemoryProductRepository({ seedProducts, dataFile });
+    case 'sqlite':
+      return createSqliteProductRepository({ seedProducts, filename: sqliteFile });
+    default:
+      throw new Error(`Unknown storage driver '${driver}'. Use one of: ${STORAGE_DRIVERS.join(', ')}`);
+  }
+}
+
+/**
+ * Create Collection Repository
+ * @description With the memory driver and a products data file, the collection
+ * is saved next to it as `<name>.json`; the sqlite driver adds a table named
+ * after the collection to the same database.
+ * @param {Object} config - Storage configuration
+ * @param {string} config.name - Collection name, e.g. 'categories'
+ * @param {string} [config.key='id'] - Field that identifies an item
+ * @param {boolean} [config.autoIncrement=false] - Assign integer keys on create
+ * @param {Array} [config.seed] - Items used when the store is empty on first use
+ * @param {string} [config.driver='memory'] - One of STORAGE_DRIVERS
+ * @param {string|null} [config.dataFile] - Products JSON file for the memory driver (optional)
+ * @param {string} [config.sqliteFile] - Database file for the sqlite driver
+ * @returns {Object} Collection repository
+ * @throws {Error} If the driver is unknown or cannot be initialized
+ */
+function createCollectionRepository({ name, key, autoIncrement, seed = [], driver = 'memory', dataFile = null, sqliteFile } = {}) {
+  switch (driver) {
+    case 'memory':
+      return createMemoryCollectionRepository({
+        name,
+        key,
+        autoIncrement,
+        seed,
+        dataFile: dataFile ? path.join(path.dirname(dataFile), `${name}.json`) : null
+      });
+    case 'sqlite':
+      return createSqliteCollectionRepository({ name, key, autoIncrement, seed, filename: sqliteFile });
+    default:
+      throw new Error(`Unknown storage driver '${driver}'. Use one of: ${STORAGE_DRIVERS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  STORAGE_DRIVERS,
+  createProductRepository,
+  createCollectionRepository
+};
@@ -0,0 +1,119 @@
+/**
+ * JSON Data Files
+ *
+ * Durable storage helpers for the memory driver. Each collection is saved as
+ * `{ savedAt, <name>: [...] }`. Writes go to a temporary file which is then
+ * renamed over the data file, so a crash mid-write never leaves a truncated
+ * data file behind. The previous version is kept as a `.bak` file and used if
+ * the main file turns out to be unreadable.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Read Collection File
+ * @description Parses and sanity-checks a collection data file
+ * @param {string} filePath - File to read
+ * @param {string} name - Collection name (property holding the items)
+ * @param {Function} isValidItem - Returns true for well-formed items
+ * @returns {Array} Items stored in the file
+ * @throws {Error} If the file cannot be read or does not contain a valid items array
+ */
+function readCollectionFile(filePath, name, isValidItem) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const stored = Array.isArray(data) ? data : data && data[name];
+
+  if (!Array.isArray(stored) || !stored.every(item => item && isValidItem(item))) {
+    throw new Error(`File does not contain a valid ${name} array`);
+  }
+
+  return stored;
+}
+
+/**
+ * Write Collection File
+ * @description Atomically replaces a collection data file
+ * @param {string} filePath - File to write
+ * @param {string} name - Collection name (property holding the items)
+ * @param {Array} items - Items to write
+ */
+function writeCollectionFile(filePath, name, items) {
+  const tempFile = `${filePath}.tmp`;
+  const payload = JSON.stringify({ savedAt: new Date().toISOString(), [name]: items }, null, 2);
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  // Write and flush the new version before it replaces the current one
+  const fd = fs.openSync(tempFile, 'w');
+  try {
+    fs.writeFileSync(fd, payload);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  if (fs.existsSync(filePath)) {
+    fs.copyFileSync(filePath, `${filePath}.bak`);
+  }
+
+  fs.renameSync(tempFile, filePath);
+}
+
+/**
+ * Load Collection from Data File
+ * @description Restores items from the data file, falling back to the backup
+ * copy and finally to the seed data when nothing usable exists
+ * @param {string} dataFile - Data file path
+ * @param {string} name - Collection name (property holding the items)
+ * @param {Array} seed - Items to use when no data file exists yet
+ * @param {Function} isValidItem - Returns true for well-formed items
+ * @returns {Array} Items to serve
+ */
+function loadCollectionFile(dataFile, name, seed, isValidItem) {
+  // A leftover temp file means a previous write was interrupted; the data file is still intact
+  const tempFile = `${dataFile}.tmp`;
+  if (fs.existsSync(tempFile)) {
+    console.warn(`⚠️ Removing incomplete write ${tempFile}`);
+    fs.unlinkSync(tempFile);
+  }
+
+  if (!fs.existsSync(dataFile)) {
+    console.log(`💾 No data file at ${dataFile}, starting from seed ${name}`);
+    writeCollectionFile(dataFile, name, seed);
+    return seed;
+  }
+
+  try {
+    const stored = readCollectionFile(dataFile, name, isValidItem);
+    console.log(`💾 Loaded ${stored.length} ${name} from ${dataFile}`);
+    return stored;
+  } catch (error) {
+    // Keep the unreadable file for inspection instead of overwriting it
+    const corruptFile = `${dataFile}.corrupt-${Date.now()}`;
+    fs.renameSync(dataFile, corruptFile);
+    console.error(`❌ Data file ${dataFile} is unreadable (${error.message}), moved to ${corruptFile}`);
+  }
+
+  const backupFile = `${dataFile}.bak`;
+  if (fs.existsSync(backupFile)) {
+    try {
+      const stored = readCollectionFile(backupFile, name, isValidItem);
+      console.warn(`⚠️ Recovered ${stored.length} ${name} from ${backupFile}`);
+      writeCollectionFile(dataFile, name, stored);
+      return stored;
+    } catch (error) {
+      console.error(`❌ Backup file ${backupFile} is unreadable as well: ${error.message}`);
+    }
+  }
+
+  console.warn(`⚠️ No usable data found, starting from seed ${name}`);
+  writeCollectionFile(dataFile, name, seed);
+  return seed;
+}
+
+module.exports = {
+  readCollectionFile,
+  writeCollectionFile,
+  loadCollectionFile
+};
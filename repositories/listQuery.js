@@ -0,0 +1,102 @@
+/**
+ * Product List Query
+ *
+ * Shared filtering, sorting and pagination rules for product lists. The
+ * in-memory repository applies them directly; the SQLite repository
+ * translates the same options into SQL and must return identical results.
+ */
+
+// Product fields that can be used with the sortBy query parameter
+const SORTABLE_FIELDS = [
+  'id', 'title', 'description', 'price', 'discountPercentage', 'rating',
+  'stock', 'brand', 'category', 'createdAt', 'updatedAt', 'deletedAt'
+];
+
+/**
+ * Normalize List Options
+ * @description Fills in defaults for partially specified list options
+ * @param {Object} [options] - Options as produced by parseListQuery in app.js
+ * @returns {Object} Options with skip, order and filters always present
+ */
+function normalizeListOptions(options = {}) {
+  return {
+    skip: 0,
+    limit: undefined,
+    sortBy: undefined,
+    order: 'asc',
+    ...options,
+    filters: { ...(options.filters || {}) }
+  };
+}
+
+/**
+ * Apply List Query Options
+ * @description Filters, sorts and paginates a list of products. Without sortBy
+ * the input order is preserved, which lets callers pass pre-ranked lists.
+ * @param {Array} items - Products to query
+ * @param {Object} [listOptions] - List options (see normalizeListOptions)
+ * @returns {Object} Page of products plus the filtered total, skip and limit
+ */
+function applyListQuery(items, listOptions) {
+  const options = normalizeListOptions(listOptions);
+  const { filters } = options;
+
+  // Text filters are case-insensitive so "Clothing" matches "clothing"
+  const matches = (value, expected) =>
+    String(value || '').toLowerCase() === expected.toLowerCase();
+
+  // Range filters exclude products where the field is missing. The variant
+  // filter ({ size: '10', color: 'black' }) needs one variant matching all options.
+  let results = items.filter(product => {
+    if (filters.category !== undefined && !matches(product.category, filters.category)) return false;
+    if (filters.categories !== undefined && !filters.categories.some(category => matches(product.category, category))) return false;
+    if (filters.brand !== undefined && !matches(product.brand, filters.brand)) return false;
+    if (filters.minPrice !== undefined && !(product.price >= filters.minPrice)) return false;
+    if (filters.maxPrice !== undefined && !(product.price <= filters.maxPrice)) return false;
+    if (filters.minRating !== undefined && !(product.rating >= filters.minRating)) return false;
+    if (filters.inStock !== undefined && (product.stock > 0) !== filters.inStock) return false;
+    if (filters.variant !== undefined && !(product.variants || []).some(variant =>
+      Object.keys(filters.variant).every(name => matches((variant.options || {})[name], filters.variant[name]))
+    )) return false;
+    return true;
+  });
+
+  if (options.sortBy) {
+    const direction = options.order === 'desc' ? -1 : 1;
+    const field = options.sortBy;
+
+    const compareValues = (left, right) => {
+      // Missing values always sort last regardless of direction
+      const leftMissing = left === undefined || left === null;
+      const rightMissing = right === undefined || right === null;
+      if (leftMissing || rightMissing) return leftMissing - rightMissing;
+
+      if (typeof left === 'number' && typeof right === 'number') {
+        return (left - right) * direction;
+      }
+
+      const a = String(left).toLowerCase();
+      const b = String(right).toLowerCase();
+      return (a < b ? -1 : a > b ? 1 : 0) * direction;
+    };
+
+    // Ties are broken by ascending id so every backend returns the same order
+    results = [...results].sort((a, b) => compareValues(a[field], b[field]) || a.id - b.id);
+  }
+
+  const total = results.length;
+  const limit = options.limit !== undefined ? options.limit : total;
+
+  return {
+    products: results.slice(options.skip, options.skip + limit),
+    total,
+    skip: options.skip,
+    limit
+  };
+}
+
+module.exports = {
+  SORTABLE_FIELDS,
+  normalizeListOptions,
+  applyListQuery
+};
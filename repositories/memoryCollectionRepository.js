@@ -0,0 +1,114 @@
+/**
+ * In-Memory Collection Repository
+ *
+ * Generic keyed storage for resources other than products (categories,
+ * brands, ...). Items are kept in an array ordered by key and, when a data
+ * file is configured, written back to that file after every mutation.
+ */
+
+const { writeCollectionFile, loadCollectionFile } = require('./jsonFile');
+
+/**
+ * Create In-Memory Collection Repository
+ * @param {Object} config - Repository configuration
+ * @param {string} config.name - Collection name, e.g. 'categories'
+ * @param {string} [config.key='id'] - Field that identifies an item
+ * @param {boolean} [config.autoIncrement=false] - Assign integer keys on create
+ * @param {Array} [config.seed] - Initial items (used when no data file exists)
+ * @param {string|null} [config.dataFile] - Optional JSON file for durable storage
+ * @returns {Object} Collection repository
+ */
+function createMemoryCollectionRepository({ name, key = 'id', autoIncrement = false, seed = [], dataFile = null }) {
+  const isValidItem = item => (autoIncrement
+    ? Number.isInteger(item[key]) && item[key] > 0
+    : typeof item[key] === 'string' && item[key] !== '');
+
+  const compareKeys = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+  const items = structuredClone(dataFile ? loadCollectionFile(dataFile, name, seed, isValidItem) : seed);
+  items.sort((a, b) => compareKeys(a[key], b[key]));
+
+  const persist = () => {
+    if (dataFile) {
+      writeCollectionFile(dataFile, name, items);
+    }
+  };
+
+  // Callers receive copies so they cannot change stored items by accident
+  const copy = item => (item ? structuredClone(item) : null);
+  const indexOf = value => items.findIndex(item => item[key] === value);
+
+  // Insert in key order so list() never needs to sort
+  const insert = item => {
+    const position = items.findIndex(existing => compareKeys(existing[key], item[key]) > 0);
+    items.splice(position === -1 ? items.length : position, 0, item);
+  };
+
+  return {
+    driver: 'memory',
+
+    list() {
+      return items.map(copy);
+    },
+
+    get(value) {
+      return copy(items[indexOf(value)]);
+    },
+
+    count() {
+      return items.length;
+    },
+
+    create(data) {
+      const value = autoIncrement
+        ? (items.length > 0 ? items[items.length - 1][key] : 0) + 1
+        : data[key];
+
+      if (indexOf(value) !== -1) {
+        throw new Error(`${name} already contains ${key} ${value}`);
+      }
+
+      const item = { [key]: value, ...structuredClone(data) };
+      item[key] = value;
+
+      insert(item);
+      persist();
+      return copy(item);
+    },
+
+    upsert(value, data) {
+      const item = { [key]: value, ...structuredClone(data) };
+      item[key] = value;
+
+      const index = indexOf(value);
+      if (index === -1) {
+        insert(item);
+      } else {
+        items[index] = item;
+      }
+
+      persist();
+      return copy(item);
+    },
+
+    update(value, changes) {
+      const index = indexOf(value);
+      if (index === -1) return null;
+
+      items[index] = { ...items[index], ...structuredClone(changes), [key]: value };
+      persist();
+      return copy(items[index]);
+    },
+
+    delete(value) {
+      const index = indexOf(value);
+      if (index === -1) return null;
+
+      const [deleted] = items.splice(index, 1);
+      persist();
+      return deleted;
+    }
+  };
+}
+
+module.exports = { createMemoryCollectionRepository };
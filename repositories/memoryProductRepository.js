@@ -0,0 +1,168 @@
+/**
+ * In-Memory Product Repository
+ *
+ * Keeps products in a plain array. When a data file is configured, products
+ * are loaded from that file on startup and written back after every mutation
+ * (see jsonFile.js for how writes are kept crash-safe).
+ */
+
+const { writeCollectionFile, loadCollectionFile } = require('./jsonFile');
+const { applyListQuery } = require('./listQuery');
+
+// Stored products must have a positive integer id
+const isValidProduct = product => Number.isInteger(product.id) && product.id > 0;
+
+// Deleted products stay stored, with deletedAt set, until they are purged
+const isDeleted = product => product.deletedAt !== undefined && product.deletedAt !== null;
+
+/**
+ * Create In-Memory Product Repository
+ * @param {Object} config - Repository configuration
+ * @param {Array} [config.seedProducts] - Initial products (used when no data file exists)
+ * @param {string|null} [config.dataFile] - Optional JSON file for durable storage
+ * @returns {Object} Product repository
+ */
+function createMemoryProductRepository({ seedProducts = [], dataFile = null } = {}) {
+  const products = structuredClone(dataFile ? loadCollectionFile(dataFile, 'products', seedProducts, isValidProduct) : seedProducts);
+
+  // Products saved before versions existed start at version 1
+  products.forEach(product => {
+    product.version = product.version || 1;
+  });
+
+  // Keep products ordered by id so the default list order matches other backends
+  products.sort((a, b) => a.id - b.id);
+
+  const persist = () => {
+    if (dataFile) {
+      writeCollectionFile(dataFile, 'products', products);
+    }
+  };
+
+  // Callers receive copies so they cannot change stored products by accident
+  const copy = product => (product ? structuredClone(product) : null);
+
+  const findLive = id => products.findIndex(p => p.id === id && !isDeleted(p));
+
+  return {
+    driver: 'memory',
+
+    list(options = {}) {
+      const deleted = Boolean(options.deleted);
+      const page = applyListQuery(products.filter(p => isDeleted(p) === deleted), options);
+      return { ...page, products: page.products.map(copy) };
+    },
+
+    get(id) {
+      return copy(products.find(p => p.id === id && !isDeleted(p)));
+    },
+
+    getDeleted(id) {
+      return copy(products.find(p => p.id === id && isDeleted(p)));
+    },
+
+    ids() {
+      return products.filter(p => !isDeleted(p)).map(p => p.id);
+    },
+
+    count() {
+      return products.filter(p => !isDeleted(p)).length;
+    },
+
+    create(data) {
+      const maxId = products.length > 0 ? products[products.length - 1].id : 0;
+      const product = { id: maxId + 1, ...structuredClone(data) };
+      product.id = maxId + 1;
+      product.version = 1;
+
+      products.push(product);
+      persist();
+      return copy(product);
+    },
+
+    upsert(id, data) {
+      const product = { id, ...structuredClone(data) };
+      product.id = id;
+
+      const index = products.findIndex(p => p.id === id);
+      product.version = index === -1 ? 1 : products[index].version + 1;
+      if (index === -1) {
+        // Insert in id order so the default list order and next id stay correct
+        const position = products.findIndex(p => p.id > id);
+        products.splice(position === -1 ? products.length : position, 0, product);
+      } else {
+        products[index] = product;
+      }
+
+      persist();
+      return copy(product);
+    },
+
+    update(id, changes) {
+      const index = findLive(id);
+      if (index === -1) return null;
+
+      products[index] = { ...products[index], ...structuredClone(changes), id, version: products[index].version + 1 };
+      persist();
+      return copy(products[index]);
+    },
+
+    adjustStock(id, delta, minimum = 0, changes = {}) {
+      const index = findLive(id);
+      if (index === -1) return null;
+
+      const stock = (products[index].stock || 0) + delta;
+      if (stock < minimum) return null;
+
+      products[index] = { ...products[index], ...structuredClone(changes), id, stock, version: products[index].version + 1 };
+      persist();
+      return copy(products[index]);
+    },
+
+    adjustVariantStock(id, variantId, delta, minimum = 0, changes = {}) {
+      const index = findLive(id);
+      if (index === -1) return null;
+
+      const variants = products[index].variants || [];
+      const variant = variants.find(candidate => candidate.id === variantId);
+      if (!variant) return null;
+
+      const variantStock = (variant.stock || 0) + delta;
+      if (variantStock < minimum) return null;
+
+      const adjusted = variants.map(candidate => (candidate === variant ? { ...candidate, stock: variantStock } : candidate));
+      const stock = adjusted.reduce((sum, candidate) => sum + (candidate.stock || 0), 0);
+      products[index] = {
+        ...products[index],
+        ...structuredClone(changes),
+        id,
+        variants: adjusted,
+        stock,
+        version: products[index].version + 1
+      };
+      persist();
+      return copy(products[index]);
+    },
+
+    restore(id, changes = {}) {
+      const index = products.findIndex(p => p.id === id && isDeleted(p));
+      if (index === -1) return null;
+
+      const { deletedAt, ...product } = products[index];
+      products[index] = { ...product, ...structuredClone(changes), id, version: product.version + 1 };
+      persist();
+      return copy(products[index]);
+    },
+
+    delete(id) {
+      const index = products.findIndex(p => p.id === id);
+      if (index === -1) return null;
+
+      const [deleted] = products.splice(index, 1);
+      persist();
+      return deleted;
+    }
+  };
+}
+
+module.exports = { createMemoryProductRepository };
@@ -0,0 +1,126 @@
+/**
+ * SQLite Collection Repository
+ *
+ * Generic keyed storage for resources other than products, kept in its own
+ * table of the same database file. Like products, every item is stored as a
+ * JSON document next to its key.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadDriver } = require('./sqliteProductRepository');
+
+/**
+ * Create SQLite Collection Repository
+ * @param {Object} config - Repository configuration
+ * @param {string} config.name - Collection name, used as the table name
+ * @param {string} [config.key='id'] - Field that identifies an item
+ * @param {boolean} [config.autoIncrement=false] - Assign integer keys on create
+ * @param {Array} [config.seed] - Items inserted when the table is empty on first use
+ * @param {string} [config.filename=':memory:'] - Database file, or ':memory:' for a throwaway database
+ * @returns {Object} Collection repository
+ */
+function createSqliteCollectionRepository({ name, key = 'id', autoIncrement = false, seed = [], filename = ':memory:' }) {
+  if (!/^[a-z][a-z_]*$/.test(name)) {
+    throw new Error(`Invalid collection name '${name}'`);
+  }
+
+  const Database = loadDriver();
+
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ${name} (
+      key ${autoIncrement ? 'INTEGER' : 'TEXT'} PRIMARY KEY,
+      data TEXT NOT NULL
+    )
+  `);
+
+  const statements = {
+    list: db.prepare(`SELECT data FROM ${name} ORDER BY key`),
+    get: db.prepare(`SELECT data FROM ${name} WHERE key = ?`),
+    count: db.prepare(`SELECT COUNT(*) FROM ${name}`).pluck(),
+    nextKey: db.prepare(`SELECT COALESCE(MAX(key), 0) + 1 FROM ${name}`).pluck(),
+    insert: db.prepare(`INSERT INTO ${name} (key, data) VALUES (?, ?)`),
+    update: db.prepare(`UPDATE ${name} SET data = ? WHERE key = ?`),
+    upsert: db.prepare(`INSERT INTO ${name} (key, data) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET data = excluded.data`),
+    delete: db.prepare(`DELETE FROM ${name} WHERE key = ?`)
+  };
+
+  const insertMany = db.transaction(items => {
+    for (const item of items) {
+      statements.insert.run(item[key], JSON.stringify(item));
+    }
+  });
+
+  if (statements.count.get() === 0 && seed.length > 0) {
+    insertMany(seed);
+  }
+
+  const parse = row => (row ? JSON.parse(row.data) : null);
+
+  return {
+    driver: 'sqlite',
+
+    list() {
+      return statements.list.all().map(parse);
+    },
+
+    get(value) {
+      return parse(statements.get.get(value));
+    },
+
+    count() {
+      return statements.count.get();
+    },
+
+    create: db.transaction(data => {
+      const value = autoIncrement ? statements.nextKey.get() : data[key];
+
+      if (statements.get.get(value)) {
+        throw new Error(`${name} already contains ${key} ${value}`);
+      }
+
+      const item = { [key]: value, ...data };
+      item[key] = value;
+
+      statements.insert.run(value, JSON.stringify(item));
+      return item;
+    }),
+
+    upsert(value, data) {
+      const item = { [key]: value, ...data };
+      item[key] = value;
+
+      statements.upsert.run(value, JSON.stringify(item));
+      return item;
+    },
+
+    update: db.transaction((value, changes) => {
+      const existing = parse(statements.get.get(value));
+      if (!existing) return null;
+
+      const item = { ...existing, ...changes, [key]: value };
+      statements.update.run(JSON.stringify(item), value);
+      return item;
+    }),
+
+    delete: db.transaction(value => {
+      const existing = parse(statements.get.get(value));
+      if (!existing) return null;
+
+      statements.delete.run(value);
+      return existing;
+    }),
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = { createSqliteCollectionRepository };
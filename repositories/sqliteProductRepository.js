@@ -0,0 +1,286 @@
+/**
+ * SQLite Product Repository
+ *
+ * Stores products in an embedded SQLite database using the optional
+ * `better-sqlite3` package. Each product is kept as a JSON document next to
+ * its id, so new product fields need no schema migration; filters and sorting
+ * are evaluated with SQLite's JSON functions.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SORTABLE_FIELDS, normalizeListOptions } = require('./listQuery');
+
+// SQL condition for products that have not been deleted (deleted products keep
+// a deletedAt until they are purged)
+const LIVE = "json_extract(data, '$.deletedAt') IS NULL";
+
+/**
+ * Load the SQLite Driver
+ * @returns {Function} better-sqlite3 Database constructor
+ * @throws {Error} If better-sqlite3 is not installed
+ */
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    throw new Error('The sqlite storage driver requires the "better-sqlite3" package. Install it with: npm install better-sqlite3');
+  }
+}
+
+/**
+ * Create SQLite Product Repository
+ * @param {Object} config - Repository configuration
+ * @param {string} [config.filename=':memory:'] - Database file, or ':memory:' for a throwaway database
+ * @param {Array} [config.seedProducts] - Products inserted when the database is empty on first use
+ * @returns {Object} Product repository
+ */
+function createSqliteProductRepository({ filename = ':memory:', seedProducts = [] } = {}) {
+  const Database = loadDriver();
+
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS products (
+      id INTEGER PRIMARY KEY,
+      data TEXT NOT NULL
+    )
+  `);
+
+  const statements = {
+    get: db.prepare('SELECT data FROM products WHERE id = ?'),
+    ids: db.prepare(`SELECT id FROM products WHERE ${LIVE} ORDER BY id`).pluck(),
+    count: db.prepare(`SELECT COUNT(*) FROM products WHERE ${LIVE}`).pluck(),
+    countAll: db.prepare('SELECT COUNT(*) FROM products').pluck(),
+    nextId: db.prepare('SELECT COALESCE(MAX(id), 0) + 1 FROM products').pluck(),
+    insert: db.prepare('INSERT INTO products (id, data) VALUES (?, ?)'),
+    update: db.prepare('UPDATE products SET data = ? WHERE id = ?'),
+    upsert: db.prepare('INSERT INTO products (id, data) VALUES (?, ?) ON CONFLICT (id) DO UPDATE SET data = excluded.data'),
+    delete: db.prepare('DELETE FROM products WHERE id = ?')
+  };
+
+  const insertMany = db.transaction(items => {
+    for (const product of items) {
+      statements.insert.run(product.id, JSON.stringify(product));
+    }
+  });
+
+  if (statements.countAll.get() === 0 && seedProducts.length > 0) {
+    insertMany(seedProducts);
+  }
+
+  // Products saved before versions existed are at version 1
+  const parse = row => {
+    if (!row) return null;
+
+    const product = JSON.parse(row.data);
+    product.version = product.version || 1;
+    return product;
+  };
+
+  const isDeleted = product => product.deletedAt !== undefined && product.deletedAt !== null;
+
+  // Product with this id that has not been deleted, or null
+  const getLive = id => {
+    const product = parse(statements.get.get(id));
+    return product && !isDeleted(product) ? product : null;
+  };
+
+  const adjustStockTransaction = db.transaction((id, delta, minimum, changes) => {
+    const existing = getLive(id);
+    if (!existing) return null;
+
+    const stock = (existing.stock || 0) + delta;
+    if (stock < minimum) return null;
+
+    const product = { ...existing, ...changes, id, stock, version: existing.version + 1 };
+    statements.update.run(JSON.stringify(product), id);
+    return product;
+  });
+
+  const adjustVariantStockTransaction = db.transaction((id, variantId, delta, minimum, changes) => {
+    const existing = getLive(id);
+    if (!existing) return null;
+
+    const variants = existing.variants || [];
+    const variant = variants.find(candidate => candidate.id === variantId);
+    if (!variant) return null;
+
+    const variantStock = (variant.stock || 0) + delta;
+    if (variantStock < minimum) return null;
+
+    const adjusted = variants.map(candidate => (candidate === variant ? { ...candidate, stock: variantStock } : candidate));
+    const stock = adjusted.reduce((sum, candidate) => sum + (candidate.stock || 0), 0);
+    const product = { ...existing, ...changes, id, variants: adjusted, stock, version: existing.version + 1 };
+    statements.update.run(JSON.stringify(product), id);
+    return product;
+  });
+
+  return {
+    driver: 'sqlite',
+
+    list(listOptions) {
+      const options = normalizeListOptions(listOptions);
+      const { filters } = options;
+      const conditions = [options.deleted ? `NOT (${LIVE})` : LIVE];
+      const params = [];
+
+      if (filters.category !== undefined) {
+        conditions.push("lower(COALESCE(json_extract(data, '$.category'), '')) = lower(?)");
+        params.push(filters.category);
+      }
+      if (filters.categories !== undefined) {
+        if (filters.categories.length === 0) {
+          conditions.push('0');
+        } else {
+          conditions.push(`lower(COALESCE(json_extract(data, '$.category'), '')) IN (${filters.categories.map(() => 'lower(?)').join(', ')})`);
+          params.push(...filters.categories);
+        }
+      }
+      if (filters.brand !== undefined) {
+        conditions.push("lower(COALESCE(json_extract(data, '$.brand'), '')) = lower(?)");
+        params.push(filters.brand);
+      }
+      if (filters.minPrice !== undefined) {
+        conditions.push("json_extract(data, '$.price') >= ?");
+        params.push(filters.minPrice);
+      }
+      if (filters.maxPrice !== undefined) {
+        conditions.push("json_extract(data, '$.price') <= ?");
+        params.push(filters.maxPrice);
+      }
+      if (filters.minRating !== undefined) {
+        conditions.push("json_extract(data, '$.rating') >= ?");
+        params.push(filters.minRating);
+      }
+      if (filters.inStock !== undefined) {
+        conditions.push(filters.inStock
+          ? "COALESCE(json_extract(data, '$.stock'), 0) > 0"
+          : "NOT COALESCE(json_extract(data, '$.stock'), 0) > 0");
+      }
+      if (filters.variant !== undefined) {
+        // Option names are validated identifiers, so they are safe inside a JSON path
+        const optionConditions = Object.keys(filters.variant).map(name => {
+          params.push(`$.options.${name}`, filters.variant[name]);
+          return "lower(COALESCE(json_extract(variant.value, ?), '')) = lower(?)";
+        });
+        conditions.push(
+          `EXISTS (SELECT 1 FROM json_each(data, '$.variants') AS variant WHERE ${['1', ...optionConditions].join(' AND ')})`
+        );
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const total = db.prepare(`SELECT COUNT(*) FROM products ${where}`).pluck().get(...params);
+
+      // Missing values sort last, ties are broken by ascending id (same as listQuery.js)
+      let orderBy = 'ORDER BY id';
+      const orderParams = [];
+      if (options.sortBy) {
+        if (!SORTABLE_FIELDS.includes(options.sortBy)) {
+          throw new Error(`Cannot sort by unknown field '${options.sortBy}'`);
+        }
+        const direction = options.order === 'desc' ? 'DESC' : 'ASC';
+        orderBy = `ORDER BY json_extract(data, ?) IS NULL, json_extract(data, ?) COLLATE NOCASE ${direction}, id`;
+        orderParams.push(`$.${options.sortBy}`, `$.${options.sortBy}`);
+      }
+
+      const limit = options.limit !== undefined ? options.limit : total;
+      const rows = db
+        .prepare(`SELECT data FROM products ${where} ${orderBy} LIMIT ? OFFSET ?`)
+        .all(...params, ...orderParams, limit, options.skip);
+
+      return {
+        products: rows.map(parse),
+        total,
+        skip: options.skip,
+        limit
+      };
+    },
+
+    get(id) {
+      return getLive(id);
+    },
+
+    getDeleted(id) {
+      const product = parse(statements.get.get(id));
+      return product && isDeleted(product) ? product : null;
+    },
+
+    ids() {
+      return statements.ids.all();
+    },
+
+    count() {
+      return statements.count.get();
+    },
+
+    create: db.transaction(data => {
+      const id = statements.nextId.get();
+      const product = { id, ...data };
+      product.id = id;
+      product.version = 1;
+
+      statements.insert.run(id, JSON.stringify(product));
+      return product;
+    }),
+
+    upsert: db.transaction((id, data) => {
+      const existing = parse(statements.get.get(id));
+      const product = { id, ...data };
+      product.id = id;
+      product.version = existing ? existing.version + 1 : 1;
+
+      statements.upsert.run(id, JSON.stringify(product));
+      return product;
+    }),
+
+    update: db.transaction((id, changes) => {
+      const existing = getLive(id);
+      if (!existing) return null;
+
+      const product = { ...existing, ...changes, id, version: existing.version + 1 };
+      statements.update.run(JSON.stringify(product), id);
+      return product;
+    }),
+
+    // IMMEDIATE takes the write lock before reading, so concurrent processes cannot interleave
+    adjustStock(id, delta, minimum = 0, changes = {}) {
+      return adjustStockTransaction.immediate(id, delta, minimum, changes);
+    },
+
+    adjustVariantStock(id, variantId, delta, minimum = 0, changes = {}) {
+      return adjustVariantStockTransaction.immediate(id, variantId, delta, minimum, changes);
+    },
+
+    restore: db.transaction((id, changes = {}) => {
+      const existing = parse(statements.get.get(id));
+      if (!existing || !isDeleted(existing)) return null;
+
+      const { deletedAt, ...rest } = existing;
+      const product = { ...rest, ...changes, id, version: existing.version + 1 };
+      statements.update.run(JSON.stringify(product), id);
+      return product;
+    }),
+
+    delete: db.transaction(id => {
+      const existing = parse(statements.get.get(id));
+      if (!existing) return null;
+
+      statements.delete.run(id);
+      return existing;
+    }),
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = {
+  loadDriver,
+  createSqliteProductRepository
+};